@@ -3,17 +3,30 @@
 /**
  * Bulk update Ringba call payouts and revenue to $0.00
  * Reads Inbound Call IDs from CSV file and uses Ringba API to set both values to 0
+ * Every override is journaled, undo with: node run-ringba-rollback.js --run=<sync run ID printed below>
  */
 
 import fs from 'fs';
 import dotenv from 'dotenv';
-import { updateCallPayment } from './src/http/ringba-client.js';
+import { dbOps } from './src/database/postgres-operations.js';
+import { journaledUpdateCallPayment } from './src/services/ringba-payment-journal.js';
+import { createSyncRunId } from './src/matching/audit.js';
 
 dotenv.config();
 
 const CSV_FILE = './data/ringba-call-log-export-ra8d14d_170a1hy.csv';
 const RINGBA_ACCOUNT_ID = process.env.RINGBA_ACCOUNT_ID;
 const RINGBA_API_TOKEN = process.env.RINGBA_API_TOKEN;
+const SYNC_RUN_ID = createSyncRunId('bulk-update-to-zero');
+
+const db = dbOps({
+    dbHost: process.env.POSTGRES_HOST || process.env.DB_HOST,
+    dbPort: process.env.POSTGRES_PORT || process.env.DB_PORT || 5432,
+    dbName: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
+    dbUser: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
+    dbPassword: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
+    dbSsl: process.env.DB_SSL === 'true'
+});
 
 // Parse CSV and extract Inbound Call IDs
 function parseCSVForCallIds(filePath) {
@@ -46,7 +59,11 @@ async function updateCallToZero(accountId, apiToken, inboundCallId, index, total
             reason: 'Call payments adjusted by acct. Admin.'
         };
 
-        const updateEither = await updateCallPayment(accountId, apiToken)(inboundCallId, payload)();
+        // Old amounts are read from Ringba and journaled before the override
+        const updateEither = await journaledUpdateCallPayment(db, accountId, apiToken)(inboundCallId, payload, {
+            syncRunId: SYNC_RUN_ID,
+            actor: 'bulk-update-ringba-calls-to-zero'
+        })();
 
         if (updateEither._tag === 'Left') {
             const error = updateEither.left;
@@ -86,6 +103,7 @@ async function processAllCalls(callIds, delayMs = 500) {
     console.log(`${'='.repeat(70)}`);
     console.log(`Total calls to process: ${callIds.length}`);
     console.log(`Account ID: ${RINGBA_ACCOUNT_ID}`);
+    console.log(`Sync Run ID: ${SYNC_RUN_ID}`);
     console.log(`Delay between calls: ${delayMs}ms`);
     console.log(`${'='.repeat(70)}\n`);
 
@@ -5,10 +5,12 @@ import HealthStatus from './components/HealthStatus';
 import Statistics from './components/Statistics';
 import RingbaStatus from './components/RingbaStatus';
 import ServiceHistory from './components/ServiceHistory';
+import JobLocks from './components/JobLocks';
 import RecentActivity from './components/RecentActivity';
 import ChargebackTracker from './components/ChargebackTracker';
 import PayoutComparison from './components/PayoutComparison';
 import RingbaDashboard from './components/RingbaDashboard';
+import CostSyncPlans from './components/CostSyncPlans';
 import DataAnalysis from './components/DataAnalysis';
 import WebhookTester from './components/WebhookTester';
 import Footer from './components/Footer';
@@ -20,6 +22,7 @@ function App() {
     health,
     stats,
     history,
+    historyTotal,
     activity,
     chargeback,
     loading,
@@ -33,13 +36,15 @@ function App() {
     if (loading) return { status: 'Loading...', type: 'warning' };
     if (error) return { status: `Error: ${error}`, type: 'error' };
     if (health?.status === 'healthy') return { status: 'Healthy', type: 'healthy' };
+    if (health?.status === 'degraded') return { status: 'Degraded', type: 'warning' };
+    if (health?.status === 'unhealthy') return { status: 'Unhealthy', type: 'error' };
     return { status: 'Checking...', type: 'warning' };
   };
 
   const statusInfo = getStatusInfo();
 
-  const handleHistoryFilter = (service, limit) => {
-    loadHistory(service || null, limit);
+  const handleHistoryFilter = (service, limit, status, offset) => {
+    loadHistory(service || null, limit, status || null, offset || 0);
   };
 
   const handlePageChange = (page) => {
@@ -65,8 +70,10 @@ function App() {
             <RingbaStatus stats={stats} />
             <PayoutComparison />
             <RingbaDashboard />
+            <CostSyncPlans />
             <ChargebackTracker chargebackData={chargeback} loading={loading} />
-            <ServiceHistory history={history} onFilterChange={handleHistoryFilter} />
+            <JobLocks />
+            <ServiceHistory history={history} total={historyTotal} onFilterChange={handleHistoryFilter} />
             <RecentActivity activity={activity} />
           </>
         )}
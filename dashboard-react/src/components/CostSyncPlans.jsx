@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+import { formatCurrency, formatDateTime, formatNumber } from '../utils/formatters';
+
+// Pending cost sync plans: proposed eLocal -> Ringba payout updates waiting for approval
+// Approved plans are applied from the server with: node run-ringba-cost-sync.js --apply-plan=<id>
+const CostSyncPlans = () => {
+  const [plans, setPlans] = useState([]);
+  const [selectedPlan, setSelectedPlan] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reviewer, setReviewer] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadPlans = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await api.getCostSyncPlans('pending');
+      const pending = result?.data || [];
+      setPlans(pending);
+      if (pending.length > 0) {
+        setSelectedPlan(await api.getCostSyncPlan(pending[0].id));
+      } else {
+        setSelectedPlan(null);
+      }
+    } catch (err) {
+      console.error('[CostSyncPlans] Failed to load plans:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPlans();
+  }, []);
+
+  const handleSelectPlan = async (e) => {
+    const planId = e.target.value;
+    try {
+      setSelectedPlan(await api.getCostSyncPlan(planId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReview = async (action) => {
+    if (!selectedPlan || !reviewer.trim()) {
+      alert('Enter your name before approving or rejecting a plan');
+      return;
+    }
+    const label = action === 'approve' ? 'Approve' : 'Reject';
+    if (!window.confirm(`${label} plan #${selectedPlan.plan.id}?`)) {
+      return;
+    }
+    setSaving(true);
+    try {
+      await api.reviewCostSyncPlan(selectedPlan.plan.id, action, reviewer.trim());
+      await loadPlans();
+    } catch (err) {
+      alert(`Failed to ${action} plan: ${err.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const totals = selectedPlan?.totals || [];
+  const grandTotal = totals.reduce((acc, row) => ({
+    calls: acc.calls + row.calls,
+    current_payout: acc.current_payout + row.current_payout,
+    new_payout: acc.new_payout + row.new_payout,
+    payout_change: acc.payout_change + row.payout_change,
+    revenue_change: acc.revenue_change + row.revenue_change
+  }), { calls: 0, current_payout: 0, new_payout: 0, payout_change: 0, revenue_change: 0 });
+
+  return (
+    <section className="section cost-sync-plans-section">
+      <h2>📝 Pending Cost Sync Plans</h2>
+
+      {loading ? (
+        <div className="loading">Loading plans...</div>
+      ) : error ? (
+        <div className="loading">Error: {error}</div>
+      ) : plans.length === 0 ? (
+        <div className="loading">No pending plans</div>
+      ) : (
+        <>
+          <div className="history-controls">
+            <select className="filter-select" value={selectedPlan?.plan?.id || ''} onChange={handleSelectPlan}>
+              {plans.map(plan => (
+                <option key={plan.id} value={plan.id}>
+                  #{plan.id} - {plan.start_date} to {plan.end_date} ({plan.category || 'all'}) - {formatNumber(plan.total_updates)} updates
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              className="filter-select"
+              placeholder="Your name"
+              value={reviewer}
+              onChange={(e) => setReviewer(e.target.value)}
+            />
+            <button className="view-logs-button" onClick={() => handleReview('approve')} disabled={saving}>
+              ✅ Approve
+            </button>
+            <button className="view-logs-button" onClick={() => handleReview('reject')} disabled={saving}>
+              ❌ Reject
+            </button>
+          </div>
+
+          {selectedPlan && (
+            <>
+              <p>
+                Created {formatDateTime(selectedPlan.plan.created_at)} by {selectedPlan.plan.created_by || 'N/A'}
+                {' '}(run: {selectedPlan.plan.sync_run_id || 'N/A'}, assignment: {selectedPlan.plan.assignment || 'N/A'})
+              </p>
+              <div className="history-table-container">
+                <table className="history-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Category</th>
+                      <th>Calls</th>
+                      <th>Current Payout</th>
+                      <th>New Payout</th>
+                      <th>Payout Change</th>
+                      <th>Revenue Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {totals.map(row => (
+                      <tr key={`${row.call_date}-${row.category}`}>
+                        <td>{row.call_date}</td>
+                        <td>{row.category}</td>
+                        <td>{formatNumber(row.calls)}</td>
+                        <td>{formatCurrency(row.current_payout)}</td>
+                        <td>{formatCurrency(row.new_payout)}</td>
+                        <td>{formatCurrency(row.payout_change)}</td>
+                        <td>{formatCurrency(row.revenue_change)}</td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <td><strong>Total</strong></td>
+                      <td></td>
+                      <td><strong>{formatNumber(grandTotal.calls)}</strong></td>
+                      <td><strong>{formatCurrency(grandTotal.current_payout)}</strong></td>
+                      <td><strong>{formatCurrency(grandTotal.new_payout)}</strong></td>
+                      <td><strong>{formatCurrency(grandTotal.payout_change)}</strong></td>
+                      <td><strong>{formatCurrency(grandTotal.revenue_change)}</strong></td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default CostSyncPlans;
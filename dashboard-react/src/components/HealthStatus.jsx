@@ -1,78 +1,117 @@
-import React from 'react';
-import { formatRelativeTime, getStatusClass } from '../utils/formatters';
+import React, { useState } from 'react';
+import { formatRelativeTime } from '../utils/formatters';
+
+// Component groups of /api/health (src/health/pipeline-health.js), in display order
+const GROUPS = [
+  { key: 'database', title: 'Database', icon: '🗄️' },
+  { key: 'jobs', title: 'Jobs (last successful run)', icon: '⚙️' },
+  { key: 'data', title: 'Data (newest day)', icon: '📅' },
+  { key: 'auth', title: 'Auth', icon: '🔐' }
+];
+
+const STATUS_CLASSES = {
+  ok: 'success',
+  warning: 'warning',
+  critical: 'error',
+  unknown: ''
+};
+
+const STATUS_LABELS = {
+  ok: 'OK',
+  warning: 'Warning',
+  critical: 'Critical',
+  unknown: 'Unknown'
+};
+
+const OVERALL_LABELS = {
+  healthy: '✅ All components OK',
+  degraded: '⚠️ Degraded',
+  unhealthy: '❌ Unhealthy'
+};
+
+// "3 hours ago" for jobs, "1 day behind" for data, "expires in 20.5 hours" for the auth session
+const describeAge = (component) => {
+  if (component.group === 'auth') {
+    if (component.hoursLeft === null || component.hoursLeft === undefined) return 'No session';
+    return component.hoursLeft > 0 ? `Expires in ${component.hoursLeft} hours` : 'Expired';
+  }
+  if (component.group === 'data') {
+    if (!component.lastAt) return 'No data';
+    return `${component.lastAt} (${component.age === 0 ? 'today' : `${component.age} day${component.age === 1 ? '' : 's'} behind`})`;
+  }
+  return component.lastAt ? formatRelativeTime(new Date(component.lastAt)) : 'Never';
+};
+
+const ComponentCard = ({ component, icon }) => {
+  const [showDetails, setShowDetails] = useState(false);
+  const statusClass = STATUS_CLASSES[component.status] ?? '';
+  const thresholds = component.warn !== undefined
+    ? `Warning after ${component.warn} ${component.unit}, critical after ${component.critical} ${component.unit}`
+    : null;
+
+  return (
+    <div className={`health-card health-card-${component.status}`} title={thresholds || undefined}>
+      <div className="health-icon">{icon}</div>
+      <div className="health-info">
+        <h3>{component.name}</h3>
+        <p className={`health-status ${statusClass}`}>
+          {STATUS_LABELS[component.status] || component.status}
+          {component.lastStatus === 'running' && ' · running now'}
+        </p>
+        <p className="health-time">{describeAge(component)}</p>
+        {component.message && component.status !== 'ok' && (
+          <div className="error-details">
+            <button
+              className="error-toggle"
+              onClick={() => setShowDetails(!showDetails)}
+              title="Click to view details"
+            >
+              {showDetails ? '▼' : '▶'} Details
+            </button>
+            {showDetails && (
+              <div className="error-message">
+                <pre>{component.message}</pre>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
 
 const HealthStatus = ({ health }) => {
-  if (!health || !health.services) {
+  if (!health || !health.components) {
     return (
       <section className="section health-section">
-        <h2>🏥 Service Health Status</h2>
+        <h2>🏥 Pipeline Health</h2>
         <div className="loading">Loading health status...</div>
       </section>
     );
   }
 
-  const { historical, historicalAPI, current, currentAPI, ringba } = health.services;
-
-  const ServiceCard = ({ icon, title, serviceData }) => {
-    const status = serviceData?.status || serviceData?.lastStatus || 'unknown';
-    const lastRun = serviceData?.lastRun || null;
-    const errorMessage = serviceData?.errorMessage || null;
-    const statusClass = getStatusClass(status);
-    const [showError, setShowError] = React.useState(false);
-
-    return (
-      <div className="health-card">
-        <div className="health-icon">{icon}</div>
-        <div className="health-info">
-          <h3>{title}</h3>
-          <p className={`health-status ${statusClass}`}>
-            {status.charAt(0).toUpperCase() + status.slice(1)}
-          </p>
-          <p className="health-time">
-            {lastRun ? formatRelativeTime(new Date(lastRun)) : 'Never'}
-          </p>
-          {errorMessage && status === 'failed' && (
-            <div className="error-details">
-              <button 
-                className="error-toggle"
-                onClick={() => setShowError(!showError)}
-                title="Click to view error details"
-              >
-                {showError ? '▼' : '▶'} Error Details
-              </button>
-              {showError && (
-                <div className="error-message">
-                  <pre>{errorMessage}</pre>
-                </div>
-              )}
-            </div>
-          )}
-        </div>
-      </div>
-    );
-  };
-
   return (
     <section className="section health-section">
-      <h2>🏥 Service Health Status</h2>
-      <div className="health-grid">
-        <ServiceCard icon="📅" title="Historical Service (STATIC)" serviceData={historical} />
-        <ServiceCard icon="📅" title="Historical Service (API)" serviceData={historicalAPI} />
-        <ServiceCard icon="⚡" title="Current Day Service (STATIC)" serviceData={current} />
-        <ServiceCard icon="⚡" title="Current Day Service (API)" serviceData={currentAPI} />
-        <ServiceCard icon="🔄" title="Ringba Sync" serviceData={ringba} />
-        <div className="health-card">
-          <div className="health-icon">🔐</div>
-          <div className="health-info">
-            <h3>Auth Service</h3>
-            <p className="health-status success">Active</p>
-            <p className="health-time">Session valid</p>
+      <h2>🏥 Pipeline Health</h2>
+      <p className={`health-overall ${health.status}`}>
+        {OVERALL_LABELS[health.status] || health.status}
+      </p>
+      {GROUPS.map(group => {
+        const components = health.components.filter(component => component.group === group.key);
+        if (components.length === 0) return null;
+        return (
+          <div key={group.key} className="health-group">
+            <h3 className="health-group-title">{group.title}</h3>
+            <div className="health-grid">
+              {components.map(component => (
+                <ComponentCard key={component.key} component={component} icon={group.icon} />
+              ))}
+            </div>
           </div>
-        </div>
-      </div>
+        );
+      })}
     </section>
   );
 };
 
 export default HealthStatus;
-
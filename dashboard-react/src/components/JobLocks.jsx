@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { api } from '../utils/api';
+import { formatDateTime, formatRelativeTime } from '../utils/formatters';
+
+// Job leases currently held in job_locks: which process runs which job type on which days
+// Stale leases (no heartbeat until expiry) belong to stopped processes and are removed by the next run of that job
+const JobLocks = () => {
+  const [locks, setLocks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadLocks = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await api.jobLocks();
+      setLocks(result?.locks || []);
+    } catch (err) {
+      console.error('[JobLocks] Failed to load locks:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadLocks();
+  }, []);
+
+  return (
+    <section className="section history-section">
+      <h2>🔒 Running Jobs (Locks)</h2>
+      <div className="history-controls">
+        <button className="view-logs-button" onClick={loadLocks} disabled={loading}>
+          {loading ? 'Loading...' : '🔄 Refresh'}
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading locks...</div>
+      ) : error ? (
+        <div className="loading">Error: {error}</div>
+      ) : locks.length === 0 ? (
+        <div className="loading">No jobs running</div>
+      ) : (
+        <div className="history-table-container">
+          <table className="history-table">
+            <thead>
+              <tr>
+                <th>Lock</th>
+                <th>Service</th>
+                <th>Date Range</th>
+                <th>Held By</th>
+                <th>Acquired At</th>
+                <th>Last Heartbeat</th>
+                <th>Expires At</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {locks.map(lock => (
+                <tr key={lock.id} className={lock.status === 'stale' ? 'has-error' : ''}>
+                  <td>#{lock.id}{lock.session_id ? ` (${lock.session_id})` : ''}</td>
+                  <td>{lock.service_name}{lock.category ? ` (${lock.category})` : ''}</td>
+                  <td>{lock.start_date ? `${lock.start_date} → ${lock.end_date}` : 'All days'}</td>
+                  <td>{lock.owner}</td>
+                  <td>{formatDateTime(lock.acquired_at)}</td>
+                  <td>{formatRelativeTime(new Date(lock.heartbeat_at))}</td>
+                  <td>{formatDateTime(lock.expires_at)}</td>
+                  <td>
+                    <span className={`status-badge ${lock.status === 'stale' ? 'failed' : 'running'}`}>{lock.status}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default JobLocks;
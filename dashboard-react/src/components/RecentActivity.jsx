@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { formatDate, formatDateTime, formatCurrency, formatNumber, truncate } from '../utils/formatters';
+import { formatDate, formatDateTime, formatCurrency, formatCounters, truncate } from '../utils/formatters';
 
 const RecentActivity = ({ activity }) => {
   const [activeTab, setActiveTab] = useState('calls');
@@ -106,11 +106,11 @@ const RecentActivity = ({ activity }) => {
             <table className="activity-table">
               <thead>
                 <tr>
-                  <th>Session ID</th>
+                  <th>Service</th>
                   <th>Status</th>
                   <th>Started At</th>
-                  <th>Calls</th>
-                  <th>Adjustments</th>
+                  <th>Session ID</th>
+                  <th>Counters</th>
                 </tr>
               </thead>
               <tbody>
@@ -121,13 +121,13 @@ const RecentActivity = ({ activity }) => {
                 ) : (
                   sessions.map((session) => (
                     <tr key={session.id || session.session_id}>
-                      <td>{truncate(session.session_id, 30)}</td>
+                      <td>{session.service_name || session.service_type || '-'}</td>
                       <td>
                         <span className={`status-badge ${session.status}`}>{session.status}</span>
                       </td>
                       <td>{formatDateTime(session.started_at)}</td>
-                      <td>{formatNumber(session.calls_scraped || 0)}</td>
-                      <td>{formatNumber(session.adjustments_scraped || 0)}</td>
+                      <td>{truncate(session.session_id, 30)}</td>
+                      <td>{formatCounters(session.counters)}</td>
                     </tr>
                   ))
                 )}
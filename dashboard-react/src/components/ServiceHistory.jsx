@@ -1,32 +1,58 @@
 import React, { useState } from 'react';
-import { formatDateTime, formatNumber, getServiceName, truncate } from '../utils/formatters';
+import { formatDateTime, formatNumber, formatCounters, truncate } from '../utils/formatters';
 import ServiceLogs from './ServiceLogs';
 
-const ServiceHistory = ({ history, onFilterChange }) => {
+// Job types recorded in job_runs (src/services/job-runs.js)
+const JOB_TYPES = [
+  { value: 'elocal-scrape', label: 'eLocal Scrape' },
+  { value: 'ringba-original', label: 'Ringba Original Sync' },
+  { value: 'ringba-cost', label: 'Ringba Cost Sync' },
+  { value: 'campaign-summary', label: 'Campaign Summary' },
+  { value: 'payout-comparison', label: 'Payout Comparison' },
+  { value: 'ringba-zero-payout', label: 'Ringba Zero-Payout Fix' },
+  { value: 'ringba-historical', label: 'Ringba Historical Sync' },
+  { value: 'auth-refresh', label: 'Auth Refresh' },
+  { value: 'alert-check', label: 'Alert Checks' }
+];
+
+// Counter that best describes how many items a run processed; the other counters go in the details column
+const ITEM_COUNTERS = ['calls', 'ringbaCalls', 'elocalCalls', 'totalCalls', 'total'];
+
+const ServiceHistory = ({ history, total = 0, onFilterChange }) => {
   const [serviceFilter, setServiceFilter] = useState('');
   const [limit, setLimit] = useState(20);
   const [statusFilter, setStatusFilter] = useState('');
+  const [offset, setOffset] = useState(0);
   const [expandedRows, setExpandedRows] = useState(new Set());
   const [showLogsModal, setShowLogsModal] = useState(false);
   const [selectedServiceForLogs, setSelectedServiceForLogs] = useState(null);
 
+  // Filter changes go back to the first page
+  const applyFilters = (service, pageLimit, status, pageOffset = 0) => {
+    setOffset(pageOffset);
+    onFilterChange(service, pageLimit, status, pageOffset);
+  };
+
   const handleServiceChange = (e) => {
     const value = e.target.value;
     setServiceFilter(value);
-    onFilterChange(value, limit);
+    applyFilters(value, limit, statusFilter);
   };
 
   const handleLimitChange = (e) => {
     const value = parseInt(e.target.value) || 20;
     setLimit(value);
-    onFilterChange(serviceFilter, value);
+    applyFilters(serviceFilter, value, statusFilter);
   };
 
   const handleStatusFilterChange = (e) => {
     const value = e.target.value;
     setStatusFilter(value);
-    // Filter history by status if needed
-    // This will be handled by the parent component
+    applyFilters(serviceFilter, limit, value);
+  };
+
+  const handlePageChange = (newOffset) => {
+    applyFilters(serviceFilter, limit, statusFilter, Math.max(newOffset, 0));
   };
 
   const toggleRowExpand = (sessionId) => {
@@ -44,15 +70,8 @@ const ServiceHistory = ({ history, onFilterChange }) => {
     setShowLogsModal(true);
   };
 
-  const filteredHistory = history?.filter(session => {
-    if (statusFilter === 'failed') {
-      return session.status === 'failed' || session.status === 'partial';
-    }
-    if (statusFilter === 'success') {
-      return session.status === 'success' || session.status === 'completed';
-    }
-    return true;
-  }) || [];
+  const sessions = history || [];
+  const pageEnd = Math.min(offset + sessions.length, total);
 
   return (
     <section className="section history-section">
@@ -64,13 +83,9 @@ const ServiceHistory = ({ history, onFilterChange }) => {
           onChange={handleServiceChange}
         >
           <option value="">All Services</option>
-          <option value="historical">Historical (STATIC)</option>
-          <option value="current">Current Day (STATIC)</option>
-          <option value="historical-api">Historical (API)</option>
-          <option value="current-api">Current Day (API)</option>
-          <option value="ringba-sync">Ringba Sync</option>
-          <option value="revenue-sync">Revenue Sync</option>
-          <option value="ringba-cost-sync">Ringba Cost Sync</option>
+          {JOB_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
         </select>
         <select
           className="filter-select"
@@ -80,6 +95,7 @@ const ServiceHistory = ({ history, onFilterChange }) => {
           <option value="">All Statuses</option>
           <option value="failed">Failed Only</option>
           <option value="success">Success Only</option>
+          <option value="running">Running</option>
         </select>
         <input
           type="number"
@@ -103,6 +119,7 @@ const ServiceHistory = ({ history, onFilterChange }) => {
             <tr>
               <th>Session ID</th>
               <th>Service</th>
+              <th>Date Range</th>
               <th>Started At</th>
               <th>Completed At</th>
               <th>Status</th>
@@ -112,56 +129,33 @@ const ServiceHistory = ({ history, onFilterChange }) => {
             </tr>
           </thead>
           <tbody>
-            {!history || history.length === 0 ? (
-              <tr>
-                <td colSpan="8" className="loading">
-                  {history === null ? 'Loading history...' : 'No history found'}
-                </td>
-              </tr>
-            ) : filteredHistory.length === 0 ? (
+            {sessions.length === 0 ? (
               <tr>
-                <td colSpan="8" className="loading">
-                  No sessions found matching the filters
+                <td colSpan="9" className="loading">
+                  {history === null ? 'Loading history...' : 'No runs found matching the filters'}
                 </td>
               </tr>
             ) : (
-              filteredHistory.map((session) => {
-                // Use service_name if available, otherwise derive from service_type or session_id
-                const service = session.service_name || 
-                  (session.service_type === 'historical' ? 'Historical (STATIC)' :
-                   session.service_type === 'current' ? 'Current Day (STATIC)' :
-                   session.service_type === 'historical-api' ? 'Historical (API)' :
-                   session.service_type === 'current-api' ? 'Current Day (API)' :
-                   session.service_type === 'ringba-sync' ? 'Ringba Sync' :
-                   session.service_type === 'revenue-sync' ? 'Revenue Sync' :
-                   session.service_type === 'ringba-cost-sync' ? 'Ringba Cost Sync' :
-                   getServiceName(session.session_id));
-                
+              sessions.map((session) => {
+                const service = session.service_name || session.service_type;
                 const status = session.status || 'unknown';
-                
-                // Format calls/adjustments based on service type
-                let callsDisplay = formatNumber(session.calls_scraped || session.calls || 0);
-                let adjustmentsDisplay = formatNumber(session.adjustments_scraped || session.adjustments || 0);
-                
-                // For Ringba Sync, show sync counts
-                if (session.service_type === 'ringba-sync') {
-                  if (session.total_syncs !== undefined) {
-                    callsDisplay = `${formatNumber(session.total_syncs)} (${formatNumber(session.successful_syncs || 0)} success, ${formatNumber(session.failed_syncs || 0)} failed)`;
-                  }
-                }
-                
-                // For Revenue Sync, show days processed
-                if (session.service_type === 'revenue-sync' && session.days_processed !== undefined) {
-                  callsDisplay = `${formatNumber(session.days_processed)} days`;
-                }
-                
-                // For Ringba Cost Sync, show calls processed
-                if (session.service_type === 'ringba-cost-sync' && session.calls_processed !== undefined) {
-                  callsDisplay = formatNumber(session.calls_processed);
-                }
+                const counters = session.counters || {};
+
+                const itemKey = ITEM_COUNTERS.find(key => counters[key] !== undefined);
+                const callsDisplay = itemKey ? `${formatNumber(counters[itemKey])} ${itemKey}` : '-';
+                const adjustmentsDisplay = formatCounters(
+                  counters,
+                  Object.keys(counters).filter(key => key !== itemKey)
+                );
+
+                const dateRange = session.start_date
+                  ? (session.end_date && session.end_date !== session.start_date
+                    ? `${session.start_date} → ${session.end_date}`
+                    : session.start_date)
+                  : '-';
 
                 const isExpanded = expandedRows.has(session.id || session.session_id);
-                const hasError = session.error_message || (session.failed_syncs && session.failed_syncs > 0);
+                const hasError = session.error_message || status === 'failed' || status === 'partial';
 
                 return (
                   <React.Fragment key={session.id || session.session_id}>
@@ -178,6 +172,7 @@ const ServiceHistory = ({ history, onFilterChange }) => {
                         {truncate(session.session_id, 40)}
                       </td>
                       <td>{service}</td>
+                      <td>{dateRange}</td>
                       <td>{formatDateTime(session.started_at)}</td>
                       <td>{session.completed_at ? formatDateTime(session.completed_at) : '-'}</td>
                       <td>
@@ -186,42 +181,30 @@ const ServiceHistory = ({ history, onFilterChange }) => {
                       <td>{callsDisplay}</td>
                       <td>{adjustmentsDisplay}</td>
                       <td>
-                        {hasError && (
-                          <button
-                            className="view-logs-link"
-                            onClick={() => handleViewLogs(session.service_type, session.session_id)}
-                            title="View detailed error logs"
-                          >
-                            View Logs
-                          </button>
-                        )}
+                        <button
+                          className="view-logs-link"
+                          onClick={() => handleViewLogs(session.service_type, session.session_id)}
+                          title="View the log lines of this run"
+                        >
+                          View Logs
+                        </button>
                       </td>
                     </tr>
                     {isExpanded && hasError && (
                       <tr className="error-details-row">
-                        <td colSpan="8" className="error-details-cell">
+                        <td colSpan="9" className="error-details-cell">
                           <div className="error-details-content">
                             <strong>Error Details:</strong>
                             <div className="error-message-text">
-                              {session.error_message || 'No error message available'}
+                              {session.error_message || (status === 'partial' ? 'Some items failed' : 'No error message available')}
                             </div>
-                            {session.error_samples && session.error_samples.length > 0 && (
-                              <div className="error-samples">
-                                <strong>Sample Errors:</strong>
-                                <ul>
-                                  {session.error_samples.map((err, idx) => (
-                                    <li key={idx}>{err}</li>
-                                  ))}
-                                </ul>
-                              </div>
-                            )}
-                            {session.failed_syncs > 0 && (
+                            {Object.keys(counters).length > 0 && (
                               <div className="error-stats">
-                                <strong>Failure Stats:</strong>
+                                <strong>Counters:</strong>
                                 <ul>
-                                  <li>Total Failed: {session.failed_syncs}</li>
-                                  <li>Total Successful: {session.successful_syncs || 0}</li>
-                                  <li>Total Syncs: {session.total_syncs || 0}</li>
+                                  {Object.entries(counters).map(([key, value]) => (
+                                    <li key={key}>{key}: {formatNumber(value)}</li>
+                                  ))}
                                 </ul>
                               </div>
                             )}
@@ -242,6 +225,25 @@ const ServiceHistory = ({ history, onFilterChange }) => {
           </tbody>
         </table>
       </div>
+      {total > 0 && (
+        <div className="history-pagination">
+          <span>{formatNumber(offset + 1)}–{formatNumber(pageEnd)} of {formatNumber(total)}</span>
+          <button
+            className="filter-select"
+            onClick={() => handlePageChange(offset - limit)}
+            disabled={offset === 0}
+          >
+            ← Newer
+          </button>
+          <button
+            className="filter-select"
+            onClick={() => handlePageChange(offset + limit)}
+            disabled={offset + limit >= total}
+          >
+            Older →
+          </button>
+        </div>
+      )}
 
       {showLogsModal && (
         <div className="logs-modal-overlay" onClick={() => setShowLogsModal(false)}>
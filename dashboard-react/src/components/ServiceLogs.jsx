@@ -2,23 +2,34 @@ import React, { useState, useEffect } from 'react';
 import { api } from '../utils/api';
 import { formatDateTime, truncate } from '../utils/formatters';
 
+const LEVEL_OPTIONS = [
+  { value: 'error', label: 'Errors Only' },
+  { value: 'error,warn', label: 'Errors & Warnings' },
+  { value: '', label: 'All Levels' }
+];
+
 const ServiceLogs = ({ service = null, sessionId = null, onClose = null }) => {
   const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [statusFilter, setStatusFilter] = useState('failed');
+  // A single run shows all of its lines; the service-wide view starts with errors
+  const [levelFilter, setLevelFilter] = useState(sessionId ? '' : 'error');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
   const [expandedLogs, setExpandedLogs] = useState(new Set());
 
   useEffect(() => {
     loadLogs();
-  }, [service, sessionId, statusFilter]);
+  }, [service, sessionId, levelFilter, search]);
 
   const loadLogs = async () => {
     setLoading(true);
     setError(null);
     try {
-      const data = await api.serviceLogs(service, sessionId, statusFilter, 100);
+      const data = await api.serviceLogs(service, sessionId, levelFilter, 200, search);
       setLogs(data.logs || []);
+      setTotal(data.total || 0);
     } catch (err) {
       setError(err.message);
       console.error('Error loading service logs:', err);
@@ -27,6 +38,11 @@ const ServiceLogs = ({ service = null, sessionId = null, onClose = null }) => {
     }
   };
 
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    setSearch(searchInput.trim());
+  };
+
   const toggleExpand = (logId) => {
     const newExpanded = new Set(expandedLogs);
     if (newExpanded.has(logId)) {
@@ -37,19 +53,6 @@ const ServiceLogs = ({ service = null, sessionId = null, onClose = null }) => {
     setExpandedLogs(newExpanded);
   };
 
-  const getServiceName = (serviceType) => {
-    const names = {
-      'historical': 'Historical (STATIC)',
-      'current': 'Current Day (STATIC)',
-      'historical-api': 'Historical (API)',
-      'current-api': 'Current Day (API)',
-      'ringba-sync': 'Ringba Sync',
-      'revenue-sync': 'Revenue Sync',
-      'ringba-cost-sync': 'Ringba Cost Sync'
-    };
-    return names[serviceType] || serviceType || 'Unknown';
-  };
-
   const formatContext = (context) => {
     if (!context) return null;
     return Object.entries(context)
@@ -66,27 +69,39 @@ const ServiceLogs = ({ service = null, sessionId = null, onClose = null }) => {
   return (
     <div className="service-logs-container">
       <div className="service-logs-header">
-        <h2>🔍 Service Error Logs</h2>
+        <h2>🔍 Service Logs</h2>
         {onClose && (
           <button className="close-button" onClick={onClose}>×</button>
         )}
       </div>
 
-      <div className="service-logs-controls">
+      <form className="service-logs-controls" onSubmit={handleSearchSubmit}>
         <select
           className="filter-select"
-          value={statusFilter}
-          onChange={(e) => setStatusFilter(e.target.value)}
+          value={levelFilter}
+          onChange={(e) => setLevelFilter(e.target.value)}
         >
-          <option value="">All Statuses</option>
-          <option value="failed">Failed Only</option>
-          <option value="partial">Partial Failures</option>
-          <option value="success">Success</option>
+          {LEVEL_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
         </select>
-        <button className="refresh-button" onClick={loadLogs} disabled={loading}>
+        <input
+          type="text"
+          className="log-search-input"
+          placeholder="Search messages..."
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <button type="button" className="refresh-button" onClick={loadLogs} disabled={loading}>
           {loading ? 'Loading...' : '🔄 Refresh'}
         </button>
-      </div>
+      </form>
+
+      {sessionId && (
+        <div className="log-session-id">
+          <strong>Session ID:</strong> {truncate(sessionId, 60)}
+        </div>
+      )}
 
       {error && (
         <div className="error-message">
@@ -98,66 +113,52 @@ const ServiceLogs = ({ service = null, sessionId = null, onClose = null }) => {
         <div className="loading">Loading logs...</div>
       ) : logs.length === 0 ? (
         <div className="no-logs">
-          ✅ No error logs found for the selected filters.
+          ✅ No log entries found for the selected filters.
         </div>
       ) : (
         <div className="logs-list">
+          {total > logs.length && (
+            <div className="log-timestamp">
+              Showing the latest {logs.length} of {total} entries
+            </div>
+          )}
           {logs.map((log) => {
             const isExpanded = expandedLogs.has(log.id);
             const hasContext = log.context && Object.keys(log.context).length > 0;
 
             return (
-              <div key={log.id} className={`log-entry ${log.status}`}>
+              <div key={log.id} className={`log-entry ${log.level}`}>
                 <div className="log-header" onClick={() => toggleExpand(log.id)}>
                   <div className="log-main-info">
-                    <span className="log-service">{getServiceName(log.service_type)}</span>
-                    <span className="log-status-badge">{log.status}</span>
+                    <span className="log-service">
+                      {log.service_name || log.service_type}{log.category ? ` (${log.category})` : ''}
+                    </span>
+                    <span className={`log-status-badge ${log.level}`}>{log.level}</span>
                     <span className="log-timestamp">{formatDateTime(log.timestamp)}</span>
                   </div>
-                  <div className="log-toggle">
-                    {isExpanded ? '▼' : '▶'}
-                  </div>
+                  {hasContext && (
+                    <div className="log-toggle">
+                      {isExpanded ? '▼' : '▶'}
+                    </div>
+                  )}
                 </div>
 
                 <div className="log-error-message">
-                  <strong>Error:</strong> {log.error_message || 'No error message'}
+                  {log.message}
                 </div>
 
-                {log.session_id && (
+                {!sessionId && log.session_id && (
                   <div className="log-session-id">
                     <strong>Session ID:</strong> {truncate(log.session_id, 60)}
                   </div>
                 )}
 
-                {isExpanded && (
+                {isExpanded && hasContext && (
                   <div className="log-details">
-                    {hasContext && (
-                      <div className="log-context">
-                        <strong>Context:</strong>
-                        <pre>{formatContext(log.context)}</pre>
-                      </div>
-                    )}
-
-                    {log.context?.api_request && (
-                      <div className="log-api-request">
-                        <strong>API Request:</strong>
-                        <pre>{JSON.stringify(log.context.api_request, null, 2)}</pre>
-                      </div>
-                    )}
-
-                    {log.context?.api_response && (
-                      <div className="log-api-response">
-                        <strong>API Response:</strong>
-                        <pre>{JSON.stringify(log.context.api_response, null, 2)}</pre>
-                      </div>
-                    )}
-
-                    {log.context?.lookup_result && (
-                      <div className="log-lookup-result">
-                        <strong>Lookup Result:</strong>
-                        <pre>{JSON.stringify(log.context.lookup_result, null, 2)}</pre>
-                      </div>
-                    )}
+                    <div className="log-context">
+                      <strong>Context:</strong>
+                      <pre>{formatContext(log.context)}</pre>
+                    </div>
                   </div>
                 )}
               </div>
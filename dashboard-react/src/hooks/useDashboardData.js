@@ -23,6 +23,7 @@ export const useDashboardData = () => {
   const [health, setHealth] = useState(initialData?.health || null);
   const [stats, setStats] = useState(initialData?.stats || null);
   const [history, setHistory] = useState(initialData?.history?.sessions || null);
+  const [historyTotal, setHistoryTotal] = useState(initialData?.history?.total || 0);
   const [activity, setActivity] = useState(initialData?.activity || { calls: [], adjustments: [], sessions: [] });
   const [chargeback, setChargeback] = useState(initialData?.chargeback || null);
   const [loading, setLoading] = useState(!initialData); // Only loading if no initial data
@@ -51,10 +52,11 @@ export const useDashboardData = () => {
     }
   }, []);
 
-  const loadHistory = useCallback(async (service = null, limit = 20) => {
+  const loadHistory = useCallback(async (service = null, limit = 20, status = null, offset = 0) => {
     try {
-      const data = await api.history(service, limit);
+      const data = await api.history(service, limit, status, offset);
       setHistory(data.sessions || []);
+      setHistoryTotal(data.total || 0);
       return data;
     } catch (err) {
       console.error('Error loading history:', err);
@@ -128,6 +130,7 @@ export const useDashboardData = () => {
     health,
     stats,
     history,
+    historyTotal,
     activity,
     chargeback,
     loading,
@@ -80,13 +80,16 @@ const fetchAPI = async (endpoint, options = {}) => {
 export const api = {
   health: () => fetchAPI('/api/health'),
   stats: () => fetchAPI('/api/stats'),
-  history: (service = null, limit = 50) => {
+  history: (service = null, limit = 50, status = null, offset = 0) => {
     const params = new URLSearchParams();
     if (service) params.append('service', service);
+    if (status) params.append('status', status);
     params.append('limit', limit.toString());
+    params.append('offset', offset.toString());
     return fetchAPI(`/api/history?${params.toString()}`);
   },
   activity: (limit = 20) => fetchAPI(`/api/activity?limit=${limit}`),
+  jobLocks: () => fetchAPI('/api/job-locks'),
   ringbaLogs: (status = null, limit = 50) => {
     const params = new URLSearchParams();
     if (status) params.append('status', status);
@@ -100,11 +103,12 @@ export const api = {
     }
     return fetchAPI(`/api/chargeback?limit=${limit}`);
   },
-  serviceLogs: (service = null, sessionId = null, status = null, limit = 50) => {
+  serviceLogs: (service = null, sessionId = null, level = null, limit = 50, search = null) => {
     const params = new URLSearchParams();
     if (service) params.append('service', service);
     if (sessionId) params.append('session_id', sessionId);
-    if (status) params.append('status', status);
+    if (level) params.append('level', level);
+    if (search) params.append('search', search);
     params.append('limit', limit.toString());
     return fetchAPI(`/api/service-logs?${params.toString()}`);
   },
@@ -161,6 +165,33 @@ export const api = {
     params.append('limit', limit.toString());
     params.append('offset', offset.toString());
     return fetchAPI(`/api/webhooks/${webhookId}?${params.toString()}`);
+  },
+  // Call match audit endpoint - filters: callerId, date, startDate, endDate, syncRunId, service, decision, reasonCode
+  getMatchAudit: (filters = {}, limit = 100, offset = 0) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    params.append('limit', limit.toString());
+    params.append('offset', offset.toString());
+    return fetchAPI(`/api/match-audit?${params.toString()}`);
+  },
+  // Cost sync plan endpoints (proposed Ringba payout updates awaiting review)
+  getCostSyncPlans: (status = 'pending', limit = 20) => {
+    const params = new URLSearchParams();
+    if (status) params.append('status', status);
+    params.append('limit', limit.toString());
+    return fetchAPI(`/api/cost-sync-plans?${params.toString()}`);
+  },
+  getCostSyncPlan: (planId) => fetchAPI(`/api/cost-sync-plans/${planId}`),
+  reviewCostSyncPlan: (planId, action, reviewedBy, notes = null) => {
+    return fetchAPI(`/api/cost-sync-plans/${planId}/${action}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ reviewedBy, notes })
+    });
   }
 };
 
@@ -67,6 +67,14 @@ export const getServiceName = (sessionId) => {
   return 'Unknown';
 };
 
+// job_runs counters ({ inserted: 12, updated: 3 }) -> "12 inserted, 3 updated"
+export const formatCounters = (counters, keys = null) => {
+  const entries = Object.entries(counters || {})
+    .filter(([key]) => !keys || keys.includes(key));
+  if (entries.length === 0) return '-';
+  return entries.map(([key, value]) => `${formatNumber(value)} ${key}`).join(', ');
+};
+
 export const getStatusClass = (status) => {
   if (status === 'completed' || status === 'success') {
     return 'success';
@@ -3,34 +3,30 @@ import express from 'express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
-import pg from 'pg';
-import dotenv from 'dotenv';
 import cors from 'cors';
+import { toE164 } from './src/matching/normalizers.js';
+import { registry, getMetricsInstance } from './src/metrics/metrics.js';
+import { renderFamilies, withLabels, PROMETHEUS_CONTENT_TYPE } from './src/metrics/registry.js';
+import { getScheduledJobTypes, loadHealthSnapshot, evaluateHealth } from './src/health/pipeline-health.js';
+import { callDaySql } from './src/utils/timezone.js';
+import { getPool } from './src/database/pool.js';
+import { createCallsRepository } from './src/database/repositories/calls.js';
+import { createCampaignSummariesRepository } from './src/database/repositories/campaign-summaries.js';
+import { createPayoutComparisonsRepository } from './src/database/repositories/payout-comparisons.js';
+import { createWebhookRequestsRepository } from './src/database/repositories/webhook-requests.js';
+import { updateGoogleAdsSpend } from './src/services/payout-comparison-sync.js';
+import { loadConfigOrExit, redactConfig, formatConfig } from './src/config/app-config.js';
 
-dotenv.config();
-
-const { Pool } = pg;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Configuration
-const PORT = process.env.DASHBOARD_PORT || 3000;
+// Configuration (.env / .env.<profile>, see CONFIG_README.md); exits listing what is missing
+const config = loadConfigOrExit('db');
+const PORT = config.dashboardPort;
 const DASHBOARD_BUILD_DIR = join(__dirname, 'dashboard-build');
 
-// Initialize PostgreSQL connection pool - Get credentials from environment
-const pool = new Pool({
-  host: process.env.POSTGRES_HOST || process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.POSTGRES_PORT || process.env.DB_PORT || '5432'),
-  database: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-  user: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-  password: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-  ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
-});
-
-// Handle pool errors
-pool.on('error', (err) => {
-  console.error('[ERROR] Unexpected database pool error:', err);
-});
+// Shared PostgreSQL pool (src/database/pool.js)
+const pool = getPool(config);
 
 const app = express();
 
@@ -62,6 +58,30 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request count and latency of the API routes (/metrics)
+const apiRequestsTotal = registry.counter({
+  name: 'ringbav2_dashboard_requests_total',
+  help: 'Dashboard API requests by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+const apiRequestDurationSeconds = registry.histogram({
+  name: 'ringbav2_dashboard_request_duration_seconds',
+  help: 'Dashboard API request latency by method and route',
+  labelNames: ['method', 'route'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+
+app.use('/api', (req, res, next) => {
+  const started = Date.now();
+  res.on('finish', () => {
+    // Route pattern (e.g. /api/webhooks/:id), so IDs do not become label values
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    apiRequestsTotal.inc({ method: req.method, route, status: String(res.statusCode) });
+    apiRequestDurationSeconds.observe({ method: req.method, route }, (Date.now() - started) / 1000);
+  });
+  next();
+});
+
 // Disable caching for all API routes
 app.use('/api', (req, res, next) => {
   res.set({
@@ -97,85 +117,12 @@ const sendError = (res, message, statusCode = 500) => {
 
 // Function to fetch payout comparison data from pre-calculated table
 const fetchPayoutComparisonData = async (startDate = null, endDate = null) => {
-  let client = null;
   try {
     console.log('[DB Query] Fetching payout comparison data from payout_comparison_daily table...', { startDate, endDate });
-    
-    // Get a client from the pool
-    client = await pool.connect();
-    console.log('[DB Query] Database client acquired');
-    
-    // Build date filter
-    let dateFilter = '';
-    const params = [];
-    
-    if (startDate && endDate) {
-      dateFilter = `WHERE comparison_date >= $1 AND comparison_date <= $2`;
-      params.push(startDate, endDate);
-    } else if (startDate) {
-      dateFilter = `WHERE comparison_date >= $1`;
-      params.push(startDate);
-    } else if (endDate) {
-      dateFilter = `WHERE comparison_date <= $1`;
-      params.push(endDate);
-    }
-    
-    // Query from pre-calculated table
-    const query = `
-      SELECT 
-        comparison_date::text as date,
-        ringba_static,
-        ringba_api,
-        ringba_total,
-        elocal_static,
-        elocal_api,
-        elocal_total,
-        adjustments,
-        adjustment_static_pct,
-        adjustment_api_pct,
-        adjustment_pct,
-        total_calls,
-        rpc,
-        google_ads_spend,
-        google_ads_notes,
-        telco,
-        cost_per_call,
-        net,
-        net_profit
-      FROM payout_comparison_daily
-      ${dateFilter}
-      ORDER BY comparison_date DESC
-    `;
-    
-    console.log('[DB Query] Executing query:', query);
-    console.log('[DB Query] With params:', params);
-    
-    const result = await client.query(query, params);
-    console.log(`[DB Query] Query returned ${result.rows.length} rows`);
-    
-    // Map database columns to frontend expected format
-    const processedData = result.rows.map(row => ({
-      date: row.date,
-      ringba_static: parseFloat(row.ringba_static) || 0,
-      ringba_api: parseFloat(row.ringba_api) || 0,
-      ringba_total: parseFloat(row.ringba_total) || 0,
-      elocal_static: parseFloat(row.elocal_static) || 0,
-      elocal_api: parseFloat(row.elocal_api) || 0,
-      elocal_total: parseFloat(row.elocal_total) || 0,
-      adjustments: parseFloat(row.adjustments) || 0,
-      adjustment_static_pct: parseFloat(row.adjustment_static_pct) || 0,
-      adjustment_api_pct: parseFloat(row.adjustment_api_pct) || 0,
-      adjustment_pct: parseFloat(row.adjustment_pct) || 0,
-      total_calls: parseInt(row.total_calls) || 0,
-      rpc: parseFloat(row.rpc) || 0,
-      google_ads_spend: parseFloat(row.google_ads_spend) || 0,
-      google_ads_notes: row.google_ads_notes || null,
-      telco: parseFloat(row.telco) || 0,
-      cost_per_call: parseFloat(row.cost_per_call) || 0,
-      net: parseFloat(row.net) || 0,
-      net_profit: parseFloat(row.net_profit) || 0
-    }));
-    
+
+    // Numbers are parsed by the repository into the format the frontend expects
+    const processedData = await createPayoutComparisonsRepository(pool).list({ startDate, endDate });
+
     console.log(`[DB Query] Processed ${processedData.length} records`);
     if (processedData.length > 0) {
       console.log('[DB Query] Sample record:', JSON.stringify(processedData[0], null, 2));
@@ -186,12 +133,6 @@ const fetchPayoutComparisonData = async (startDate = null, endDate = null) => {
     console.error('[DB Query Error]:', error);
     console.error('[DB Query Error] Stack:', error.stack);
     throw error;
-  } finally {
-    // Always release the client back to the pool
-    if (client) {
-      client.release();
-      console.log('[DB Query] Database client released');
-    }
   }
 };
 
@@ -209,21 +150,23 @@ const fetchPayoutComparisonDataLegacy = async (startDate = null, endDate = null)
     let dateFilter = '';
     const params = [];
     
+    // Call day in the call time zone (EST/EDT) from call_at
+    const callDay = callDaySql('call_at');
     if (startDate && endDate) {
-      dateFilter = `WHERE SUBSTRING(date_of_call, 1, 10) >= $1 AND SUBSTRING(date_of_call, 1, 10) <= $2`;
+      dateFilter = `WHERE ${callDay} >= $1 AND ${callDay} <= $2`;
       params.push(startDate, endDate);
     } else if (startDate) {
-      dateFilter = `WHERE SUBSTRING(date_of_call, 1, 10) >= $1`;
+      dateFilter = `WHERE ${callDay} >= $1`;
       params.push(startDate);
     } else if (endDate) {
-      dateFilter = `WHERE SUBSTRING(date_of_call, 1, 10) <= $1`;
+      dateFilter = `WHERE ${callDay} <= $1`;
       params.push(endDate);
     }
     
     // Simple query to get all data grouped by date and category
     const query = `
       SELECT 
-        SUBSTRING(date_of_call, 1, 10) as date,
+        ${callDay}::text as date,
         category,
         COALESCE(SUM(payout), 0) as elocal_payout,
         COALESCE(SUM(original_payout), 0) as ringba_payout,
@@ -231,7 +174,7 @@ const fetchPayoutComparisonDataLegacy = async (startDate = null, endDate = null)
         COUNT(*) as call_count
       FROM elocal_call_data
       ${dateFilter}
-      GROUP BY SUBSTRING(date_of_call, 1, 10), category
+      GROUP BY ${callDay}, category
       ORDER BY date DESC, category
     `;
     
@@ -467,92 +410,16 @@ const fetchPayoutComparisonDataLegacy = async (startDate = null, endDate = null)
 
 // Function to fetch Ringba Campaign Summary data
 const fetchRingbaCampaignSummary = async (startDate = null, endDate = null, campaignName = null) => {
-  let client = null;
   try {
     console.log('[DB Query] Fetching ringba_campaign_summary data...', { startDate, endDate, campaignName });
-    
-    client = await pool.connect();
-    console.log('[DB Query] Database client acquired');
-    
-    // Check which columns exist in the table
-    const columnCheckQuery = `
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'ringba_campaign_summary'
-      ORDER BY ordinal_position
-    `;
-    const columnResult = await client.query(columnCheckQuery);
-    const existingColumns = columnResult.rows.map(row => row.column_name);
-    console.log('[DB Query] Existing columns:', existingColumns);
-    
-    // Base columns that should always exist
-    const baseColumns = [
-      'id', 'campaign_name', 'campaign_id', 'target_id', 'target_name',
-      'summary_date', 'total_calls', 'revenue', 'payout', 'rpc',
-      'total_call_length_seconds', 'total_cost', 'no_connections',
-      'duplicates', 'margin', 'conversion_rate', 'created_at', 'updated_at'
-    ];
-    
-    // Optional columns that may not exist
-    const optionalColumns = [
-      'insights_total_cost', 'telco', 'google_ads_spend', 'google_ads_notes',
-      'connected_calls', 'connection_rate', 'completed_calls', 'completion_rate',
-      'root_calls'
-    ];
-    
-    // Build column list - include base columns and optional columns if they exist
-    const columnsToSelect = [
-      ...baseColumns.filter(col => existingColumns.includes(col)),
-      ...optionalColumns.filter(col => existingColumns.includes(col))
-    ];
-    
-    console.log('[DB Query] Columns to select:', columnsToSelect);
-    
-    // Build query with filters
-    let query = `
-      SELECT ${columnsToSelect.join(', ')}
-      FROM ringba_campaign_summary
-      WHERE 1=1
-    `;
-    
-    const params = [];
-    let paramIndex = 1;
-    
-    if (startDate) {
-      query += ` AND summary_date >= $${paramIndex}`;
-      params.push(startDate);
-      paramIndex++;
-    }
-    
-    if (endDate) {
-      query += ` AND summary_date <= $${paramIndex}`;
-      params.push(endDate);
-      paramIndex++;
-    }
-    
-    if (campaignName) {
-      query += ` AND campaign_name = $${paramIndex}`;
-      params.push(campaignName);
-      paramIndex++;
-    }
-    
-    query += ` ORDER BY summary_date DESC, campaign_name ASC`;
-    
-    console.log('[DB Query] Executing query:', query);
-    console.log('[DB Query] With params:', params);
-    
-    const result = await client.query(query, params);
-    console.log('[DB Query] Query executed successfully, rows:', result.rows.length);
-    
-    return result.rows;
+
+    const rows = await createCampaignSummariesRepository(pool).list({ startDate, endDate, campaignName });
+    console.log('[DB Query] Query executed successfully, rows:', rows.length);
+
+    return rows;
   } catch (error) {
     console.error('[DB Query] Error fetching ringba_campaign_summary:', error);
     throw error;
-  } finally {
-    if (client) {
-      client.release();
-      console.log('[DB Query] Database client released');
-    }
   }
 };
 
@@ -610,54 +477,148 @@ app.get('/api/ringba-campaign-summary', async (req, res) => {
   }
 });
 
-// Health check endpoint
+// Health endpoint: database connectivity plus pipeline freshness (src/health/pipeline-health.js)
+// status is healthy, degraded (a warning or an unreadable component) or unhealthy (a critical component).
+// Answers 503 when the database is down, or with ?strict=true when the pipeline is unhealthy (for uptime monitors).
 app.get('/api/health', async (req, res) => {
   let client = null;
   try {
     client = await pool.connect();
     const result = await client.query('SELECT NOW() as now, current_database() as db_name');
+
+    const jobTypes = getScheduledJobTypes();
+    const snapshot = await loadHealthSnapshot(client, jobTypes);
+    const { status, components } = evaluateHealth(snapshot, jobTypes);
+
     sendJSON(res, {
-      status: 'healthy',
+      status,
       database: 'connected',
       db_name: result.rows[0].db_name,
-      timestamp: result.rows[0].now
-    });
+      timestamp: result.rows[0].now,
+      components
+    }, req.query.strict === 'true' && status === 'unhealthy' ? 503 : 200);
   } catch (error) {
-    sendError(res, `Database connection failed: ${error.message}`, 503);
+    sendJSON(res, {
+      status: 'unhealthy',
+      database: 'disconnected',
+      error: `Database connection failed: ${error.message}`,
+      timestamp: new Date().toISOString(),
+      components: [{
+        key: 'database',
+        group: 'database',
+        name: 'Database',
+        status: 'critical',
+        lastAt: null,
+        age: null,
+        message: error.message
+      }]
+    }, 503);
   } finally {
     if (client) client.release();
   }
 });
 
+// Loaded configuration with secrets redacted (unset values are null), to check what a deployment runs with
+app.get('/api/config', (req, res) => {
+  sendJSON(res, { profile: config.profile, config: redactConfig(config) });
+});
+
+// Prometheus metrics: this server's metrics plus the ones the schedulers push (src/metrics/metrics.js)
+// Pushed metrics are kept in memory per instance (the latest push replaces the previous one)
+// An instance that has not pushed for a day is dropped, and at most MAX_PUSHED_INSTANCES are kept (oldest push goes
+// first), so instance names that are never reused (renamed hosts, one-off scripts) do not pile up
+// Outside the dev and test profiles pushes need METRICS_PUSH_TOKEN; without it the endpoint is closed
+const pushedMetrics = new Map();
+const PUSHED_METRICS_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_PUSHED_INSTANCES = 200;
+const METRICS_PUSH_OPEN_PROFILES = ['dev', 'test'];
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const METRIC_TYPES = ['counter', 'gauge', 'histogram'];
+
+const isValidFamily = (family) =>
+  family && METRIC_NAME_PATTERN.test(family.name) && METRIC_TYPES.includes(family.type) &&
+  typeof family.help === 'string' && Array.isArray(family.samples) &&
+  (family.type !== 'histogram' || Array.isArray(family.buckets));
+
+// Drop stale instances, then the oldest pushes beyond the cap (Map keeps insertion order; a push re-inserts)
+const prunePushedMetrics = (now = Date.now()) => {
+  for (const [instance, push] of pushedMetrics) {
+    if (now - push.pushedAt > PUSHED_METRICS_TTL_MS) {
+      pushedMetrics.delete(instance);
+    }
+  }
+  for (const instance of pushedMetrics.keys()) {
+    if (pushedMetrics.size <= MAX_PUSHED_INSTANCES) {
+      break;
+    }
+    pushedMetrics.delete(instance);
+  }
+};
+
+app.post('/api/metrics/push', (req, res) => {
+  const token = config.metricsPushToken;
+  if (!token && !METRICS_PUSH_OPEN_PROFILES.includes(config.profile)) {
+    return sendError(res, `Metrics push is disabled: set METRICS_PUSH_TOKEN (required in the ${config.profile} profile)`, 403);
+  }
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return sendError(res, 'Invalid metrics push token', 401);
+  }
+
+  const { instance, families } = req.body || {};
+  if (typeof instance !== 'string' || !instance.trim() || !Array.isArray(families) || !families.every(isValidFamily)) {
+    return sendError(res, 'Expected { instance, families } with Prometheus metric families', 400);
+  }
+
+  pushedMetrics.delete(instance.trim());
+  pushedMetrics.set(instance.trim(), { families, pushedAt: Date.now() });
+  prunePushedMetrics();
+  sendJSON(res, { ok: true, instance: instance.trim(), families: families.length });
+});
+
+// Also under /api for deployments that only proxy /api to this server
+app.get(['/metrics', '/api/metrics'], (req, res) => {
+  prunePushedMetrics();
+  const pushed = Array.from(pushedMetrics.entries());
+  const families = [
+    ...withLabels(registry.collect(), { instance: getMetricsInstance() }),
+    ...pushed.flatMap(([instance, push]) => withLabels(push.families, { instance })),
+    {
+      name: 'ringbav2_metrics_push_timestamp_seconds',
+      help: 'Unix time of the last metrics push by instance',
+      type: 'gauge',
+      samples: pushed.map(([instance, push]) => ({ labels: { instance }, value: Math.floor(push.pushedAt / 1000) }))
+    }
+  ];
+
+  res.set({ 'Content-Type': PROMETHEUS_CONTENT_TYPE, 'Cache-Control': 'no-store' });
+  res.send(renderFamilies(families));
+});
+
 // Test endpoint to verify data exists
 app.get('/api/test-data', async (req, res) => {
-  let client = null;
   try {
-    client = await pool.connect();
-    const countResult = await client.query('SELECT COUNT(*) as count FROM elocal_call_data');
-    const sampleResult = await client.query('SELECT * FROM elocal_call_data LIMIT 1');
+    const calls = createCallsRepository(pool);
+    const { totalCalls } = await calls.getTotals();
+    const sample = await calls.getSample();
     
     sendJSON(res, {
-      total_records: parseInt(countResult.rows[0].count),
-      sample_record: sampleResult.rows[0] || null,
+      total_records: totalCalls,
+      sample_record: sample,
       tables_exist: true
     });
   } catch (error) {
     sendError(res, `Test failed: ${error.message}`, 500);
-  } finally {
-    if (client) client.release();
   }
 });
 
 // Stats endpoint
 app.get('/api/stats', async (req, res) => {
   try {
-    const totalCalls = await pool.query('SELECT COUNT(*) as count FROM elocal_call_data');
-    const totalPayout = await pool.query('SELECT COALESCE(SUM(payout), 0) as total FROM elocal_call_data');
+    const { totalCalls, totalPayout } = await createCallsRepository(pool).getTotals();
     
     sendJSON(res, {
-      totalCalls: parseInt(totalCalls.rows[0].count) || 0,
-      totalPayout: parseFloat(totalPayout.rows[0].total) || 0,
+      totalCalls,
+      totalPayout,
       totalAdjustments: 0,
       ringba: { successRate: 0 },
       callsToday: 0,
@@ -668,25 +629,260 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
-// History endpoint
+// Display names of the job_runs job types (src/services/job-runs.js)
+const JOB_TYPE_NAMES = {
+  'elocal-scrape': 'eLocal Scrape',
+  'ringba-original': 'Ringba Original Sync',
+  'ringba-cost': 'Ringba Cost Sync',
+  'campaign-summary': 'Campaign Summary',
+  'payout-comparison': 'Payout Comparison',
+  'ringba-zero-payout': 'Ringba Zero-Payout Fix',
+  'ringba-historical': 'Ringba Historical Sync',
+  'auth-refresh': 'Auth Refresh',
+  'alert-check': 'Alert Checks'
+};
+
+// job_runs row -> session shape used by ServiceHistory / RecentActivity
+const toJobRunSession = (row) => ({
+  id: row.id,
+  session_id: row.reference_id || `${row.job_type}#${row.id}`,
+  service_type: row.job_type,
+  service_name: `${JOB_TYPE_NAMES[row.job_type] || row.job_type}${row.category ? ` (${row.category})` : ''}`,
+  category: row.category,
+  start_date: row.start_date,
+  end_date: row.end_date,
+  status: row.status,
+  counters: row.counters || {},
+  started_at: row.started_at,
+  completed_at: row.finished_at,
+  duration_ms: row.duration_ms,
+  source: row.source,
+  error_message: row.error_message
+});
+
+const JOB_RUN_COLUMNS = `
+  id, job_type, category, start_date::text as start_date, end_date::text as end_date,
+  status, counters, reference_id, source, error_message, started_at, finished_at, duration_ms
+`;
+
+// History endpoint: job runs, newest first
+// Filters: service (job type), status (success | failed | partial | running; 'failed' includes partial runs),
+// category, startDate/endDate (run start day); paging: limit, offset
 app.get('/api/history', async (req, res) => {
+  let client = null;
   try {
-    sendJSON(res, { sessions: [] });
+    const { service, status, category, startDate, endDate, limit = 50, offset = 0 } = req.query;
+    console.log('[API] /api/history called', req.query);
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (service) addCondition('job_type = ?', service);
+    if (status === 'failed') {
+      conditions.push(`status IN ('failed', 'partial')`);
+    } else if (status) {
+      addCondition('status = ?', status);
+    }
+    if (category) addCondition('category = ?', String(category).toUpperCase());
+    if (startDate) addCondition('started_at >= ?::date', startDate);
+    if (endDate) addCondition(`started_at < ?::date + INTERVAL '1 day'`, endDate);
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const pageLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
+
+    client = await pool.connect();
+
+    const result = await client.query(`
+      SELECT ${JOB_RUN_COLUMNS}
+      FROM job_runs
+      ${whereClause}
+      ORDER BY started_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pageLimit, pageOffset]);
+
+    const countResult = await client.query(`SELECT COUNT(*) as total FROM job_runs ${whereClause}`, params);
+
+    sendJSON(res, {
+      sessions: result.rows.map(toJobRunSession),
+      total: parseInt(countResult.rows[0].total) || 0,
+      limit: pageLimit,
+      offset: pageOffset
+    });
   } catch (error) {
-    sendError(res, error.message, 500);
+    console.error('[API Error] Failed to fetch history:', error);
+    sendError(res, `Failed to fetch history: ${error.message}`, 500);
+  } finally {
+    if (client) client.release();
   }
 });
 
-// Activity endpoint
+// Activity endpoint: latest eLocal calls, adjustments and job runs
 app.get('/api/activity', async (req, res) => {
+  let client = null;
   try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    client = await pool.connect();
+
+    const calls = await client.query(`
+      SELECT id, date_of_call, call_at, source_timezone, caller_id, payout, category, created_at
+      FROM elocal_call_data
+      ORDER BY created_at DESC, id DESC
+      LIMIT $1
+    `, [limit]);
+
+    const adjustments = await client.query(`
+      SELECT id, time_of_call, caller_id, amount, created_at
+      FROM adjustment_details
+      ORDER BY created_at DESC, id DESC
+      LIMIT $1
+    `, [limit]);
+
+    const sessions = await client.query(`
+      SELECT ${JOB_RUN_COLUMNS}
+      FROM job_runs
+      ORDER BY started_at DESC, id DESC
+      LIMIT $1
+    `, [limit]);
+
     sendJSON(res, {
-      calls: [],
-      adjustments: [],
-      sessions: []
+      calls: calls.rows.map(row => ({ ...row, payout: parseFloat(row.payout) || 0 })),
+      adjustments: adjustments.rows.map(row => ({ ...row, amount: parseFloat(row.amount) || 0 })),
+      sessions: sessions.rows.map(toJobRunSession)
     });
   } catch (error) {
-    sendError(res, error.message, 500);
+    console.error('[API Error] Failed to fetch activity:', error);
+    sendError(res, `Failed to fetch activity: ${error.message}`, 500);
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Service logs endpoint: structured log events of job runs (service_logs), newest first
+// Filters: service (job type), run (job_runs.id), session_id (history session ID), level (comma-separated),
+// status (run status; 'failed' includes partial runs), search (text in the message), startDate/endDate;
+// paging: limit, offset
+app.get('/api/service-logs', async (req, res) => {
+  let client = null;
+  try {
+    const { service, run, session_id: sessionId, level, status, search, startDate, endDate, limit = 100, offset = 0 } = req.query;
+
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace(/\?/g, `$${params.length}`));
+    };
+
+    if (service) addCondition('l.service = ?', service);
+    if (run) addCondition('l.job_run_id = ?', parseInt(run) || 0);
+    if (sessionId) addCondition(`(r.reference_id = ? OR r.job_type || '#' || r.id = ?)`, sessionId);
+    if (level) addCondition('l.level = ANY(?)', String(level).split(',').map(value => value.trim().toLowerCase()));
+    if (status === 'failed') {
+      conditions.push(`r.status IN ('failed', 'partial')`);
+    } else if (status) {
+      addCondition('r.status = ?', status);
+    }
+    if (search) addCondition('l.message ILIKE ?', `%${search}%`);
+    if (startDate) addCondition('l.created_at >= ?::date', startDate);
+    if (endDate) addCondition(`l.created_at < ?::date + INTERVAL '1 day'`, endDate);
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const pageLimit = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
+
+    client = await pool.connect();
+
+    const result = await client.query(`
+      SELECT
+        l.id, l.job_run_id, l.service, l.level, l.message, l.context, l.created_at,
+        r.reference_id, r.status as run_status, r.category
+      FROM service_logs l
+      LEFT JOIN job_runs r ON r.id = l.job_run_id
+      ${whereClause}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pageLimit, pageOffset]);
+
+    const countResult = await client.query(`
+      SELECT COUNT(*) as total
+      FROM service_logs l
+      LEFT JOIN job_runs r ON r.id = l.job_run_id
+      ${whereClause}
+    `, params);
+
+    sendJSON(res, {
+      logs: result.rows.map(row => ({
+        id: row.id,
+        job_run_id: row.job_run_id,
+        session_id: row.reference_id || (row.job_run_id ? `${row.service}#${row.job_run_id}` : null),
+        service_type: row.service,
+        service_name: JOB_TYPE_NAMES[row.service] || row.service,
+        category: row.category,
+        level: row.level,
+        message: row.message,
+        context: row.context,
+        run_status: row.run_status,
+        timestamp: row.created_at
+      })),
+      total: parseInt(countResult.rows[0].total) || 0,
+      limit: pageLimit,
+      offset: pageOffset
+    });
+  } catch (error) {
+    console.error('[API Error] Failed to fetch service logs:', error);
+    sendError(res, `Failed to fetch service logs: ${error.message}`, 500);
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Job locks endpoint: leases in job_locks (src/services/job-locks.js), oldest first
+// A lease whose expires_at has passed is 'stale' (its process stopped renewing it); the next acquirer removes it
+app.get('/api/job-locks', async (req, res) => {
+  let client = null;
+  try {
+    client = await pool.connect();
+
+    const result = await client.query(`
+      SELECT
+        l.id, l.job_type, l.category, l.start_date::text as start_date, l.end_date::text as end_date,
+        l.owner, l.job_run_id, l.acquired_at, l.heartbeat_at, l.expires_at,
+        (l.expires_at <= NOW()) as stale,
+        r.reference_id
+      FROM job_locks l
+      LEFT JOIN job_runs r ON r.id = l.job_run_id
+      ORDER BY l.acquired_at ASC
+    `);
+
+    sendJSON(res, {
+      locks: result.rows.map(row => ({
+        id: row.id,
+        job_type: row.job_type,
+        service_name: JOB_TYPE_NAMES[row.job_type] || row.job_type,
+        category: row.category,
+        start_date: row.start_date,
+        end_date: row.end_date,
+        owner: row.owner,
+        job_run_id: row.job_run_id,
+        session_id: row.reference_id || (row.job_run_id ? `${row.job_type}#${row.job_run_id}` : null),
+        status: row.stale ? 'stale' : 'held',
+        acquired_at: row.acquired_at,
+        heartbeat_at: row.heartbeat_at,
+        expires_at: row.expires_at
+      })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[API Error] Failed to fetch job locks:', error);
+    sendError(res, `Failed to fetch job locks: ${error.message}`, 500);
+  } finally {
+    if (client) client.release();
   }
 });
 
@@ -923,50 +1119,29 @@ app.get('/api/calls-metrics', async (req, res) => {
 // Google Ads Spend endpoints
 // GET: Fetch Google Ads spend for a date range (from ringba_campaign_summary)
 app.get('/api/google-ads-spend', async (req, res) => {
-  let client = null;
   try {
     const { startDate, endDate } = req.query;
     console.log('[API] /api/google-ads-spend GET called', { startDate, endDate });
     
-    client = await pool.connect();
-    
-    // Get spend from "Appliance Repair" combined summary
-    let query = `SELECT summary_date::text as date, google_ads_spend as spend_amount, google_ads_notes as notes, updated_at 
-                 FROM ringba_campaign_summary 
-                 WHERE campaign_name = 'Appliance Repair'`;
-    const params = [];
-    
-    if (startDate && endDate) {
-      query += ' AND summary_date >= $1 AND summary_date <= $2';
-      params.push(startDate, endDate);
-    } else if (startDate) {
-      query += ' AND summary_date >= $1';
-      params.push(startDate);
-    } else if (endDate) {
-      query += ' AND summary_date <= $1';
-      params.push(endDate);
-    }
-    
-    query += ' ORDER BY summary_date DESC';
-    
-    const result = await client.query(query, params);
+    // Spend is stored on the "Appliance Repair" combined summary
+    const rows = await createCampaignSummariesRepository(pool).listGoogleAdsSpend({
+      startDate: startDate || null,
+      endDate: endDate || null
+    });
     
     sendJSON(res, {
-      data: result.rows,
-      total: result.rows.length
+      data: rows,
+      total: rows.length
     });
   } catch (error) {
     console.error('[API Error] Failed to fetch Google Ads spend:', error);
     sendError(res, `Failed to fetch data: ${error.message}`, 500);
-  } finally {
-    if (client) client.release();
   }
 });
 
 // POST/PUT: Add or update Google Ads spend for a specific date
 // Updates both ringba_campaign_summary and payout_comparison_daily tables
 app.post('/api/google-ads-spend', async (req, res) => {
-  let client = null;
   try {
     const { date, spend_amount, notes } = req.body;
     console.log('[API] /api/google-ads-spend POST called', { date, spend_amount, notes });
@@ -984,82 +1159,9 @@ app.post('/api/google-ads-spend', async (req, res) => {
       return sendError(res, 'Spend amount must be a valid positive number', 400);
     }
     
-    client = await pool.connect();
-    
-    // Update ringba_campaign_summary table
-    // Check if "Appliance Repair" summary exists for this date
-    const checkQuery = `SELECT id FROM ringba_campaign_summary WHERE campaign_name = 'Appliance Repair' AND summary_date = $1`;
-    const checkResult = await client.query(checkQuery, [date]);
-    
-    if (checkResult.rows.length === 0) {
-      // Create a new summary record if it doesn't exist
-      const insertQuery = `
-        INSERT INTO ringba_campaign_summary (
-          campaign_name, summary_date, google_ads_spend, google_ads_notes, updated_at
-        )
-        VALUES ('Appliance Repair', $1, $2, $3, CURRENT_TIMESTAMP)
-        RETURNING id, summary_date::text as date, google_ads_spend as spend_amount, google_ads_notes as notes, updated_at
-      `;
-      const insertResult = await client.query(insertQuery, [date, spendAmount, notes || null]);
-      
-      console.log('[API] Google Ads spend saved (new record in ringba_campaign_summary):', insertResult.rows[0]);
-    } else {
-      // Update existing record
-      const updateQuery = `
-        UPDATE ringba_campaign_summary
-        SET google_ads_spend = $1,
-            google_ads_notes = $2,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE campaign_name = 'Appliance Repair' AND summary_date = $3
-        RETURNING id, summary_date::text as date, google_ads_spend as spend_amount, google_ads_notes as notes, updated_at
-      `;
-      
-      const updateResult = await client.query(updateQuery, [spendAmount, notes || null, date]);
-      
-      console.log('[API] Google Ads spend updated (ringba_campaign_summary):', updateResult.rows[0]);
-    }
-    
-    // Update payout_comparison_daily table
-    // Get current row data to recalculate metrics
-    const getRowQuery = `
-      SELECT 
-        elocal_total,
-        telco,
-        total_calls
-      FROM payout_comparison_daily
-      WHERE comparison_date = $1
-    `;
-    
-    const rowResult = await client.query(getRowQuery, [date]);
-    
-    if (rowResult.rows.length > 0) {
-      const row = rowResult.rows[0];
-      const elocalTotal = parseFloat(row.elocal_total) || 0;
-      const telco = parseFloat(row.telco) || 0;
-      const totalCalls = parseInt(row.total_calls) || 0;
-      
-      // Recalculate cost_per_call, net, and net_profit
-      const costPerCall = totalCalls > 0 ? spendAmount / totalCalls : 0;
-      const net = elocalTotal - spendAmount - telco;
-      const netProfit = elocalTotal > 0 ? (net / elocalTotal) * 100 : 0;
-      
-      // Update the payout_comparison_daily row
-      const updatePayoutQuery = `
-        UPDATE payout_comparison_daily
-        SET
-          google_ads_spend = $1,
-          google_ads_notes = $2,
-          cost_per_call = $3,
-          net = $4,
-          net_profit = $5,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE comparison_date = $6
-      `;
-      
-      await client.query(updatePayoutQuery, [spendAmount, notes || null, costPerCall, net, netProfit, date]);
-      
-      console.log('[API] Google Ads spend updated (payout_comparison_daily)');
-    } else {
+    // Summary and payout comparison row in one transaction; a day that was not synced yet only gets the summary
+    const result = await updateGoogleAdsSpend(date, spendAmount, notes || null, { requireComparison: false });
+    if (result.net === null) {
       console.log('[API] Warning: No payout_comparison_daily record found for date', date, '- skipping update');
     }
     
@@ -1075,14 +1177,11 @@ app.post('/api/google-ads-spend', async (req, res) => {
   } catch (error) {
     console.error('[API Error] Failed to save Google Ads spend:', error);
     sendError(res, `Failed to save data: ${error.message}`, 500);
-  } finally {
-    if (client) client.release();
   }
 });
 
 // DELETE: Delete Google Ads spend for a specific date (sets to 0)
 app.delete('/api/google-ads-spend/:date', async (req, res) => {
-  let client = null;
   try {
     const { date } = req.params;
     console.log('[API] /api/google-ads-spend DELETE called', { date });
@@ -1091,41 +1190,27 @@ app.delete('/api/google-ads-spend/:date', async (req, res) => {
       return sendError(res, 'Date is required', 400);
     }
     
-    client = await pool.connect();
-    
-    // Update the record to set spend to 0 and clear notes
-    const query = `
-      UPDATE ringba_campaign_summary
-      SET google_ads_spend = 0,
-          google_ads_notes = NULL,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE campaign_name = 'Appliance Repair' AND summary_date = $1
-      RETURNING id, summary_date::text as date, google_ads_spend as spend_amount, google_ads_notes as notes
-    `;
+    // Set the spend to 0 and clear the notes
+    const cleared = await createCampaignSummariesRepository(pool).clearGoogleAdsSpend(date);
     
-    const result = await client.query(query, [date]);
-    
-    if (result.rows.length === 0) {
+    if (!cleared) {
       return sendError(res, 'No record found for the specified date', 404);
     }
     
     sendJSON(res, {
       success: true,
       message: 'Google Ads spend cleared successfully',
-      data: result.rows[0]
+      data: cleared
     });
   } catch (error) {
     console.error('[API Error] Failed to delete Google Ads spend:', error);
     sendError(res, `Failed to delete data: ${error.message}`, 500);
-  } finally {
-    if (client) client.release();
   }
 });
 
 // Webhook endpoints
 // POST /webhook/:id - Accept webhook requests and save to database
 app.post('/webhook/:id', async (req, res) => {
-  let client = null;
   try {
     const webhookId = req.params.id;
     const method = req.method;
@@ -1158,48 +1243,29 @@ app.post('/webhook/:id', async (req, res) => {
     console.log(`[Webhook] IP: ${ipAddress}, User-Agent: ${userAgent}`);
     console.log(`[Webhook] Body:`, typeof storedBody === 'string' ? storedBody : JSON.stringify(storedBody, null, 2));
     
-    client = await pool.connect();
-    
     // Save webhook request to database
-    const insertQuery = `
-      INSERT INTO webhook_requests (
-        webhook_id, method, request_body, headers, query_params, ip_address, user_agent
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id, created_at
-    `;
-    
-    const result = await client.query(insertQuery, [
-      webhookId,
-      method,
-      storedBody === null ? null : JSON.stringify(storedBody),
-      JSON.stringify(headers),
-      JSON.stringify(queryParams),
-      ipAddress,
-      userAgent
-    ]);
+    const saved = await createWebhookRequestsRepository(pool).insert({
+      webhookId, method, body: storedBody, headers, queryParams, ipAddress, userAgent
+    });
     
-    console.log(`[Webhook] Request saved with ID: ${result.rows[0].id}`);
+    console.log(`[Webhook] Request saved with ID: ${saved.id}`);
     
     // Return success response
     sendJSON(res, {
       success: true,
       message: 'Webhook received and saved',
       webhook_id: webhookId,
-      request_id: result.rows[0].id,
-      timestamp: result.rows[0].created_at
+      request_id: saved.id,
+      timestamp: saved.created_at
     }, 200);
   } catch (error) {
     console.error('[Webhook Error] Failed to save webhook request:', error);
     sendError(res, `Failed to process webhook: ${error.message}`, 500);
-  } finally {
-    if (client) client.release();
   }
 });
 
 // GET /webhook/:id - Accept GET requests and save to database
 app.get('/webhook/:id', async (req, res) => {
-  let client = null;
   try {
     const webhookId = req.params.id;
     const method = req.method;
@@ -1212,136 +1278,370 @@ app.get('/webhook/:id', async (req, res) => {
     console.log(`[Webhook] IP: ${ipAddress}, User-Agent: ${userAgent}`);
     console.log(`[Webhook] Query params:`, JSON.stringify(queryParams, null, 2));
     
-    client = await pool.connect();
-    
-    // Save webhook request to database
-    const insertQuery = `
-      INSERT INTO webhook_requests (
-        webhook_id, method, request_body, headers, query_params, ip_address, user_agent
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id, created_at
-    `;
-    
-    const result = await client.query(insertQuery, [
-      webhookId,
-      method,
-      JSON.stringify({}), // GET requests typically don't have body
-      JSON.stringify(headers),
-      JSON.stringify(queryParams),
-      ipAddress,
-      userAgent
-    ]);
+    // Save webhook request to database (GET requests typically don't have body)
+    const saved = await createWebhookRequestsRepository(pool).insert({
+      webhookId, method, body: {}, headers, queryParams, ipAddress, userAgent
+    });
     
-    console.log(`[Webhook] Request saved with ID: ${result.rows[0].id}`);
+    console.log(`[Webhook] Request saved with ID: ${saved.id}`);
     
     // Return success response
     sendJSON(res, {
       success: true,
       message: 'Webhook received and saved',
       webhook_id: webhookId,
-      request_id: result.rows[0].id,
-      timestamp: result.rows[0].created_at
+      request_id: saved.id,
+      timestamp: saved.created_at
     }, 200);
   } catch (error) {
     console.error('[Webhook Error] Failed to save webhook request:', error);
     sendError(res, `Failed to process webhook: ${error.message}`, 500);
-  } finally {
-    if (client) client.release();
   }
 });
 
 // API endpoint: Get webhook requests for a specific webhook ID
 app.get('/api/webhooks/:id', async (req, res) => {
-  let client = null;
   try {
     const webhookId = req.params.id;
     const { limit = 100, offset = 0 } = req.query;
     
     console.log(`[API] /api/webhooks/${webhookId} called`, { limit, offset });
     
+    const { rows: requests, total } = await createWebhookRequestsRepository(pool).listByWebhook(webhookId, {
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    
+    sendJSON(res, {
+      data: requests,
+      total: total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('[API Error] Failed to fetch webhook requests:', error);
+    sendError(res, `Failed to fetch webhook requests: ${error.message}`, 500);
+  }
+});
+
+// API endpoint: Get all webhook IDs (for listing)
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    console.log('[API] /api/webhooks called');
+    
+    // Distinct webhook IDs with their latest request info
+    const webhooks = await createWebhookRequestsRepository(pool).listWebhooks();
+    
+    sendJSON(res, {
+      data: webhooks,
+      total: webhooks.length
+    });
+  } catch (error) {
+    console.error('[API Error] Failed to fetch webhook list:', error);
+    sendError(res, `Failed to fetch webhook list: ${error.message}`, 500);
+  }
+});
+
+// API endpoint: Get call match audit rows (why a call did or did not match in a sync run)
+// Filters: callerId, date, startDate, endDate, syncRunId, service, decision, reasonCode,
+// elocalCallId, ringbaInboundCallId
+app.get('/api/match-audit', async (req, res) => {
+  let client = null;
+  try {
+    const {
+      callerId,
+      date,
+      startDate,
+      endDate,
+      syncRunId,
+      service,
+      decision,
+      reasonCode,
+      elocalCallId,
+      ringbaInboundCallId,
+      limit = 100,
+      offset = 0
+    } = req.query;
+    console.log('[API] /api/match-audit called', req.query);
+    
+    if (!callerId && !date && !startDate && !endDate && !syncRunId && !elocalCallId && !ringbaInboundCallId) {
+      return sendError(res, 'Provide at least one of: callerId, date, startDate, endDate, syncRunId, elocalCallId, ringbaInboundCallId', 400);
+    }
+    
+    // Build filters
+    const conditions = [];
+    const params = [];
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+    
+    if (callerId) addCondition('caller_id_e164 = ?', toE164(String(callerId)) || String(callerId));
+    if (date) addCondition('call_date = ?', date);
+    if (startDate) addCondition('call_date >= ?', startDate);
+    if (endDate) addCondition('call_date <= ?', endDate);
+    if (syncRunId) addCondition('sync_run_id = ?', syncRunId);
+    if (service) addCondition('service = ?', service);
+    if (decision) addCondition('decision = ?', decision);
+    if (reasonCode) addCondition('reason_code = ?', reasonCode);
+    if (elocalCallId) addCondition('elocal_call_id = ?', parseInt(elocalCallId));
+    if (ringbaInboundCallId) addCondition('ringba_inbound_call_id = ?', ringbaInboundCallId);
+    
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+    
     client = await pool.connect();
     
-    // Get webhook requests
     const query = `
       SELECT 
         id,
-        webhook_id,
-        method,
-        request_body,
-        headers,
-        query_params,
-        ip_address,
-        user_agent,
+        sync_run_id,
+        service,
+        algorithm_version,
+        assignment,
+        decision,
+        reason_code,
+        reason,
+        elocal_call_id,
+        ringba_inbound_call_id,
+        caller_id_e164,
+        category,
+        call_date::text as call_date,
+        call_date_time,
+        score,
+        time_diff_minutes,
+        duration_diff_seconds,
+        score_breakdown,
+        rejected_candidates,
+        competing_candidates,
+        candidate_count,
+        multi_leg,
+        payment_legs,
         created_at
-      FROM webhook_requests
-      WHERE webhook_id = $1
-      ORDER BY created_at DESC
-      LIMIT $2 OFFSET $3
+      FROM call_match_audit
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
     `;
     
-    const result = await client.query(query, [webhookId, parseInt(limit), parseInt(offset)]);
+    const result = await client.query(query, [...params, parseInt(limit), parseInt(offset)]);
     
     // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM webhook_requests WHERE webhook_id = $1`;
-    const countResult = await client.query(countQuery, [webhookId]);
+    const countQuery = `SELECT COUNT(*) as total FROM call_match_audit ${whereClause}`;
+    const countResult = await client.query(countQuery, params);
     const total = parseInt(countResult.rows[0].total) || 0;
     
-    // Parse JSONB fields
-    const requests = result.rows.map(row => ({
-      id: row.id,
-      webhook_id: row.webhook_id,
-      method: row.method,
-      request_body: row.request_body,
-      headers: row.headers,
-      query_params: row.query_params,
-      ip_address: row.ip_address,
-      user_agent: row.user_agent,
-      created_at: row.created_at
+    const data = result.rows.map(row => ({
+      ...row,
+      score: row.score !== null ? parseFloat(row.score) : null,
+      time_diff_minutes: row.time_diff_minutes !== null ? parseFloat(row.time_diff_minutes) : null
     }));
     
     sendJSON(res, {
-      data: requests,
-      total: total,
+      data,
+      total,
       limit: parseInt(limit),
       offset: parseInt(offset)
     });
   } catch (error) {
-    console.error('[API Error] Failed to fetch webhook requests:', error);
-    sendError(res, `Failed to fetch webhook requests: ${error.message}`, 500);
+    console.error('[API Error] Failed to fetch match audit:', error);
+    sendError(res, `Failed to fetch match audit: ${error.message}`, 500);
   } finally {
     if (client) client.release();
   }
 });
 
-// API endpoint: Get all webhook IDs (for listing)
-app.get('/api/webhooks', async (req, res) => {
+// API endpoint: List cost sync plans (proposed Ringba payout updates awaiting review)
+app.get('/api/cost-sync-plans', async (req, res) => {
   let client = null;
   try {
-    console.log('[API] /api/webhooks called');
+    const { status = 'pending', limit = 20, offset = 0 } = req.query;
+    console.log('[API] /api/cost-sync-plans called', { status, limit, offset });
+    const pageLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
     
     client = await pool.connect();
     
-    // Get distinct webhook IDs with their latest request info
+    const params = [];
+    let statusFilter = '';
+    if (status && status !== 'all') {
+      params.push(status);
+      statusFilter = `WHERE status = $1`;
+    }
+    
     const query = `
-      SELECT DISTINCT ON (webhook_id)
-        webhook_id,
-        method,
-        created_at,
-        (SELECT COUNT(*) FROM webhook_requests wr2 WHERE wr2.webhook_id = wr.webhook_id) as request_count
-      FROM webhook_requests wr
-      ORDER BY webhook_id, created_at DESC
+      SELECT 
+        id,
+        sync_run_id,
+        status,
+        start_date::text as start_date,
+        end_date::text as end_date,
+        category,
+        assignment,
+        total_updates,
+        total_current_payout,
+        total_new_payout,
+        total_current_revenue,
+        total_new_revenue,
+        created_by,
+        reviewed_by,
+        reviewed_at,
+        review_notes,
+        applied_at,
+        applied_count,
+        failed_count,
+        created_at
+      FROM cost_sync_plans
+      ${statusFilter}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
     `;
     
-    const result = await client.query(query);
+    const result = await client.query(query, [...params, pageLimit, pageOffset]);
+    
+    // Get total count
+    const countResult = await client.query(`SELECT COUNT(*) as total FROM cost_sync_plans ${statusFilter}`, params);
     
     sendJSON(res, {
       data: result.rows,
-      total: result.rows.length
+      total: parseInt(countResult.rows[0].total) || 0,
+      limit: pageLimit,
+      offset: pageOffset
     });
   } catch (error) {
-    console.error('[API Error] Failed to fetch webhook list:', error);
-    sendError(res, `Failed to fetch webhook list: ${error.message}`, 500);
+    console.error('[API Error] Failed to fetch cost sync plans:', error);
+    sendError(res, `Failed to fetch cost sync plans: ${error.message}`, 500);
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// API endpoint: Get a cost sync plan with totals per day and category, and its items
+app.get('/api/cost-sync-plans/:planId', async (req, res) => {
+  let client = null;
+  try {
+    const planId = parseInt(req.params.planId);
+    console.log(`[API] /api/cost-sync-plans/${planId} called`);
+    
+    if (!planId) {
+      return sendError(res, 'Invalid plan ID', 400);
+    }
+    
+    client = await pool.connect();
+    
+    const planResult = await client.query(`
+      SELECT *, start_date::text as start_date, end_date::text as end_date
+      FROM cost_sync_plans
+      WHERE id = $1
+    `, [planId]);
+    
+    if (planResult.rows.length === 0) {
+      return sendError(res, `Cost sync plan #${planId} not found`, 404);
+    }
+    
+    const totalsResult = await client.query(`
+      SELECT 
+        call_date::text as call_date,
+        category,
+        COUNT(*) as calls,
+        COALESCE(SUM(current_payout), 0) as current_payout,
+        COALESCE(SUM(new_payout), 0) as new_payout,
+        COALESCE(SUM(new_payout - current_payout), 0) as payout_change,
+        COALESCE(SUM(current_revenue), 0) as current_revenue,
+        COALESCE(SUM(new_revenue), 0) as new_revenue,
+        COALESCE(SUM(new_revenue - current_revenue), 0) as revenue_change
+      FROM cost_sync_plan_items
+      WHERE plan_id = $1
+      GROUP BY call_date, category
+      ORDER BY call_date, category
+    `, [planId]);
+    
+    const itemsResult = await client.query(`
+      SELECT 
+        id,
+        elocal_call_id,
+        ringba_inbound_call_id,
+        target_id,
+        category,
+        call_date::text as call_date,
+        caller_id_e164,
+        current_payout,
+        current_revenue,
+        new_payout,
+        new_revenue,
+        payment_leg,
+        match_evidence,
+        status,
+        error_message,
+        applied_at
+      FROM cost_sync_plan_items
+      WHERE plan_id = $1
+      ORDER BY call_date, category, ABS(new_payout - current_payout) DESC
+    `, [planId]);
+    
+    const totals = totalsResult.rows.map(row => ({
+      call_date: row.call_date,
+      category: row.category,
+      calls: parseInt(row.calls) || 0,
+      current_payout: parseFloat(row.current_payout) || 0,
+      new_payout: parseFloat(row.new_payout) || 0,
+      payout_change: parseFloat(row.payout_change) || 0,
+      current_revenue: parseFloat(row.current_revenue) || 0,
+      new_revenue: parseFloat(row.new_revenue) || 0,
+      revenue_change: parseFloat(row.revenue_change) || 0
+    }));
+    
+    sendJSON(res, {
+      plan: planResult.rows[0],
+      totals,
+      items: itemsResult.rows
+    });
+  } catch (error) {
+    console.error('[API Error] Failed to fetch cost sync plan:', error);
+    sendError(res, `Failed to fetch cost sync plan: ${error.message}`, 500);
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// API endpoint: Approve or reject a pending cost sync plan
+// Approved plans are applied with: node run-ringba-cost-sync.js --apply-plan=<id>
+app.post('/api/cost-sync-plans/:planId/:action(approve|reject)', async (req, res) => {
+  let client = null;
+  try {
+    const planId = parseInt(req.params.planId);
+    const { action } = req.params;
+    const { reviewedBy, notes } = req.body || {};
+    console.log(`[API] POST /api/cost-sync-plans/${planId}/${action} called`, { reviewedBy });
+    
+    if (!planId) {
+      return sendError(res, 'Invalid plan ID', 400);
+    }
+    if (!reviewedBy) {
+      return sendError(res, 'reviewedBy is required', 400);
+    }
+    
+    client = await pool.connect();
+    
+    const result = await client.query(`
+      UPDATE cost_sync_plans
+      SET
+        status = $1,
+        reviewed_by = $2,
+        reviewed_at = NOW(),
+        review_notes = $3,
+        updated_at = NOW()
+      WHERE id = $4 AND status = 'pending'
+      RETURNING id, status, reviewed_by, reviewed_at
+    `, [action === 'approve' ? 'approved' : 'rejected', reviewedBy, notes || null, planId]);
+    
+    if (result.rows.length === 0) {
+      return sendError(res, `Cost sync plan #${planId} not found or not pending`, 409);
+    }
+    
+    sendJSON(res, { success: true, data: result.rows[0] });
+  } catch (error) {
+    console.error('[API Error] Failed to review cost sync plan:', error);
+    sendError(res, `Failed to review cost sync plan: ${error.message}`, 500);
   } finally {
     if (client) client.release();
   }
@@ -1379,11 +1679,11 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('='.repeat(60));
   console.log(`Dashboard server running on http://0.0.0.0:${PORT}`);
   console.log(`Serving static files from: ${DASHBOARD_BUILD_DIR}`);
-  console.log('Database Configuration:');
-  console.log(`  Host: ${process.env.POSTGRES_HOST || process.env.DB_HOST || 'localhost'}`);
-  console.log(`  Port: ${process.env.POSTGRES_PORT || process.env.DB_PORT || 5432}`);
-  console.log(`  Database: ${process.env.POSTGRES_DB_NAME || process.env.DB_NAME || 'not configured'}`);
-  console.log(`  User: ${process.env.POSTGRES_USER_NAME || process.env.DB_USER || 'not configured'}`);
+  console.log(`Configuration (profile ${config.profile}, secrets redacted):`);
+  formatConfig(config).forEach(line => console.log(line));
+  if (!config.metricsPushToken && !METRICS_PUSH_OPEN_PROFILES.includes(config.profile)) {
+    console.warn('[WARN] METRICS_PUSH_TOKEN is not set: metrics pushes from the schedulers are rejected');
+  }
   console.log('='.repeat(60));
   
   // Test database connection
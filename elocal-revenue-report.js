@@ -16,6 +16,8 @@ import fs from 'fs';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { getElocalBaseUrl } from './src/http/elocal-client.js';
+import { listCampaigns } from './src/config/campaign-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -25,19 +27,12 @@ dotenv.config({ path: join(__dirname, '.env') });
 
 // Configuration
 const ELOCAL_API_KEY = process.env.ELOCAL_API_KEY;
-const ELOCAL_BASE_URL = 'https://apis.elocal.com/affiliates/v2/campaign-results';
-
-// Campaign UUIDs mapping to categories
-const CAMPAIGNS = [
-    {
-        name: 'STATIC',
-        uuid: 'dce224a6-f813-4cab-a8c6-972c5a1520ab'
-    },
-    {
-        name: 'API',
-        uuid: '4534924c-f52b-4124-981b-9d2670b2af3e'
-    }
-];
+
+// Campaign UUIDs mapping to categories (from campaigns-config.json)
+const getCampaigns = () => listCampaigns().map(campaign => ({
+    name: campaign.category,
+    uuid: campaign.elocalCampaignUuid
+}));
 
 // Parse date range from command line arguments
 function parseDateRange(args) {
@@ -96,7 +91,7 @@ function getDateFromCallTime(callStartTime) {
 
 // Fetch calls from eLocal API for a specific campaign
 async function fetchCampaignCalls(uuid, startDate, endDate) {
-    const url = new URL(`${ELOCAL_BASE_URL}/${uuid}/calls.json`);
+    const url = new URL(`${getElocalBaseUrl()}/${uuid}/calls.json`);
 
     // Add query parameters
     url.searchParams.append('start_date', startDate);
@@ -205,7 +200,7 @@ async function generateRevenueReport() {
     let totalCalls = 0;
 
     // Fetch calls for each campaign
-    for (const campaign of CAMPAIGNS) {
+    for (const campaign of getCampaigns()) {
         log(`Fetching Category: ${campaign.name}`);
         log(`  Campaign UUID: ${campaign.uuid}`);
 
@@ -13,7 +13,9 @@ import fetch from 'node-fetch';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { getCallsByTargetId, TARGET_IDS, getCategoryFromTargetId } from './src/http/ringba-target-calls.js';
+import { getCallsByTargetId } from './src/http/ringba-target-calls.js';
+import { requireCampaign } from './src/config/campaign-registry.js';
+import { getElocalBaseUrl } from './src/http/elocal-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,16 +25,9 @@ dotenv.config({ path: join(__dirname, '.env') });
 
 // Configuration
 const ELOCAL_API_KEY = process.env.ELOCAL_API_KEY;
-const ELOCAL_BASE_URL = 'https://apis.elocal.com/affiliates/v2/campaign-results';
 const RINGBA_ACCOUNT_ID = process.env.RINGBA_ACCOUNT_ID;
 const RINGBA_API_TOKEN = process.env.RINGBA_API_TOKEN;
 
-// Campaign UUIDs mapping to categories
-const ELOCAL_CAMPAIGNS = {
-    'STATIC': 'dce224a6-f813-4cab-a8c6-972c5a1520ab',
-    'API': '4534924c-f52b-4124-981b-9d2670b2af3e'
-};
-
 // Parse date range from command line arguments
 function parseDateRange(args) {
     if (args.length < 2) {
@@ -92,7 +87,7 @@ function formatDateForAPI(date) {
 
 // Fetch calls from eLocal API for a specific campaign and date
 async function fetchElocalCalls(uuid, date) {
-    const url = new URL(`${ELOCAL_BASE_URL}/${uuid}/calls.json`);
+    const url = new URL(`${getElocalBaseUrl()}/${uuid}/calls.json`);
     const startDateStr = formatDateForAPI(date);
 
     // eLocal API requires end_date to be extended by one day for inclusive fetch
@@ -232,7 +227,7 @@ async function generateComparisonReport() {
         // Process STATIC category
         try {
             console.log(`  Fetching STATIC from eLocal...`);
-            const elocalCalls = await fetchElocalCalls(ELOCAL_CAMPAIGNS.STATIC, date);
+            const elocalCalls = await fetchElocalCalls(requireCampaign('STATIC').elocalCampaignUuid, date);
             const elocalStats = calculateElocalStats(elocalCalls);
             dayResult.STATIC.elocal = elocalStats;
 
@@ -247,7 +242,7 @@ async function generateComparisonReport() {
 
         try {
             console.log(`  Fetching STATIC from Ringba...`);
-            const ringbaTargetId = Object.keys(TARGET_IDS).find(id => getCategoryFromTargetId(id) === 'STATIC');
+            const ringbaTargetId = requireCampaign('STATIC').ringbaTargetIds[0];
             const ringbaCalls = await fetchRingbaCalls(ringbaTargetId, date);
             const ringbaStats = calculateRingbaStats(ringbaCalls);
             dayResult.STATIC.ringba = ringbaStats;
@@ -272,7 +267,7 @@ async function generateComparisonReport() {
         // Process API category
         try {
             console.log(`  Fetching API from eLocal...`);
-            const elocalCalls = await fetchElocalCalls(ELOCAL_CAMPAIGNS.API, date);
+            const elocalCalls = await fetchElocalCalls(requireCampaign('API').elocalCampaignUuid, date);
             const elocalStats = calculateElocalStats(elocalCalls);
             dayResult.API.elocal = elocalStats;
 
@@ -287,7 +282,7 @@ async function generateComparisonReport() {
 
         try {
             console.log(`  Fetching API from Ringba...`);
-            const ringbaTargetId = Object.keys(TARGET_IDS).find(id => getCategoryFromTargetId(id) === 'API');
+            const ringbaTargetId = requireCampaign('API').ringbaTargetIds[0];
             const ringbaCalls = await fetchRingbaCalls(ringbaTargetId, date);
             const ringbaStats = calculateRingbaStats(ringbaCalls);
             dayResult.API.ringba = ringbaStats;
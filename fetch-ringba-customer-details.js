@@ -10,25 +10,9 @@
  */
 
 import fetch from 'node-fetch';
-import pg from 'pg';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const { Pool } = pg;
-
-// Hardcoded database credentials
-const DB_CONFIG = {
-
-    ssl: {
-        rejectUnauthorized: false
-    }
-};
-
-// Ringba configuration
-const RINGBA_ACCOUNT_ID = process.env.RINGBA_ACCOUNT_ID || 'RA8d14dda94480425c9897a659ed1e6453';
-const RINGBA_API_TOKEN = process.env.RINGBA_API_TOKEN;
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
+import { getPool, closePool } from './src/database/pool.js';
+import { loadConfigOrExit } from './src/config/app-config.js';
+import { DEFAULT_RINGBA_BASE_URL } from './src/http/ringba-http.js';
 
 // Parse CLI arguments
 const args = process.argv.slice(2);
@@ -42,6 +26,14 @@ if (args.length < 2) {
 const START_DATE_ARG = args[0];
 const END_DATE_ARG = args[1];
 
+// Load and validate config (.env / .env.<profile>); exits listing what is missing
+const config = loadConfigOrExit('db', 'ringba');
+
+// Ringba configuration
+const RINGBA_ACCOUNT_ID = config.ringbaAccountId;
+const RINGBA_API_TOKEN = config.ringbaApiToken;
+const RINGBA_BASE_URL = config.ringbaBaseUrl || DEFAULT_RINGBA_BASE_URL;
+
 // Cache for table columns
 let tableColumns = null;
 
@@ -348,18 +340,12 @@ async function main() {
     console.log('='.repeat(70));
     console.log(`Date Range: ${START_DATE_ARG} to ${END_DATE_ARG}`);
     console.log(`Campaign Filter: Appliance Repair only`);
-    console.log(`Database: ${DB_CONFIG.host}:${DB_CONFIG.port}/${DB_CONFIG.database}`);
+    console.log(`Database: ${config.dbHost}:${config.dbPort}/${config.dbName}`);
     console.log('Mode: ANALYSIS - Identifying calls with missing timestamps (No DB writes)');
     console.log('='.repeat(70) + '\n');
 
-    // Validate Ringba credentials
-    if (!RINGBA_API_TOKEN) {
-        console.error('❌ Error: RINGBA_API_TOKEN not set in environment');
-        process.exit(1);
-    }
-
-    // Create database connection pool
-    const pool = new Pool(DB_CONFIG);
+    // Shared database pool
+    const pool = getPool(config);
 
     try {
         // Test database connection
@@ -500,7 +486,7 @@ async function main() {
         console.error('\n❌ Fatal error:', error.message);
         process.exit(1);
     } finally {
-        await pool.end();
+        await closePool();
     }
 }
 
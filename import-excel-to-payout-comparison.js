@@ -1,26 +1,17 @@
 // Script to import Excel data into payout_comparison_daily table
 import XLSX from 'xlsx';
-import pg from 'pg';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
+import { closePool } from './src/database/pool.js';
+import { createPayoutComparisonsRepository } from './src/database/repositories/payout-comparisons.js';
 
 dotenv.config();
 
-const { Pool } = pg;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const pool = new Pool({
-  host: process.env.POSTGRES_HOST || process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.POSTGRES_PORT || process.env.DB_PORT || '5432'),
-  database: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-  user: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-  password: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-  ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
-});
-
 // Excel file path
 const EXCEL_FILE_PATH = join(__dirname, 'data', 'Ringba Update2.xlsx');
 const MAX_DATE = '2025-11-26'; // Only import data up to November 26
@@ -211,59 +202,10 @@ const mapRowToDatabase = (row) => {
 
 // Import data into database
 const importData = async (mappedData) => {
-  let client = null;
   try {
     console.log(`\n[Import] Importing ${mappedData.length} records into database...`);
     
-    client = await pool.connect();
-    
-    const upsertQuery = `
-      INSERT INTO payout_comparison_daily (
-        comparison_date,
-        ringba_static,
-        ringba_api,
-        ringba_total,
-        elocal_static,
-        elocal_api,
-        elocal_total,
-        adjustments,
-        adjustment_static_pct,
-        adjustment_api_pct,
-        adjustment_pct,
-        total_calls,
-        rpc,
-        google_ads_spend,
-        google_ads_notes,
-        telco,
-        cost_per_call,
-        net,
-        net_profit,
-        updated_at
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, CURRENT_TIMESTAMP
-      )
-      ON CONFLICT (comparison_date) 
-      DO UPDATE SET
-        ringba_static = EXCLUDED.ringba_static,
-        ringba_api = EXCLUDED.ringba_api,
-        ringba_total = EXCLUDED.ringba_total,
-        elocal_static = EXCLUDED.elocal_static,
-        elocal_api = EXCLUDED.elocal_api,
-        elocal_total = EXCLUDED.elocal_total,
-        adjustments = EXCLUDED.adjustments,
-        adjustment_static_pct = EXCLUDED.adjustment_static_pct,
-        adjustment_api_pct = EXCLUDED.adjustment_api_pct,
-        adjustment_pct = EXCLUDED.adjustment_pct,
-        total_calls = EXCLUDED.total_calls,
-        rpc = EXCLUDED.rpc,
-        google_ads_spend = EXCLUDED.google_ads_spend,
-        google_ads_notes = EXCLUDED.google_ads_notes,
-        telco = EXCLUDED.telco,
-        cost_per_call = EXCLUDED.cost_per_call,
-        net = EXCLUDED.net,
-        net_profit = EXCLUDED.net_profit,
-        updated_at = CURRENT_TIMESTAMP
-    `;
+    const comparisons = createPayoutComparisonsRepository();
     
     let successCount = 0;
     let errorCount = 0;
@@ -271,27 +213,7 @@ const importData = async (mappedData) => {
     
     for (const record of mappedData) {
       try {
-        await client.query(upsertQuery, [
-          record.comparison_date,
-          record.ringba_static,
-          record.ringba_api,
-          record.ringba_total,
-          record.elocal_static,
-          record.elocal_api,
-          record.elocal_total,
-          record.adjustments,
-          record.adjustment_static_pct,
-          record.adjustment_api_pct,
-          record.adjustment_pct,
-          record.total_calls,
-          record.rpc,
-          record.google_ads_spend,
-          record.google_ads_notes,
-          record.telco,
-          record.cost_per_call,
-          record.net,
-          record.net_profit
-        ]);
+        await comparisons.upsertDay(record);
         successCount++;
       } catch (error) {
         errorCount++;
@@ -313,10 +235,6 @@ const importData = async (mappedData) => {
   } catch (error) {
     console.error('[Import] Database error:', error);
     throw error;
-  } finally {
-    if (client) {
-      client.release();
-    }
   }
 };
 
@@ -378,12 +296,12 @@ const main = async () => {
     console.log(`  Failed: ${result.errorCount}`);
     console.log('='.repeat(60));
     
-    await pool.end();
+    await closePool();
     process.exit(result.errorCount > 0 ? 1 : 0);
   } catch (error) {
     console.error('\n[Import] Fatal error:', error);
     console.error(error.stack);
-    await pool.end();
+    await closePool();
     process.exit(1);
   }
 };
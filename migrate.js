@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Database migrations (migrations/NNNN_name.js, see MIGRATIONS_README.md)
+ *
+ * Usage:
+ *   node migrate.js status                 applied / pending migrations
+ *   node migrate.js up [--to=NNNN]         apply pending migrations (up to and including NNNN)
+ *   node migrate.js down [--steps=N]       roll back the last N applied migrations (default 1)
+ *   node migrate.js down --to=NNNN         roll back every migration after NNNN
+ *   Add --dry-run to up/down to only list what would run.
+ */
+
+import { createMigrator, formatMigrationStatus } from './src/database/migrator.js';
+import { getPool, closePool } from './src/database/pool.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
+
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
+
+const USAGE = 'Usage: node migrate.js <status|up|down> [--to=NNNN] [--steps=N] [--dry-run]';
+
+const parseArgs = (argv) => {
+  const [command = 'status', ...rest] = argv;
+  const options = { command, to: null, steps: 1, dryRun: false };
+  for (const arg of rest) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'dry-run') {
+      options.dryRun = true;
+    } else if (key === 'to' && /^\d{4}$/.test(value || '')) {
+      options.to = value;
+    } else if (key === 'steps' && /^[1-9]\d*$/.test(value || '')) {
+      options.steps = parseInt(value, 10);
+    } else {
+      throw new Error(`Invalid argument "${arg}". ${USAGE}`);
+    }
+  }
+  if (!['status', 'up', 'down'].includes(command)) {
+    throw new Error(`Unknown command "${command}". ${USAGE}`);
+  }
+  return options;
+};
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}`);
+    process.exit(2);
+  }
+
+  // Exits listing what is missing (.env / .env.<profile>)
+  const config = loadConfigOrExit('db');
+  const pool = getPool(config);
+  const migrator = createMigrator(pool);
+
+  try {
+    console.log(`[INFO] Database: ${config.dbHost}:${config.dbPort}/${config.dbName}`);
+
+    if (options.command === 'status') {
+      const entries = await migrator.status();
+      formatMigrationStatus(entries).forEach(line => console.log(line));
+      const pending = entries.filter(entry => entry.state === 'pending').length;
+      const problems = entries.filter(entry => entry.state === 'changed' || entry.state === 'missing').length;
+      console.log(`[INFO] ${entries.length - pending - problems} applied, ${pending} pending${problems ? `, ${problems} changed/missing` : ''}`);
+      if (problems) {
+        process.exitCode = 1;
+      }
+    } else if (options.command === 'up') {
+      const result = await migrator.up({ to: options.to, dryRun: options.dryRun });
+      console.log(options.dryRun
+        ? `[INFO] ${result.pending.length} migration(s) would be applied`
+        : `[SUCCESS] ${result.applied.length} migration(s) applied`);
+    } else {
+      const result = await migrator.down({ steps: options.steps, to: options.to, dryRun: options.dryRun });
+      console.log(options.dryRun
+        ? `[INFO] ${result.pending.length} migration(s) would be rolled back`
+        : `[SUCCESS] ${result.reverted.length} migration(s) rolled back`);
+    }
+  } catch (error) {
+    console.error('[ERROR] Migration failed:', error.message);
+    if (error.code) {
+      console.error(`[ERROR] Error code: ${error.code}`);
+    }
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -0,0 +1,24 @@
+// elocal_call_data.original_payout / original_revenue: Ringba payout and revenue before any adjustment
+// (Ringba original sync)
+//
+// Converted from migrate-add-original-columns.js and src/database/add-original-payout-columns.sql.
+
+export const description = 'Add elocal_call_data.original_payout and original_revenue';
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE elocal_call_data ADD COLUMN IF NOT EXISTS original_payout DECIMAL(10, 2) DEFAULT NULL;
+    ALTER TABLE elocal_call_data ADD COLUMN IF NOT EXISTS original_revenue DECIMAL(10, 2) DEFAULT NULL;
+    CREATE INDEX IF NOT EXISTS idx_elocal_call_data_original_payout ON elocal_call_data(original_payout);
+    CREATE INDEX IF NOT EXISTS idx_elocal_call_data_original_revenue ON elocal_call_data(original_revenue);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_elocal_call_data_original_revenue;
+    DROP INDEX IF EXISTS idx_elocal_call_data_original_payout;
+    ALTER TABLE elocal_call_data DROP COLUMN IF EXISTS original_revenue;
+    ALTER TABLE elocal_call_data DROP COLUMN IF EXISTS original_payout;
+  `);
+};
@@ -0,0 +1,19 @@
+// ringba_campaign_summary.campaign_id
+//
+// Converted from migrate-add-campaign-id.js.
+
+export const description = 'Add ringba_campaign_summary.campaign_id';
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE ringba_campaign_summary ADD COLUMN IF NOT EXISTS campaign_id VARCHAR(255);
+    CREATE INDEX IF NOT EXISTS idx_ringba_campaign_summary_campaign_id ON ringba_campaign_summary(campaign_id);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_ringba_campaign_summary_campaign_id;
+    ALTER TABLE ringba_campaign_summary DROP COLUMN IF EXISTS campaign_id;
+  `);
+};
@@ -0,0 +1,21 @@
+// ringba_campaign_summary.google_ads_spend / google_ads_notes (entered by hand on the dashboard)
+//
+// Converted from migrate-add-google-ads-spend-column.js.
+
+export const description = 'Add ringba_campaign_summary.google_ads_spend and google_ads_notes';
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE ringba_campaign_summary
+      ADD COLUMN IF NOT EXISTS google_ads_spend DECIMAL(10, 2) DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS google_ads_notes TEXT;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE ringba_campaign_summary
+      DROP COLUMN IF EXISTS google_ads_notes,
+      DROP COLUMN IF EXISTS google_ads_spend;
+  `);
+};
@@ -0,0 +1,15 @@
+// ringba_campaign_summary.insights_total_cost: total cost from the Ringba Insights API
+//
+// Converted from migrate-add-insights-total-cost-column.js.
+
+export const description = 'Add ringba_campaign_summary.insights_total_cost';
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE ringba_campaign_summary ADD COLUMN IF NOT EXISTS insights_total_cost DECIMAL(10, 2) DEFAULT 0;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('ALTER TABLE ringba_campaign_summary DROP COLUMN IF EXISTS insights_total_cost');
+};
@@ -0,0 +1,15 @@
+// ringba_campaign_summary.telco: telco cost
+//
+// Converted from migrate-add-telco-column.js.
+
+export const description = 'Add ringba_campaign_summary.telco';
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE ringba_campaign_summary ADD COLUMN IF NOT EXISTS telco DECIMAL(10, 2) DEFAULT 0;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('ALTER TABLE ringba_campaign_summary DROP COLUMN IF EXISTS telco');
+};
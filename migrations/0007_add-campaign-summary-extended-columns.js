@@ -0,0 +1,48 @@
+// Extended campaign summary metrics on ringba_campaign_summary (talk/wait/hold times, recordings, transfers,
+// distributions). Most of them were dropped again by 0009.
+//
+// Converted from migrate-add-campaign-summary-extended-columns.js.
+
+export const description = 'Add extended ringba_campaign_summary metric columns';
+
+const COLUMNS = [
+  ['connected_calls', 'INTEGER DEFAULT 0'],
+  ['connection_rate', 'DECIMAL(10, 2) DEFAULT 0'],
+  ['total_talk_time', 'INTEGER DEFAULT 0'],
+  ['average_talk_time', 'DECIMAL(10, 2) DEFAULT 0'],
+  ['total_wait_time', 'INTEGER DEFAULT 0'],
+  ['average_wait_time', 'DECIMAL(10, 2) DEFAULT 0'],
+  ['total_hold_time', 'INTEGER DEFAULT 0'],
+  ['average_hold_time', 'DECIMAL(10, 2) DEFAULT 0'],
+  ['total_time_to_answer', 'INTEGER DEFAULT 0'],
+  ['average_time_to_answer', 'DECIMAL(10, 2) DEFAULT 0'],
+  ['total_post_call_duration', 'INTEGER DEFAULT 0'],
+  ['average_post_call_duration', 'DECIMAL(10, 2) DEFAULT 0'],
+  ['calls_with_recordings', 'INTEGER DEFAULT 0'],
+  ['total_recording_duration', 'INTEGER DEFAULT 0'],
+  ['average_recording_duration', 'DECIMAL(10, 2) DEFAULT 0'],
+  ['total_transfers', 'INTEGER DEFAULT 0'],
+  ['average_transfers', 'DECIMAL(10, 2) DEFAULT 0'],
+  ['total_conferences', 'INTEGER DEFAULT 0'],
+  ['average_conferences', 'DECIMAL(10, 2) DEFAULT 0'],
+  ['rerouted_calls', 'INTEGER DEFAULT 0'],
+  ['root_calls', 'INTEGER DEFAULT 0'],
+  ['average_quality_score', 'DECIMAL(10, 2)'],
+  ['top_states', 'TEXT'],
+  ['top_cities', 'TEXT'],
+  ['device_type_distribution', 'TEXT'],
+  ['source_distribution', 'TEXT'],
+  ['medium_distribution', 'TEXT']
+];
+
+export const up = async (client) => {
+  for (const [column, definition] of COLUMNS) {
+    await client.query(`ALTER TABLE ringba_campaign_summary ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+  }
+};
+
+export const down = async (client) => {
+  for (const [column] of [...COLUMNS].reverse()) {
+    await client.query(`ALTER TABLE ringba_campaign_summary DROP COLUMN IF EXISTS ${column}`);
+  }
+};
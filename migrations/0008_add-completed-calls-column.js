@@ -0,0 +1,23 @@
+// ringba_campaign_summary.completed_calls / completion_rate (calls with a duration > 0)
+//
+// Converted from migrate-add-completed-calls-column.js.
+
+export const description = 'Add ringba_campaign_summary.completed_calls and completion_rate';
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE ringba_campaign_summary
+      ADD COLUMN IF NOT EXISTS completed_calls INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS completion_rate DECIMAL(10, 2) DEFAULT 0;
+    CREATE INDEX IF NOT EXISTS idx_ringba_campaign_summary_completed_calls ON ringba_campaign_summary(completed_calls);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_ringba_campaign_summary_completed_calls;
+    ALTER TABLE ringba_campaign_summary
+      DROP COLUMN IF EXISTS completion_rate,
+      DROP COLUMN IF EXISTS completed_calls;
+  `);
+};
@@ -0,0 +1,43 @@
+// Drops the ringba_campaign_summary columns no service reads or writes
+// Irreversible: the dropped values are gone, so there is no down.
+//
+// Converted from migrate-remove-unused-campaign-summary-columns.js.
+
+export const description = 'Remove unused ringba_campaign_summary columns';
+
+const COLUMNS = [
+  'medium_distribution',
+  'source_distribution',
+  'device_type_distribution',
+  'top_cities',
+  'top_states',
+  'average_quality_score',
+  'rerouted_calls',
+  'average_conferences',
+  'total_conferences',
+  'average_transfers',
+  'total_transfers',
+  'average_recording_duration',
+  'total_recording_duration',
+  'calls_with_recordings',
+  'average_post_call_duration',
+  'total_post_call_duration',
+  'average_time_to_answer',
+  'total_time_to_answer',
+  'average_hold_time',
+  'total_hold_time',
+  'average_wait_time',
+  'total_wait_time',
+  'average_talk_time',
+  'total_talk_time',
+  'profit',
+  'ivr_handled',
+  'blocked',
+  'average_call_length_seconds'
+];
+
+export const up = async (client) => {
+  for (const column of COLUMNS) {
+    await client.query(`ALTER TABLE ringba_campaign_summary DROP COLUMN IF EXISTS ${column}`);
+  }
+};
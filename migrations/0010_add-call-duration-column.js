@@ -0,0 +1,19 @@
+// ringba_calls.call_duration (seconds)
+//
+// Converted from migrate-add-call-duration-column.js.
+
+export const description = 'Add ringba_calls.call_duration';
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE ringba_calls ADD COLUMN IF NOT EXISTS call_duration INTEGER DEFAULT 0;
+    CREATE INDEX IF NOT EXISTS idx_ringba_calls_call_duration ON ringba_calls(call_duration);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_ringba_calls_call_duration;
+    ALTER TABLE ringba_calls DROP COLUMN IF EXISTS call_duration;
+  `);
+};
@@ -0,0 +1,31 @@
+// auth_sessions: eLocal auth sessions (src/auth/session-store-postgres.js, auth refresh)
+//
+// Converted from migrate-add-auth-sessions-table.js.
+
+export const description = 'Create auth_sessions';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id SERIAL PRIMARY KEY,
+      cookie_header TEXT NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      is_working BOOLEAN DEFAULT TRUE,
+      last_checked TIMESTAMP,
+      last_error_message TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      checked_count INTEGER DEFAULT 0
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires_at ON auth_sessions(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_auth_sessions_is_working ON auth_sessions(is_working);
+    CREATE INDEX IF NOT EXISTS idx_auth_sessions_last_checked ON auth_sessions(last_checked);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS auth_sessions');
+};
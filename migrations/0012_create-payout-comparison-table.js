@@ -0,0 +1,54 @@
+// payout_comparison_daily: daily eLocal vs Ringba payout comparison (src/services/payout-comparison-sync.js)
+//
+// Converted from migrate-create-payout-comparison-table.js.
+
+export const description = 'Create payout_comparison_daily';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS payout_comparison_daily (
+      id SERIAL PRIMARY KEY,
+      comparison_date DATE NOT NULL UNIQUE,
+
+      -- Ringba values
+      ringba_static DECIMAL(10, 2) DEFAULT 0,
+      ringba_api DECIMAL(10, 2) DEFAULT 0,
+      ringba_total DECIMAL(10, 2) DEFAULT 0,
+
+      -- Elocal values
+      elocal_static DECIMAL(10, 2) DEFAULT 0,
+      elocal_api DECIMAL(10, 2) DEFAULT 0,
+      elocal_total DECIMAL(10, 2) DEFAULT 0,
+
+      -- Adjustments
+      adjustments DECIMAL(10, 2) DEFAULT 0,
+      adjustment_static_pct DECIMAL(10, 2) DEFAULT 0,
+      adjustment_api_pct DECIMAL(10, 2) DEFAULT 0,
+      adjustment_pct DECIMAL(10, 2) DEFAULT 0,
+
+      -- Additional metrics
+      total_calls INTEGER DEFAULT 0,
+      rpc DECIMAL(10, 2) DEFAULT 0,
+      google_ads_spend DECIMAL(10, 2) DEFAULT 0,
+      google_ads_notes TEXT,
+      telco DECIMAL(10, 2) DEFAULT 0,
+
+      -- Calculated metrics
+      cost_per_call DECIMAL(10, 2) DEFAULT 0,
+      net DECIMAL(10, 2) DEFAULT 0,
+      net_profit DECIMAL(10, 2) DEFAULT 0,
+
+      -- Timestamps
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_payout_comparison_daily_date ON payout_comparison_daily(comparison_date);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS payout_comparison_daily');
+};
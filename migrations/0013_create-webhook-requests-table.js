@@ -0,0 +1,31 @@
+// webhook_requests: requests received by the dashboard webhook endpoints
+//
+// Converted from migrate-create-webhook-requests-table.js.
+
+export const description = 'Create webhook_requests';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS webhook_requests (
+      id SERIAL PRIMARY KEY,
+      webhook_id VARCHAR(255) NOT NULL,
+      method VARCHAR(10) NOT NULL,
+      request_body JSONB,
+      headers JSONB,
+      query_params JSONB,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_webhook_requests_webhook_id ON webhook_requests(webhook_id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_requests_created_at ON webhook_requests(created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_webhook_requests_method ON webhook_requests(method);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS webhook_requests');
+};
@@ -0,0 +1,45 @@
+// Customer detail columns on ringba_call_data, for tables created before they were part of its CREATE TABLE
+//
+// Converted from add-customer-columns.sql.
+
+export const description = 'Add ringba_call_data customer detail columns';
+
+const COLUMNS = [
+  ['first_name', 'VARCHAR(100)'],
+  ['last_name', 'VARCHAR(100)'],
+  ['full_name', 'VARCHAR(200)'],
+  ['email', 'VARCHAR(255)'],
+  ['phone', 'VARCHAR(50)'],
+  ['address', 'TEXT'],
+  ['city', 'VARCHAR(100)'],
+  ['state', 'VARCHAR(50)'],
+  ['zip_code', 'VARCHAR(20)'],
+  ['country', 'VARCHAR(100)'],
+  ['company', 'VARCHAR(255)'],
+  ['notes', 'TEXT'],
+  ['message', 'TEXT'],
+  ['updated_at', 'TIMESTAMP DEFAULT NOW()']
+];
+
+export const up = async (client) => {
+  for (const [column, definition] of COLUMNS) {
+    await client.query(`ALTER TABLE ringba_call_data ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+  }
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_ringba_call_data_email ON ringba_call_data(email);
+    CREATE INDEX IF NOT EXISTS idx_ringba_call_data_phone ON ringba_call_data(phone);
+    CREATE INDEX IF NOT EXISTS idx_ringba_call_data_name ON ringba_call_data(first_name, last_name);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_ringba_call_data_name;
+    DROP INDEX IF EXISTS idx_ringba_call_data_phone;
+    DROP INDEX IF EXISTS idx_ringba_call_data_email;
+  `);
+  for (const [column] of [...COLUMNS].reverse()) {
+    await client.query(`ALTER TABLE ringba_call_data DROP COLUMN IF EXISTS ${column}`);
+  }
+};
@@ -0,0 +1,46 @@
+// call_match_audit: call matching decisions of every sync run (match evidence / audit trail)
+//
+// Converted from migrate-create-call-match-audit-table.js.
+
+export const description = 'Create call_match_audit';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS call_match_audit (
+      id SERIAL PRIMARY KEY,
+      sync_run_id VARCHAR(255) NOT NULL,
+      service VARCHAR(100) NOT NULL,
+      algorithm_version VARCHAR(100) NOT NULL,
+      assignment VARCHAR(20),
+      decision VARCHAR(20) NOT NULL,
+      reason_code VARCHAR(50),
+      reason TEXT,
+      elocal_call_id INTEGER,
+      ringba_inbound_call_id VARCHAR(255),
+      caller_id_e164 VARCHAR(50),
+      category VARCHAR(50),
+      call_date DATE,
+      call_date_time VARCHAR(50),
+      score DECIMAL(12, 4),
+      time_diff_minutes DECIMAL(12, 4),
+      duration_diff_seconds INTEGER,
+      score_breakdown JSONB,
+      rejected_candidates JSONB DEFAULT '[]'::jsonb,
+      competing_candidates JSONB DEFAULT '[]'::jsonb,
+      candidate_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_call_match_audit_sync_run_id ON call_match_audit(sync_run_id);
+    CREATE INDEX IF NOT EXISTS idx_call_match_audit_caller_id_e164 ON call_match_audit(caller_id_e164);
+    CREATE INDEX IF NOT EXISTS idx_call_match_audit_call_date ON call_match_audit(call_date);
+    CREATE INDEX IF NOT EXISTS idx_call_match_audit_elocal_call_id ON call_match_audit(elocal_call_id);
+    CREATE INDEX IF NOT EXISTS idx_call_match_audit_ringba_inbound_call_id ON call_match_audit(ringba_inbound_call_id);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS call_match_audit');
+};
@@ -0,0 +1,66 @@
+// cost_sync_plans and cost_sync_plan_items: reviewable cost sync plans (proposed eLocal -> Ringba updates)
+//
+// Converted from migrate-create-cost-sync-plans-table.js.
+
+export const description = 'Create cost_sync_plans and cost_sync_plan_items';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS cost_sync_plans (
+      id SERIAL PRIMARY KEY,
+      sync_run_id VARCHAR(255),
+      status VARCHAR(30) NOT NULL DEFAULT 'pending',
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      category VARCHAR(50),
+      assignment VARCHAR(20),
+      total_updates INTEGER DEFAULT 0,
+      total_current_payout DECIMAL(12, 2) DEFAULT 0,
+      total_new_payout DECIMAL(12, 2) DEFAULT 0,
+      total_current_revenue DECIMAL(12, 2) DEFAULT 0,
+      total_new_revenue DECIMAL(12, 2) DEFAULT 0,
+      created_by VARCHAR(255),
+      reviewed_by VARCHAR(255),
+      reviewed_at TIMESTAMP,
+      review_notes TEXT,
+      applied_at TIMESTAMP,
+      applied_count INTEGER DEFAULT 0,
+      failed_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS cost_sync_plan_items (
+      id SERIAL PRIMARY KEY,
+      plan_id INTEGER NOT NULL REFERENCES cost_sync_plans(id) ON DELETE CASCADE,
+      elocal_call_id INTEGER,
+      ringba_inbound_call_id VARCHAR(255) NOT NULL,
+      target_id VARCHAR(255),
+      category VARCHAR(50),
+      call_date DATE,
+      caller_id_e164 VARCHAR(50),
+      current_payout DECIMAL(10, 2) DEFAULT 0,
+      current_revenue DECIMAL(10, 2) DEFAULT 0,
+      new_payout DECIMAL(10, 2) DEFAULT 0,
+      new_revenue DECIMAL(10, 2) DEFAULT 0,
+      match_evidence JSONB,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      error_message TEXT,
+      applied_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_cost_sync_plans_status ON cost_sync_plans(status);
+    CREATE INDEX IF NOT EXISTS idx_cost_sync_plans_dates ON cost_sync_plans(start_date, end_date);
+    CREATE INDEX IF NOT EXISTS idx_cost_sync_plan_items_plan_id ON cost_sync_plan_items(plan_id);
+    CREATE INDEX IF NOT EXISTS idx_cost_sync_plan_items_status ON cost_sync_plan_items(plan_id, status);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS cost_sync_plan_items, cost_sync_plans');
+};
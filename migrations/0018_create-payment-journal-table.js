@@ -0,0 +1,39 @@
+// ringba_payment_journal: journal of Ringba payment overrides, written before every override request
+// Old amounts are kept so a sync run or a single call can be rolled back
+//
+// Converted from migrate-create-payment-journal-table.js.
+
+export const description = 'Create ringba_payment_journal';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ringba_payment_journal (
+      id SERIAL PRIMARY KEY,
+      sync_run_id VARCHAR(255),
+      inbound_call_id VARCHAR(255) NOT NULL,
+      target_id VARCHAR(255),
+      old_payout DECIMAL(10, 2),
+      old_revenue DECIMAL(10, 2),
+      new_payout DECIMAL(10, 2),
+      new_revenue DECIMAL(10, 2),
+      reason TEXT,
+      actor VARCHAR(255),
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      error_message TEXT,
+      rollback_of INTEGER REFERENCES ringba_payment_journal(id),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      applied_at TIMESTAMP,
+      rolled_back_at TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_ringba_payment_journal_sync_run_id ON ringba_payment_journal(sync_run_id);
+    CREATE INDEX IF NOT EXISTS idx_ringba_payment_journal_inbound_call_id ON ringba_payment_journal(inbound_call_id);
+    CREATE INDEX IF NOT EXISTS idx_ringba_payment_journal_status ON ringba_payment_journal(status);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS ringba_payment_journal');
+};
@@ -0,0 +1,59 @@
+// cost_sync_runs and cost_sync_run_updates: cost sync runs and their per-update checkpoint rows
+//
+// Converted from migrate-create-cost-sync-runs-table.js.
+
+export const description = 'Create cost_sync_runs and cost_sync_run_updates';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS cost_sync_runs (
+      sync_run_id VARCHAR(255) PRIMARY KEY,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      category VARCHAR(50),
+      status VARCHAR(30) NOT NULL DEFAULT 'running',
+      total_updates INTEGER DEFAULT 0,
+      confirmed_count INTEGER DEFAULT 0,
+      failed_count INTEGER DEFAULT 0,
+      resumed_count INTEGER DEFAULT 0,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS cost_sync_run_updates (
+      id SERIAL PRIMARY KEY,
+      sync_run_id VARCHAR(255) NOT NULL REFERENCES cost_sync_runs(sync_run_id) ON DELETE CASCADE,
+      elocal_call_id INTEGER,
+      ringba_inbound_call_id VARCHAR(255) NOT NULL,
+      target_id VARCHAR(255),
+      category VARCHAR(50),
+      call_date DATE,
+      current_payout DECIMAL(10, 2) DEFAULT 0,
+      current_revenue DECIMAL(10, 2) DEFAULT 0,
+      new_payout DECIMAL(10, 2) DEFAULT 0,
+      new_revenue DECIMAL(10, 2) DEFAULT 0,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      error_message TEXT,
+      journal_id INTEGER REFERENCES ringba_payment_journal(id),
+      sent_at TIMESTAMP,
+      confirmed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(sync_run_id, ringba_inbound_call_id)
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_cost_sync_runs_status ON cost_sync_runs(status, start_date, end_date);
+    CREATE INDEX IF NOT EXISTS idx_cost_sync_run_updates_status ON cost_sync_run_updates(sync_run_id, status);
+    CREATE INDEX IF NOT EXISTS idx_cost_sync_run_updates_inbound_call_id ON cost_sync_run_updates(ringba_inbound_call_id);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS cost_sync_run_updates, cost_sync_runs');
+};
@@ -0,0 +1,21 @@
+// ringba_rate_limit: shared token bucket for all Ringba API requests (src/http/ringba-http.js), so services running
+// in separate processes stay within one request budget
+//
+// Converted from migrate-create-ringba-rate-limit-table.js.
+
+export const description = 'Create ringba_rate_limit';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ringba_rate_limit (
+      bucket_key VARCHAR(100) PRIMARY KEY,
+      tokens DOUBLE PRECISION NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      paused_until TIMESTAMP
+    );
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS ringba_rate_limit');
+};
@@ -0,0 +1,36 @@
+// Leg hints of multi-leg (rerouted/transferred) Ringba calls, and the leg each cost sync update is sent to
+//   ringba_calls: rerouted_from_inbound_call_id, root_inbound_call_id
+//   call_match_audit: multi_leg, payment_legs
+//   cost_sync_plan_items / cost_sync_run_updates: payment_leg
+// Run the Ringba original sync again afterwards to fill the leg hints of existing calls.
+//
+// Converted from migrate-add-payment-leg-columns.js.
+
+export const description = 'Add payment leg columns to ringba_calls, call_match_audit and the cost sync update tables';
+
+const COLUMNS = [
+  { table: 'ringba_calls', column: 'rerouted_from_inbound_call_id', definition: 'VARCHAR(255)' },
+  { table: 'ringba_calls', column: 'root_inbound_call_id', definition: 'VARCHAR(255)' },
+  { table: 'call_match_audit', column: 'multi_leg', definition: 'BOOLEAN DEFAULT FALSE' },
+  { table: 'call_match_audit', column: 'payment_legs', definition: 'JSONB' },
+  { table: 'cost_sync_plan_items', column: 'payment_leg', definition: 'VARCHAR(10)' },
+  { table: 'cost_sync_run_updates', column: 'payment_leg', definition: 'VARCHAR(10)' }
+];
+
+export const up = async (client) => {
+  for (const { table, column, definition } of COLUMNS) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+  }
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_ringba_calls_rerouted_from
+    ON ringba_calls(rerouted_from_inbound_call_id)
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS idx_ringba_calls_rerouted_from');
+  for (const { table, column } of [...COLUMNS].reverse()) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ${column}`);
+  }
+};
@@ -0,0 +1,34 @@
+// job_runs: one row per service run (scrapes, syncs, campaign summary, payout comparison, auth refresh)
+//
+// Converted from migrate-create-job-runs-table.js.
+
+export const description = 'Create job_runs';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id SERIAL PRIMARY KEY,
+      job_type VARCHAR(50) NOT NULL,
+      category VARCHAR(50),
+      start_date DATE,
+      end_date DATE,
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      counters JSONB NOT NULL DEFAULT '{}'::jsonb,
+      reference_id VARCHAR(255),
+      source VARCHAR(100),
+      error_message TEXT,
+      started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP,
+      duration_ms INTEGER
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_job_runs_started_at ON job_runs(started_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_job_runs_type_status ON job_runs(job_type, status, started_at DESC);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS job_runs');
+};
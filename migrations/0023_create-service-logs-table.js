@@ -0,0 +1,29 @@
+// service_logs: console output of job runs as structured events (src/utils/structured-logger.js)
+//
+// Converted from migrate-create-service-logs-table.js.
+
+export const description = 'Create service_logs';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS service_logs (
+      id BIGSERIAL PRIMARY KEY,
+      job_run_id INTEGER REFERENCES job_runs(id) ON DELETE CASCADE,
+      service VARCHAR(50) NOT NULL,
+      level VARCHAR(10) NOT NULL,
+      message TEXT NOT NULL,
+      context JSONB,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_service_logs_job_run ON service_logs(job_run_id, id);
+    CREATE INDEX IF NOT EXISTS idx_service_logs_service_level ON service_logs(service, level, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_service_logs_created_at ON service_logs(created_at DESC);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS service_logs');
+};
@@ -0,0 +1,30 @@
+// job_locks: leases per job type, category and date range (src/services/job-locks.js)
+//
+// Converted from migrate-create-job-locks-table.js.
+
+export const description = 'Create job_locks';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS job_locks (
+      id SERIAL PRIMARY KEY,
+      job_type VARCHAR(50) NOT NULL,
+      category VARCHAR(50),
+      start_date DATE,
+      end_date DATE,
+      owner VARCHAR(255) NOT NULL,
+      job_run_id INTEGER,
+      acquired_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      heartbeat_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_job_locks_type_expires ON job_locks(job_type, expires_at);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS job_locks');
+};
@@ -0,0 +1,31 @@
+// alerts: alerts sent by the alert dispatcher (failed runs, auth expiry, payout drift, unmatched spikes), also used
+// for cooldowns
+//
+// Converted from migrate-create-alerts-table.js.
+
+export const description = 'Create alerts';
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS alerts (
+      id SERIAL PRIMARY KEY,
+      rule VARCHAR(50) NOT NULL,
+      alert_key VARCHAR(255) NOT NULL,
+      severity VARCHAR(20) NOT NULL,
+      title TEXT NOT NULL,
+      message TEXT,
+      details JSONB NOT NULL DEFAULT '{}'::jsonb,
+      channels JSONB NOT NULL DEFAULT '[]'::jsonb,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_alerts_key_created_at ON alerts(alert_key, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_alerts_created_at ON alerts(created_at DESC);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS alerts');
+};
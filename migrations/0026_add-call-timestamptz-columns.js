@@ -0,0 +1,253 @@
+// Call instants (timestamptz) next to the wall-clock call strings
+//   elocal_call_data: call_at, source_timezone (date_of_call is the eLocal wall clock, EST/EDT unless eLocal said otherwise)
+//   ringba_calls: call_at, source_timezone (call_date_time is the New York wall clock of the UTC Ringba time)
+// Existing rows are backfilled from the strings in batches with the IANA zone rules (Intl), so the result does not
+// depend on the server or database time zone. The conversion is a copy of the one the services used when this
+// migration was written (src/utils/timezone.js, src/utils/date-normalizer.js): a migration must not import
+// application code, or a later change there would change what an already applied (checksummed) migration does.
+// Rows whose string cannot be read keep call_at NULL and are listed. See TIMEZONE_README.md.
+//
+// Converted from migrate-add-call-timestamptz-columns.js.
+
+const CALL_TIMEZONE = 'America/New_York';
+
+// Zone abbreviations eLocal may append to a time
+const ABBREVIATION_ZONES = {
+  EST: 'America/New_York',
+  EDT: 'America/New_York',
+  CST: 'America/Chicago',
+  CDT: 'America/Chicago',
+  MST: 'America/Denver',
+  MDT: 'America/Denver',
+  PST: 'America/Los_Angeles',
+  PDT: 'America/Los_Angeles',
+  UTC: 'UTC',
+  GMT: 'UTC'
+};
+
+const zoneFromAbbreviation = (text) => {
+  const match = String(text || '').match(/\b(EST|EDT|CST|CDT|MST|MDT|PST|PDT|UTC|GMT)\b/i);
+  return match ? ABBREVIATION_ZONES[match[1].toUpperCase()] : null;
+};
+
+const formatters = new Map();
+
+// { year, month, day, hour, minute, second } of an instant in a zone
+const partsInZone = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return Object.fromEntries(
+    formatters.get(timeZone).formatToParts(date)
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, parseInt(part.value, 10)])
+  );
+};
+
+const offsetMs = (timeZone, date) => {
+  const p = partsInZone(date, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Instant of a 'YYYY-MM-DDTHH:mm:ss' wall clock in a zone (earlier instant in the repeated DST hour, skipped times
+// moved forward by the gap)
+const wallClockToInstant = (wallClock, timeZone) => {
+  const match = String(wallClock || '').match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second] = match;
+  const asUtc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  const firstOffset = offsetMs(timeZone, new Date(asUtc));
+  const secondOffset = offsetMs(timeZone, new Date(asUtc - firstOffset));
+  const candidates = [asUtc - firstOffset, asUtc - secondOffset];
+  const valid = candidates.filter(instant => offsetMs(timeZone, new Date(instant)) === asUtc - instant);
+  return new Date(valid.length > 0 ? Math.min(...valid) : Math.max(...candidates));
+};
+
+// 'YYYY-MM-DDTHH:mm:ss' of a stored string, as received (no zone conversion), or null
+//   2025-11-18T16:38:00[...], 11/18/25 04:38 PM EST, 12/ 2/25 09:27 AM EST, 2025-11-18, 11/18/2025, 18-11-2025
+// anyDate: also read other strings Date can parse (Ringba side), formatted in the call time zone
+const readWallClock = (text, anyDate = false) => {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    return null;
+  }
+  const wallClock = (year, month, day, hours = 0, minutes = 0, seconds = 0) =>
+    (month >= 1 && month <= 12 && day >= 1 && day <= 31 && hours <= 23 && minutes <= 59 && seconds <= 59
+      ? `${year}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}`
+      : null);
+
+  const iso = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
+  if (iso) {
+    return wallClock(...iso.slice(1, 7).map(Number));
+  }
+
+  const withTime = trimmed.match(/^(\d{1,2})\s*\/\s*(\d{1,2})\s*\/\s*(\d{2,4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/i);
+  if (withTime) {
+    const [month, day, rawYear, rawHours, minutes, seconds = 0] = withTime.slice(1, 7).map(value => Number(value || 0));
+    const year = rawYear < 100 ? (rawYear <= 50 ? 2000 + rawYear : 1900 + rawYear) : rawYear;
+    const ampm = (withTime[7] || '').toUpperCase();
+    const hours = ampm === 'PM' && rawHours !== 12 ? rawHours + 12 : (ampm === 'AM' && rawHours === 12 ? 0 : rawHours);
+    const result = wallClock(year, month, day, hours, minutes, seconds);
+    if (result) {
+      return result;
+    }
+  }
+
+  let match = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    return wallClock(+match[1], +match[2], +match[3]);
+  }
+  match = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return wallClock(+match[3], +match[1], +match[2]);
+  }
+  match = trimmed.match(/^(\d{1,2})-(\d{1,2})-(\d{4})$/);
+  if (match) {
+    return wallClock(+match[3], +match[2], +match[1]);
+  }
+
+  if (anyDate) {
+    const date = new Date(trimmed);
+    if (!isNaN(date.getTime())) {
+      const p = partsInZone(date, CALL_TIMEZONE);
+      return wallClock(p.year, p.month, p.day, p.hour, p.minute, p.second);
+    }
+  }
+  return null;
+};
+
+// Instant of a raw Ringba string: MM/DD/YYYY hh:mm:ss AM/PM (UTC) or ISO with an explicit offset; null otherwise
+const parseRingbaDate = (text) => {
+  const trimmed = String(text || '').trim();
+  const match = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2}):(\d{2})\s+(AM|PM)$/i);
+  if (match) {
+    const [month, day, year, rawHours, minutes, seconds] = match.slice(1, 7).map(Number);
+    const ampm = match[7].toUpperCase();
+    const hours = ampm === 'PM' && rawHours !== 12 ? rawHours + 12 : (ampm === 'AM' && rawHours === 12 ? 0 : rawHours);
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  }
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(trimmed)) {
+    const date = new Date(trimmed);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+};
+
+export const description = 'Add call_at and source_timezone to elocal_call_data and ringba_calls, backfilled';
+
+const BATCH_SIZE = 5000;
+
+const COLUMNS = [
+  { table: 'elocal_call_data', column: 'call_at', definition: 'TIMESTAMPTZ' },
+  { table: 'elocal_call_data', column: 'source_timezone', definition: 'VARCHAR(64)' },
+  { table: 'ringba_calls', column: 'call_at', definition: 'TIMESTAMPTZ' },
+  { table: 'ringba_calls', column: 'source_timezone', definition: 'VARCHAR(64)' }
+];
+
+// { callAt, sourceTimezone } of a stored string, callAt null when it cannot be read
+const BACKFILLS = [
+  {
+    table: 'elocal_call_data',
+    textColumn: 'date_of_call',
+    convert: (text) => {
+      const sourceTimezone = zoneFromAbbreviation(text) || CALL_TIMEZONE;
+      return { callAt: wallClockToInstant(readWallClock(text), sourceTimezone), sourceTimezone };
+    }
+  },
+  {
+    table: 'ringba_calls',
+    textColumn: 'call_date_time',
+    convert: (text) => ({
+      // Raw Ringba strings (MM/DD/YYYY hh:mm:ss AM/PM) are UTC; converted ones are New York wall clocks
+      callAt: parseRingbaDate(text) || wallClockToInstant(readWallClock(text, true), CALL_TIMEZONE),
+      sourceTimezone: CALL_TIMEZONE
+    })
+  }
+];
+
+const backfill = async (client, { table, textColumn, convert }) => {
+  let lastId = 0;
+  let updated = 0;
+  const unreadable = [];
+
+  for (;;) {
+    const { rows } = await client.query(`
+      SELECT id, ${textColumn} AS text
+      FROM ${table}
+      WHERE call_at IS NULL AND id > $1
+      ORDER BY id
+      LIMIT $2
+    `, [lastId, BATCH_SIZE]);
+    if (rows.length === 0) break;
+    lastId = rows[rows.length - 1].id;
+
+    const ids = [];
+    const instants = [];
+    const zones = [];
+    rows.forEach(row => {
+      const { callAt, sourceTimezone } = convert(row.text);
+      if (!callAt) {
+        unreadable.push(row);
+        return;
+      }
+      ids.push(row.id);
+      instants.push(callAt.toISOString());
+      zones.push(sourceTimezone);
+    });
+
+    if (ids.length > 0) {
+      const result = await client.query(`
+        UPDATE ${table} AS t
+        SET call_at = v.call_at, source_timezone = v.source_timezone
+        FROM UNNEST($1::int[], $2::timestamptz[], $3::varchar[]) AS v(id, call_at, source_timezone)
+        WHERE t.id = v.id
+      `, [ids, instants, zones]);
+      updated += result.rowCount || 0;
+    }
+    console.log(`[INFO] ${table}: backfilled ${updated} row(s) so far (up to ID ${lastId})`);
+  }
+
+  console.log(`[SUCCESS] ${table}: backfilled call_at for ${updated} row(s)`);
+  if (unreadable.length > 0) {
+    console.log(`[WARN] ${table}: ${unreadable.length} row(s) have a ${textColumn} that could not be read, call_at left NULL`);
+    unreadable.slice(0, 10).forEach(row => console.log(`         - ID ${row.id}: "${row.text}"`));
+  }
+};
+
+export const up = async (client) => {
+  for (const { table, column, definition } of COLUMNS) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+  }
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_elocal_call_data_call_at ON elocal_call_data(call_at);
+    CREATE INDEX IF NOT EXISTS idx_ringba_calls_call_at ON ringba_calls(call_at);
+  `);
+
+  for (const config of BACKFILLS) {
+    await backfill(client, config);
+  }
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_elocal_call_data_call_at;
+    DROP INDEX IF EXISTS idx_ringba_calls_call_at;
+  `);
+  for (const { table, column } of [...COLUMNS].reverse()) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS ${column}`);
+  }
+};
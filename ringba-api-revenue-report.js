@@ -15,7 +15,7 @@ import dotenv from 'dotenv';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { getCallsByTargetId, TARGET_IDS, getCategoryFromTargetId } from './src/http/ringba-target-calls.js';
+import { getCallsByTargetId, getTargetIds, getCategoryFromTargetId } from './src/http/ringba-target-calls.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -133,7 +133,7 @@ async function generateRevenueReport() {
     let totalPayout = 0;
 
     // Fetch calls for each target ID
-    for (const [targetId, targetName] of Object.entries(TARGET_IDS)) {
+    for (const [targetId, targetName] of Object.entries(getTargetIds())) {
         const category = getCategoryFromTargetId(targetId);
 
         log(`Fetching calls for: ${targetName} (${category})...`);
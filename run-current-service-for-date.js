@@ -21,20 +21,13 @@
  *   node run-current-service-for-date.js 17-12-2025 STATIC
  */
 
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import {
-  scrapeCurrentDayData,
-  scrapeCurrentDayDataAPI
-} from './src/services/elocal.scrapper.js';
+import { scrapeCurrentDayDataForCategory } from './src/services/elocal.scrapper.js';
+import { getCategories } from './src/config/campaign-registry.js';
 import { getDateRangeDescription } from './src/utils/date-utils.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load environment variables
-dotenv.config({ path: join(__dirname, '.env') });
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 /**
  * Parse date from various formats
@@ -126,28 +119,6 @@ const showUsage = () => {
   console.log('');
 };
 
-/**
- * Validate configuration
- */
-const validateConfig = (config) => {
-  const errors = [];
-
-  if (!config.dbHost) {
-    errors.push('Database host (DB_HOST or POSTGRES_HOST) is required');
-  }
-  if (!config.dbUser) {
-    errors.push('Database user (DB_USER or POSTGRES_USER_NAME) is required');
-  }
-  if (!config.dbPassword) {
-    errors.push('Database password (DB_PASSWORD or POSTGRES_PASSWORD) is required');
-  }
-  if (!config.dbName) {
-    errors.push('Database name (DB_NAME or POSTGRES_DB_NAME) is required');
-  }
-
-  return errors;
-};
-
 /**
  * Main function
  */
@@ -172,34 +143,14 @@ const main = async () => {
 
   // Parse category (second argument, default to STATIC)
   const category = (args[1] || 'STATIC').toUpperCase();
-  if (category !== 'STATIC' && category !== 'API') {
-    console.error(`❌ Error: Invalid category: ${category}. Must be STATIC or API`);
+  if (!getCategories().includes(category)) {
+    console.error(`❌ Error: Invalid category: ${category}. Must be one of: ${getCategories().join(', ')}`);
     showUsage();
     process.exit(1);
   }
 
-  // Build config
-  const config = {
-    elocalBaseUrl: process.env.ELOCAL_BASE_URL || 'https://elocal.com',
-    dbHost: process.env.POSTGRES_HOST || process.env.DB_HOST,
-    dbPort: process.env.POSTGRES_PORT || process.env.DB_PORT || 5432,
-    dbName: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-    dbUser: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-    dbPassword: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-    dbSsl: process.env.DB_SSL === 'true',
-    ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-    ringbaApiToken: process.env.RINGBA_API_TOKEN
-  };
-
-  // Validate config
-  const configErrors = validateConfig(config);
-  if (configErrors.length > 0) {
-    console.error('❌ Configuration errors:');
-    configErrors.forEach(err => console.error(`   - ${err}`));
-    console.error('');
-    console.error('Please set the required environment variables in your .env file.');
-    process.exit(1);
-  }
+  // Load and validate config (.env / .env.<profile>); exits listing what is missing
+  const config = loadConfigOrExit('db', 'elocal');
 
   // Create date range for the specified date
   const dateRange = createDateRangeForDate(dateObj);
@@ -219,12 +170,7 @@ const main = async () => {
   try {
     const startTime = Date.now();
 
-    let result;
-    if (category === 'API') {
-      result = await scrapeCurrentDayDataAPI(config, dateRange);
-    } else {
-      result = await scrapeCurrentDayData(config, dateRange);
-    }
+    const result = await scrapeCurrentDayDataForCategory(config, category, dateRange);
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
@@ -24,7 +24,7 @@
  */
 
 import { syncPayoutComparisonForDate, syncPayoutComparisonForDateRange } from './src/services/payout-comparison-sync.js';
-import pg from 'pg';
+import { closePool } from './src/database/pool.js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -34,8 +34,6 @@ const __dirname = dirname(__filename);
 
 dotenv.config({ path: join(__dirname, '.env') });
 
-const { Pool } = pg;
-
 // Helper to parse date from various formats
 const parseDate = (dateStr) => {
   if (!dateStr) return null;
@@ -149,16 +147,7 @@ const main = async () => {
   }
   
   // Close database pool
-  const pool = new Pool({
-    host: process.env.POSTGRES_HOST || process.env.DB_HOST || 'localhost',
-    port: parseInt(process.env.POSTGRES_PORT || process.env.DB_PORT || '5432'),
-    database: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-    user: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-    password: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-    ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
-  });
-  
-  await pool.end();
+  await closePool();
   process.exit(0);
 };
 
@@ -3,16 +3,11 @@
 // Script to run Ringba Campaign Summary sync service
 // Fetches and saves campaign summary data (RPC, total calls, etc.) for a specific date
 
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import dotenv from 'dotenv';
 import { syncCampaignSummary, syncCampaignSummaryByCampaignId } from './src/services/ringba-campaign-summary.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load environment variables
-dotenv.config({ path: join(__dirname, '.env') });
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 // Parse date from command line arguments
 // Returns the date string for YYYY-MM-DD format (to avoid timezone issues)
@@ -75,51 +70,6 @@ const parseDate = (dateStr) => {
   return null;
 };
 
-// Build config from environment variables
-const buildConfig = () => {
-  return {
-    dbHost: process.env.DB_HOST || process.env.POSTGRES_HOST,
-    dbPort: parseInt(process.env.DB_PORT || process.env.POSTGRES_PORT || '5432'),
-    dbName: process.env.DB_NAME || process.env.POSTGRES_DB_NAME,
-    dbUser: process.env.DB_USER || process.env.POSTGRES_USER_NAME,
-    dbPassword: process.env.DB_PASSWORD || process.env.POSTGRES_PASSWORD,
-    dbSsl: process.env.DB_SSL === 'true',
-    ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-    ringbaApiToken: process.env.RINGBA_API_TOKEN
-  };
-};
-
-// Validate config
-const validateConfig = (config) => {
-  const errors = [];
-  
-  if (!config.ringbaAccountId) {
-    errors.push('RINGBA_ACCOUNT_ID is required');
-  }
-  
-  if (!config.ringbaApiToken) {
-    errors.push('RINGBA_API_TOKEN is required');
-  }
-  
-  if (!config.dbHost) {
-    errors.push('DB_HOST is required');
-  }
-  
-  if (!config.dbName) {
-    errors.push('DB_NAME is required');
-  }
-  
-  if (!config.dbUser) {
-    errors.push('DB_USER is required');
-  }
-  
-  if (!config.dbPassword) {
-    errors.push('DB_PASSWORD is required');
-  }
-  
-  return errors;
-};
-
 // Main function
 const main = async () => {
   try {
@@ -151,17 +101,8 @@ const main = async () => {
         process.exit(1);
       }
       
-      // Build and validate config
-      const config = buildConfig();
-      const errors = validateConfig(config);
-      
-      if (errors.length > 0) {
-        console.error('❌ Configuration errors:');
-        errors.forEach(err => console.error(`  - ${err}`));
-        console.log('');
-        console.log('Please set the required environment variables in your .env file.');
-        process.exit(1);
-      }
+      // Load and validate config (.env / .env.<profile>); exits listing what is missing
+      const config = loadConfigOrExit('db', 'ringba');
       
       // Run the sync by campaign ID
       const result = await syncCampaignSummaryByCampaignId(config, campaignId, date);
@@ -190,17 +131,8 @@ const main = async () => {
         process.exit(1);
       }
       
-      // Build and validate config
-      const config = buildConfig();
-      const errors = validateConfig(config);
-      
-      if (errors.length > 0) {
-        console.error('❌ Configuration errors:');
-        errors.forEach(err => console.error(`  - ${err}`));
-        console.log('');
-        console.log('Please set the required environment variables in your .env file.');
-        process.exit(1);
-      }
+      // Load and validate config (.env / .env.<profile>); exits listing what is missing
+      const config = loadConfigOrExit('db', 'ringba');
       
       // Run the sync
       const result = await syncCampaignSummary(config, date);
@@ -5,7 +5,12 @@
  * Syncs cost changes from eLocal database to Ringba dashboard
  * 
  * Usage:
- *   node run-ringba-cost-sync.js <date-range> [category]
+ *   node run-ringba-cost-sync.js <date-range> [category] [--dry-run] [--plan] [--assignment=greedy|optimal] [--concurrency=<n>]
+ *   node run-ringba-cost-sync.js --apply-plan=<plan-id> [--concurrency=<n>]
+ *   node run-ringba-cost-sync.js --resume=<sync-run-id> [--concurrency=<n>]
+ * 
+ * A run that stops halfway (crash, network drop) is resumed automatically by the next run for the same
+ * date range and category; --resume retries the unconfirmed updates of any run without detecting changes again
  * 
  * Examples:
  *   node run-ringba-cost-sync.js past15days         # IST-aware 15 days (recommended)
@@ -15,20 +20,24 @@
  *   node run-ringba-cost-sync.js 18-11-2025
  *   node run-ringba-cost-sync.js 18-11-2025 to 19-11-2025
  *   node run-ringba-cost-sync.js 18-11-2025 to 19-11-2025 API
+ *   node run-ringba-cost-sync.js past15days --dry-run     # Compare greedy vs optimal matching, no writes
+ *   node run-ringba-cost-sync.js past15days --assignment=optimal
+ *   node run-ringba-cost-sync.js past15days --plan        # Save proposed updates for review, Ringba is not updated
+ *   node run-ringba-cost-sync.js past15days --concurrency=8  # Send 8 payment overrides in parallel (default 4)
+ *   node run-ringba-cost-sync.js --apply-plan=42          # Apply approved plan #42 to Ringba
+ *   node run-ringba-cost-sync.js --resume=ringba-cost-sync_20260120103000123_ab12cd  # Retry a run's failed/unsent updates
  */
 
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { syncCostToRingba } from './src/services/ringba-cost-sync.js';
+import { syncCostToRingba, applyCostSyncPlan, resumeCostSyncRun } from './src/services/ringba-cost-sync.js';
+import { ASSIGNMENT_MODES } from './src/matching/strategies.js';
+import { getCategories } from './src/config/campaign-registry.js';
+import { createProgressLogger } from './src/utils/concurrent-executor.js';
 import { getPast10DaysRange, getPast15DaysRangeForCostSync, getCurrentDayRange, getDateRangeDescription } from './src/utils/date-utils.js';
 import { initFileLogger, setupConsoleLogging, closeLogger, getLogFile } from './src/utils/file-logger.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load environment variables
-dotenv.config({ path: join(__dirname, '.env') });
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 // Format date for eLocal API (MM/DD/YYYY)
 const formatDateForElocal = (date) => {
@@ -166,49 +175,29 @@ const parseDateRange = (args) => {
   return null;
 };
 
-// Build config from environment variables
-const buildConfig = () => {
-  return {
-    dbHost: process.env.DB_HOST || process.env.POSTGRES_HOST,
-    dbPort: parseInt(process.env.DB_PORT || process.env.POSTGRES_PORT || '5432'),
-    dbName: process.env.DB_NAME || process.env.POSTGRES_DB_NAME,
-    dbUser: process.env.DB_USER || process.env.POSTGRES_USER_NAME,
-    dbPassword: process.env.DB_PASSWORD || process.env.POSTGRES_PASSWORD,
-    dbSsl: process.env.DB_SSL === 'true',
-    ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-    ringbaApiToken: process.env.RINGBA_API_TOKEN
-  };
-};
-
-// Validate config
-const validateConfig = (config) => {
-  const errors = [];
-
-  if (!config.ringbaAccountId) {
-    errors.push('RINGBA_ACCOUNT_ID is required');
-  }
-
-  if (!config.ringbaApiToken) {
-    errors.push('RINGBA_API_TOKEN is required');
-  }
-
-  if (!config.dbHost) {
-    errors.push('DB_HOST is required');
-  }
-
-  if (!config.dbName) {
-    errors.push('DB_NAME is required');
-  }
-
-  if (!config.dbUser) {
-    errors.push('DB_USER is required');
-  }
-
-  if (!config.dbPassword) {
-    errors.push('DB_PASSWORD is required');
+// Parse --flags (anything else is a positional argument)
+const parseFlags = (args) => {
+  const flags = { dryRun: false, plan: false, applyPlan: null, resume: null, assignment: null, concurrency: null };
+
+  for (const arg of args.filter(a => a.startsWith('--'))) {
+    if (arg === '--dry-run') {
+      flags.dryRun = true;
+    } else if (arg === '--plan') {
+      flags.plan = true;
+    } else if (arg.startsWith('--apply-plan=')) {
+      flags.applyPlan = arg.split('=')[1];
+    } else if (arg.startsWith('--resume=')) {
+      flags.resume = arg.substring('--resume='.length);
+    } else if (arg.startsWith('--concurrency=')) {
+      flags.concurrency = arg.split('=')[1];
+    } else if (arg.startsWith('--assignment=')) {
+      flags.assignment = arg.split('=')[1].toLowerCase();
+    } else {
+      flags.unknown = arg;
+    }
   }
 
-  return errors;
+  return flags;
 };
 
 // Main function
@@ -224,10 +213,57 @@ const main = async () => {
     }
     
     // Parse arguments
-    const args = process.argv.slice(2);
+    const flags = parseFlags(process.argv.slice(2));
+    const args = process.argv.slice(2).filter(a => !a.startsWith('--'));
+    
+    if (flags.unknown) {
+      console.error(`Error: Unknown option "${flags.unknown}"`);
+      process.exit(1);
+    }
+
+    const concurrency = flags.concurrency !== null ? parseInt(flags.concurrency, 10) : null;
+    if (flags.concurrency !== null && (!concurrency || concurrency < 1)) {
+      console.error(`Error: Invalid concurrency "${flags.concurrency}"`);
+      process.exit(1);
+    }
+    const sendOptions = { concurrency, onProgress: createProgressLogger('[Ringba Cost Sync]') };
+
+    // Apply an approved plan (no date range needed)
+    if (flags.applyPlan) {
+      const planId = parseInt(flags.applyPlan, 10);
+      if (!planId || planId < 1) {
+        console.error(`Error: Invalid plan ID "${flags.applyPlan}"`);
+        process.exit(1);
+      }
+
+      const config = loadConfigOrExit('db', 'ringba');
+
+      const result = await applyCostSyncPlan(config, planId, sendOptions);
+      console.log(`[SUCCESS] Plan #${planId} ${result.status}: ${result.updated} updated, ${result.failed} failed`);
+      if (logFilePath) {
+        console.log(`[INFO] Log file saved to: ${logFilePath}`);
+      }
+      await closeLogger();
+      process.exit(result.failed > 0 ? 1 : 0);
+    }
+
+    // Resume a run from its checkpoint (no date range needed)
+    if (flags.resume) {
+      const config = loadConfigOrExit('db', 'ringba');
+
+      const result = await resumeCostSyncRun(config, flags.resume, sendOptions);
+      console.log(`[SUCCESS] Run ${flags.resume} ${result.status}: ${result.updated} updated, ${result.failed} failed`);
+      if (logFilePath) {
+        console.log(`[INFO] Log file saved to: ${logFilePath}`);
+      }
+      await closeLogger();
+      process.exit(result.failed > 0 ? 1 : 0);
+    }
     
     if (args.length === 0) {
-      console.error('Usage: node run-ringba-cost-sync.js <date-range> [category]');
+      console.error('Usage: node run-ringba-cost-sync.js <date-range> [category] [--dry-run] [--plan] [--assignment=greedy|optimal] [--concurrency=<n>]');
+      console.error('       node run-ringba-cost-sync.js --apply-plan=<plan-id>');
+      console.error('       node run-ringba-cost-sync.js --resume=<sync-run-id>');
       console.error('');
       console.error('Examples:');
       console.error('  node run-ringba-cost-sync.js past10days');
@@ -236,10 +272,25 @@ const main = async () => {
       console.error('  node run-ringba-cost-sync.js 18-11-2025');
       console.error('  node run-ringba-cost-sync.js 18-11-2025 to 19-11-2025');
       console.error('  node run-ringba-cost-sync.js 18-11-2025 to 19-11-2025 API');
+      console.error('  node run-ringba-cost-sync.js past15days --dry-run');
+      console.error('  node run-ringba-cost-sync.js past15days --assignment=optimal');
+      console.error('  node run-ringba-cost-sync.js past15days --plan');
+      console.error('  node run-ringba-cost-sync.js --apply-plan=42');
+      console.error('  node run-ringba-cost-sync.js --resume=ringba-cost-sync_20260120103000123_ab12cd');
       await closeLogger();
       process.exit(1);
     }
 
+    if (flags.dryRun && flags.plan) {
+      console.error('Error: --dry-run and --plan cannot be used together');
+      process.exit(1);
+    }
+
+    if (flags.assignment && !ASSIGNMENT_MODES.includes(flags.assignment)) {
+      console.error(`Error: Invalid assignment "${flags.assignment}". Must be one of: ${ASSIGNMENT_MODES.join(', ')}`);
+      process.exit(1);
+    }
+
     // Parse date range
     const dateRange = parseDateRange(args);
     if (!dateRange) {
@@ -256,30 +307,28 @@ const main = async () => {
     let category = null;
     if (args.length === 2) {
       category = args[1].toUpperCase();
-      if (category !== 'API' && category !== 'STATIC') {
-        console.error(`Error: Invalid category "${category}". Must be "API" or "STATIC"`);
+      if (!getCategories().includes(category)) {
+        console.error(`Error: Invalid category "${category}". Must be one of: ${getCategories().join(', ')}`);
         process.exit(1);
       }
     } else if (args.length === 4 && args[3]) {
       category = args[3].toUpperCase();
-      if (category !== 'API' && category !== 'STATIC') {
-        console.error(`Error: Invalid category "${category}". Must be "API" or "STATIC"`);
+      if (!getCategories().includes(category)) {
+        console.error(`Error: Invalid category "${category}". Must be one of: ${getCategories().join(', ')}`);
         process.exit(1);
       }
     }
 
-    // Build and validate config
-    const config = buildConfig();
-    const errors = validateConfig(config);
-
-    if (errors.length > 0) {
-      console.error('Error: Missing required configuration:');
-      errors.forEach(err => console.error(`  - ${err}`));
-      process.exit(1);
-    }
+    // Load and validate config (.env / .env.<profile>); exits listing what is missing
+    const config = loadConfigOrExit('db', 'ringba');
 
     // Run sync
-    await syncCostToRingba(config, dateRange, category);
+    await syncCostToRingba(config, dateRange, category, {
+      dryRun: flags.dryRun,
+      plan: flags.plan,
+      ...sendOptions,
+      matching: flags.assignment ? { assignment: flags.assignment } : {}
+    });
 
     console.log('[SUCCESS] Sync completed successfully!');
     if (logFilePath) {
@@ -25,16 +25,11 @@
  *   node run-ringba-historical-sync.js 2025-11-01:2025-11-30 --campaign=CA56446512fe4e4926a05e76574a7d6963
  */
 
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import { syncHistoricalRingbaData, buildConfig } from './src/services/ringba-historical-sync.js';
+import { syncHistoricalRingbaData } from './src/services/ringba-historical-sync.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load environment variables
-dotenv.config({ path: join(__dirname, '.env') });
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 /**
  * Parse date from various formats
@@ -212,31 +207,6 @@ const showUsage = () => {
   console.log('');
 };
 
-/**
- * Validate configuration
- */
-const validateConfig = (config) => {
-  const errors = [];
-  
-  if (!config.ringbaAccountId) {
-    errors.push('RINGBA_ACCOUNT_ID is required');
-  }
-  if (!config.ringbaApiToken) {
-    errors.push('RINGBA_API_TOKEN is required');
-  }
-  if (!config.dbHost) {
-    errors.push('Database host (DB_HOST or POSTGRES_HOST) is required');
-  }
-  if (!config.dbUser) {
-    errors.push('Database user (DB_USER or POSTGRES_USER_NAME) is required');
-  }
-  if (!config.dbPassword) {
-    errors.push('Database password (DB_PASSWORD or POSTGRES_PASSWORD) is required');
-  }
-  
-  return errors;
-};
-
 /**
  * Main function
  */
@@ -267,18 +237,8 @@ const main = async () => {
   // Parse options
   const options = parseOptions(args);
   
-  // Build config
-  const config = buildConfig();
-  
-  // Validate config
-  const configErrors = validateConfig(config);
-  if (configErrors.length > 0) {
-    console.error('❌ Configuration errors:');
-    configErrors.forEach(err => console.error(`   - ${err}`));
-    console.error('');
-    console.error('Please set the required environment variables in your .env file.');
-    process.exit(1);
-  }
+  // Load and validate config (.env / .env.<profile>); exits listing what is missing
+  const config = loadConfigOrExit('db', 'ringba');
   
   // Show configuration
   console.log('');
@@ -30,17 +30,13 @@
  *   node run-ringba-original-sync.js 2025-11-19
  */
 
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import { syncRingbaOriginalPayout } from './src/services/ringba-original-sync.js';
+import { getCategories } from './src/config/campaign-registry.js';
 import { getPast10DaysRange, getRingbaSyncDateRange, getDateRangeDescription } from './src/utils/date-utils.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load environment variables
-dotenv.config({ path: join(__dirname, '.env') });
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 // Format date for eLocal API (MM/DD/YYYY)
 const formatDateForElocal = (date) => {
@@ -195,45 +191,6 @@ const parseDateRange = (dateRangeStr) => {
   }
 };
 
-// Build config from environment variables
-const buildConfig = () => {
-  return {
-    elocalBaseUrl: process.env.ELOCAL_BASE_URL || 'https://elocal.com',
-    dbHost: process.env.POSTGRES_HOST || process.env.DB_HOST,
-    dbPort: process.env.POSTGRES_PORT || process.env.DB_PORT || 5432,
-    dbName: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-    dbUser: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-    dbPassword: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-    dbSsl: process.env.DB_SSL === 'true',
-    ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-    ringbaApiToken: process.env.RINGBA_API_TOKEN
-  };
-};
-
-// Validate required config
-const validateConfig = (config) => {
-  const requiredVars = [
-    { env: 'POSTGRES_HOST', alt: 'DB_HOST' },
-    { env: 'POSTGRES_DB_NAME', alt: 'DB_NAME' },
-    { env: 'POSTGRES_USER_NAME', alt: 'DB_USER' },
-    { env: 'POSTGRES_PASSWORD', alt: 'DB_PASSWORD' },
-    { env: 'RINGBA_ACCOUNT_ID' },
-    { env: 'RINGBA_API_TOKEN' }
-  ];
-  
-  const missingVars = requiredVars.filter(
-    ({ env, alt }) => !process.env[env] && !process.env[alt]
-  ).map(({ env }) => env);
-
-  if (missingVars.length > 0) {
-    console.error('[ERROR] Missing required environment variables:');
-    missingVars.forEach(varName => 
-      console.error(`  - ${varName}`)
-    );
-    process.exit(1);
-  }
-};
-
 // Print usage information
 const printUsage = () => {
   console.log('');
@@ -246,7 +203,7 @@ const printUsage = () => {
   console.log('             - Single date: "2025-11-19", "11/19/2025", or "19-11-2025"');
   console.log('             - Date range:  "2025-11-19:2025-11-20", "11/19/2025:11/20/2025", or "18-11-2025:19-11-2025"');
   console.log('             - If omitted, defaults to "current" (current day with timezone logic)');
-  console.log('  category (optional): "API" or "STATIC" - filter by category');
+  console.log(`  category (optional): ${getCategories().map(c => `"${c}"`).join(' or ')} - filter by category`);
   console.log('                      If omitted, syncs all categories');
   console.log('');
   console.log('Examples:');
@@ -268,15 +225,14 @@ async function runSync() {
     const category = process.argv[3] || null; // Optional category filter
     
     // Validate category if provided
-    if (category && category !== 'API' && category !== 'STATIC') {
-      console.error(`[ERROR] Invalid category: ${category}. Must be 'API' or 'STATIC'`);
+    if (category && !getCategories().includes(category)) {
+      console.error(`[ERROR] Invalid category: ${category}. Must be one of: ${getCategories().join(', ')}`);
       printUsage();
       process.exit(1);
     }
 
-    // Build and validate config
-    const config = buildConfig();
-    validateConfig(config);
+    // Load and validate config (.env / .env.<profile>); exits listing what is missing
+    const config = loadConfigOrExit('db', 'ringba');
 
     // Parse date range
     let dateRange;
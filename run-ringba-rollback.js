@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Runner script for Ringba payment rollback
+ * Restores payout/revenue from ringba_payment_journal through the same override API
+ *
+ * Usage:
+ *   node run-ringba-rollback.js --run=<sync-run-id> [--dry-run] [--actor=<name>]
+ *   node run-ringba-rollback.js --call=<inbound-call-id> [--run=<sync-run-id>] [--dry-run] [--actor=<name>]
+ *
+ * Examples:
+ *   node run-ringba-rollback.js --run=ringba-cost-sync_20260120103000123_ab12cd            # Whole run
+ *   node run-ringba-rollback.js --run=ringba-cost-sync_20260120103000123_ab12cd --dry-run  # Show what would be restored
+ *   node run-ringba-rollback.js --call=RGB1234567890                                       # Single call (before its first journaled override)
+ *   node run-ringba-rollback.js --call=RGB1234567890 --run=ringba-cost-sync_20260120103000123_ab12cd
+ */
+
+import { rollbackPayments } from './src/services/ringba-payment-journal.js';
+import { initFileLogger, setupConsoleLogging, closeLogger } from './src/utils/file-logger.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
+
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
+
+// Parse --flags
+const parseFlags = (args) => {
+  const flags = { syncRunId: null, inboundCallId: null, actor: null, dryRun: false };
+
+  for (const arg of args) {
+    if (arg === '--dry-run') {
+      flags.dryRun = true;
+    } else if (arg.startsWith('--run=')) {
+      flags.syncRunId = arg.substring('--run='.length);
+    } else if (arg.startsWith('--call=')) {
+      flags.inboundCallId = arg.substring('--call='.length);
+    } else if (arg.startsWith('--actor=')) {
+      flags.actor = arg.substring('--actor='.length);
+    } else {
+      flags.unknown = arg;
+    }
+  }
+
+  return flags;
+};
+
+// Main function
+const main = async () => {
+  let logFilePath = null;
+
+  try {
+    const flags = parseFlags(process.argv.slice(2));
+
+    if (flags.unknown || (!flags.syncRunId && !flags.inboundCallId)) {
+      if (flags.unknown) {
+        console.error(`Error: Unknown option "${flags.unknown}"`);
+      }
+      console.error('Usage: node run-ringba-rollback.js --run=<sync-run-id> [--dry-run] [--actor=<name>]');
+      console.error('       node run-ringba-rollback.js --call=<inbound-call-id> [--run=<sync-run-id>] [--dry-run] [--actor=<name>]');
+      process.exit(1);
+    }
+
+    // Initialize file logger
+    logFilePath = await initFileLogger();
+    if (logFilePath) {
+      console.log(`[INFO] Logging to file: ${logFilePath}`);
+      await setupConsoleLogging();
+    }
+
+    // Load and validate config (.env / .env.<profile>); exits listing what is missing
+    const config = loadConfigOrExit('db', 'ringba');
+
+    const result = await rollbackPayments(config, {
+      syncRunId: flags.syncRunId,
+      inboundCallId: flags.inboundCallId,
+      actor: flags.actor || process.env.USER || 'cli',
+      dryRun: flags.dryRun
+    });
+
+    console.log('='.repeat(70));
+    console.log('Rollback Summary');
+    console.log('='.repeat(70));
+    console.log(`Rollback Run ID:      ${result.rollbackRunId}`);
+    console.log(`Calls In Scope:       ${result.calls}`);
+    console.log(`Restored:             ${result.restored}`);
+    console.log(`Failed:               ${result.failed}`);
+    console.log('='.repeat(70));
+
+    if (logFilePath) {
+      console.log(`[INFO] Log file saved to: ${logFilePath}`);
+    }
+
+    await closeLogger();
+    process.exit(result.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('[ERROR] Rollback failed:', error.message);
+    if (error.stack) {
+      console.error(error.stack);
+    }
+    if (logFilePath) {
+      console.error(`[INFO] Error log saved to: ${logFilePath}`);
+    }
+    await closeLogger();
+    process.exit(1);
+  }
+};
+
+main();
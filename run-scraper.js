@@ -24,17 +24,13 @@
  *   node run-scraper.js STATIC 18-11-2025:19-11-2025
  */
 
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import { scrapeElocalDataWithDateRange } from './src/services/elocal.scrapper.js';
+import { getCategories } from './src/config/campaign-registry.js';
 import { getDateRangeDescription, getPast10DaysRange, getPast15DaysRangeForHistorical } from './src/utils/date-utils.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load environment variables
-dotenv.config({ path: join(__dirname, '.env') });
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 // Format date for eLocal API (MM/DD/YYYY)
 const formatDateForElocal = (date) => {
@@ -188,51 +184,13 @@ const parseDateRange = (dateRangeStr) => {
   }
 };
 
-// Build config from environment variables
-const buildConfig = () => {
-  return {
-    elocalBaseUrl: process.env.ELOCAL_BASE_URL || 'https://elocal.com',
-    dbHost: process.env.POSTGRES_HOST || process.env.DB_HOST,
-    dbPort: process.env.POSTGRES_PORT || process.env.DB_PORT || 5432,
-    dbName: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-    dbUser: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-    dbPassword: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-    dbSsl: process.env.DB_SSL === 'true',
-    ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-    ringbaApiToken: process.env.RINGBA_API_TOKEN
-  };
-};
-
-// Validate required config
-const validateConfig = (config) => {
-  const requiredVars = [
-    { env: 'POSTGRES_HOST', alt: 'DB_HOST' },
-    { env: 'POSTGRES_DB_NAME', alt: 'DB_NAME' },
-    { env: 'POSTGRES_USER_NAME', alt: 'DB_USER' },
-    { env: 'POSTGRES_PASSWORD', alt: 'DB_PASSWORD' }
-  ];
-
-  const missingVars = requiredVars.filter(
-    ({ env, alt }) => !process.env[env] && !process.env[alt]
-  ).map(({ env }) => env);
-
-  if (missingVars.length > 0) {
-    console.error('[ERROR] Missing required environment variables:');
-    missingVars.forEach(varName =>
-      console.error(`  - ${varName} (or ${varName.replace('POSTGRES_', 'DB_').replace('_NAME', '').replace('_USER', '_USER')})`)
-    );
-    console.error('\nPlease ensure your .env file contains all required variables.');
-    process.exit(1);
-  }
-};
-
 // Print usage information
 const printUsage = () => {
   console.log('');
   console.log('Usage: node run-scraper.js <category> <date-range>');
   console.log('');
   console.log('Parameters:');
-  console.log('  category:    STATIC or API');
+  console.log(`  category:    ${getCategories().join(' or ')} (campaigns-config.json)`);
   console.log('  date-range: Special keywords, single date, or date range');
   console.log('             - Special: "historical" or "past10days" (past 10 days excluding today)');
   console.log('             - Single date: "2025-11-19", "11/19/2025", or "19-11-2025"');
@@ -265,7 +223,7 @@ async function runScraper() {
     }
 
     // Validate category
-    const validCategories = ['STATIC', 'API'];
+    const validCategories = getCategories();
     if (!validCategories.includes(category.toUpperCase())) {
       console.error(`[ERROR] Invalid category: ${category}`);
       console.error(`Valid categories: ${validCategories.join(', ')}`);
@@ -275,9 +233,8 @@ async function runScraper() {
 
     const normalizedCategory = category.toUpperCase();
 
-    // Build and validate config
-    const config = buildConfig();
-    validateConfig(config);
+    // Load and validate config (.env / .env.<profile>); exits listing what is missing
+    const config = loadConfigOrExit('db', 'elocal');
 
     // Parse date range - check for special keywords first
     let dateRange;
@@ -0,0 +1,106 @@
+// Alert channels: where the dispatcher (dispatcher.js) sends an alert
+// A channel is { name, send(alert) }; send throws when the alert was not delivered.
+// alert: { rule, key, severity ('critical' | 'warning' | 'info'), title, message, details, at }
+import fetch from 'node-fetch';
+import { sendMail } from './smtp-client.js';
+
+const SEVERITY_EMOJI = { critical: '🚨', warning: '⚠️', info: 'ℹ️' };
+const SEVERITY_COLOR = { critical: '#dc2626', warning: '#f59e0b', info: '#2563eb' };
+const REQUEST_TIMEOUT_MS = 10000;
+
+const postJSON = async (url, body, headers = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${response.status} ${response.statusText} - ${errorText.slice(0, 200)}`);
+    }
+    return { status: response.status };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// "key: value" lines of the alert details
+const detailLines = (details) =>
+  Object.entries(details || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+
+// Generic webhook: the alert as JSON
+export const createWebhookChannel = ({ url, headers = {} }) => ({
+  name: 'webhook',
+  send: (alert) => postJSON(url, alert, headers)
+});
+
+// Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat): text plus a colored attachment
+export const createSlackChannel = ({ url }) => ({
+  name: 'slack',
+  send: (alert) => postJSON(url, {
+    text: `${SEVERITY_EMOJI[alert.severity] || ''} *${alert.title}*\n${alert.message}`,
+    attachments: [{
+      color: SEVERITY_COLOR[alert.severity] || SEVERITY_COLOR.info,
+      fields: Object.entries(alert.details || {})
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => ({ title: key, value: typeof value === 'object' ? JSON.stringify(value) : String(value), short: true })),
+      footer: `${alert.rule} · ${alert.at}`
+    }]
+  })
+});
+
+// SMTP: one plain-text mail per alert
+export const createSmtpChannel = ({ host, port, secure, user, password, allowInsecureAuth, from, to }) => ({
+  name: 'smtp',
+  send: (alert) => sendMail({
+    host,
+    port,
+    secure,
+    user,
+    password,
+    allowInsecureAuth,
+    from,
+    to,
+    subject: `[${alert.severity.toUpperCase()}] ${alert.title}`,
+    text: [alert.message, '', ...detailLines(alert.details), '', `Rule: ${alert.rule}`, `Time: ${alert.at}`].join('\n')
+  })
+});
+
+/**
+ * Channels configured in the environment
+ *   ALERT_WEBHOOK_URL                                generic webhook
+ *   ALERT_SLACK_WEBHOOK_URL                          Slack-compatible incoming webhook
+ *   ALERT_SMTP_HOST, ALERT_SMTP_PORT (25), ALERT_SMTP_SECURE (false), ALERT_SMTP_USER, ALERT_SMTP_PASSWORD,
+ *   ALERT_SMTP_ALLOW_INSECURE_AUTH (false), ALERT_SMTP_FROM, ALERT_SMTP_TO (comma-separated)  mail
+ * @returns {Array<{name: string, send: Function}>}
+ */
+export const getConfiguredChannels = (env = process.env) => {
+  const channels = [];
+
+  if (env.ALERT_WEBHOOK_URL) {
+    channels.push(createWebhookChannel({ url: env.ALERT_WEBHOOK_URL }));
+  }
+  if (env.ALERT_SLACK_WEBHOOK_URL) {
+    channels.push(createSlackChannel({ url: env.ALERT_SLACK_WEBHOOK_URL }));
+  }
+  if (env.ALERT_SMTP_HOST && env.ALERT_SMTP_TO) {
+    channels.push(createSmtpChannel({
+      host: env.ALERT_SMTP_HOST,
+      port: parseInt(env.ALERT_SMTP_PORT || '25', 10),
+      secure: env.ALERT_SMTP_SECURE === 'true',
+      user: env.ALERT_SMTP_USER || null,
+      password: env.ALERT_SMTP_PASSWORD || null,
+      allowInsecureAuth: env.ALERT_SMTP_ALLOW_INSECURE_AUTH === 'true',
+      from: env.ALERT_SMTP_FROM || `ringbav2 alerts <alerts@${env.ALERT_SMTP_HOST}>`,
+      to: env.ALERT_SMTP_TO.split(',').map(address => address.trim()).filter(Boolean)
+    }));
+  }
+
+  return channels;
+};
@@ -0,0 +1,92 @@
+// Alert dispatcher: sends an alert to every configured channel (channels.js) and stores it in the alerts table
+// An alert with the same key is not sent again within its cooldown (alert.cooldownMinutes, default
+// ALERT_COOLDOWN_MINUTES = 60), so a job that keeps failing or a drift that stays open does not flood the channels.
+// Dispatching is best effort: a channel or database failure is logged and never breaks the caller.
+import { dbOps } from '../database/postgres-operations.js';
+import { getConfiguredChannels } from './channels.js';
+
+const DEFAULT_COOLDOWN_MINUTES = parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 60;
+
+let warnedNoChannels = false;
+
+/**
+ * Create a dispatcher
+ * @param {Object} options - { config (dbOps config), channels (default: from the environment), record (store in alerts, default true) }
+ * @returns {{channels: Array, dispatch: Function}}
+ */
+export const createAlertDispatcher = ({ config = {}, channels = getConfiguredChannels(), record = true } = {}) => {
+  const db = dbOps(config);
+
+  const isCoolingDown = async (alert) => {
+    const cooldownMinutes = alert.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES;
+    if (!record || cooldownMinutes <= 0) {
+      return false;
+    }
+    try {
+      const lastSent = await db.getLastAlertTime(alert.key);
+      return Boolean(lastSent) && Date.now() - new Date(lastSent).getTime() < cooldownMinutes * 60 * 1000;
+    } catch (error) {
+      console.warn(`[WARN] Failed to read alert history, sending without cooldown: ${error.message}`);
+      return false;
+    }
+  };
+
+  /**
+   * Send one alert
+   * @param {Object} alert - { rule, key, severity, title, message, details, cooldownMinutes }
+   * @returns {Promise<{sent: boolean, suppressed: boolean, results: Array<{name, ok, error}>}>}
+   */
+  const dispatch = async (alert) => {
+    const fullAlert = { ...alert, at: new Date().toISOString() };
+
+    if (await isCoolingDown(fullAlert)) {
+      console.log(`[SKIP] Alert "${fullAlert.title}" already sent within the cooldown (${fullAlert.key})`);
+      return { sent: false, suppressed: true, results: [] };
+    }
+
+    if (channels.length === 0 && !warnedNoChannels) {
+      warnedNoChannels = true;
+      console.warn('[WARN] No alert channels configured (ALERT_WEBHOOK_URL, ALERT_SLACK_WEBHOOK_URL, ALERT_SMTP_HOST)');
+    }
+
+    const settled = await Promise.allSettled(channels.map(channel => channel.send(fullAlert)));
+    const results = settled.map((outcome, index) => ({
+      name: channels[index].name,
+      ok: outcome.status === 'fulfilled',
+      error: outcome.status === 'rejected' ? outcome.reason.message : null
+    }));
+
+    console.log(`[${fullAlert.severity === 'critical' ? 'ERROR' : 'WARN'}] ALERT: ${fullAlert.title} - ${fullAlert.message}`);
+    results.forEach(result => {
+      if (result.ok) {
+        console.log(`[INFO] Alert sent via ${result.name}`);
+      } else {
+        console.warn(`[WARN] Alert not sent via ${result.name}: ${result.error}`);
+      }
+    });
+
+    if (record) {
+      try {
+        await db.recordAlert(fullAlert, results);
+      } catch (error) {
+        console.warn(`[WARN] Failed to record alert in alerts table: ${error.message}`);
+      }
+    }
+
+    return { sent: results.some(result => result.ok), suppressed: false, results };
+  };
+
+  return { channels, dispatch };
+};
+
+// Send several alerts with one dispatcher; returns the number actually sent
+export const dispatchAlerts = async (config, alerts, dispatcher = createAlertDispatcher({ config })) => {
+  let sent = 0;
+  for (const alert of alerts) {
+    const result = await dispatcher.dispatch(alert);
+    if (result.sent) {
+      sent++;
+    }
+  }
+  return sent;
+};
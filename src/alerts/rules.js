@@ -0,0 +1,219 @@
+// Alert rules
+//   job-failed       a recorded job run failed (trackJobRun)
+//   unmatched-ratio  a cost sync left too many eLocal calls unmatched, or far more than its recent runs
+//   auth-session     the eLocal auth session is missing, marked not working, expired or about to expire
+//   payout-drift     eLocal vs Ringba daily delta in payout_comparison_daily above the threshold
+// The rule functions turn data into alerts ({ rule, key, severity, title, message, details, cooldownMinutes });
+// alertOnJobRun / checkAuthSession / checkPayoutDrift load the data and dispatch.
+import { dbOps } from '../database/postgres-operations.js';
+import { dispatchAlerts } from './dispatcher.js';
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+export const ALERT_THRESHOLDS = {
+  authExpiryHours: envNumber('ALERT_AUTH_EXPIRY_HOURS', 24),
+  payoutDriftAmount: envNumber('ALERT_PAYOUT_DRIFT_AMOUNT', 25),
+  payoutDriftPct: envNumber('ALERT_PAYOUT_DRIFT_PCT', 5),
+  unmatchedRatio: envNumber('ALERT_UNMATCHED_RATIO', 0.25),
+  unmatchedSpikeFactor: envNumber('ALERT_UNMATCHED_SPIKE_FACTOR', 2),
+  unmatchedMinCalls: envNumber('ALERT_UNMATCHED_MIN_CALLS', 20)
+};
+
+const describeRange = (run) =>
+  run.startDate ? (run.endDate && run.endDate !== run.startDate ? `${run.startDate} to ${run.endDate}` : run.startDate) : null;
+
+// run: { id, jobType, category, startDate, endDate, status, errorMessage }
+export const jobFailedAlert = (run) => {
+  if (run.status !== 'failed') {
+    return null;
+  }
+  return {
+    rule: 'job-failed',
+    key: `job-failed:${run.jobType}:${run.category || 'all'}`,
+    severity: 'critical',
+    title: `${run.jobType}${run.category ? ` (${run.category})` : ''} failed`,
+    message: run.errorMessage || 'No error message',
+    details: { jobRunId: run.id, dateRange: describeRange(run), source: run.source }
+  };
+};
+
+// Unmatched ratio of a cost sync run vs the absolute threshold and the average of previous runs
+export const unmatchedRatioAlert = (run, counters, previousCounters = [], thresholds = ALERT_THRESHOLDS) => {
+  const ratioOf = (c) => (c && c.elocalCalls > 0 ? (c.unmatched || 0) / c.elocalCalls : null);
+
+  const ratio = ratioOf(counters);
+  if (ratio === null || counters.elocalCalls < thresholds.unmatchedMinCalls) {
+    return null;
+  }
+
+  const baselineRatios = previousCounters.map(ratioOf).filter(value => value !== null);
+  const baseline = baselineRatios.length > 0
+    ? baselineRatios.reduce((sum, value) => sum + value, 0) / baselineRatios.length
+    : null;
+
+  const aboveThreshold = ratio > thresholds.unmatchedRatio;
+  const spike = baseline !== null && baseline > 0 && ratio > baseline * thresholds.unmatchedSpikeFactor;
+  if (!aboveThreshold && !spike) {
+    return null;
+  }
+
+  const pct = (value) => `${(value * 100).toFixed(1)}%`;
+  return {
+    rule: 'unmatched-ratio',
+    key: `unmatched-ratio:${run.category || 'all'}`,
+    severity: 'warning',
+    title: `Cost sync unmatched calls at ${pct(ratio)}${run.category ? ` (${run.category})` : ''}`,
+    message: `${counters.unmatched} of ${counters.elocalCalls} eLocal calls had no Ringba match` +
+      (baseline !== null ? ` (average of the last ${baselineRatios.length} runs: ${pct(baseline)})` : ''),
+    details: {
+      jobRunId: run.id,
+      dateRange: describeRange(run),
+      ratio: Number(ratio.toFixed(4)),
+      baseline: baseline !== null ? Number(baseline.toFixed(4)) : null,
+      threshold: thresholds.unmatchedRatio,
+      spikeFactor: thresholds.unmatchedSpikeFactor
+    }
+  };
+};
+
+// session: latest auth_sessions row (null when there is none)
+export const authSessionAlert = (session, now = new Date(), thresholds = ALERT_THRESHOLDS) => {
+  if (!session) {
+    return {
+      rule: 'auth-session',
+      key: 'auth-session:missing',
+      severity: 'critical',
+      title: 'No eLocal auth session',
+      message: 'auth_sessions has no session; run the auth refresh',
+      details: {},
+      cooldownMinutes: 6 * 60
+    };
+  }
+
+  const expiresAt = new Date(session.expires_at);
+  const hoursLeft = (expiresAt.getTime() - now.getTime()) / (1000 * 60 * 60);
+  const details = {
+    sessionId: session.id,
+    expiresAt: expiresAt.toISOString(),
+    lastChecked: session.last_checked ? new Date(session.last_checked).toISOString() : null,
+    lastError: session.last_error_message || null
+  };
+
+  if (!session.is_working) {
+    return {
+      rule: 'auth-session',
+      key: `auth-session:invalid:${session.id}`,
+      severity: 'critical',
+      title: 'eLocal auth session is not working',
+      message: session.last_error_message || `Session ${session.id} was marked as not working`,
+      details,
+      cooldownMinutes: 6 * 60
+    };
+  }
+  if (hoursLeft <= 0) {
+    return {
+      rule: 'auth-session',
+      key: `auth-session:expired:${session.id}`,
+      severity: 'critical',
+      title: 'eLocal auth session expired',
+      message: `Session ${session.id} expired at ${expiresAt.toISOString()}; run the auth refresh`,
+      details,
+      cooldownMinutes: 6 * 60
+    };
+  }
+  if (hoursLeft <= thresholds.authExpiryHours) {
+    return {
+      rule: 'auth-session',
+      key: `auth-session:expiring:${session.id}`,
+      severity: 'warning',
+      title: `eLocal auth session expires in ${hoursLeft.toFixed(1)} hours`,
+      message: `Session ${session.id} expires at ${expiresAt.toISOString()}`,
+      details,
+      cooldownMinutes: 6 * 60
+    };
+  }
+  return null;
+};
+
+// days: payout_comparison_daily rows ({ date, ringbaTotal, elocalTotal, adjustments, adjustmentPct })
+// A day drifts when both the amount and the percentage are above their thresholds
+export const payoutDriftAlerts = (days, thresholds = ALERT_THRESHOLDS) =>
+  days
+    .filter(day => Math.abs(day.adjustments) >= thresholds.payoutDriftAmount
+      && Math.abs(day.adjustmentPct) >= thresholds.payoutDriftPct)
+    .map(day => ({
+      rule: 'payout-drift',
+      key: `payout-drift:${day.date}`,
+      severity: 'warning',
+      title: `Payout drift on ${day.date}: $${day.adjustments.toFixed(2)} (${day.adjustmentPct.toFixed(2)}%)`,
+      message: `eLocal $${day.elocalTotal.toFixed(2)} vs Ringba $${day.ringbaTotal.toFixed(2)}`,
+      details: {
+        date: day.date,
+        elocalTotal: day.elocalTotal,
+        ringbaTotal: day.ringbaTotal,
+        delta: day.adjustments,
+        deltaPct: day.adjustmentPct,
+        thresholdAmount: thresholds.payoutDriftAmount,
+        thresholdPct: thresholds.payoutDriftPct
+      },
+      cooldownMinutes: 24 * 60
+    }));
+
+// Load the eLocal auth session and alert when it is not usable; returns the number of alerts sent
+export const checkAuthSession = async (config) => {
+  const session = await dbOps(config || {}).getLatestAuthSession();
+  const alert = authSessionAlert(session);
+  return alert ? dispatchAlerts(config, [alert]) : 0;
+};
+
+// Alert on drifting days of a date range (YYYY-MM-DD); returns { days, drifting, sent }
+export const checkPayoutDrift = async (config, startDate, endDate) => {
+  const days = await dbOps(config || {}).getPayoutComparisonDays(startDate, endDate);
+  const alerts = payoutDriftAlerts(days);
+  const sent = alerts.length > 0 ? await dispatchAlerts(config, alerts) : 0;
+  return { days: days.length, drifting: alerts.length, sent };
+};
+
+/**
+ * Alerts for a finished job run (called by trackJobRun); never throws
+ * @param {Object} config - Database config (dbOps)
+ * @param {Object} run - { id, jobType, category, startDate, endDate, status, counters, errorMessage, source }
+ */
+export const alertOnJobRun = async (config, run) => {
+  try {
+    const alerts = [];
+
+    const failed = jobFailedAlert(run);
+    if (failed) {
+      alerts.push(failed);
+    }
+
+    if (run.jobType === 'ringba-cost' && run.status !== 'failed' && run.counters) {
+      const previous = run.id
+        ? await dbOps(config || {}).getRecentJobRunCounters('ringba-cost', { category: run.category || null, excludeId: run.id })
+        : [];
+      const unmatched = unmatchedRatioAlert(run, run.counters, previous.map(row => row.counters));
+      if (unmatched) {
+        alerts.push(unmatched);
+      }
+    }
+
+    if (alerts.length > 0) {
+      await dispatchAlerts(config, alerts);
+    }
+
+    // A fresh payout comparison: check its days (up to yesterday - today is still moving)
+    if (run.jobType === 'payout-comparison' && run.status !== 'failed' && run.startDate) {
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const endDate = run.endDate && run.endDate < yesterday ? run.endDate : yesterday;
+      if (run.startDate <= endDate) {
+        await checkPayoutDrift(config, run.startDate, endDate);
+      }
+    }
+  } catch (error) {
+    console.warn(`[WARN] Failed to evaluate alerts for ${run.jobType} run: ${error.message}`);
+  }
+};
@@ -0,0 +1,163 @@
+// Minimal SMTP client for alert mails (plain text, no attachments)
+// Supports implicit TLS (port 465, secure: true), STARTTLS when the server offers it, and AUTH PLAIN / LOGIN.
+// AUTH is only sent over TLS unless allowInsecureAuth is set (local sinks without TLS).
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Reads SMTP replies from a socket; a reply can span several "250-..." lines and ends with "250 ..."
+const createReplyReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  const waiting = [];
+  const replies = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+        replies.push({ code: parseInt(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (error) => {
+    failure = error;
+    settle();
+  };
+  const onClose = () => onError(new Error('SMTP connection closed'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    }
+  };
+};
+
+const connect = ({ host, port, secure, timeoutMs }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+  socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+  socket.once('error', reject);
+});
+
+const upgradeToTls = (socket, host) => new Promise((resolve, reject) => {
+  const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+  secureSocket.once('error', reject);
+});
+
+// Message body with CRLF line endings and dot-stuffing (RFC 5321 4.5.2)
+const formatMessage = ({ from, to, subject, text }) => {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  const body = text.replace(/\r?\n/g, '\r\n').split('\r\n').map(line => line.startsWith('.') ? `.${line}` : line);
+  return [...headers, '', ...body].join('\r\n');
+};
+
+/**
+ * Send one plain-text mail
+ * @param {Object} options - { host, port, secure, user, password, allowInsecureAuth, from, to: string[], subject, text,
+ *   timeoutMs }
+ * @returns {Promise<{accepted: string[], response: string}>}
+ */
+export const sendMail = async (options) => {
+  const { host, port = 25, secure = false, user = null, password = null, allowInsecureAuth = false, from, to, subject, text } = options;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  let socket = await connect({ host, port, secure, timeoutMs });
+  let reader = createReplyReader(socket);
+
+  const command = async (line, expected) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const shown = line && line.startsWith('AUTH') ? 'AUTH' : line;
+      throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+    let encrypted = secure;
+    if (!secure && ehlo.lines.some(line => /^STARTTLS/i.test(line))) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgradeToTls(socket, host);
+      reader = createReplyReader(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+      encrypted = true;
+    }
+
+    if (user && !encrypted && !allowInsecureAuth) {
+      throw new Error(`SMTP server ${host}:${port} does not offer STARTTLS - refusing to send credentials unencrypted (use ALERT_SMTP_SECURE=true, or ALERT_SMTP_ALLOW_INSECURE_AUTH=true for a local server)`);
+    }
+
+    if (user) {
+      const authLine = ehlo.lines.find(line => /^AUTH/i.test(line)) || '';
+      if (/PLAIN/i.test(authLine) || !/LOGIN/i.test(authLine)) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${password || ''}`).toString('base64')}`, [235]);
+      } else {
+        await command('AUTH LOGIN', [334]);
+        await command(Buffer.from(user).toString('base64'), [334]);
+        await command(Buffer.from(password || '').toString('base64'), [235]);
+      }
+    }
+
+    await command(`MAIL FROM:<${from.replace(/^.*<|>.*$/g, '')}>`, [250]);
+    for (const recipient of to) {
+      await command(`RCPT TO:<${recipient.replace(/^.*<|>.*$/g, '')}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+    const sent = await command(`${formatMessage({ from, to, subject, text })}\r\n.`, [250]);
+
+    socket.write('QUIT\r\n');
+    return { accepted: to, response: sent.lines.join(' ') };
+  } finally {
+    reader.detach();
+    socket.end();
+  }
+};
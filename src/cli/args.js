@@ -0,0 +1,146 @@
+// Argument parsing shared by all ringbav2 subcommands
+//
+// Flags use the --name=value form like the run-*.js scripts; a bare --name is a boolean.
+// Shared flags:
+//   --from=YYYY-MM-DD --to=YYYY-MM-DD   explicit range (--to defaults to --from)
+//   --days=<n>                          the n days ending yesterday (business time zone, like the date windows)
+//   --window=<name>                     a named date window (built-in, or the "windows" of schedule-config.json)
+//   --category=<CATEGORY>               a category from campaigns-config.json
+//   --dry-run                           no writes (sync cost, migrate) / print what would run (script commands)
+//   --json                              machine-readable result on stdout, logs on stderr
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { createDateRange, resolveDateWindow, resolveNamedWindow, BUSINESS_TIMEZONE } from '../utils/date-utils.js';
+import { getCategories } from '../config/campaign-registry.js';
+
+const PROJECT_ROOT = join(dirname(fileURLToPath(import.meta.url)), '../..');
+
+export const SHARED_FLAGS = ['from', 'to', 'days', 'window', 'category', 'dry-run', 'json', 'help'];
+
+// Thrown for bad input; the CLI prints the message with the command usage and exits with 1
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+export const parseArgs = (argv) => {
+  const positionals = [];
+  const flags = {};
+
+  for (const arg of argv) {
+    if (arg === '-h') {
+      flags.help = true;
+    } else if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      if (eq === -1) {
+        flags[arg.substring(2)] = true;
+      } else {
+        flags[arg.substring(2, eq)] = arg.substring(eq + 1);
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { positionals, flags };
+};
+
+// Reject flags the command does not know (shared flags are always allowed)
+export const assertKnownFlags = (flags, allowed = []) => {
+  const known = new Set([...SHARED_FLAGS, ...allowed]);
+  const unknown = Object.keys(flags).find(name => !known.has(name));
+  if (unknown) {
+    throw new UsageError(`Unknown option "--${unknown}"`);
+  }
+};
+
+const parseDay = (value, name) => {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    throw new UsageError(`--${name} must be a date in YYYY-MM-DD format`);
+  }
+  const [year, month, day] = [parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)];
+  const date = new Date(year, month, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) {
+    throw new UsageError(`--${name} is not a valid date: ${value}`);
+  }
+  return date;
+};
+
+export const parsePositiveInt = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+  return number;
+};
+
+// Named windows of schedule-config.json (none when the file cannot be read: only the built-in windows are known)
+const loadConfigWindows = () => {
+  try {
+    return JSON.parse(readFileSync(join(PROJECT_ROOT, 'schedule-config.json'), 'utf-8')).windows || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Date range from --from/--to/--days/--window
+ * @param {Object} flags - Parsed flags
+ * @param {Function} defaultRange - Called when no range flag is given (e.g. getPast15DaysRangeForCostSync)
+ * @returns {Object} Date range ({ startDate, endDate, startDateFormatted, endDateFormatted, startDateURL, endDateURL })
+ */
+export const resolveDateRange = (flags, defaultRange) => {
+  if (flags.days !== undefined && (flags.from !== undefined || flags.to !== undefined)) {
+    throw new UsageError('--days cannot be combined with --from/--to');
+  }
+
+  if (flags.window !== undefined) {
+    if (flags.days !== undefined || flags.from !== undefined || flags.to !== undefined) {
+      throw new UsageError('--window cannot be combined with --from/--to/--days');
+    }
+    try {
+      return resolveNamedWindow(String(flags.window), loadConfigWindows());
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+
+  if (flags.days !== undefined) {
+    const days = parsePositiveInt(flags.days, 'days');
+    return resolveDateWindow({ lookbackDays: days, includeToday: false, timezone: BUSINESS_TIMEZONE });
+  }
+
+  if (flags.from !== undefined) {
+    const start = parseDay(flags.from, 'from');
+    const end = flags.to !== undefined ? parseDay(flags.to, 'to') : start;
+    if (end < start) {
+      throw new UsageError('--to must not be before --from');
+    }
+    return createDateRange(start, end);
+  }
+
+  if (flags.to !== undefined) {
+    throw new UsageError('--to requires --from');
+  }
+
+  if (!defaultRange) {
+    throw new UsageError('A date range is required (--from=YYYY-MM-DD [--to=YYYY-MM-DD], --days=<n> or --window=<name>)');
+  }
+  return defaultRange();
+};
+
+// --category, upper-cased and checked against the campaign registry (null when not given)
+export const resolveCategory = (flags) => {
+  if (flags.category === undefined) {
+    return null;
+  }
+  const category = String(flags.category).toUpperCase();
+  if (!getCategories().includes(category)) {
+    throw new UsageError(`Invalid category "${flags.category}". Must be one of: ${getCategories().join(', ')}`);
+  }
+  return category;
+};
@@ -0,0 +1,102 @@
+// ringbav2 alerts <test|check> - send a test alert through the configured channels, or run the scheduled checks
+import { UsageError, assertKnownFlags, resolveDateRange } from '../args.js';
+import { requireConfig } from '../context.js';
+import { getDateRangeDescription, createDateRange } from '../../utils/date-utils.js';
+
+const CHANNEL_NAMES = ['webhook', 'slack', 'smtp'];
+
+const noDryRun = (flags, name) => {
+  if (flags['dry-run']) {
+    throw new UsageError(`--dry-run is not supported by "alerts ${name}"`);
+  }
+};
+
+// Test alert to every configured channel (or --channel=<name>); nothing is stored, no database needed
+const alertsTest = async (flags) => {
+  assertKnownFlags(flags, ['channel']);
+  noDryRun(flags, 'test');
+  const { getConfiguredChannels } = await import('../../alerts/channels.js');
+  const { createAlertDispatcher } = await import('../../alerts/dispatcher.js');
+
+  const channel = flags.channel ? String(flags.channel).toLowerCase() : null;
+  if (channel && !CHANNEL_NAMES.includes(channel)) {
+    throw new UsageError(`Invalid channel "${flags.channel}". Must be one of: ${CHANNEL_NAMES.join(', ')}`);
+  }
+
+  const channels = getConfiguredChannels().filter(c => !channel || c.name === channel);
+  if (channels.length === 0) {
+    throw new UsageError(channel
+      ? `Channel "${channel}" is not configured (see ALERTS_README.md)`
+      : 'No alert channels configured (ALERT_WEBHOOK_URL, ALERT_SLACK_WEBHOOK_URL, ALERT_SMTP_HOST + ALERT_SMTP_TO)');
+  }
+
+  const dispatcher = createAlertDispatcher({ channels, record: false });
+  const result = await dispatcher.dispatch({
+    rule: 'test',
+    key: `test:${Date.now()}`,
+    severity: 'info',
+    title: 'ringbav2 test alert',
+    message: 'If you can read this, the alert channel works.',
+    details: { sentBy: 'ringbav2 alerts test' }
+  });
+
+  return {
+    data: result,
+    lines: result.results.map(r => r.ok ? `[SUCCESS] ${r.name}: delivered` : `[ERROR] ${r.name}: ${r.error}`),
+    exitCode: result.results.every(r => r.ok) ? 0 : 1
+  };
+};
+
+// Auth session and payout drift checks, like the scheduled "alert-check" job
+const alertsCheck = async (flags) => {
+  assertKnownFlags(flags);
+  noDryRun(flags, 'check');
+  const { runAlertChecks } = await import('../../services/alert-checks.js');
+
+  const dateRange = resolveDateRange(flags, () => {
+    const days = Number(process.env.ALERT_PAYOUT_DRIFT_DAYS || 7);
+    const end = new Date();
+    end.setDate(end.getDate() - 1);
+    const start = new Date(end);
+    start.setDate(start.getDate() - (days - 1));
+    return createDateRange(start, end);
+  });
+
+  const result = await runAlertChecks(requireConfig('db'), dateRange);
+  return {
+    data: { dateRange: getDateRangeDescription(dateRange), ...result },
+    lines: [
+      `[SUCCESS] Auth session alerts: ${result.authAlerts}`,
+      `[SUCCESS] Payout drift: ${result.drifting} of ${result.days} days above the threshold`,
+      `[SUCCESS] Alerts sent: ${result.alertsSent}`
+    ]
+  };
+};
+
+const SUBCOMMANDS = {
+  test: alertsTest,
+  check: alertsCheck
+};
+
+export const alertsCommand = {
+  name: 'alerts',
+  summary: 'Send a test alert or run the alert checks (auth session, payout drift)',
+  usage: [
+    'ringbav2 alerts test [--channel=webhook|slack|smtp]',
+    'ringbav2 alerts check [range]                     (default: past 7 days up to yesterday)',
+    '',
+    'Channels come from ALERT_WEBHOOK_URL, ALERT_SLACK_WEBHOOK_URL and ALERT_SMTP_* (see ALERTS_README.md).',
+    'Try them against the local sink: npm run mock:alerts'
+  ],
+  run: async (positionals, flags) => {
+    const [name] = positionals;
+    const handler = SUBCOMMANDS[name];
+    if (!handler) {
+      throw new UsageError(name ? `Unknown alerts action "${name}"` : 'Missing alerts action (test or check)');
+    }
+    if (positionals.length > 1) {
+      throw new UsageError(`Unexpected argument "${positionals[1]}"`);
+    }
+    return handler(flags);
+  }
+};
@@ -0,0 +1,38 @@
+// ringbav2 backfill <name> - Ringba exports/webhook backfills (run as the existing scripts)
+import { UsageError, assertKnownFlags, resolveDateRange } from '../args.js';
+import { runScript } from '../scripts.js';
+import { getCurrentDayRange } from '../../utils/date-utils.js';
+
+// name -> script taking <startDate> <endDate> as YYYY-MM-DD
+const BACKFILLS = {
+  'appliance-repair': { script: 'src/services/appliance-repair-backfill.js', description: 'Appliance Repair recordings -> webhook' },
+  'final-expense': { script: 'src/services/final-expense-backfill.js', description: 'Final Expense recordings -> webhook' },
+  'phonely-ai': { script: 'src/services/phonely-ai-sync.js', description: 'Phonely.AI target calls -> webhook' },
+  'ringba-txt': { script: 'src/services/ringba-txt-sync.js', description: 'Ringba campaign export to a .txt file' }
+};
+
+export const backfillCommand = {
+  name: 'backfill',
+  summary: 'Ringba call exports and webhook backfills',
+  usage: [
+    'ringbav2 backfill <name> [range] [--dry-run]   (default: today)',
+    '',
+    ...Object.entries(BACKFILLS).map(([name, { description }]) => `  ${name.padEnd(18)} ${description}`)
+  ],
+  run: async (positionals, flags, output) => {
+    assertKnownFlags(flags);
+    const [name] = positionals;
+    const backfill = BACKFILLS[name];
+    if (!backfill) {
+      throw new UsageError(name ? `Unknown backfill "${name}"` : 'Missing backfill name');
+    }
+
+    const dateRange = resolveDateRange(flags, getCurrentDayRange);
+    const result = await runScript(backfill.script, [dateRange.startDateURL, dateRange.endDateURL], {
+      dryRun: !!flags['dry-run'],
+      json: output.json
+    });
+
+    return { data: { backfill: name, ...result }, lines: [], exitCode: result.exitCode || 0 };
+  }
+};
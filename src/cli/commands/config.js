@@ -0,0 +1,48 @@
+// ringbav2 config [--require=db,ringba] - show the loaded configuration (secrets redacted) and check it
+import { UsageError, assertKnownFlags } from '../args.js';
+import { readConfig, findMissingConfig, redactConfig, formatConfig, CONFIG_GROUPS } from '../../config/app-config.js';
+
+const parseNeeds = (value) => {
+  if (value === undefined) return [];
+  const needs = String(value).split(',').map(need => need.trim()).filter(Boolean);
+  const unknown = needs.find(need => !CONFIG_GROUPS[need]);
+  if (unknown) {
+    throw new UsageError(`Unknown config group "${unknown}". Must be one of: ${Object.keys(CONFIG_GROUPS).join(', ')}`);
+  }
+  return needs;
+};
+
+export const configCommand = {
+  name: 'config',
+  summary: 'Show the configuration (secrets redacted) and what is missing or invalid',
+  usage: [
+    'ringbav2 config [--require=db,ringba,elocal,elocalLogin]',
+    '',
+    'Exits with 1 when a value is invalid or a required group is incomplete (see CONFIG_README.md).'
+  ],
+  run: async (positionals, flags) => {
+    if (positionals.length > 0) {
+      throw new UsageError(`Unexpected argument "${positionals[0]}"`);
+    }
+    assertKnownFlags(flags, ['require']);
+    if (flags['dry-run']) {
+      throw new UsageError('--dry-run is not supported by "config"');
+    }
+
+    const needs = parseNeeds(flags.require);
+    const { config, problems } = readConfig();
+    const allProblems = [...problems, ...findMissingConfig(config, needs)];
+
+    return {
+      data: { config: redactConfig(config), problems: allProblems },
+      lines: [
+        `[INFO] Configuration (profile ${config.profile}):`,
+        ...formatConfig(config),
+        ...(allProblems.length > 0
+          ? allProblems.map(problem => `[ERROR] ${problem}`)
+          : [`[SUCCESS] Configuration is valid${needs.length > 0 ? ` (${needs.join(', ')})` : ''}`])
+      ],
+      exitCode: allProblems.length > 0 ? 1 : 0
+    };
+  }
+};
@@ -0,0 +1,100 @@
+// ringbav2 migrate <status|up|down> - versioned schema migrations (migrations/, see MIGRATIONS_README.md)
+import { UsageError, assertKnownFlags } from '../args.js';
+import { requireConfig } from '../context.js';
+import { createMigrator, formatMigrationStatus } from '../../database/migrator.js';
+import { getPool, closePool } from '../../database/pool.js';
+
+const parseVersion = (value) => {
+  if (value === undefined) return null;
+  if (!/^\d{4}$/.test(String(value))) {
+    throw new UsageError('--to must be a migration version (NNNN, e.g. --to=0012)');
+  }
+  return String(value);
+};
+
+const parseSteps = (value) => {
+  if (value === undefined) return 1;
+  if (!/^[1-9]\d*$/.test(String(value))) {
+    throw new UsageError('--steps must be a positive number');
+  }
+  return parseInt(value, 10);
+};
+
+const migrateStatus = async (migrator) => {
+  const entries = await migrator.status();
+  const pending = entries.filter(entry => entry.state === 'pending').length;
+  const problems = entries.filter(entry => entry.state === 'changed' || entry.state === 'missing').length;
+  return {
+    data: { migrations: entries },
+    lines: [
+      ...formatMigrationStatus(entries),
+      `[INFO] ${entries.length - pending - problems} applied, ${pending} pending${problems ? `, ${problems} changed/missing` : ''}`
+    ],
+    exitCode: problems ? 1 : 0
+  };
+};
+
+const migrateUp = async (migrator, flags) => {
+  const dryRun = !!flags['dry-run'];
+  const result = await migrator.up({ to: parseVersion(flags.to), dryRun });
+  return {
+    data: result,
+    lines: [dryRun
+      ? `[INFO] ${result.pending.length} migration(s) would be applied`
+      : `[SUCCESS] ${result.applied.length} migration(s) applied`]
+  };
+};
+
+const migrateDown = async (migrator, flags) => {
+  const dryRun = !!flags['dry-run'];
+  const to = parseVersion(flags.to);
+  if (to && flags.steps !== undefined) {
+    throw new UsageError('--steps cannot be combined with --to');
+  }
+  const result = await migrator.down({ steps: parseSteps(flags.steps), to, dryRun });
+  return {
+    data: result,
+    lines: [dryRun
+      ? `[INFO] ${result.pending.length} migration(s) would be rolled back`
+      : `[SUCCESS] ${result.reverted.length} migration(s) rolled back`]
+  };
+};
+
+const SUBCOMMANDS = {
+  status: migrateStatus,
+  up: migrateUp,
+  down: migrateDown
+};
+
+export const migrateCommand = {
+  name: 'migrate',
+  summary: 'Show, apply or roll back database migrations',
+  usage: [
+    'ringbav2 migrate status                   applied / pending / changed / missing per migration',
+    'ringbav2 migrate up [--to=NNNN] [--dry-run]',
+    'ringbav2 migrate down [--steps=N | --to=NNNN] [--dry-run]   (default: the last applied migration)',
+    '',
+    'Migrations are the files in migrations/ (see MIGRATIONS_README.md).'
+  ],
+  run: async (positionals, flags) => {
+    const [name] = positionals;
+    const handler = SUBCOMMANDS[name];
+    if (!handler) {
+      throw new UsageError(name ? `Unknown migrate action "${name}"` : 'Missing migrate action (status, up or down)');
+    }
+    if (positionals.length > 1) {
+      throw new UsageError(`Unexpected argument "${positionals[1]}"`);
+    }
+    assertKnownFlags(flags, name === 'down' ? ['steps'] : []);
+    if (name === 'status' && flags['dry-run']) {
+      throw new UsageError('--dry-run is not supported by "migrate status"');
+    }
+
+    const pool = getPool(requireConfig('db'));
+    try {
+      return await handler(createMigrator(pool), flags);
+    } finally {
+      await closePool();
+    }
+  }
+};
@@ -0,0 +1,59 @@
+// ringbav2 report <name> - revenue/comparison reports and raw eLocal fetches (run as the existing scripts)
+import { UsageError, assertKnownFlags, resolveDateRange, resolveCategory } from '../args.js';
+import { runScript, toDayFirst } from '../scripts.js';
+import { getCurrentDayRange } from '../../utils/date-utils.js';
+
+// name -> script and how the range (and category) are passed to it
+const REPORTS = {
+  'elocal-revenue': {
+    script: 'elocal-revenue-report.js',
+    description: 'eLocal revenue by category',
+    args: (range) => [toDayFirst(range.startDateURL), 'to', toDayFirst(range.endDateURL)]
+  },
+  'elocal-vs-ringba': {
+    script: 'elocal-ringba-comparison.js',
+    description: 'Day-by-day eLocal vs Ringba revenue',
+    args: (range) => [toDayFirst(range.startDateURL), 'to', toDayFirst(range.endDateURL)]
+  },
+  'ringba-revenue': {
+    script: 'ringba-api-revenue-report.js',
+    description: 'Ringba revenue by category (Ringba API)',
+    args: (range) => [toDayFirst(range.startDateURL), 'to', toDayFirst(range.endDateURL)]
+  },
+  'zero-payout-converted': {
+    script: 'src/services/fetch-zero-payout-converted.js',
+    description: 'Converted calls with zero payout and revenue',
+    args: (range) => [range.startDateURL, range.endDateURL]
+  },
+  'elocal-fetch': {
+    script: 'src/services/elocal-api-fetch.js',
+    description: 'Raw eLocal API responses saved to files (honours --category)',
+    args: (range, category) => [category || 'ALL', range.startDateURL, range.endDateURL]
+  }
+};
+
+export const reportCommand = {
+  name: 'report',
+  summary: 'Revenue and comparison reports',
+  usage: [
+    'ringbav2 report <name> [range] [--category=<c>] [--dry-run]   (default: today)',
+    '',
+    ...Object.entries(REPORTS).map(([name, { description }]) => `  ${name.padEnd(22)} ${description}`)
+  ],
+  run: async (positionals, flags, output) => {
+    assertKnownFlags(flags);
+    const [name] = positionals;
+    const report = REPORTS[name];
+    if (!report) {
+      throw new UsageError(name ? `Unknown report "${name}"` : 'Missing report name');
+    }
+
+    const dateRange = resolveDateRange(flags, getCurrentDayRange);
+    const result = await runScript(report.script, report.args(dateRange, resolveCategory(flags)), {
+      dryRun: !!flags['dry-run'],
+      json: output.json
+    });
+
+    return { data: { report: name, ...result }, lines: [], exitCode: result.exitCode || 0 };
+  }
+};
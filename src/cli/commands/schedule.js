@@ -0,0 +1,37 @@
+// ringbav2 schedule <name> - start a scheduler in the foreground (runs until stopped)
+import { UsageError, assertKnownFlags } from '../args.js';
+import { runScript } from '../scripts.js';
+
+const SCHEDULERS = {
+  all: { script: 'src/services/scheduler.js', description: 'Orchestrator: every job and pipeline in schedule-config.json' },
+  historical: { script: 'start-historical-scheduler.js', description: 'eLocal historical scrape' },
+  current: { script: 'start-current-scheduler.js', description: 'eLocal current-day scrape' },
+  'ringba-original': { script: 'start-ringba-original-scheduler.js', description: 'Ringba original payout sync' },
+  'ringba-cost': { script: 'start-ringba-cost-scheduler.js', description: 'Ringba cost sync' },
+  'ringba-cost-current-day': { script: 'start-ringba-cost-sync-current-day.js', description: 'Ringba cost sync (current day)' },
+  'ringba-zero-payout': { script: 'start-ringba-zero-payout-scheduler.js', description: 'Ringba zero-payout fix' },
+  'campaign-summary': { script: 'start-campaign-summary-scheduler.js', description: 'Ringba campaign summary' },
+  'payout-comparison': { script: 'start-payout-comparison-scheduler.js', description: 'Payout comparison' },
+  'auth-refresh': { script: 'start-auth-refresh-scheduler.js', description: 'eLocal auth session refresh' }
+};
+
+export const scheduleCommand = {
+  name: 'schedule',
+  summary: 'Start a scheduler',
+  usage: [
+    'ringbav2 schedule <name> [--dry-run]',
+    '',
+    ...Object.entries(SCHEDULERS).map(([name, { description }]) => `  ${name.padEnd(24)} ${description}`)
+  ],
+  run: async (positionals, flags, output) => {
+    assertKnownFlags(flags);
+    const [name] = positionals;
+    const scheduler = SCHEDULERS[name];
+    if (!scheduler) {
+      throw new UsageError(name ? `Unknown scheduler "${name}"` : 'Missing scheduler name');
+    }
+
+    const result = await runScript(scheduler.script, [], { dryRun: !!flags['dry-run'], json: output.json });
+    return { data: { scheduler: name, ...result }, lines: [], exitCode: result.exitCode || 0 };
+  }
+};
@@ -0,0 +1,43 @@
+// ringbav2 scrape - fetch eLocal calls into elocal_call_data for one or all registered categories
+import { UsageError, assertKnownFlags, resolveDateRange, resolveCategory } from '../args.js';
+import { requireConfig } from '../context.js';
+import { getCategories } from '../../config/campaign-registry.js';
+import { getCurrentDayRangeWithTimezone, getDateRangeDescription } from '../../utils/date-utils.js';
+
+export const scrapeCommand = {
+  name: 'scrape',
+  summary: 'Fetch eLocal calls for the registered campaigns into the database',
+  usage: [
+    'ringbav2 scrape [range] [--category=<c>]',
+    '',
+    'Default range: current day (timezone-aware, like the current-day scheduler).',
+    'Without --category every enabled campaign in campaigns-config.json is scraped.'
+  ],
+  run: async (positionals, flags) => {
+    assertKnownFlags(flags);
+    if (positionals.length > 0) {
+      throw new UsageError(`Unexpected argument "${positionals[0]}"`);
+    }
+    if (flags['dry-run']) {
+      throw new UsageError('--dry-run is not supported by "scrape"');
+    }
+
+    const { scrapeElocalDataWithDateRange } = await import('../../services/elocal.scrapper.js');
+    const dateRange = resolveDateRange(flags, getCurrentDayRangeWithTimezone);
+    const category = resolveCategory(flags);
+    const config = requireConfig('db', 'elocal');
+    const categories = category ? [category] : getCategories();
+
+    const results = [];
+    for (const current of categories) {
+      console.log(`[INFO] Scraping ${current} for ${getDateRangeDescription(dateRange)}...`);
+      const result = await scrapeElocalDataWithDateRange(config)(dateRange)('custom')(current);
+      results.push({ category: current, sessionId: result.sessionId, summary: result.summary });
+    }
+
+    return {
+      data: { dateRange: getDateRangeDescription(dateRange), results },
+      lines: results.map(r => `[SUCCESS] ${r.category}: ${r.summary.totalCalls} calls (session ${r.sessionId})`)
+    };
+  }
+};
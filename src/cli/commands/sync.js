@@ -0,0 +1,178 @@
+// ringbav2 sync <cost|original|summary|historical|zero-payout|payout-comparison>
+// Runs the sync services in-process (services are imported on demand, so unrelated modules are not loaded)
+import { UsageError, assertKnownFlags, resolveDateRange, resolveCategory, parsePositiveInt } from '../args.js';
+import { requireConfig } from '../context.js';
+import { createProgressLogger } from '../../utils/concurrent-executor.js';
+import {
+  getPast10DaysRange,
+  getPast15DaysRangeForCostSync,
+  getCurrentDayRange,
+  getRingbaSyncDateRange,
+  getDateRangeDescription,
+  listDays
+} from '../../utils/date-utils.js';
+
+const noDryRun = (flags, name) => {
+  if (flags['dry-run']) {
+    throw new UsageError(`--dry-run is not supported by "sync ${name}"`);
+  }
+};
+
+const parseConcurrency = (flags) =>
+  flags.concurrency !== undefined ? parsePositiveInt(flags.concurrency, 'concurrency') : null;
+
+const syncCost = async (flags) => {
+  assertKnownFlags(flags, ['plan', 'assignment', 'concurrency', 'apply-plan', 'resume']);
+  const { syncCostToRingba, applyCostSyncPlan, resumeCostSyncRun } = await import('../../services/ringba-cost-sync.js');
+  const { ASSIGNMENT_MODES } = await import('../../matching/strategies.js');
+
+  const sendOptions = { concurrency: parseConcurrency(flags), onProgress: createProgressLogger('[Ringba Cost Sync]') };
+
+  if (flags['apply-plan'] !== undefined) {
+    const planId = parsePositiveInt(flags['apply-plan'], 'apply-plan');
+    const result = await applyCostSyncPlan(requireConfig('db', 'ringba'), planId, sendOptions);
+    return {
+      data: { planId, ...result },
+      lines: [`[SUCCESS] Plan #${planId} ${result.status}: ${result.updated} updated, ${result.failed} failed`],
+      exitCode: result.failed > 0 ? 1 : 0
+    };
+  }
+
+  if (flags.resume !== undefined) {
+    const result = await resumeCostSyncRun(requireConfig('db', 'ringba'), flags.resume, sendOptions);
+    return {
+      data: { syncRunId: flags.resume, ...result },
+      lines: [`[SUCCESS] Run ${flags.resume} ${result.status}: ${result.updated} updated, ${result.failed} failed`],
+      exitCode: result.failed > 0 ? 1 : 0
+    };
+  }
+
+  if (flags['dry-run'] && flags.plan) {
+    throw new UsageError('--dry-run and --plan cannot be used together');
+  }
+  const assignment = flags.assignment ? String(flags.assignment).toLowerCase() : null;
+  if (assignment && !ASSIGNMENT_MODES.includes(assignment)) {
+    throw new UsageError(`Invalid assignment "${flags.assignment}". Must be one of: ${ASSIGNMENT_MODES.join(', ')}`);
+  }
+
+  const dateRange = resolveDateRange(flags, getPast15DaysRangeForCostSync);
+  const category = resolveCategory(flags);
+  const summary = await syncCostToRingba(requireConfig('db', 'ringba'), dateRange, category, {
+    dryRun: !!flags['dry-run'],
+    plan: !!flags.plan,
+    ...sendOptions,
+    matching: assignment ? { assignment } : {}
+  });
+
+  return { data: summary, lines: ['[SUCCESS] Sync completed successfully!'] };
+};
+
+const syncOriginal = async (flags) => {
+  assertKnownFlags(flags);
+  noDryRun(flags, 'original');
+  const { syncRingbaOriginalPayout } = await import('../../services/ringba-original-sync.js');
+
+  const dateRange = resolveDateRange(flags, getRingbaSyncDateRange);
+  const category = resolveCategory(flags);
+  const summary = await syncRingbaOriginalPayout(requireConfig('db', 'ringba'), dateRange, category);
+
+  return { data: summary, lines: ['[SUCCESS] Sync completed successfully!'] };
+};
+
+// One summary per day; --campaign limits it to one Ringba campaign, --v2 uses the Insights API service
+const syncSummary = async (flags) => {
+  assertKnownFlags(flags, ['campaign', 'v2']);
+  noDryRun(flags, 'summary');
+  const service = flags.v2
+    ? await import('../../services/ringba-campaign-summary-v2.js')
+    : await import('../../services/ringba-campaign-summary.js');
+
+  const config = requireConfig('db', 'ringba');
+  const days = listDays(resolveDateRange(flags, getCurrentDayRange));
+  const results = [];
+
+  for (const day of days) {
+    const result = flags.campaign
+      ? await service.syncCampaignSummaryByCampaignId(config, flags.campaign, day)
+      : await service.syncCampaignSummary(config, day);
+    results.push({ date: day, result });
+  }
+
+  return { data: { days: results.length, results }, lines: [`[SUCCESS] Synced campaign summary for ${results.length} day(s)`] };
+};
+
+const syncHistorical = async (flags) => {
+  assertKnownFlags(flags, ['target', 'campaign']);
+  noDryRun(flags, 'historical');
+  const { syncHistoricalRingbaData } = await import('../../services/ringba-historical-sync.js');
+
+  const dateRange = resolveDateRange(flags, null);
+  const result = await syncHistoricalRingbaData(requireConfig('db', 'ringba'), dateRange, {
+    targetId: flags.target,
+    campaignId: flags.campaign
+  });
+
+  return { data: result, lines: [`[SUCCESS] Synced ${result.callsFetched} call(s)`] };
+};
+
+const syncZeroPayout = async (flags) => {
+  assertKnownFlags(flags, ['concurrency']);
+  noDryRun(flags, 'zero-payout');
+  const { syncZeroPayoutFix } = await import('../../services/ringba-zero-payout-sync.js');
+
+  const dateRange = resolveDateRange(flags, getPast10DaysRange);
+  const summary = await syncZeroPayoutFix(requireConfig('db', 'ringba'), dateRange, {
+    concurrency: parseConcurrency(flags),
+    onProgress: createProgressLogger('[Zero Payout Sync]')
+  });
+
+  return { data: summary, lines: ['[SUCCESS] Sync completed successfully!'] };
+};
+
+const syncPayoutComparison = async (flags) => {
+  assertKnownFlags(flags);
+  noDryRun(flags, 'payout-comparison');
+  requireConfig('db');
+  const { syncPayoutComparisonForDateRange } = await import('../../services/payout-comparison-sync.js');
+
+  const dateRange = resolveDateRange(flags, getCurrentDayRange);
+  const result = await syncPayoutComparisonForDateRange(dateRange.startDateURL, dateRange.endDateURL);
+
+  return { data: result, lines: [`[SUCCESS] Payout comparison synced for ${getDateRangeDescription(dateRange)}`] };
+};
+
+const SUBCOMMANDS = {
+  cost: syncCost,
+  original: syncOriginal,
+  summary: syncSummary,
+  historical: syncHistorical,
+  'zero-payout': syncZeroPayout,
+  'payout-comparison': syncPayoutComparison
+};
+
+export const syncCommand = {
+  name: 'sync',
+  summary: 'Sync eLocal/Ringba data (cost, original, summary, historical, zero-payout, payout-comparison)',
+  usage: [
+    'ringbav2 sync cost [range] [--category=<c>] [--dry-run|--plan] [--assignment=greedy|optimal] [--concurrency=<n>]',
+    'ringbav2 sync cost --apply-plan=<plan-id> | --resume=<sync-run-id> [--concurrency=<n>]',
+    'ringbav2 sync original [range] [--category=<c>]       (default: current day, timezone-aware)',
+    'ringbav2 sync summary [range] [--campaign=<CA...>] [--v2]   (default: today)',
+    'ringbav2 sync historical --from=<d> [--to=<d>] [--target=<TA...>] [--campaign=<CA...>]',
+    'ringbav2 sync zero-payout [range] [--concurrency=<n>]  (default: past 10 days)',
+    'ringbav2 sync payout-comparison [range]               (default: today)',
+    '',
+    'sync cost defaults to the IST-aware past 15 days.'
+  ],
+  run: async (positionals, flags) => {
+    const [name] = positionals;
+    const handler = SUBCOMMANDS[name];
+    if (!handler) {
+      throw new UsageError(name ? `Unknown sync target "${name}"` : 'Missing sync target');
+    }
+    if (positionals.length > 1) {
+      throw new UsageError(`Unexpected argument "${positionals[1]}"`);
+    }
+    return handler(flags);
+  }
+};
@@ -0,0 +1,44 @@
+// Config and output handling shared by the ringbav2 subcommands
+import { UsageError } from './args.js';
+import { loadConfig, ConfigError } from '../config/app-config.js';
+
+// Config with the settings a command needs, e.g. requireConfig('db', 'ringba')
+// Groups: db, ringba, elocal, elocalLogin (src/config/app-config.js)
+export const requireConfig = (...needs) => {
+  try {
+    return loadConfig({ require: needs });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      throw new UsageError(`${error.message}\n(set them in the environment, .env or .env.${error.profile})`);
+    }
+    throw error;
+  }
+};
+
+// With --json the services' console output would corrupt the result, so it goes to stderr
+// and only the final JSON document is written to stdout
+// The redirect keeps the console.error of this moment: the job-run log capture (structured-logger.js) wraps
+// console later, and going through its console.error would store every line twice, the second time as an error
+export const createOutput = (json) => {
+  const stdoutLog = console.log;
+  const stderrLog = console.error;
+
+  if (json) {
+    console.log = (...args) => stderrLog(...args);
+    console.info = (...args) => stderrLog(...args);
+  }
+
+  return {
+    json,
+    // Final result of a command; `lines` is the human-readable version
+    // Resolves once stdout is flushed (the CLI calls process.exit right after, which would cut off a piped write)
+    result: (data, lines = []) => new Promise((resolve) => {
+      if (json) {
+        process.stdout.write(`${JSON.stringify(data, null, 2)}\n`, () => resolve());
+      } else {
+        lines.forEach(line => stdoutLog(line));
+        resolve();
+      }
+    })
+  };
+};
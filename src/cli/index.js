@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * ringbav2 - one entry point for the syncs, scrapers, reports, migrations and schedulers
+ *
+ * Usage:
+ *   ringbav2 <command> [subcommand] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--days=<n>] [--window=<name>] [--category=<c>] [--dry-run] [--json]
+ *   npm run cli -- <command> ...
+ *
+ * Examples:
+ *   ringbav2 sync cost --days=15 --category=API --dry-run
+ *   ringbav2 sync original --from=2026-01-29 --to=2026-01-30
+ *   ringbav2 sync summary --from=2026-01-01 --to=2026-01-31
+ *   ringbav2 scrape --from=2026-01-29 --category=STATIC --json
+ *   ringbav2 report elocal-vs-ringba --from=2026-01-01 --to=2026-01-31
+ *   ringbav2 migrate status
+ *   ringbav2 schedule ringba-cost
+ *   ringbav2 alerts test --channel=slack
+ *   ringbav2 config --require=db,ringba
+ *
+ * `ringbav2 help <command>` shows the options of a command.
+ */
+
+import { parseArgs, UsageError } from './args.js';
+import { createOutput } from './context.js';
+import { syncCommand } from './commands/sync.js';
+import { scrapeCommand } from './commands/scrape.js';
+import { backfillCommand } from './commands/backfill.js';
+import { reportCommand } from './commands/report.js';
+import { migrateCommand } from './commands/migrate.js';
+import { scheduleCommand } from './commands/schedule.js';
+import { alertsCommand } from './commands/alerts.js';
+import { configCommand } from './commands/config.js';
+import { loadEnvFiles } from '../config/app-config.js';
+
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
+
+const COMMANDS = [syncCommand, scrapeCommand, backfillCommand, reportCommand, migrateCommand, scheduleCommand, alertsCommand, configCommand];
+
+const SHARED_OPTIONS = [
+  'Shared options:',
+  '  --from=YYYY-MM-DD [--to=YYYY-MM-DD]   date range (--to defaults to --from)',
+  '  --days=<n>                           the n days ending yesterday',
+  '  --window=<name>                      named date window, e.g. cost-sync-15-days (ORCHESTRATOR_SCHEDULER_README.md)',
+  '  --category=<c>                       category from campaigns-config.json',
+  '  --dry-run                            no writes (sync cost, migrate) / show the script that would run',
+  '  --json                               print the result as JSON on stdout (logs go to stderr)'
+];
+
+const printHelp = (command = null) => {
+  if (command) {
+    console.error(`ringbav2 ${command.name} - ${command.summary}`);
+    console.error('');
+    command.usage.forEach(line => console.error(line ? `  ${line}` : ''));
+  } else {
+    console.error('Usage: ringbav2 <command> [options]');
+    console.error('');
+    console.error('Commands:');
+    COMMANDS.forEach(c => console.error(`  ${c.name.padEnd(10)} ${c.summary}`));
+    console.error('  help       Show help for a command');
+  }
+  console.error('');
+  SHARED_OPTIONS.forEach(line => console.error(line));
+};
+
+const main = async () => {
+  const [name, ...rest] = process.argv.slice(2);
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    printHelp(COMMANDS.find(c => c.name === rest[0]) || null);
+    process.exit(name ? 0 : 1);
+  }
+
+  const command = COMMANDS.find(c => c.name === name);
+  if (!command) {
+    console.error(`Error: Unknown command "${name}"`);
+    printHelp();
+    process.exit(1);
+  }
+
+  const { positionals, flags } = parseArgs(rest);
+  if (flags.help) {
+    printHelp(command);
+    process.exit(0);
+  }
+
+  const output = createOutput(!!flags.json);
+
+  try {
+    const { data, lines = [], exitCode = 0 } = await command.run(positionals, flags, output);
+    await output.result({ command: [name, ...positionals].join(' '), ok: exitCode === 0, result: data ?? null }, lines);
+    process.exit(exitCode);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}`);
+      console.error('');
+      printHelp(command);
+      process.exit(1);
+    }
+    console.error(`[ERROR] ${name} failed:`, error.message);
+    if (error.stack) {
+      console.error(error.stack);
+    }
+    if (output.json) {
+      await output.result({ command: [name, ...positionals].join(' '), ok: false, error: error.message });
+    }
+    process.exit(1);
+  }
+};
+
+main();
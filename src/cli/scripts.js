@@ -0,0 +1,49 @@
+// Runs the standalone scripts (backfills, reports, migrations, schedulers) as child processes
+// They read process.argv and call process.exit themselves, so they cannot be imported
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const PROJECT_ROOT = join(__dirname, '../..');
+
+// YYYY-MM-DD -> DD-MM-YYYY (the report scripts' format)
+export const toDayFirst = (day) => day.split('-').reverse().join('-');
+
+/**
+ * Run a script from the project root with the given arguments
+ * @param {string} script - Path relative to the project root
+ * @param {string[]} args - Arguments
+ * @param {Object} options - { dryRun, json }: dryRun only reports the command; with json the script's stdout goes to stderr
+ * @returns {Promise<{script, args, exitCode, dryRun}>}
+ */
+export const runScript = (script, args, { dryRun = false, json = false } = {}) => {
+  const command = `node ${[script, ...args].join(' ')}`;
+
+  if (dryRun) {
+    console.log(`[DRY RUN] Would run: ${command}`);
+    return Promise.resolve({ script, args, exitCode: null, dryRun: true });
+  }
+
+  console.log(`[INFO] Running: ${command}`);
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [join(PROJECT_ROOT, script), ...args], {
+      cwd: PROJECT_ROOT,
+      stdio: ['inherit', json ? process.stderr : 'inherit', 'inherit']
+    });
+
+    // Forward Ctrl+C / SIGTERM so long-running schedulers shut down cleanly
+    const forward = (signal) => child.kill(signal);
+    process.on('SIGINT', forward);
+    process.on('SIGTERM', forward);
+
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+      process.off('SIGINT', forward);
+      process.off('SIGTERM', forward);
+      resolve({ script, args, exitCode: code ?? (signal ? 1 : 0), dryRun: false });
+    });
+  });
+};
@@ -0,0 +1,238 @@
+// Application config - one validated schema for every service, scheduler, script, the CLI and the dashboard
+// Sources, highest first: the process environment, .env.<profile>, .env (both in the project root).
+// Profile: APP_PROFILE (dev, staging, prod, test); without it NODE_ENV decides (production -> prod), else dev.
+//
+// Entry points load it once at start-up and stop with one message listing everything that is missing or invalid:
+//   const config = loadConfigOrExit('db', 'ringba');
+// Secrets (passwords, tokens, API keys) are replaced by redactConfig() wherever the config is logged or returned.
+import dotenv from 'dotenv';
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '../..');
+
+export const PROFILES = ['dev', 'staging', 'prod', 'test'];
+
+const NODE_ENV_PROFILES = { development: 'dev', production: 'prod', staging: 'staging', test: 'test' };
+
+export const REDACTED = '[REDACTED]';
+
+// Config key -> environment variables (first one set wins), type, default and whether the value is a secret
+// Types: string, integer, boolean ("true"/"false"), url (http or https)
+export const CONFIG_SCHEMA = {
+  dbHost: { env: ['POSTGRES_HOST', 'DB_HOST'], type: 'string' },
+  dbPort: { env: ['POSTGRES_PORT', 'DB_PORT'], type: 'integer', default: 5432 },
+  dbName: { env: ['POSTGRES_DB_NAME', 'DB_NAME'], type: 'string' },
+  dbUser: { env: ['POSTGRES_USER_NAME', 'DB_USER'], type: 'string' },
+  dbPassword: { env: ['POSTGRES_PASSWORD', 'DB_PASSWORD'], type: 'string', secret: true },
+  dbSsl: { env: ['DB_SSL'], type: 'boolean', default: false },
+  dbPoolMax: { env: ['DB_POOL_MAX'], type: 'integer', default: 10 },
+
+  ringbaAccountId: { env: ['RINGBA_ACCOUNT_ID'], type: 'string' },
+  ringbaApiToken: { env: ['RINGBA_API_TOKEN'], type: 'string', secret: true },
+  ringbaBaseUrl: { env: ['RINGBA_BASE_URL'], type: 'url', external: true },
+
+  elocalApiKey: { env: ['ELOCAL_API_KEY'], type: 'string', secret: true },
+  elocalBaseUrl: { env: ['ELOCAL_BASE_URL'], type: 'url', default: 'https://elocal.com', external: true },
+  elocalApiBaseUrl: { env: ['ELOCAL_API_BASE_URL'], type: 'url', external: true },
+  elocalUsername: { env: ['ELOCAL_USERNAME'], type: 'string' },
+  elocalPassword: { env: ['ELOCAL_PASSWORD'], type: 'string', secret: true },
+  timeoutMs: { env: ['AUTH_REFRESH_TIMEOUT_MS'], type: 'integer', default: 30000 },
+
+  dashboardPort: { env: ['DASHBOARD_PORT'], type: 'integer', default: 3000 },
+  metricsPushUrl: { env: ['METRICS_PUSH_URL'], type: 'url' },
+  metricsPushToken: { env: ['METRICS_PUSH_TOKEN'], type: 'string', secret: true }
+};
+
+// What an entry point can require: loadConfig({ require: ['db', 'ringba'] })
+export const CONFIG_GROUPS = {
+  db: ['dbHost', 'dbName', 'dbUser', 'dbPassword'],
+  ringba: ['ringbaAccountId', 'ringbaApiToken'],
+  elocal: ['elocalApiKey'],
+  elocalLogin: ['elocalUsername', 'elocalPassword']
+};
+
+// Per profile: defaults over the schema's, and whether external API URLs must be https (no local mocks)
+const PROFILE_SETTINGS = {
+  dev: { defaults: { dbHost: 'localhost' }, httpsOnly: false },
+  test: { defaults: { dbHost: 'localhost' }, httpsOnly: false },
+  staging: { defaults: {}, httpsOnly: true },
+  prod: { defaults: {}, httpsOnly: true }
+};
+
+// Thrown by loadConfig with every problem found; entry points print them and exit
+export class ConfigError extends Error {
+  constructor(profile, problems) {
+    super(`Invalid configuration (profile ${profile}):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.profile = profile;
+    this.problems = problems;
+  }
+}
+
+// "POSTGRES_HOST (or DB_HOST)"
+export const describeEnv = (key) => {
+  const [name, ...alternatives] = CONFIG_SCHEMA[key].env;
+  return alternatives.length > 0 ? `${name} (or ${alternatives.join(', ')})` : name;
+};
+
+export const resolveProfile = (env = process.env) => {
+  if (env.APP_PROFILE) {
+    return env.APP_PROFILE;
+  }
+  return NODE_ENV_PROFILES[env.NODE_ENV] || 'dev';
+};
+
+const readEnvFile = (path) => (existsSync(path) ? dotenv.parse(readFileSync(path)) : {});
+
+/**
+ * Load .env and .env.<profile> into process.env (variables that are already set win)
+ * Modules that call dotenv.config() themselves may have loaded .env already; those values still give way to the
+ * profile file.
+ * @returns {string} The profile
+ */
+export const loadEnvFiles = (root = PROJECT_ROOT) => {
+  const base = readEnvFile(join(root, '.env'));
+  const profile = resolveProfile({ ...base, ...process.env });
+  const profileValues = PROFILES.includes(profile) ? readEnvFile(join(root, `.env.${profile}`)) : {};
+
+  Object.entries({ ...base, ...profileValues }).forEach(([name, value]) => {
+    if (process.env[name] === undefined || process.env[name] === base[name]) {
+      process.env[name] = value;
+    }
+  });
+  return profile;
+};
+
+// { value } or { error } for the raw value of environment variable name
+const parseValue = (type, name, raw) => {
+  switch (type) {
+    case 'integer':
+      if (!/^\d+$/.test(raw)) {
+        return { error: `${name} must be a whole number (got "${raw}")` };
+      }
+      return { value: parseInt(raw, 10) };
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') {
+        return { error: `${name} must be true or false (got "${raw}")` };
+      }
+      return { value: raw === 'true' };
+    case 'url':
+      try {
+        const url = new URL(raw);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          return { error: `${name} must be an http(s) URL (got "${raw}")` };
+        }
+      } catch {
+        return { error: `${name} must be a URL (got "${raw}")` };
+      }
+      return { value: raw.replace(/\/+$/, '') };
+    default:
+      return { value: raw };
+  }
+};
+
+/**
+ * Config from environment variables, without loading .env files or checking what is required
+ * @param {Object} env - Defaults to process.env
+ * @returns {{config: Object, problems: string[]}} config has every schema key (null when unset) plus profile
+ */
+export const readConfig = (env = process.env) => {
+  const profile = resolveProfile(env);
+  const problems = [];
+  if (!PROFILE_SETTINGS[profile]) {
+    problems.push(`APP_PROFILE must be one of ${PROFILES.join(', ')} (got "${profile}")`);
+  }
+  const settings = PROFILE_SETTINGS[profile] || PROFILE_SETTINGS.dev;
+
+  const config = { profile };
+  Object.entries(CONFIG_SCHEMA).forEach(([key, entry]) => {
+    const envName = entry.env.find(name => env[name] !== undefined && env[name] !== '');
+    if (!envName) {
+      config[key] = settings.defaults[key] ?? entry.default ?? null;
+      return;
+    }
+
+    const { value, error } = parseValue(entry.type, envName, String(env[envName]).trim());
+    if (error) {
+      problems.push(error);
+      config[key] = null;
+      return;
+    }
+    if (entry.external && settings.httpsOnly && value.startsWith('http:')) {
+      problems.push(`${envName} must be https in the ${profile} profile (got "${value}")`);
+    }
+    config[key] = value;
+  });
+
+  return { config: Object.freeze(config), problems };
+};
+
+/**
+ * Settings of the given groups that are not set
+ * @returns {string[]} One message per missing setting, e.g. "RINGBA_API_TOKEN is required"
+ */
+export const findMissingConfig = (config, needs = []) => {
+  const unknown = needs.filter(need => !CONFIG_GROUPS[need]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown config group(s): ${unknown.join(', ')} (expected ${Object.keys(CONFIG_GROUPS).join(', ')})`);
+  }
+  const keys = [...new Set(needs.flatMap(need => CONFIG_GROUPS[need]))];
+  return keys
+    .filter(key => config[key] === null || config[key] === undefined || config[key] === '')
+    .map(key => `${describeEnv(key)} is required`);
+};
+
+/**
+ * Load .env files, read and validate the config
+ * @param {Object} options - { require: config groups that must be set (db, ringba, elocal, elocalLogin), env }
+ * @returns {Object} Frozen config (see CONFIG_SCHEMA for the keys, plus profile)
+ * @throws {ConfigError} Listing every missing or invalid setting
+ */
+export const loadConfig = ({ require: needs = [], env = null } = {}) => {
+  if (!env) {
+    loadEnvFiles();
+  }
+  const { config, problems } = readConfig(env || process.env);
+  const allProblems = [...problems, ...findMissingConfig(config, needs)];
+  if (allProblems.length > 0) {
+    throw new ConfigError(config.profile, allProblems);
+  }
+  return config;
+};
+
+/**
+ * loadConfig for entry points: prints the problems and exits with code 1 instead of throwing
+ * @param {...string} needs - Config groups that must be set
+ */
+export const loadConfigOrExit = (...needs) => {
+  try {
+    return loadConfig({ require: needs });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(`[ERROR] Invalid configuration (profile ${error.profile}):`);
+    error.problems.forEach(problem => console.error(`  - ${problem}`));
+    console.error('[ERROR] Set them in the environment, .env or .env.<profile> (see CONFIG_README.md)');
+    process.exit(1);
+  }
+};
+
+/**
+ * Copy of a config (or any object spread from one) with the secrets replaced by REDACTED
+ * Unset secrets stay null, so a redacted config still shows what is missing.
+ */
+export const redactConfig = (config) => Object.fromEntries(
+  Object.entries(config).map(([key, value]) => [
+    key,
+    CONFIG_SCHEMA[key]?.secret && value !== null && value !== undefined && value !== '' ? REDACTED : value
+  ])
+);
+
+// "key: value" lines of a redacted config, for start-up logs
+export const formatConfig = (config) =>
+  Object.entries(redactConfig(config)).map(([key, value]) => `  ${key}: ${value === null ? '(not set)' : value}`);
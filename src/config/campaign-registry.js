@@ -0,0 +1,149 @@
+// Campaign registry - maps each eLocal campaign to its category, Ringba targets and Ringba campaign
+// Source: campaigns-config.json in the project root (override the path with CAMPAIGNS_CONFIG)
+//
+// Each entry:
+//   category            Category key stored with the calls (STATIC, API, ...); unique
+//   name                Display name
+//   enabled             Disabled entries are kept for lookups of old data but skipped by the syncs
+//   elocalCampaignUuid  eLocal API v2 campaign UUID
+//   ringbaCampaignId    Ringba campaign ID (campaign summary)
+//   ringbaTargets       { targetId: targetName } - Ringba targets whose calls belong to this campaign
+//   applyAdjustments    Merge eLocal adjustments into the calls (STATIC only today)
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '../..');
+
+export const DEFAULT_CAMPAIGNS_CONFIG = join(PROJECT_ROOT, 'campaigns-config.json');
+export const CAMPAIGNS_CONFIG_VERSION = 1;
+
+// Throws on the first problem so a bad edit fails the sync at start-up instead of mid-run
+export const validateCampaignRegistry = (config) => {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Campaign registry must be a JSON object');
+  }
+  if (config.version !== CAMPAIGNS_CONFIG_VERSION) {
+    throw new Error(`Unsupported campaign registry version: ${config.version} (expected ${CAMPAIGNS_CONFIG_VERSION})`);
+  }
+  if (!Array.isArray(config.campaigns) || config.campaigns.length === 0) {
+    throw new Error('Campaign registry must define at least one campaign');
+  }
+
+  const categories = new Set();
+  const uuids = new Set();
+  const targets = new Map();
+
+  config.campaigns.forEach((campaign, index) => {
+    const label = campaign.category || `campaigns[${index}]`;
+    if (!campaign.category || typeof campaign.category !== 'string') {
+      throw new Error(`${label}: category is required`);
+    }
+    if (campaign.category !== campaign.category.toUpperCase()) {
+      throw new Error(`${label}: category must be upper case`);
+    }
+    if (categories.has(campaign.category)) {
+      throw new Error(`${label}: duplicate category`);
+    }
+    categories.add(campaign.category);
+
+    if (!campaign.elocalCampaignUuid) {
+      throw new Error(`${label}: elocalCampaignUuid is required`);
+    }
+    if (uuids.has(campaign.elocalCampaignUuid)) {
+      throw new Error(`${label}: eLocal campaign ${campaign.elocalCampaignUuid} is already registered`);
+    }
+    uuids.add(campaign.elocalCampaignUuid);
+
+    if (!campaign.ringbaTargets || typeof campaign.ringbaTargets !== 'object' || Array.isArray(campaign.ringbaTargets)) {
+      throw new Error(`${label}: ringbaTargets must be an object of { targetId: targetName }`);
+    }
+    for (const targetId of Object.keys(campaign.ringbaTargets)) {
+      if (targets.has(targetId)) {
+        throw new Error(`${label}: Ringba target ${targetId} is already registered for ${targets.get(targetId)}`);
+      }
+      targets.set(targetId, campaign.category);
+    }
+
+    for (const flag of ['enabled', 'applyAdjustments']) {
+      if (campaign[flag] !== undefined && typeof campaign[flag] !== 'boolean') {
+        throw new Error(`${label}: ${flag} must be true or false`);
+      }
+    }
+  });
+
+  return config;
+};
+
+const normalizeCampaign = (campaign) => Object.freeze({
+  category: campaign.category,
+  name: campaign.name || campaign.category,
+  enabled: campaign.enabled !== false,
+  elocalCampaignUuid: campaign.elocalCampaignUuid,
+  ringbaCampaignId: campaign.ringbaCampaignId || null,
+  ringbaTargets: Object.freeze({ ...campaign.ringbaTargets }),
+  ringbaTargetIds: Object.freeze(Object.keys(campaign.ringbaTargets)),
+  applyAdjustments: campaign.applyAdjustments === true
+});
+
+export const loadCampaignRegistry = (configPath = DEFAULT_CAMPAIGNS_CONFIG) => {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to load campaign registry ${configPath}: ${error.message}`);
+  }
+  validateCampaignRegistry(config);
+  return Object.freeze({
+    version: config.version,
+    path: configPath,
+    campaigns: Object.freeze(config.campaigns.map(normalizeCampaign))
+  });
+};
+
+// Loaded on first use (not at import) so runners can load .env first
+let registry = null;
+
+export const getCampaignRegistry = () => {
+  if (!registry) {
+    const configPath = process.env.CAMPAIGNS_CONFIG ? resolve(process.env.CAMPAIGNS_CONFIG) : DEFAULT_CAMPAIGNS_CONFIG;
+    registry = loadCampaignRegistry(configPath);
+  }
+  return registry;
+};
+
+// Drop the cached registry (next lookup re-reads the file)
+export const reloadCampaignRegistry = () => {
+  registry = null;
+  return getCampaignRegistry();
+};
+
+export const listCampaigns = ({ includeDisabled = false } = {}) =>
+  getCampaignRegistry().campaigns.filter(campaign => includeDisabled || campaign.enabled);
+
+export const getCategories = () => listCampaigns().map(campaign => campaign.category);
+
+// Lookups include disabled campaigns so data synced before a campaign was disabled still resolves
+export const getCampaignByCategory = (category) =>
+  getCampaignRegistry().campaigns.find(campaign => campaign.category === String(category || '').toUpperCase()) || null;
+
+export const getCampaignByTargetId = (targetId) =>
+  getCampaignRegistry().campaigns.find(campaign => campaign.ringbaTargetIds.includes(targetId)) || null;
+
+// Like getCampaignByCategory, but a missing or disabled campaign is an error
+export const requireCampaign = (category) => {
+  const campaign = getCampaignByCategory(category);
+  if (!campaign) {
+    throw new Error(`No campaign registered for category "${category}" (see campaigns-config.json)`);
+  }
+  if (!campaign.enabled) {
+    throw new Error(`Campaign for category "${category}" is disabled in campaigns-config.json`);
+  }
+  return campaign;
+};
+
+// { targetId: targetName } across the enabled campaigns
+export const getRingbaTargets = () =>
+  Object.assign({}, ...listCampaigns().map(campaign => campaign.ringbaTargets));
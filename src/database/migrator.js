@@ -0,0 +1,274 @@
+// Versioned schema migrations (migrations/NNNN_name.js)
+// A migration file exports up(client), down(client) and a description. A file without down is irreversible.
+// Applied migrations are recorded in schema_migrations with the sha256 checksum of their file. If an applied file has
+// changed, or an applied version has no file any more, up and down stop until that is resolved.
+// Every migration runs in its own transaction, together with its schema_migrations row. A session advisory lock
+// keeps two runners from migrating the same database at once.
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+
+export const MIGRATIONS_DIR = join(dirname(fileURLToPath(import.meta.url)), '../../migrations');
+
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9-]+)\.js$/;
+
+// pg_advisory_lock key of the runner (any constant; only runners take it)
+const LOCK_KEY = 72610023;
+
+/**
+ * Migration files of a directory, in version order
+ * @param {string} dir - Directory with NNNN_name.js files
+ * @returns {Promise<Array>} { version, name, file, checksum, description, up, down }
+ */
+export const loadMigrations = async (dir = MIGRATIONS_DIR) => {
+  const files = readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) {
+      throw new Error(`Invalid migration file name "${file}" (expected NNNN_name.js, e.g. 0027_create-foo-table.js)`);
+    }
+    const [, version, name] = match;
+    if (migrations.some(migration => migration.version === version)) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+
+    const path = join(dir, file);
+    const module = await import(pathToFileURL(path).href);
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration ${file} does not export an up(client) function`);
+    }
+
+    migrations.push({
+      version,
+      name,
+      file,
+      checksum: createHash('sha256').update(readFileSync(path)).digest('hex'),
+      description: module.description || '',
+      up: module.up,
+      down: typeof module.down === 'function' ? module.down : null
+    });
+  }
+
+  return migrations;
+};
+
+/**
+ * State of every migration from the files and the schema_migrations rows
+ *   pending  file not applied yet
+ *   applied  applied, file unchanged
+ *   changed  applied, but the file has changed since (checksum differs)
+ *   missing  applied, but there is no file for the version any more
+ * @returns {Array} { version, name, state, appliedAt, description, reversible } in version order
+ */
+export const compareMigrations = (migrations, appliedRows) => {
+  const applied = new Map(appliedRows.map(row => [row.version, row]));
+  const entries = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'changed';
+    }
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      appliedAt: row ? row.applied_at : null,
+      description: migration.description,
+      reversible: Boolean(migration.down)
+    };
+  });
+
+  appliedRows
+    .filter(row => !migrations.some(migration => migration.version === row.version))
+    .forEach(row => entries.push({
+      version: row.version,
+      name: row.name,
+      state: 'missing',
+      appliedAt: row.applied_at,
+      description: '',
+      reversible: false
+    }));
+
+  return entries.sort((a, b) => a.version.localeCompare(b.version));
+};
+
+// One line per migration for status output
+export const formatMigrationStatus = (entries) => entries.map(entry => {
+  const appliedAt = entry.appliedAt ? `  ${new Date(entry.appliedAt).toISOString()}` : '';
+  return `  ${entry.version}  ${entry.state.padEnd(8)} ${entry.name}${entry.reversible ? '' : ' (irreversible)'}${appliedAt}`;
+});
+
+const label = (migration) => `${migration.version}_${migration.name}`;
+
+const readApplied = async (client) => {
+  const exists = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  if (!exists.rows[0].exists) {
+    return [];
+  }
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+const ensureMigrationsTable = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    duration_ms INTEGER
+  )
+`);
+
+// changed/missing migrations stop up and down: the recorded history no longer matches the files
+const assertConsistent = (entries) => {
+  const problems = entries.filter(entry => entry.state === 'changed' || entry.state === 'missing');
+  if (problems.length > 0) {
+    throw new Error(
+      'Applied migrations do not match the migration files: ' +
+      problems.map(entry => `${label(entry)} (${entry.state === 'changed' ? 'file changed after it was applied' : 'file missing'})`).join(', ')
+    );
+  }
+};
+
+// Run fn in its own transaction
+const inTransaction = async (client, fn) => {
+  await client.query('BEGIN');
+  try {
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Migration runner for a database
+ * @param {Object} pool - pg Pool
+ * @param {Object} options - { dir } migrations directory (default: migrations/)
+ * @returns {{status: Function, up: Function, down: Function}}
+ */
+export const createMigrator = (pool, { dir = MIGRATIONS_DIR } = {}) => {
+  // Holds the runner lock on one connection for the whole run
+  const withLock = async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      try {
+        await ensureMigrationsTable(client);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  };
+
+  // State of every migration (read only: does not create schema_migrations)
+  const status = async () => {
+    const migrations = await loadMigrations(dir);
+    const client = await pool.connect();
+    try {
+      return compareMigrations(migrations, await readApplied(client));
+    } finally {
+      client.release();
+    }
+  };
+
+  /**
+   * Apply pending migrations in version order
+   * @param {Object} options - { to: last version to apply (default: all), dryRun: only list them }
+   * @returns {Promise<{applied: Array, pending: Array}>} applied: { version, name, durationMs }
+   */
+  const up = async ({ to = null, dryRun = false } = {}) => {
+    const migrations = await loadMigrations(dir);
+    return withLock(async (client) => {
+      const entries = compareMigrations(migrations, await readApplied(client));
+      assertConsistent(entries);
+
+      const pending = migrations.filter(migration =>
+        entries.find(entry => entry.version === migration.version).state === 'pending' &&
+        (!to || migration.version <= to)
+      );
+      if (dryRun) {
+        pending.forEach(migration => console.log(`[DRY RUN] Would apply ${label(migration)}: ${migration.description}`));
+        return { applied: [], pending: pending.map(({ version, name }) => ({ version, name })) };
+      }
+
+      const applied = [];
+      for (const migration of pending) {
+        console.log(`[INFO] Applying ${label(migration)}: ${migration.description}`);
+        const startTime = Date.now();
+        try {
+          await inTransaction(client, async () => {
+            await migration.up(client);
+            await client.query(
+              'INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)',
+              [migration.version, migration.name, migration.checksum, Date.now() - startTime]
+            );
+          });
+        } catch (error) {
+          error.message = `Migration ${label(migration)} failed: ${error.message}`;
+          throw error;
+        }
+        const durationMs = Date.now() - startTime;
+        console.log(`[SUCCESS] Applied ${label(migration)} (${durationMs} ms)`);
+        applied.push({ version: migration.version, name: migration.name, durationMs });
+      }
+      return { applied, pending: [] };
+    });
+  };
+
+  /**
+   * Roll back applied migrations, newest first
+   * @param {Object} options - { steps: how many (default 1), to: roll back every version after this one, dryRun }
+   * @returns {Promise<{reverted: Array, pending: Array}>} reverted: { version, name, durationMs }
+   */
+  const down = async ({ steps = 1, to = null, dryRun = false } = {}) => {
+    const migrations = await loadMigrations(dir);
+    return withLock(async (client) => {
+      const entries = compareMigrations(migrations, await readApplied(client));
+      assertConsistent(entries);
+
+      const applied = migrations
+        .filter(migration => entries.find(entry => entry.version === migration.version).state === 'applied')
+        .reverse();
+      const selected = to ? applied.filter(migration => migration.version > to) : applied.slice(0, steps);
+
+      const irreversible = selected.find(migration => !migration.down);
+      if (irreversible) {
+        throw new Error(`Migration ${label(irreversible)} is irreversible (no down); nothing was rolled back`);
+      }
+      if (dryRun) {
+        selected.forEach(migration => console.log(`[DRY RUN] Would roll back ${label(migration)}: ${migration.description}`));
+        return { reverted: [], pending: selected.map(({ version, name }) => ({ version, name })) };
+      }
+
+      const reverted = [];
+      for (const migration of selected) {
+        console.log(`[INFO] Rolling back ${label(migration)}: ${migration.description}`);
+        const startTime = Date.now();
+        try {
+          await inTransaction(client, async () => {
+            await migration.down(client);
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+          });
+        } catch (error) {
+          error.message = `Rolling back ${label(migration)} failed: ${error.message}`;
+          throw error;
+        }
+        const durationMs = Date.now() - startTime;
+        console.log(`[SUCCESS] Rolled back ${label(migration)} (${durationMs} ms)`);
+        reverted.push({ version: migration.version, name: migration.name, durationMs });
+      }
+      return { reverted, pending: [] };
+    });
+  };
+
+  return { status, up, down };
+};
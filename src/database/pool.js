@@ -0,0 +1,101 @@
+// The one PostgreSQL pool of the process, plus transaction helpers
+// Every service, script and the dashboard go through getPool() (directly, through dbOps or through the
+// repositories in ./repositories), so there is one set of connections and one way to read the settings.
+// Settings: the db* keys of the app config (src/config/app-config.js): POSTGRES_* (or DB_*), DB_SSL, DB_POOL_MAX.
+import pg from 'pg';
+import { readConfig } from '../config/app-config.js';
+
+const { Pool } = pg;
+
+let pool = null;
+
+const DB_KEYS = ['dbHost', 'dbPort', 'dbName', 'dbUser', 'dbPassword', 'dbSsl', 'dbPoolMax'];
+
+// Database settings of the app config (environment and profile defaults)
+const dbConfigFromEnv = () => {
+  const { config } = readConfig();
+  return Object.fromEntries(DB_KEYS.map(key => [key, config[key]]));
+};
+
+// Keys of a config that are set (they override the environment)
+const definedKeys = (config) =>
+  Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+
+// Whether there is enough configuration to connect (optional database features check this first)
+export const isDbConfigured = (config = {}) => {
+  const settings = { ...dbConfigFromEnv(), ...definedKeys(config) };
+  return Boolean(settings.dbHost && settings.dbName);
+};
+
+/**
+ * The shared pool, created on first use
+ * The config of the first caller wins (missing keys fall back to the environment); later calls get the same pool.
+ * Idle connections do not keep a finished script alive (allowExitOnIdle).
+ * @param {Object} config - Optional { dbHost, dbPort, dbName, dbUser, dbPassword, dbSsl, dbPoolMax } (e.g. the app config)
+ * @returns {pg.Pool}
+ */
+export const getPool = (config = {}) => {
+  if (!pool) {
+    const settings = { ...dbConfigFromEnv(), ...definedKeys(config) };
+    pool = new Pool({
+      host: settings.dbHost,
+      port: settings.dbPort,
+      database: settings.dbName,
+      user: settings.dbUser,
+      password: settings.dbPassword,
+      ssl: settings.dbSsl ? { rejectUnauthorized: false } : false,
+      max: settings.dbPoolMax,
+      allowExitOnIdle: true
+    });
+
+    // Handle pool errors
+    pool.on('error', (err) => {
+      console.error('[ERROR] Unexpected database pool error:', err);
+    });
+  }
+  return pool;
+};
+
+// Connections of the shared pool (null until it is created), for the metrics exporter
+export const getPoolStats = () => pool
+  ? { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount, max: pool.options.max }
+  : null;
+
+// Close the shared pool (end of a script); the next getPool() creates a new one
+export const closePool = async () => {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.end();
+  }
+};
+
+/**
+ * Run fn with a dedicated connection of the shared pool (session state, advisory locks, ...)
+ * @param {Function} fn - async (client) => result
+ */
+export const withClient = async (fn) => {
+  const client = await getPool().connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Run fn in a transaction: COMMIT when it resolves, ROLLBACK when it throws
+ * Pass the client to the repositories (createXRepository(client)) to make their queries part of it.
+ * @param {Function} fn - async (client) => result
+ */
+export const withTransaction = (fn) => withClient(async (client) => {
+  await client.query('BEGIN');
+  try {
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+});
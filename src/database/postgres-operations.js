@@ -1,8 +1,9 @@
-import pg from 'pg';
-const { Pool } = pg;
-
-// Initialize PostgreSQL connection pool
-let pool = null;
+import { CALL_TIMEZONE, callDayBounds } from '../utils/timezone.js';
+import { getRangeDays } from '../utils/date-utils.js';
+import { toCallInstant } from '../utils/date-normalizer.js';
+import { getPool } from './pool.js';
+import { createAuthSessionsRepository } from './repositories/auth-sessions.js';
+import { createPayoutComparisonsRepository } from './repositories/payout-comparisons.js';
 
 /**
  * Standardize phone number to E.164 format
@@ -33,22 +34,9 @@ const toE164 = (raw) => {
   return digits.length > 0 ? `+${digits}` : null;
 };
 
-export const dbOps = (config) => {
-  if (!pool) {
-    pool = new Pool({
-      host: config.dbHost || process.env.DB_HOST,
-      port: config.dbPort || process.env.DB_PORT || 5432,
-      database: config.dbName || process.env.DB_NAME,
-      user: config.dbUser || process.env.DB_USER,
-      password: config.dbPassword || process.env.DB_PASSWORD,
-      ssl: config.dbSsl ? { rejectUnauthorized: false } : false
-    });
-
-    // Handle pool errors
-    pool.on('error', (err) => {
-      console.error('[ERROR] Unexpected database pool error:', err);
-    });
-  }
+// Operations on the shared pool (./pool.js); config only matters for the call that creates the pool
+export const dbOps = (config = {}) => {
+  const pool = getPool(config);
 
   return {
     // Create a new scraping session
@@ -203,9 +191,13 @@ export const dbOps = (config) => {
               call.category || 'STATIC'
             ]);
 
+            // Instant of the (corrected) wall-clock timestamp in its source zone
+            const sourceTimezone = call.sourceTimezone || CALL_TIMEZONE;
+            const callAt = toCallInstant(correctedTimestamp, sourceTimezone);
+
             if (checkResult.rows.length > 0) {
               // Update existing call
-              // NOTE: If this is a timestamp correction, we update date_of_call to the corrected value
+              // NOTE: If this is a timestamp correction, we update date_of_call (and call_at) to the corrected value
               const updateQuery = `
                 UPDATE elocal_call_data
                 SET
@@ -228,6 +220,8 @@ export const dbOps = (config) => {
                   ringba_inbound_call_id = $17,
                   original_payout = $18,
                   original_revenue = $19,
+                  call_at = $23,
+                  source_timezone = $24,
                   updated_at = NOW()
                 WHERE caller_id = $20 
                   AND date_of_call = $21
@@ -256,7 +250,9 @@ export const dbOps = (config) => {
                 call.originalRevenue !== undefined ? call.originalRevenue : null,
                 call.callerId,
                 lookupTimestamp || '', // Use original timestamp for WHERE clause
-                call.category || 'STATIC'
+                call.category || 'STATIC',
+                callAt,
+                sourceTimezone
               ]);
               updated++;
 
@@ -300,6 +296,8 @@ export const dbOps = (config) => {
                     ringba_inbound_call_id = $15,
                     original_payout = $16,
                     original_revenue = $17,
+                    call_at = COALESCE(call_at, $21),
+                    source_timezone = COALESCE(source_timezone, $22),
                     updated_at = NOW()
                   WHERE caller_id = $18 
                     AND date_of_call = $19
@@ -326,7 +324,9 @@ export const dbOps = (config) => {
                   call.originalRevenue !== undefined ? call.originalRevenue : null,
                   call.callerId,
                   correctedTimestamp,
-                  call.category || 'STATIC'
+                  call.category || 'STATIC',
+                  callAt,
+                  sourceTimezone
                 ]);
                 updated++;
               } else {
@@ -338,9 +338,9 @@ export const dbOps = (config) => {
                     total_duration, assessment, classification,
                     adjustment_time, adjustment_amount, adjustment_classification,
                     adjustment_duration, unmatched, ringba_inbound_call_id,
-                    original_payout, original_revenue, created_at
+                    original_payout, original_revenue, call_at, source_timezone, created_at
                   )
-                  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, NOW())
+                  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, NOW())
                   RETURNING id;
                 `;
                 await client.query(insertQuery, [
@@ -363,7 +363,9 @@ export const dbOps = (config) => {
                   call.unmatched || false,
                   call.ringbaInboundCallId || null,
                   call.originalPayout !== undefined ? call.originalPayout : null,
-                  call.originalRevenue !== undefined ? call.originalRevenue : null
+                  call.originalRevenue !== undefined ? call.originalRevenue : null,
+                  callAt,
+                  sourceTimezone
                 ]);
                 inserted++;
               }
@@ -462,49 +464,29 @@ export const dbOps = (config) => {
       }
     },
 
-    // Get calls from database for a date range
-    async getCallsForDateRange(startDate, endDate, category = null) {
+    // Get calls from database for a date range ({ startDate, endDate } plus startDateURL/endDateURL when it has them)
+    // Days are the range's days (getRangeDays, independent of the server TZ); a day is a call day in the call time
+    // zone (call_at)
+    async getCallsForDateRange(dateRange, category = null) {
       try {
-        // Format dates for comparison (YYYY-MM-DD format for date part matching)
-        // date_of_call now stores full ISO timestamp (YYYY-MM-DDTHH:mm:ss)
-        // We match on the date part (first 10 characters)
-        const formatDate = (date) => {
-          const year = date.getFullYear();
-          const month = String(date.getMonth() + 1).padStart(2, '0');
-          const day = String(date.getDate()).padStart(2, '0');
-          return `${year} -${month} -${day} `;
-        };
-
-        // Generate all dates in the range for comparison
-        const datesInRange = [];
-        const current = new Date(startDate);
-        const end = new Date(endDate);
-
-        while (current <= end) {
-          datesInRange.push(formatDate(new Date(current)));
-          current.setDate(current.getDate() + 1);
-        }
-
-        // Build query to match any date in the range
-        // Match on date part (first 10 characters) of date_of_call
-        const placeholders = datesInRange.map((_, i) => `$${i + 1} `).join(', ');
-        const params = [...datesInRange];
+        const { start, end } = callDayBounds(...getRangeDays(dateRange));
+        const params = [start, end];
 
         let categoryFilter = '';
         if (category) {
-          categoryFilter = ` AND category = $${params.length + 1} `;
+          categoryFilter = ` AND category = $${params.length + 1}`;
           params.push(category);
         }
 
         const query = `
-                SELECT
-                id, caller_id, date_of_call, payout, category,
-                  original_payout, original_revenue, ringba_inbound_call_id, unmatched,
-                  adjustment_amount, adjustment_time, adjustment_classification, adjustment_duration
+          SELECT
+            id, caller_id, date_of_call, call_at, source_timezone, payout, category,
+            original_payout, original_revenue, ringba_inbound_call_id, unmatched,
+            adjustment_amount, adjustment_time, adjustment_classification, adjustment_duration
           FROM elocal_call_data
-          WHERE SUBSTRING(date_of_call, 1, 10) = ANY(ARRAY[${placeholders}])${categoryFilter}
-          ORDER BY caller_id, date_of_call
-                  `;
+          WHERE call_at >= $1 AND call_at < $2${categoryFilter}
+          ORDER BY caller_id, call_at
+        `;
 
         const result = await pool.query(query, params);
         return result.rows || [];
@@ -544,7 +526,7 @@ export const dbOps = (config) => {
     async getCallById(callId) {
       try {
         const query = `
-          SELECT id, caller_id, date_of_call, payout, category, unmatched,
+          SELECT id, caller_id, date_of_call, call_at, source_timezone, payout, category, unmatched,
                   adjustment_amount, adjustment_time, adjustment_classification, adjustment_duration
           FROM elocal_call_data
           WHERE id = $1
@@ -603,6 +585,584 @@ export const dbOps = (config) => {
       }
     },
 
+    // Insert match audit rows for a sync run (see src/matching/audit.js for the row shape)
+    async insertMatchAuditBatch(rows) {
+      if (!rows || rows.length === 0) {
+        return { inserted: 0 };
+      }
+
+      const columns = [
+        'sync_run_id', 'service', 'algorithm_version', 'assignment', 'decision',
+        'reason_code', 'reason', 'elocal_call_id', 'ringba_inbound_call_id', 'caller_id_e164',
+        'category', 'call_date', 'call_date_time', 'score', 'time_diff_minutes',
+        'duration_diff_seconds', 'score_breakdown', 'rejected_candidates', 'competing_candidates',
+        'candidate_count', 'multi_leg', 'payment_legs'
+      ];
+      const toJSON = (value) => (value === null || value === undefined ? null : JSON.stringify(value));
+
+      try {
+        let inserted = 0;
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+
+          // Multi-row inserts in batches of 200 to stay well below the parameter limit
+          const batchSize = 200;
+          for (let i = 0; i < rows.length; i += batchSize) {
+            const batch = rows.slice(i, i + batchSize);
+            const values = [];
+            const placeholders = batch.map((row, rowIndex) => {
+              values.push(
+                row.syncRunId,
+                row.service,
+                row.algorithmVersion,
+                row.assignment || null,
+                row.decision,
+                row.reasonCode || null,
+                row.reason || null,
+                row.elocalCallId || null,
+                row.ringbaInboundCallId || null,
+                row.callerId || null,
+                row.category || null,
+                row.callDate || null,
+                row.callDateTime || null,
+                row.score ?? null,
+                row.timeDiffMinutes ?? null,
+                row.durationDiffSeconds ?? null,
+                toJSON(row.scoreBreakdown),
+                toJSON(row.rejectedCandidates || []),
+                toJSON(row.competingCandidates || []),
+                row.candidateCount || 0,
+                !!row.multiLeg,
+                toJSON(row.paymentLegs)
+              );
+              const offset = rowIndex * columns.length;
+              return `(${columns.map((_, colIndex) => `$${offset + colIndex + 1}`).join(', ')})`;
+            });
+
+            const query = `
+              INSERT INTO call_match_audit (${columns.join(', ')})
+              VALUES ${placeholders.join(', ')}
+            `;
+            const result = await client.query(query, values);
+            inserted += result.rowCount || 0;
+          }
+
+          await client.query('COMMIT');
+          return { inserted };
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
+      } catch (error) {
+        console.error('[ERROR] Failed to insert match audit rows:', error);
+        throw error;
+      }
+    },
+
+    // Create a cost sync plan with its items
+    // Older pending plans for the same date range and category are marked as superseded
+    async createCostSyncPlan(plan, items) {
+      try {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+
+          const supersedeResult = await client.query(`
+            UPDATE cost_sync_plans
+            SET status = 'superseded', updated_at = NOW()
+            WHERE status = 'pending'
+              AND start_date = $1
+              AND end_date = $2
+              AND category IS NOT DISTINCT FROM $3
+          `, [plan.startDate, plan.endDate, plan.category || null]);
+
+          const planResult = await client.query(`
+            INSERT INTO cost_sync_plans (
+              sync_run_id, status, start_date, end_date, category, assignment,
+              total_updates, total_current_payout, total_new_payout,
+              total_current_revenue, total_new_revenue, created_by
+            )
+            VALUES ($1, 'pending', $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING id;
+          `, [
+            plan.syncRunId || null,
+            plan.startDate,
+            plan.endDate,
+            plan.category || null,
+            plan.assignment || null,
+            items.length,
+            items.reduce((sum, item) => sum + Number(item.currentPayout || 0), 0),
+            items.reduce((sum, item) => sum + Number(item.newPayout || 0), 0),
+            items.reduce((sum, item) => sum + Number(item.currentRevenue || 0), 0),
+            items.reduce((sum, item) => sum + Number(item.newRevenue || 0), 0),
+            plan.createdBy || null
+          ]);
+          const planId = planResult.rows[0].id;
+
+          for (const item of items) {
+            await client.query(`
+              INSERT INTO cost_sync_plan_items (
+                plan_id, elocal_call_id, ringba_inbound_call_id, target_id, category,
+                call_date, caller_id_e164, current_payout, current_revenue,
+                new_payout, new_revenue, match_evidence, payment_leg
+              )
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            `, [
+              planId,
+              item.elocalCallId || null,
+              item.ringbaInboundCallId,
+              item.targetId || null,
+              item.category || null,
+              item.callDate || null,
+              item.callerId || null,
+              item.currentPayout || 0,
+              item.currentRevenue || 0,
+              item.newPayout || 0,
+              item.newRevenue || 0,
+              item.matchEvidence ? JSON.stringify(item.matchEvidence) : null,
+              item.paymentLeg || null
+            ]);
+          }
+
+          await client.query('COMMIT');
+          return { planId, items: items.length, superseded: supersedeResult.rowCount || 0 };
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
+      } catch (error) {
+        console.error('[ERROR] Failed to create cost sync plan:', error);
+        throw error;
+      }
+    },
+
+    // Get a cost sync plan by ID
+    async getCostSyncPlan(planId) {
+      try {
+        const result = await pool.query(`
+          SELECT *, start_date::text as start_date, end_date::text as end_date
+          FROM cost_sync_plans
+          WHERE id = $1
+        `, [planId]);
+        return result.rows[0] || null;
+      } catch (error) {
+        console.error('[ERROR] Failed to get cost sync plan:', error);
+        throw error;
+      }
+    },
+
+    // Get items of a cost sync plan, optionally filtered by item status (string or array)
+    async getCostSyncPlanItems(planId, status = null) {
+      try {
+        const params = [planId];
+        let statusFilter = '';
+        if (status) {
+          params.push(Array.isArray(status) ? status : [status]);
+          statusFilter = ' AND status = ANY($2)';
+        }
+        const result = await pool.query(`
+          SELECT *, call_date::text as call_date
+          FROM cost_sync_plan_items
+          WHERE plan_id = $1${statusFilter}
+          ORDER BY id
+        `, params);
+        return result.rows || [];
+      } catch (error) {
+        console.error('[ERROR] Failed to get cost sync plan items:', error);
+        throw error;
+      }
+    },
+
+    // Update the status of a cost sync plan (extra fields: appliedCount, failedCount, applied)
+    async updateCostSyncPlanStatus(planId, status, extra = {}) {
+      try {
+        const result = await pool.query(`
+          UPDATE cost_sync_plans
+          SET
+            status = $1,
+            applied_count = COALESCE($2, applied_count),
+            failed_count = COALESCE($3, failed_count),
+            applied_at = CASE WHEN $4 THEN NOW() ELSE applied_at END,
+            updated_at = NOW()
+          WHERE id = $5
+          RETURNING id;
+        `, [
+          status,
+          extra.appliedCount ?? null,
+          extra.failedCount ?? null,
+          extra.applied === true,
+          planId
+        ]);
+        return { updated: result.rowCount || 0 };
+      } catch (error) {
+        console.error('[ERROR] Failed to update cost sync plan status:', error);
+        throw error;
+      }
+    },
+
+    // Update the status of a single cost sync plan item
+    async updateCostSyncPlanItemStatus(itemId, status, errorMessage = null) {
+      try {
+        const result = await pool.query(`
+          UPDATE cost_sync_plan_items
+          SET
+            status = $1,
+            error_message = $2,
+            applied_at = CASE WHEN $1 = 'applied' THEN NOW() ELSE applied_at END
+          WHERE id = $3
+          RETURNING id;
+        `, [status, errorMessage, itemId]);
+        return { updated: result.rowCount || 0 };
+      } catch (error) {
+        console.error('[ERROR] Failed to update cost sync plan item:', error);
+        throw error;
+      }
+    },
+
+    // Write a Ringba payment journal entry (before the override is sent)
+    async insertPaymentJournalEntry(entry) {
+      try {
+        const result = await pool.query(`
+          INSERT INTO ringba_payment_journal (
+            sync_run_id, inbound_call_id, target_id, old_payout, old_revenue,
+            new_payout, new_revenue, reason, actor, status, rollback_of
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', $10)
+          RETURNING id;
+        `, [
+          entry.syncRunId || null,
+          entry.inboundCallId,
+          entry.targetId || null,
+          entry.oldPayout ?? null,
+          entry.oldRevenue ?? null,
+          entry.newPayout ?? null,
+          entry.newRevenue ?? null,
+          entry.reason || null,
+          entry.actor || null,
+          entry.rollbackOf || null
+        ]);
+        return { id: result.rows[0].id };
+      } catch (error) {
+        console.error('[ERROR] Failed to insert payment journal entry:', error);
+        throw error;
+      }
+    },
+
+    // Mark a journal entry as applied or failed
+    async updatePaymentJournalStatus(id, status, errorMessage = null) {
+      try {
+        const result = await pool.query(`
+          UPDATE ringba_payment_journal
+          SET
+            status = $1,
+            error_message = $2,
+            applied_at = CASE WHEN $1 = 'applied' THEN NOW() ELSE applied_at END
+          WHERE id = $3
+          RETURNING id;
+        `, [status, errorMessage, id]);
+        return { updated: result.rowCount || 0 };
+      } catch (error) {
+        console.error('[ERROR] Failed to update payment journal entry:', error);
+        throw error;
+      }
+    },
+
+    // Get applied (not yet rolled back) journal entries for a sync run and/or a call, oldest first
+    async getPaymentJournalEntries({ syncRunId = null, inboundCallId = null } = {}) {
+      try {
+        const conditions = [`status = 'applied'`];
+        const params = [];
+        if (syncRunId) {
+          params.push(syncRunId);
+          conditions.push(`sync_run_id = $${params.length}`);
+        }
+        if (inboundCallId) {
+          params.push(inboundCallId);
+          conditions.push(`inbound_call_id = $${params.length}`);
+        }
+        const result = await pool.query(`
+          SELECT *
+          FROM ringba_payment_journal
+          WHERE ${conditions.join(' AND ')}
+          ORDER BY created_at, id
+        `, params);
+        return result.rows || [];
+      } catch (error) {
+        console.error('[ERROR] Failed to get payment journal entries:', error);
+        throw error;
+      }
+    },
+
+    // Mark journal entries as rolled back
+    async markPaymentJournalRolledBack(ids) {
+      if (!ids || ids.length === 0) {
+        return { updated: 0 };
+      }
+
+      try {
+        const result = await pool.query(`
+          UPDATE ringba_payment_journal
+          SET status = 'rolled_back', rolled_back_at = NOW()
+          WHERE id = ANY($1)
+        `, [ids]);
+        return { updated: result.rowCount || 0 };
+      } catch (error) {
+        console.error('[ERROR] Failed to mark payment journal entries as rolled back:', error);
+        throw error;
+      }
+    },
+
+    // Create a cost sync run (status 'running' until finishCostSyncRun is called)
+    async createCostSyncRun(run) {
+      try {
+        await pool.query(`
+          INSERT INTO cost_sync_runs (sync_run_id, start_date, end_date, category, status)
+          VALUES ($1, $2, $3, $4, 'running')
+          ON CONFLICT (sync_run_id) DO NOTHING
+        `, [run.syncRunId, run.startDate, run.endDate, run.category || null]);
+        return { syncRunId: run.syncRunId };
+      } catch (error) {
+        console.error('[ERROR] Failed to create cost sync run:', error);
+        throw error;
+      }
+    },
+
+    // Get a cost sync run by run ID
+    async getCostSyncRun(syncRunId) {
+      try {
+        const result = await pool.query(`
+          SELECT *, start_date::text as start_date, end_date::text as end_date
+          FROM cost_sync_runs
+          WHERE sync_run_id = $1
+        `, [syncRunId]);
+        return result.rows[0] || null;
+      } catch (error) {
+        console.error('[ERROR] Failed to get cost sync run:', error);
+        throw error;
+      }
+    },
+
+    // Latest run for the same category that never finished (process stopped mid-run) and whose date range is the same
+    // as startDate..endDate or contains it; a run over other days (e.g. yesterday's rolling window) is left for
+    // --resume, since adopting it would drop or resend checkpoints this run does not cover
+    async getInterruptedCostSyncRun({ startDate, endDate, category = null }) {
+      try {
+        const result = await pool.query(`
+          SELECT *, start_date::text as start_date, end_date::text as end_date
+          FROM cost_sync_runs
+          WHERE status = 'running'
+            AND start_date <= $1
+            AND end_date >= $2
+            AND category IS NOT DISTINCT FROM $3
+          ORDER BY started_at DESC
+          LIMIT 1
+        `, [startDate, endDate, category || null]);
+        return result.rows[0] || null;
+      } catch (error) {
+        console.error('[ERROR] Failed to get interrupted cost sync run:', error);
+        throw error;
+      }
+    },
+
+    // Mark a cost sync run as resumed (it is 'running' again until finished)
+    async markCostSyncRunResumed(syncRunId) {
+      try {
+        const result = await pool.query(`
+          UPDATE cost_sync_runs
+          SET
+            status = 'running',
+            resumed_count = resumed_count + 1,
+            finished_at = NULL,
+            updated_at = NOW()
+          WHERE sync_run_id = $1
+        `, [syncRunId]);
+        return { updated: result.rowCount || 0 };
+      } catch (error) {
+        console.error('[ERROR] Failed to mark cost sync run as resumed:', error);
+        throw error;
+      }
+    },
+
+    // Checkpoint the updates of a cost sync run (one row per Ringba call)
+    // Existing rows keep their status unless the target amounts changed since they were confirmed;
+    // pending/failed rows that are no longer needed are removed - only those of range ({ startDate, endDate }, the call
+    // days that were checked again) when given, so a resumed run keeps the checkpoints of its other days
+    // Returns the checkpoint rows (id, ringba_inbound_call_id, status) for the given updates
+    async registerCostSyncRunUpdates(syncRunId, updates, range = null) {
+      try {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+
+          const rows = [];
+          for (const update of updates) {
+            const result = await client.query(`
+              INSERT INTO cost_sync_run_updates (
+                sync_run_id, elocal_call_id, ringba_inbound_call_id, target_id, category,
+                call_date, current_payout, current_revenue, new_payout, new_revenue, payment_leg
+              )
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+              ON CONFLICT (sync_run_id, ringba_inbound_call_id) DO UPDATE SET
+                elocal_call_id = EXCLUDED.elocal_call_id,
+                payment_leg = EXCLUDED.payment_leg,
+                target_id = EXCLUDED.target_id,
+                category = EXCLUDED.category,
+                call_date = EXCLUDED.call_date,
+                current_payout = EXCLUDED.current_payout,
+                current_revenue = EXCLUDED.current_revenue,
+                status = CASE
+                  WHEN cost_sync_run_updates.status = 'confirmed'
+                    AND (cost_sync_run_updates.new_payout <> EXCLUDED.new_payout
+                      OR cost_sync_run_updates.new_revenue <> EXCLUDED.new_revenue)
+                  THEN 'pending'
+                  ELSE cost_sync_run_updates.status
+                END,
+                new_payout = EXCLUDED.new_payout,
+                new_revenue = EXCLUDED.new_revenue,
+                updated_at = NOW()
+              RETURNING id, ringba_inbound_call_id, status;
+            `, [
+              syncRunId,
+              update.elocalCallId || null,
+              update.ringbaInboundCallId,
+              update.targetId || null,
+              update.category || null,
+              update.callDate || null,
+              update.currentPayout || 0,
+              update.currentRevenue || 0,
+              update.newPayout || 0,
+              update.newRevenue || 0,
+              update.paymentLeg || null
+            ]);
+            rows.push(result.rows[0]);
+          }
+
+          await client.query(`
+            DELETE FROM cost_sync_run_updates
+            WHERE sync_run_id = $1
+              AND status IN ('pending', 'failed')
+              AND NOT (ringba_inbound_call_id = ANY($2))
+              AND ($3::date IS NULL OR call_date >= $3::date)
+              AND ($4::date IS NULL OR call_date <= $4::date)
+          `, [syncRunId, updates.map(u => u.ringbaInboundCallId), range?.startDate || null, range?.endDate || null]);
+
+          await client.query(`
+            UPDATE cost_sync_runs
+            SET total_updates = (SELECT COUNT(*) FROM cost_sync_run_updates WHERE sync_run_id = $1), updated_at = NOW()
+            WHERE sync_run_id = $1
+          `, [syncRunId]);
+
+          await client.query('COMMIT');
+          return rows;
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
+      } catch (error) {
+        console.error('[ERROR] Failed to register cost sync run updates:', error);
+        throw error;
+      }
+    },
+
+    // Get checkpoint rows of a cost sync run, optionally filtered by status (string or array)
+    async getCostSyncRunUpdates(syncRunId, status = null) {
+      try {
+        const params = [syncRunId];
+        let statusFilter = '';
+        if (status) {
+          params.push(Array.isArray(status) ? status : [status]);
+          statusFilter = ' AND status = ANY($2)';
+        }
+        const result = await pool.query(`
+          SELECT *, call_date::text as call_date
+          FROM cost_sync_run_updates
+          WHERE sync_run_id = $1${statusFilter}
+          ORDER BY id
+        `, params);
+        return result.rows || [];
+      } catch (error) {
+        console.error('[ERROR] Failed to get cost sync run updates:', error);
+        throw error;
+      }
+    },
+
+    // Move a checkpoint row to sent / confirmed / failed
+    // 'sent' counts one attempt; extra: { errorMessage, journalId }
+    async updateCostSyncRunUpdateStatus(id, status, extra = {}) {
+      try {
+        const result = await pool.query(`
+          UPDATE cost_sync_run_updates
+          SET
+            status = $1,
+            error_message = $2,
+            journal_id = COALESCE($3, journal_id),
+            attempts = CASE WHEN $1 = 'sent' THEN attempts + 1 ELSE attempts END,
+            sent_at = CASE WHEN $1 = 'sent' THEN NOW() ELSE sent_at END,
+            confirmed_at = CASE WHEN $1 = 'confirmed' THEN NOW() ELSE confirmed_at END,
+            updated_at = NOW()
+          WHERE id = $4
+          RETURNING id;
+        `, [status, extra.errorMessage || null, extra.journalId || null, id]);
+        return { updated: result.rowCount || 0 };
+      } catch (error) {
+        console.error('[ERROR] Failed to update cost sync run update:', error);
+        throw error;
+      }
+    },
+
+    // Close a cost sync run: 'completed' when every update is confirmed, otherwise 'partially_completed'
+    async finishCostSyncRun(syncRunId) {
+      try {
+        const result = await pool.query(`
+          UPDATE cost_sync_runs r
+          SET
+            total_updates = c.total,
+            confirmed_count = c.confirmed,
+            failed_count = c.failed,
+            status = CASE WHEN c.confirmed = c.total THEN 'completed' ELSE 'partially_completed' END,
+            finished_at = NOW(),
+            updated_at = NOW()
+          FROM (
+            SELECT
+              COUNT(*)::int as total,
+              COUNT(*) FILTER (WHERE status = 'confirmed')::int as confirmed,
+              COUNT(*) FILTER (WHERE status = 'failed')::int as failed
+            FROM cost_sync_run_updates
+            WHERE sync_run_id = $1
+          ) c
+          WHERE r.sync_run_id = $1
+          RETURNING r.*;
+        `, [syncRunId]);
+        return result.rows[0] || null;
+      } catch (error) {
+        console.error('[ERROR] Failed to finish cost sync run:', error);
+        throw error;
+      }
+    },
+
+    // Keep the local copy of a Ringba call in line with a confirmed payment override
+    // (otherwise the next cost sync would detect the same change again)
+    async updateRingbaCallAmounts(inboundCallId, payout, revenue) {
+      try {
+        const result = await pool.query(`
+          UPDATE ringba_calls
+          SET payout_amount = $1, revenue_amount = $2, updated_at = NOW()
+          WHERE inbound_call_id = $3
+        `, [payout, revenue, inboundCallId]);
+        return { updated: result.rowCount || 0 };
+      } catch (error) {
+        console.error('[ERROR] Failed to update Ringba call amounts:', error);
+        throw error;
+      }
+    },
+
     // Update existing call with adjustment (only payout and adjustment fields)
     async updateCallWithAdjustment(callId, adjustmentData) {
       try {
@@ -653,6 +1213,10 @@ export const dbOps = (config) => {
 
           for (const call of batch) {
             try {
+              // callDt is the New York wall clock of the call; callAt the instant (from the UTC Ringba time)
+              const sourceTimezone = call.sourceTimezone || CALL_TIMEZONE;
+              const callAt = call.callAt || toCallInstant(call.callDt, sourceTimezone);
+
               // Check if call already exists
               const checkQuery = `
                 SELECT id FROM ringba_calls 
@@ -676,8 +1240,12 @@ export const dbOps = (config) => {
                   target_name = $9,
                   campaign_name = $10,
                   publisher_name = $11,
+                  rerouted_from_inbound_call_id = $12,
+                  root_inbound_call_id = $13,
+                  call_at = $15,
+                  source_timezone = $16,
                   updated_at = NOW()
-                  WHERE inbound_call_id = $12
+                  WHERE inbound_call_id = $14
                   `;
                 await pool.query(updateQuery, [
                   call.callDt || '',
@@ -691,7 +1259,11 @@ export const dbOps = (config) => {
                   call.targetName || null,
                   call.campaignName || null,
                   call.publisherName || null,
-                  call.inboundCallId
+                  call.reroutedFromInboundCallId || null,
+                  call.rootInboundCallId || null,
+                  call.inboundCallId,
+                  callAt,
+                  sourceTimezone
                 ]);
                 updated++;
               } else {
@@ -700,9 +1272,10 @@ export const dbOps = (config) => {
                   INSERT INTO ringba_calls(
                     inbound_call_id, call_date_time, caller_id, caller_id_e164,
                     inbound_phone_number, payout_amount, revenue_amount, call_duration,
-                    target_id, target_name, campaign_name, publisher_name
+                    target_id, target_name, campaign_name, publisher_name,
+                    rerouted_from_inbound_call_id, root_inbound_call_id, call_at, source_timezone
                   )
-                VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
                   `;
                 await pool.query(insertQuery, [
                   call.inboundCallId,
@@ -716,7 +1289,11 @@ export const dbOps = (config) => {
                   call.targetId || null,
                   call.targetName || null,
                   call.campaignName || null,
-                  call.publisherName || null
+                  call.publisherName || null,
+                  call.reroutedFromInboundCallId || null,
+                  call.rootInboundCallId || null,
+                  callAt,
+                  sourceTimezone
                 ]);
                 inserted++;
               }
@@ -734,6 +1311,178 @@ export const dbOps = (config) => {
       }
     },
 
+    // Start a job run (status 'running' until finishJobRun is called); returns the job_runs row ID
+    async createJobRun(run) {
+      const result = await pool.query(`
+        INSERT INTO job_runs (job_type, category, start_date, end_date, source)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id;
+      `, [run.jobType, run.category || null, run.startDate || null, run.endDate || null, run.source || null]);
+      return result.rows[0].id;
+    },
+
+    // Close a job run with its final status, counters and error (duration is computed from started_at)
+    async finishJobRun(id, { status, counters = {}, referenceId = null, errorMessage = null }) {
+      await pool.query(`
+        UPDATE job_runs
+        SET
+          status = $2,
+          counters = $3,
+          reference_id = COALESCE($4, reference_id),
+          error_message = $5,
+          finished_at = NOW(),
+          duration_ms = (EXTRACT(EPOCH FROM (NOW() - started_at)) * 1000)::int
+        WHERE id = $1;
+      `, [id, status, JSON.stringify(counters), referenceId, errorMessage]);
+    },
+
+    // Insert structured log events ({ jobRunId, service, level, message, context, timestamp }) in one statement
+    async insertServiceLogs(events) {
+      if (!events || events.length === 0) {
+        return 0;
+      }
+
+      const values = [];
+      const placeholders = events.map((event, index) => {
+        const base = index * 6;
+        values.push(
+          event.jobRunId || null,
+          event.service,
+          event.level,
+          event.message,
+          event.context ? JSON.stringify(event.context) : null,
+          event.timestamp || new Date()
+        );
+        return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6})`;
+      });
+
+      const result = await pool.query(`
+        INSERT INTO service_logs (job_run_id, service, level, message, context, created_at)
+        VALUES ${placeholders.join(', ')};
+      `, values);
+      return result.rowCount;
+    },
+
+    // Take a job lease unless a live lease of the same job type overlaps it (category and date range)
+    // NULL category / dates mean "all", so they overlap everything. Expired leases are removed first.
+    // Returns { acquired: true, lock, recovered } or { acquired: false, holder, recovered }
+    async acquireJobLock({ jobType, category = null, startDate = null, endDate = null, owner, jobRunId = null, ttlSeconds }) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        // Serialize acquirers of the same job type (released at COMMIT / ROLLBACK)
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`job_locks:${jobType}`]);
+
+        const stale = await client.query(`
+          DELETE FROM job_locks
+          WHERE job_type = $1 AND expires_at <= NOW()
+          RETURNING *;
+        `, [jobType]);
+
+        const holder = await client.query(`
+          SELECT *
+          FROM job_locks
+          WHERE job_type = $1
+            AND ($2::varchar IS NULL OR category IS NULL OR category = $2)
+            AND ($3::date IS NULL OR end_date IS NULL OR end_date >= $3)
+            AND ($4::date IS NULL OR start_date IS NULL OR start_date <= $4)
+          ORDER BY acquired_at
+          LIMIT 1;
+        `, [jobType, category, startDate, endDate]);
+
+        if (holder.rows.length > 0) {
+          await client.query('COMMIT');
+          return { acquired: false, holder: holder.rows[0], recovered: stale.rows };
+        }
+
+        const lock = await client.query(`
+          INSERT INTO job_locks (job_type, category, start_date, end_date, owner, job_run_id, expires_at)
+          VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(secs => $7))
+          RETURNING *;
+        `, [jobType, category, startDate, endDate, owner, jobRunId, ttlSeconds]);
+
+        await client.query('COMMIT');
+        return { acquired: true, lock: lock.rows[0], recovered: stale.rows };
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // Extend a lease (heartbeat); false when the lease is gone (expired and taken over)
+    async renewJobLock(id, ttlSeconds) {
+      const result = await pool.query(`
+        UPDATE job_locks
+        SET heartbeat_at = NOW(), expires_at = NOW() + make_interval(secs => $2)
+        WHERE id = $1;
+      `, [id, ttlSeconds]);
+      return result.rowCount > 0;
+    },
+
+    // Attach the job run to its lease (the run is created after the lease is taken)
+    async setJobLockRun(id, jobRunId) {
+      await pool.query('UPDATE job_locks SET job_run_id = $2 WHERE id = $1;', [id, jobRunId]);
+    },
+
+    // Release a lease
+    async releaseJobLock(id) {
+      const result = await pool.query('DELETE FROM job_locks WHERE id = $1;', [id]);
+      return result.rowCount > 0;
+    },
+
+    // Counters of the latest finished runs of a job type (alert baselines), newest first
+    async getRecentJobRunCounters(jobType, { category = null, excludeId = null, limit = 10 } = {}) {
+      const result = await pool.query(`
+        SELECT id, counters
+        FROM job_runs
+        WHERE job_type = $1
+          AND status IN ('success', 'partial')
+          AND ($2::varchar IS NULL OR category = $2)
+          AND ($3::int IS NULL OR id <> $3)
+        ORDER BY started_at DESC
+        LIMIT $4;
+      `, [jobType, category, excludeId, limit]);
+      return result.rows;
+    },
+
+    // Latest eLocal auth session, working or not (alert rules)
+    async getLatestAuthSession() {
+      return createAuthSessionsRepository(pool).getLatest();
+    },
+
+    // payout_comparison_daily rows of a date range (YYYY-MM-DD, inclusive)
+    async getPayoutComparisonDays(startDate, endDate) {
+      return createPayoutComparisonsRepository(pool).listTotals(startDate, endDate);
+    },
+
+    // When an alert with this key was last sent (null: never)
+    async getLastAlertTime(alertKey) {
+      const result = await pool.query(`
+        SELECT MAX(created_at) as last_sent
+        FROM alerts
+        WHERE alert_key = $1;
+      `, [alertKey]);
+      return result.rows[0].last_sent;
+    },
+
+    // Store a dispatched alert with the delivery result per channel
+    async recordAlert(alert, channelResults) {
+      await pool.query(`
+        INSERT INTO alerts (rule, alert_key, severity, title, message, details, channels)
+        VALUES ($1, $2, $3, $4, $5, $6, $7);
+      `, [
+        alert.rule,
+        alert.key,
+        alert.severity,
+        alert.title,
+        alert.message,
+        JSON.stringify(alert.details || {}),
+        JSON.stringify(channelResults)
+      ]);
+    },
+
     // Expose pool for direct access if needed
     get pool() {
       return pool;
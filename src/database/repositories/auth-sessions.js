@@ -0,0 +1,147 @@
+// auth_sessions: eLocal login cookies, one working session at a time
+import { getPool } from '../pool.js';
+
+/**
+ * @typedef {Object} AuthSessionRow
+ * @property {number} id
+ * @property {string} cookie_header
+ * @property {Date} expires_at
+ * @property {boolean} is_working
+ * @property {Date|null} last_checked
+ * @property {string|null} last_error_message
+ * @property {number} checked_count
+ * @property {Date} created_at
+ * @property {Date} updated_at
+ */
+
+// Everything but the cookie, for callers that only look at the state of a session
+const STATUS_COLUMNS = `
+  id, expires_at, is_working, last_checked, last_error_message,
+  created_at, updated_at, checked_count
+`;
+
+/**
+ * @param {Object} db - pg Pool or a transaction client (default: the shared pool)
+ */
+export const createAuthSessionsRepository = (db = getPool()) => ({
+  /**
+   * Newest working session that has not expired
+   * @returns {Promise<AuthSessionRow|null>}
+   */
+  async getLatestValid() {
+    const result = await db.query(`
+      SELECT cookie_header, ${STATUS_COLUMNS}
+      FROM auth_sessions
+      WHERE is_working = TRUE
+        AND expires_at > NOW()
+      ORDER BY created_at DESC
+      LIMIT 1
+    `);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Newest working session, expired or not (when the last refresh succeeded)
+   * @returns {Promise<AuthSessionRow|null>} without cookie_header
+   */
+  async getLatestWorking() {
+    const result = await db.query(`
+      SELECT ${STATUS_COLUMNS}
+      FROM auth_sessions
+      WHERE is_working = TRUE
+      ORDER BY created_at DESC
+      LIMIT 1
+    `);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Newest session, working or not (alert rules, health)
+   * @returns {Promise<AuthSessionRow|null>} without cookie_header
+   */
+  async getLatest() {
+    const result = await db.query(`
+      SELECT ${STATUS_COLUMNS}
+      FROM auth_sessions
+      ORDER BY created_at DESC
+      LIMIT 1
+    `);
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Store a new session and mark every other one as not working
+   * Run it in a transaction (withTransaction) so that readers never see two working sessions, or none.
+   * @param {Object} session - { cookieHeader, expiresAt, isWorking, lastChecked, errorMessage }
+   * @returns {Promise<{id: number, created_at: Date, updated_at: Date}>}
+   */
+  async replaceWorking({ cookieHeader, expiresAt, isWorking = true, lastChecked = new Date(), errorMessage = null }) {
+    await db.query(`
+      UPDATE auth_sessions
+      SET is_working = FALSE,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE is_working = TRUE
+    `);
+    const result = await db.query(`
+      INSERT INTO auth_sessions (
+        cookie_header, expires_at, is_working, last_checked, last_error_message, checked_count
+      ) VALUES ($1, $2, $3, $4, $5, 0)
+      RETURNING id, created_at, updated_at
+    `, [cookieHeader, new Date(expiresAt).toISOString(), isWorking, new Date(lastChecked).toISOString(), errorMessage]);
+    return result.rows[0];
+  },
+
+  /**
+   * Update the status fields of a session
+   * @param {number} id
+   * @param {Object} updates - { isWorking, lastChecked, lastErrorMessage, incrementCheckedCount }
+   * @returns {Promise<Object|null>} { id, is_working, last_checked, checked_count }, null when nothing was updated
+   */
+  async updateStatus(id, updates) {
+    const fields = [];
+    const values = [];
+
+    if (updates.isWorking !== undefined) {
+      values.push(updates.isWorking);
+      fields.push(`is_working = $${values.length}`);
+    }
+    if (updates.lastChecked !== undefined) {
+      values.push(new Date(updates.lastChecked).toISOString());
+      fields.push(`last_checked = $${values.length}`);
+    }
+    if (updates.lastErrorMessage !== undefined) {
+      values.push(updates.lastErrorMessage);
+      fields.push(`last_error_message = $${values.length}`);
+    }
+    if (updates.incrementCheckedCount) {
+      fields.push('checked_count = checked_count + 1');
+    }
+    if (fields.length === 0) {
+      return null;
+    }
+
+    values.push(id);
+    const result = await db.query(`
+      UPDATE auth_sessions
+      SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${values.length}
+      RETURNING id, is_working, last_checked, checked_count
+    `, values);
+    return result.rows[0] || null;
+  },
+
+  // Counts of all, working, valid and expired sessions, with the newest creation and check times
+  async getStats() {
+    const result = await db.query(`
+      SELECT
+        COUNT(*) as total_sessions,
+        COUNT(*) FILTER (WHERE is_working = TRUE) as working_sessions,
+        COUNT(*) FILTER (WHERE expires_at > NOW()) as valid_sessions,
+        COUNT(*) FILTER (WHERE expires_at <= NOW()) as expired_sessions,
+        MAX(created_at) as latest_session,
+        MAX(last_checked) as last_checked_time
+      FROM auth_sessions
+    `);
+    return result.rows[0];
+  }
+});
@@ -0,0 +1,101 @@
+// elocal_call_data: the calls scraped from eLocal
+// Call days are days in the call time zone (EST/EDT), filtered on call_at (see TIMEZONE_README.md).
+import { getPool } from '../pool.js';
+import { callDayBounds } from '../../utils/timezone.js';
+
+/**
+ * @typedef {Object} ElocalCallRow
+ * @property {number} id
+ * @property {string} caller_id
+ * @property {string} date_of_call - eLocal wall clock (YYYY-MM-DDTHH:mm:ss)
+ * @property {Date} call_at
+ * @property {string} source_timezone
+ * @property {string} payout - NUMERIC as returned by pg
+ * @property {string} category - STATIC | API
+ * @property {string|null} original_payout
+ * @property {string|null} original_revenue
+ * @property {number|null} total_duration
+ */
+
+/**
+ * @typedef {Object} CategoryTotals
+ * @property {string} category - Upper-case category (STATIC when empty)
+ * @property {number} elocalPayout
+ * @property {number} ringbaPayout - SUM(original_payout)
+ * @property {number} ringbaRevenue - SUM(original_revenue)
+ * @property {number} callCount
+ */
+
+/**
+ * @param {Object} db - pg Pool or a transaction client (default: the shared pool)
+ */
+export const createCallsRepository = (db = getPool()) => ({
+  /**
+   * Calls of the call days firstDay..lastDay (YYYY-MM-DD), by caller and time
+   * @returns {Promise<ElocalCallRow[]>}
+   */
+  async listForCallDays(firstDay, lastDay, { category = null } = {}) {
+    const { start, end } = callDayBounds(firstDay, lastDay);
+    const params = [start, end];
+    let categoryFilter = '';
+    if (category) {
+      params.push(category);
+      categoryFilter = ` AND category = $${params.length}`;
+    }
+
+    const result = await db.query(`
+      SELECT
+        id, caller_id, date_of_call, call_at, source_timezone, payout, category,
+        original_payout, original_revenue, total_duration
+      FROM elocal_call_data
+      WHERE call_at >= $1 AND call_at < $2${categoryFilter}
+      ORDER BY caller_id, call_at
+    `, params);
+    return result.rows;
+  },
+
+  /**
+   * eLocal payout and Ringba payout/revenue of one call day, per category
+   * @param {string} day - YYYY-MM-DD
+   * @returns {Promise<CategoryTotals[]>}
+   */
+  async totalsByCategoryForDay(day) {
+    const { start, end } = callDayBounds(day);
+    const result = await db.query(`
+      SELECT
+        category,
+        COALESCE(SUM(payout), 0) as elocal_payout,
+        COALESCE(SUM(original_payout), 0) as ringba_payout,
+        COALESCE(SUM(original_revenue), 0) as ringba_revenue,
+        COUNT(*) as call_count
+      FROM elocal_call_data
+      WHERE call_at >= $1 AND call_at < $2
+      GROUP BY category
+    `, [start, end]);
+    return result.rows.map(row => ({
+      category: String(row.category || 'STATIC').toUpperCase(),
+      elocalPayout: parseFloat(row.elocal_payout) || 0,
+      ringbaPayout: parseFloat(row.ringba_payout) || 0,
+      ringbaRevenue: parseFloat(row.ringba_revenue) || 0,
+      callCount: parseInt(row.call_count, 10) || 0
+    }));
+  },
+
+  /**
+   * Number of calls and total eLocal payout of the whole table
+   * @returns {Promise<{totalCalls: number, totalPayout: number}>}
+   */
+  async getTotals() {
+    const result = await db.query('SELECT COUNT(*) as count, COALESCE(SUM(payout), 0) as total FROM elocal_call_data');
+    return {
+      totalCalls: parseInt(result.rows[0].count, 10) || 0,
+      totalPayout: parseFloat(result.rows[0].total) || 0
+    };
+  },
+
+  // Any one row (dashboard /api/test-data)
+  async getSample() {
+    const result = await db.query('SELECT * FROM elocal_call_data LIMIT 1');
+    return result.rows[0] || null;
+  }
+});
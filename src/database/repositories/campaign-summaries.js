@@ -0,0 +1,183 @@
+// ringba_campaign_summary: daily Ringba totals per campaign/target
+// The combined "Appliance Repair" row of a day also carries the Google Ads spend (entered in the dashboard) and
+// the telco cost (insights_total_cost).
+import { getPool } from '../pool.js';
+
+export const COMBINED_CAMPAIGN = 'Appliance Repair';
+
+// Columns every table has; the optional ones were added by later migrations and are selected when present
+const BASE_COLUMNS = [
+  'id', 'campaign_name', 'campaign_id', 'target_id', 'target_name',
+  'summary_date', 'total_calls', 'revenue', 'payout', 'rpc',
+  'total_call_length_seconds', 'total_cost', 'no_connections',
+  'duplicates', 'margin', 'conversion_rate', 'created_at', 'updated_at'
+];
+const OPTIONAL_COLUMNS = [
+  'insights_total_cost', 'telco', 'google_ads_spend', 'google_ads_notes',
+  'connected_calls', 'connection_rate', 'completed_calls', 'completion_rate',
+  'root_calls'
+];
+
+/**
+ * @typedef {Object} GoogleAdsSpendRow
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} spend_amount - NUMERIC as returned by pg
+ * @property {string|null} notes
+ * @property {Date} updated_at
+ */
+
+/**
+ * @typedef {Object} CombinedDayCosts
+ * @property {number} googleAdsSpend
+ * @property {string|null} googleAdsNotes
+ * @property {number} telco - insights_total_cost
+ */
+
+// summary_date filter of an optional date range, appended to params
+const dateFilter = (params, startDate, endDate) => {
+  const conditions = [];
+  if (startDate) {
+    params.push(startDate);
+    conditions.push(`summary_date >= $${params.length}`);
+  }
+  if (endDate) {
+    params.push(endDate);
+    conditions.push(`summary_date <= $${params.length}`);
+  }
+  return conditions;
+};
+
+/**
+ * @param {Object} db - pg Pool or a transaction client (default: the shared pool)
+ */
+export const createCampaignSummariesRepository = (db = getPool()) => ({
+  /**
+   * Summary rows, newest day first (dashboard); only columns that exist in this database are selected
+   * @param {Object} filters - { startDate, endDate, campaignName }
+   * @returns {Promise<Object[]>}
+   */
+  async list({ startDate = null, endDate = null, campaignName = null } = {}) {
+    const columnResult = await db.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'ringba_campaign_summary'
+    `);
+    const existing = columnResult.rows.map(row => row.column_name);
+    const columns = [...BASE_COLUMNS, ...OPTIONAL_COLUMNS].filter(column => existing.includes(column));
+
+    const params = [];
+    const conditions = dateFilter(params, startDate, endDate);
+    if (campaignName) {
+      params.push(campaignName);
+      conditions.push(`campaign_name = $${params.length}`);
+    }
+
+    const result = await db.query(`
+      SELECT ${columns.join(', ')}
+      FROM ringba_campaign_summary
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY summary_date DESC, campaign_name ASC
+    `, params);
+    return result.rows;
+  },
+
+  /**
+   * RPC of a day, from the combined campaign when there is one (0 without a summary)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<number>}
+   */
+  async getRpcForDay(date) {
+    const result = await db.query(`
+      SELECT rpc, campaign_name
+      FROM ringba_campaign_summary
+      WHERE summary_date = $1
+      ORDER BY
+        CASE
+          WHEN campaign_name = $2 THEN 1
+          WHEN LOWER(campaign_name) LIKE '%' || LOWER($2) || '%' THEN 2
+          ELSE 3
+        END ASC
+      LIMIT 1
+    `, [date, COMBINED_CAMPAIGN]);
+    return result.rows.length > 0 ? parseFloat(result.rows[0].rpc) || 0 : 0;
+  },
+
+  /**
+   * Google Ads spend and telco cost of a day (zeros without a combined row)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<CombinedDayCosts>}
+   */
+  async getCombinedDayCosts(date) {
+    const result = await db.query(`
+      SELECT google_ads_spend, google_ads_notes, insights_total_cost
+      FROM ringba_campaign_summary
+      WHERE summary_date = $1 AND campaign_name = $2
+      LIMIT 1
+    `, [date, COMBINED_CAMPAIGN]);
+    const row = result.rows[0];
+    return {
+      googleAdsSpend: row ? parseFloat(row.google_ads_spend) || 0 : 0,
+      googleAdsNotes: row ? row.google_ads_notes || null : null,
+      telco: row ? parseFloat(row.insights_total_cost) || 0 : 0
+    };
+  },
+
+  /**
+   * Google Ads spend per day, newest first
+   * @returns {Promise<GoogleAdsSpendRow[]>}
+   */
+  async listGoogleAdsSpend({ startDate = null, endDate = null } = {}) {
+    const params = [COMBINED_CAMPAIGN];
+    const conditions = ['campaign_name = $1', ...dateFilter(params, startDate, endDate)];
+    const result = await db.query(`
+      SELECT summary_date::text as date, google_ads_spend as spend_amount, google_ads_notes as notes, updated_at
+      FROM ringba_campaign_summary
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY summary_date DESC
+    `, params);
+    return result.rows;
+  },
+
+  /**
+   * Set the Google Ads spend of a day on the combined row (created when the day has no summary yet)
+   * @returns {Promise<GoogleAdsSpendRow>} { id, date, spend_amount, notes, updated_at }
+   */
+  async setGoogleAdsSpend(date, spend, notes = null) {
+    const updated = await db.query(`
+      UPDATE ringba_campaign_summary
+      SET google_ads_spend = $1,
+          google_ads_notes = $2,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE campaign_name = $3 AND summary_date = $4
+      RETURNING id, summary_date::text as date, google_ads_spend as spend_amount, google_ads_notes as notes, updated_at
+    `, [spend, notes, COMBINED_CAMPAIGN, date]);
+    if (updated.rows.length > 0) {
+      return updated.rows[0];
+    }
+
+    const inserted = await db.query(`
+      INSERT INTO ringba_campaign_summary (
+        campaign_name, summary_date, google_ads_spend, google_ads_notes, updated_at
+      )
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+      RETURNING id, summary_date::text as date, google_ads_spend as spend_amount, google_ads_notes as notes, updated_at
+    `, [COMBINED_CAMPAIGN, date, spend, notes]);
+    return inserted.rows[0];
+  },
+
+  /**
+   * Set the Google Ads spend of a day back to 0 and clear its notes
+   * @returns {Promise<GoogleAdsSpendRow|null>} null when the day has no combined row
+   */
+  async clearGoogleAdsSpend(date) {
+    const result = await db.query(`
+      UPDATE ringba_campaign_summary
+      SET google_ads_spend = 0,
+          google_ads_notes = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE campaign_name = $1 AND summary_date = $2
+      RETURNING id, summary_date::text as date, google_ads_spend as spend_amount, google_ads_notes as notes
+    `, [COMBINED_CAMPAIGN, date]);
+    return result.rows[0] || null;
+  }
+});
@@ -0,0 +1,174 @@
+// payout_comparison_daily: one pre-calculated row per day (Ringba vs eLocal payout, costs and net)
+// Written by the payout comparison sync and the Excel import, read by the dashboard and the payout drift alert.
+import { getPool } from '../pool.js';
+
+/**
+ * @typedef {Object} PayoutComparisonDay
+ * @property {string} comparison_date - YYYY-MM-DD
+ * @property {number} ringba_static
+ * @property {number} ringba_api
+ * @property {number} ringba_total
+ * @property {number} elocal_static
+ * @property {number} elocal_api
+ * @property {number} elocal_total
+ * @property {number} adjustments - ringba_total - elocal_total
+ * @property {number} adjustment_static_pct
+ * @property {number} adjustment_api_pct
+ * @property {number} adjustment_pct
+ * @property {number} total_calls
+ * @property {number} rpc
+ * @property {number} google_ads_spend
+ * @property {string|null} google_ads_notes
+ * @property {number} telco
+ * @property {number} cost_per_call
+ * @property {number} net - elocal_total - google_ads_spend - telco
+ * @property {number} net_profit - net as % of elocal_total
+ */
+
+// Value columns in insert order (comparison_date comes first)
+const VALUE_COLUMNS = [
+  'ringba_static', 'ringba_api', 'ringba_total',
+  'elocal_static', 'elocal_api', 'elocal_total',
+  'adjustments', 'adjustment_static_pct', 'adjustment_api_pct', 'adjustment_pct',
+  'total_calls', 'rpc', 'google_ads_spend', 'google_ads_notes', 'telco',
+  'cost_per_call', 'net', 'net_profit'
+];
+
+const INTEGER_COLUMNS = ['total_calls'];
+const TEXT_COLUMNS = ['google_ads_notes'];
+
+// NUMERIC columns come back from pg as strings
+const toDay = (row) => Object.fromEntries([
+  ['date', row.date],
+  ...VALUE_COLUMNS.map(column => {
+    if (TEXT_COLUMNS.includes(column)) return [column, row[column] || null];
+    if (INTEGER_COLUMNS.includes(column)) return [column, parseInt(row[column], 10) || 0];
+    return [column, parseFloat(row[column]) || 0];
+  })
+]);
+
+/**
+ * Cost per call, net and net profit of a day from its eLocal total, costs and call count
+ * @returns {{cost_per_call: number, net: number, net_profit: number}}
+ */
+export const calculateNet = ({ elocalTotal, googleAdsSpend, telco, totalCalls }) => {
+  const net = elocalTotal - googleAdsSpend - telco;
+  return {
+    cost_per_call: totalCalls > 0 ? googleAdsSpend / totalCalls : 0,
+    net,
+    net_profit: elocalTotal > 0 ? (net / elocalTotal) * 100 : 0
+  };
+};
+
+/**
+ * @param {Object} db - pg Pool or a transaction client (default: the shared pool)
+ */
+export const createPayoutComparisonsRepository = (db = getPool()) => ({
+  /**
+   * Insert or replace the row of a day
+   * @param {PayoutComparisonDay} day
+   */
+  async upsertDay(day) {
+    const columns = ['comparison_date', ...VALUE_COLUMNS];
+    await db.query(`
+      INSERT INTO payout_comparison_daily (${columns.join(', ')}, updated_at)
+      VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')}, CURRENT_TIMESTAMP)
+      ON CONFLICT (comparison_date)
+      DO UPDATE SET
+        ${VALUE_COLUMNS.map(column => `${column} = EXCLUDED.${column}`).join(',\n        ')},
+        updated_at = CURRENT_TIMESTAMP
+    `, columns.map(column => day[column] ?? null));
+  },
+
+  /**
+   * Days of an optional date range (inclusive), newest first, numbers parsed
+   * @returns {Promise<Array>} { date, ...value columns }
+   */
+  async list({ startDate = null, endDate = null } = {}) {
+    const params = [];
+    const conditions = [];
+    if (startDate) {
+      params.push(startDate);
+      conditions.push(`comparison_date >= $${params.length}`);
+    }
+    if (endDate) {
+      params.push(endDate);
+      conditions.push(`comparison_date <= $${params.length}`);
+    }
+
+    const result = await db.query(`
+      SELECT comparison_date::text as date, ${VALUE_COLUMNS.join(', ')}
+      FROM payout_comparison_daily
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY comparison_date DESC
+    `, params);
+    return result.rows.map(toDay);
+  },
+
+  /**
+   * Totals of the days startDate..endDate (YYYY-MM-DD, inclusive), oldest first (payout drift alert)
+   * @returns {Promise<Array<{date: string, ringbaTotal: number, elocalTotal: number, adjustments: number, adjustmentPct: number}>>}
+   */
+  async listTotals(startDate, endDate) {
+    const result = await db.query(`
+      SELECT
+        comparison_date::text as comparison_date,
+        ringba_total, elocal_total, adjustments, adjustment_pct
+      FROM payout_comparison_daily
+      WHERE comparison_date BETWEEN $1::date AND $2::date
+      ORDER BY comparison_date;
+    `, [startDate, endDate]);
+    return result.rows.map(row => ({
+      date: row.comparison_date,
+      ringbaTotal: parseFloat(row.ringba_total) || 0,
+      elocalTotal: parseFloat(row.elocal_total) || 0,
+      adjustments: parseFloat(row.adjustments) || 0,
+      adjustmentPct: parseFloat(row.adjustment_pct) || 0
+    }));
+  },
+
+  /**
+   * Set the Google Ads spend of a day and recalculate its cost per call, net and net profit
+   * @returns {Promise<Object|null>} { date, googleAdsSpend, googleAdsNotes, costPerCall, net, netProfit },
+   *   null when the day has no row yet
+   */
+  async applyGoogleAdsSpend(date, spend, notes = null) {
+    const rowResult = await db.query(`
+      SELECT elocal_total, telco, total_calls
+      FROM payout_comparison_daily
+      WHERE comparison_date = $1
+    `, [date]);
+    if (rowResult.rows.length === 0) {
+      return null;
+    }
+
+    const row = rowResult.rows[0];
+    const totals = calculateNet({
+      elocalTotal: parseFloat(row.elocal_total) || 0,
+      googleAdsSpend: spend,
+      telco: parseFloat(row.telco) || 0,
+      totalCalls: parseInt(row.total_calls, 10) || 0
+    });
+
+    await db.query(`
+      UPDATE payout_comparison_daily
+      SET
+        google_ads_spend = $1,
+        google_ads_notes = $2,
+        cost_per_call = $3,
+        net = $4,
+        net_profit = $5,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE comparison_date = $6
+    `, [spend, notes, totals.cost_per_call, totals.net, totals.net_profit, date]);
+
+    return {
+      date,
+      googleAdsSpend: spend,
+      googleAdsNotes: notes,
+      costPerCall: totals.cost_per_call,
+      net: totals.net,
+      netProfit: totals.net_profit
+    };
+  }
+});
@@ -0,0 +1,44 @@
+// ringba_calls: the calls fetched from the Ringba call logs
+// Call days are days in the call time zone (EST/EDT), filtered on call_at (see TIMEZONE_README.md).
+import { getPool } from '../pool.js';
+import { callDayBounds } from '../../utils/timezone.js';
+
+/**
+ * @typedef {Object} RingbaCallRow
+ * @property {number} id
+ * @property {string} inbound_call_id
+ * @property {string} call_date_time - New York wall clock of the call
+ * @property {Date} call_at
+ * @property {string} source_timezone
+ * @property {string} caller_id
+ * @property {string|null} caller_id_e164
+ * @property {string} payout_amount - NUMERIC as returned by pg
+ * @property {string} revenue_amount
+ * @property {string|null} target_id
+ * @property {number|null} call_duration
+ * @property {string|null} rerouted_from_inbound_call_id
+ * @property {string|null} root_inbound_call_id
+ */
+
+/**
+ * @param {Object} db - pg Pool or a transaction client (default: the shared pool)
+ */
+export const createRingbaCallsRepository = (db = getPool()) => ({
+  /**
+   * Calls of the call days firstDay..lastDay (YYYY-MM-DD), by caller and time (the matching order)
+   * @returns {Promise<RingbaCallRow[]>}
+   */
+  async listForCallDays(firstDay, lastDay) {
+    const { start, end } = callDayBounds(firstDay, lastDay);
+    const result = await db.query(`
+      SELECT
+        id, inbound_call_id, call_date_time, call_at, source_timezone, caller_id, caller_id_e164,
+        payout_amount, revenue_amount, target_id, call_duration,
+        rerouted_from_inbound_call_id, root_inbound_call_id
+      FROM ringba_calls
+      WHERE call_at >= $1 AND call_at < $2
+      ORDER BY caller_id_e164, call_at
+    `, [start, end]);
+    return result.rows;
+  }
+});
@@ -0,0 +1,78 @@
+// webhook_requests: requests received on the dashboard's /webhook/:id endpoints
+import { getPool } from '../pool.js';
+
+/**
+ * @typedef {Object} WebhookRequestRow
+ * @property {number} id
+ * @property {string} webhook_id
+ * @property {string} method
+ * @property {Object|null} request_body
+ * @property {Object} headers
+ * @property {Object} query_params
+ * @property {string} ip_address
+ * @property {string} user_agent
+ * @property {Date} created_at
+ */
+
+/**
+ * @param {Object} db - pg Pool or a transaction client (default: the shared pool)
+ */
+export const createWebhookRequestsRepository = (db = getPool()) => ({
+  /**
+   * Store a received request
+   * @param {Object} request - { webhookId, method, body (null for none), headers, queryParams, ipAddress, userAgent }
+   * @returns {Promise<{id: number, created_at: Date}>}
+   */
+  async insert({ webhookId, method, body, headers, queryParams, ipAddress, userAgent }) {
+    const result = await db.query(`
+      INSERT INTO webhook_requests (
+        webhook_id, method, request_body, headers, query_params, ip_address, user_agent
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, created_at
+    `, [
+      webhookId,
+      method,
+      body === null || body === undefined ? null : JSON.stringify(body),
+      JSON.stringify(headers || {}),
+      JSON.stringify(queryParams || {}),
+      ipAddress,
+      userAgent
+    ]);
+    return result.rows[0];
+  },
+
+  /**
+   * Requests of one webhook ID, newest first
+   * @returns {Promise<{rows: WebhookRequestRow[], total: number}>}
+   */
+  async listByWebhook(webhookId, { limit = 100, offset = 0 } = {}) {
+    const result = await db.query(`
+      SELECT
+        id, webhook_id, method, request_body, headers, query_params, ip_address, user_agent, created_at
+      FROM webhook_requests
+      WHERE webhook_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [webhookId, limit, offset]);
+    const countResult = await db.query('SELECT COUNT(*) as total FROM webhook_requests WHERE webhook_id = $1', [webhookId]);
+    return { rows: result.rows, total: parseInt(countResult.rows[0].total, 10) || 0 };
+  },
+
+  /**
+   * Every webhook ID with its latest request and request count
+   * @returns {Promise<Array<{webhook_id: string, method: string, created_at: Date, request_count: string}>>}
+   */
+  async listWebhooks() {
+    const result = await db.query(`
+      SELECT DISTINCT ON (webhook_id)
+        webhook_id,
+        method,
+        created_at,
+        (SELECT COUNT(*) FROM webhook_requests wr2 WHERE wr2.webhook_id = wr.webhook_id) as request_count
+      FROM webhook_requests wr
+      ORDER BY webhook_id, created_at DESC
+    `);
+    return result.rows;
+  }
+});
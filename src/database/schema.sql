@@ -1,4 +1,6 @@
 -- PostgreSQL schema for eLocal scraper
+-- Reference snapshot only: the schema is defined by the migrations in migrations/ (npm run migrate,
+-- see MIGRATIONS_README.md). Do not run this file; add a migration for schema changes.
 
 -- Table to track scraping sessions
 CREATE TABLE IF NOT EXISTS scraping_sessions (
@@ -37,6 +39,8 @@ CREATE TABLE IF NOT EXISTS elocal_call_data (
     ringba_inbound_call_id VARCHAR(255),
     original_payout DECIMAL(10, 2) DEFAULT NULL,
     original_revenue DECIMAL(10, 2) DEFAULT NULL,
+    call_at TIMESTAMPTZ, -- Instant of date_of_call (date_of_call is the wall clock in source_timezone)
+    source_timezone VARCHAR(64), -- IANA zone of date_of_call, e.g. America/New_York (from eLocal's EST/EDT/...)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(caller_id, date_of_call, category)
@@ -71,6 +75,10 @@ CREATE TABLE IF NOT EXISTS ringba_calls (
     target_name VARCHAR(255),
     campaign_name VARCHAR(255),
     publisher_name VARCHAR(255),
+    rerouted_from_inbound_call_id VARCHAR(255), -- Set on legs rerouted/transferred from another leg
+    root_inbound_call_id VARCHAR(255), -- First leg of a multi-leg call
+    call_at TIMESTAMPTZ, -- Instant of the call (Ringba reports UTC; call_date_time is the New York wall clock)
+    source_timezone VARCHAR(64), -- IANA zone of call_date_time (America/New_York)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -78,6 +86,7 @@ CREATE TABLE IF NOT EXISTS ringba_calls (
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_elocal_call_data_caller_id ON elocal_call_data(caller_id);
 CREATE INDEX IF NOT EXISTS idx_elocal_call_data_date_of_call ON elocal_call_data(date_of_call);
+CREATE INDEX IF NOT EXISTS idx_elocal_call_data_call_at ON elocal_call_data(call_at);
 CREATE INDEX IF NOT EXISTS idx_elocal_call_data_category ON elocal_call_data(category);
 CREATE INDEX IF NOT EXISTS idx_elocal_call_data_ringba_id ON elocal_call_data(ringba_inbound_call_id);
 CREATE INDEX IF NOT EXISTS idx_elocal_call_data_original_payout ON elocal_call_data(original_payout);
@@ -90,8 +99,10 @@ CREATE INDEX IF NOT EXISTS idx_ringba_calls_inbound_call_id ON ringba_calls(inbo
 CREATE INDEX IF NOT EXISTS idx_ringba_calls_caller_id ON ringba_calls(caller_id);
 CREATE INDEX IF NOT EXISTS idx_ringba_calls_caller_id_e164 ON ringba_calls(caller_id_e164);
 CREATE INDEX IF NOT EXISTS idx_ringba_calls_call_date_time ON ringba_calls(call_date_time);
+CREATE INDEX IF NOT EXISTS idx_ringba_calls_call_at ON ringba_calls(call_at);
 CREATE INDEX IF NOT EXISTS idx_ringba_calls_target_id ON ringba_calls(target_id);
 CREATE INDEX IF NOT EXISTS idx_ringba_calls_call_duration ON ringba_calls(call_duration);
+CREATE INDEX IF NOT EXISTS idx_ringba_calls_rerouted_from ON ringba_calls(rerouted_from_inbound_call_id);
 
 -- Table to store Ringba campaign summary data (daily tracking)
 CREATE TABLE IF NOT EXISTS ringba_campaign_summary (
@@ -132,3 +143,241 @@ CREATE INDEX IF NOT EXISTS idx_ringba_campaign_summary_date ON ringba_campaign_s
 CREATE INDEX IF NOT EXISTS idx_ringba_campaign_summary_campaign_id ON ringba_campaign_summary(campaign_id);
 CREATE INDEX IF NOT EXISTS idx_ringba_campaign_summary_target_id ON ringba_campaign_summary(target_id);
 
+
+-- Table to store call matching decisions for every sync run (match evidence / audit trail)
+CREATE TABLE IF NOT EXISTS call_match_audit (
+    id SERIAL PRIMARY KEY,
+    sync_run_id VARCHAR(255) NOT NULL,
+    service VARCHAR(100) NOT NULL, -- ringba-cost-sync, ringba-original-sync
+    algorithm_version VARCHAR(100) NOT NULL, -- e.g. call-matcher/1:costSync:greedy
+    assignment VARCHAR(20), -- greedy, sequential, optimal
+    decision VARCHAR(20) NOT NULL, -- matched, unmatched
+    reason_code VARCHAR(50), -- Set when unmatched (see REASON_CODES in src/matching/call-matcher.js)
+    reason TEXT,
+    elocal_call_id INTEGER,
+    ringba_inbound_call_id VARCHAR(255),
+    caller_id_e164 VARCHAR(50),
+    category VARCHAR(50),
+    call_date DATE,
+    call_date_time VARCHAR(50),
+    score DECIMAL(12, 4),
+    time_diff_minutes DECIMAL(12, 4),
+    duration_diff_seconds INTEGER,
+    score_breakdown JSONB,
+    rejected_candidates JSONB DEFAULT '[]'::jsonb,
+    competing_candidates JSONB DEFAULT '[]'::jsonb,
+    candidate_count INTEGER DEFAULT 0,
+    multi_leg BOOLEAN DEFAULT FALSE, -- Matched Ringba call has more than one leg (reroute/transfer)
+    payment_legs JSONB, -- { payoutLegId, revenueLegId, legIds } for multi-leg calls
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_match_audit_sync_run_id ON call_match_audit(sync_run_id);
+CREATE INDEX IF NOT EXISTS idx_call_match_audit_caller_id_e164 ON call_match_audit(caller_id_e164);
+CREATE INDEX IF NOT EXISTS idx_call_match_audit_call_date ON call_match_audit(call_date);
+CREATE INDEX IF NOT EXISTS idx_call_match_audit_elocal_call_id ON call_match_audit(elocal_call_id);
+CREATE INDEX IF NOT EXISTS idx_call_match_audit_ringba_inbound_call_id ON call_match_audit(ringba_inbound_call_id);
+
+-- Table to store reviewable cost sync plans (proposed eLocal -> Ringba payout/revenue updates)
+CREATE TABLE IF NOT EXISTS cost_sync_plans (
+    id SERIAL PRIMARY KEY,
+    sync_run_id VARCHAR(255), -- Links the plan to its call_match_audit rows
+    status VARCHAR(30) NOT NULL DEFAULT 'pending', -- pending, approved, rejected, superseded, applying, applied, partially_applied
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    category VARCHAR(50), -- NULL = all categories
+    assignment VARCHAR(20),
+    total_updates INTEGER DEFAULT 0,
+    total_current_payout DECIMAL(12, 2) DEFAULT 0,
+    total_new_payout DECIMAL(12, 2) DEFAULT 0,
+    total_current_revenue DECIMAL(12, 2) DEFAULT 0,
+    total_new_revenue DECIMAL(12, 2) DEFAULT 0,
+    created_by VARCHAR(255),
+    reviewed_by VARCHAR(255),
+    reviewed_at TIMESTAMP,
+    review_notes TEXT,
+    applied_at TIMESTAMP,
+    applied_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Table to store the individual updates of a cost sync plan
+CREATE TABLE IF NOT EXISTS cost_sync_plan_items (
+    id SERIAL PRIMARY KEY,
+    plan_id INTEGER NOT NULL REFERENCES cost_sync_plans(id) ON DELETE CASCADE,
+    elocal_call_id INTEGER,
+    ringba_inbound_call_id VARCHAR(255) NOT NULL,
+    target_id VARCHAR(255),
+    category VARCHAR(50),
+    call_date DATE,
+    caller_id_e164 VARCHAR(50),
+    current_payout DECIMAL(10, 2) DEFAULT 0,
+    current_revenue DECIMAL(10, 2) DEFAULT 0,
+    new_payout DECIMAL(10, 2) DEFAULT 0,
+    new_revenue DECIMAL(10, 2) DEFAULT 0,
+    match_evidence JSONB, -- Score breakdown of the eLocal/Ringba pair
+    payment_leg VARCHAR(10), -- payout or revenue when only one amount is sent to this leg, NULL for both
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, applied, failed
+    error_message TEXT,
+    applied_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_cost_sync_plans_status ON cost_sync_plans(status);
+CREATE INDEX IF NOT EXISTS idx_cost_sync_plans_dates ON cost_sync_plans(start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_cost_sync_plan_items_plan_id ON cost_sync_plan_items(plan_id);
+CREATE INDEX IF NOT EXISTS idx_cost_sync_plan_items_status ON cost_sync_plan_items(plan_id, status);
+
+-- Journal of Ringba payment overrides (written before every /calls/payments/override request)
+-- Old amounts are kept so a sync run or a single call can be rolled back
+CREATE TABLE IF NOT EXISTS ringba_payment_journal (
+    id SERIAL PRIMARY KEY,
+    sync_run_id VARCHAR(255),
+    inbound_call_id VARCHAR(255) NOT NULL,
+    target_id VARCHAR(255),
+    old_payout DECIMAL(10, 2),
+    old_revenue DECIMAL(10, 2),
+    new_payout DECIMAL(10, 2),
+    new_revenue DECIMAL(10, 2),
+    reason TEXT,
+    actor VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, applied, failed, rolled_back
+    error_message TEXT,
+    rollback_of INTEGER REFERENCES ringba_payment_journal(id), -- Set on entries written by a rollback
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    applied_at TIMESTAMP,
+    rolled_back_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ringba_payment_journal_sync_run_id ON ringba_payment_journal(sync_run_id);
+CREATE INDEX IF NOT EXISTS idx_ringba_payment_journal_inbound_call_id ON ringba_payment_journal(inbound_call_id);
+CREATE INDEX IF NOT EXISTS idx_ringba_payment_journal_status ON ringba_payment_journal(status);
+
+-- Cost sync runs and their per-update checkpoint rows
+-- A run that stops before finishing stays 'running' and is resumed by the next run for the same category and an overlapping date range
+CREATE TABLE IF NOT EXISTS cost_sync_runs (
+    sync_run_id VARCHAR(255) PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    category VARCHAR(50),
+    status VARCHAR(30) NOT NULL DEFAULT 'running', -- running, completed, partially_completed
+    total_updates INTEGER DEFAULT 0,
+    confirmed_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    resumed_count INTEGER DEFAULT 0,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS cost_sync_run_updates (
+    id SERIAL PRIMARY KEY,
+    sync_run_id VARCHAR(255) NOT NULL REFERENCES cost_sync_runs(sync_run_id) ON DELETE CASCADE,
+    elocal_call_id INTEGER,
+    ringba_inbound_call_id VARCHAR(255) NOT NULL,
+    target_id VARCHAR(255),
+    category VARCHAR(50),
+    call_date DATE,
+    current_payout DECIMAL(10, 2) DEFAULT 0,
+    current_revenue DECIMAL(10, 2) DEFAULT 0,
+    new_payout DECIMAL(10, 2) DEFAULT 0,
+    new_revenue DECIMAL(10, 2) DEFAULT 0,
+    payment_leg VARCHAR(10), -- payout or revenue when only one amount is sent to this leg, NULL for both
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, confirmed, failed
+    attempts INTEGER DEFAULT 0,
+    error_message TEXT,
+    journal_id INTEGER REFERENCES ringba_payment_journal(id),
+    sent_at TIMESTAMP,
+    confirmed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(sync_run_id, ringba_inbound_call_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cost_sync_runs_status ON cost_sync_runs(status, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_cost_sync_run_updates_status ON cost_sync_run_updates(sync_run_id, status);
+CREATE INDEX IF NOT EXISTS idx_cost_sync_run_updates_inbound_call_id ON cost_sync_run_updates(ringba_inbound_call_id);
+
+-- Shared Ringba API token bucket (src/http/ringba-http.js)
+-- One row per bucket; every process takes tokens from the same row so schedulers share one request budget
+CREATE TABLE IF NOT EXISTS ringba_rate_limit (
+    bucket_key VARCHAR(100) PRIMARY KEY,
+    tokens DOUBLE PRECISION NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    paused_until TIMESTAMP -- Set from Retry-After when Ringba answers 429
+);
+
+-- Job run history: one row per service run (scrape, syncs, summary, comparison, auth refresh), whoever started it
+-- Written by src/services/job-runs.js; read by the dashboard's /api/history and /api/activity
+CREATE TABLE IF NOT EXISTS job_runs (
+    id SERIAL PRIMARY KEY,
+    job_type VARCHAR(50) NOT NULL, -- elocal-scrape, ringba-original, ringba-cost, campaign-summary, payout-comparison, ...
+    category VARCHAR(50),
+    start_date DATE,
+    end_date DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, success, partial, failed
+    counters JSONB NOT NULL DEFAULT '{}'::jsonb, -- numbers reported by the service (calls, updated, failed, ...)
+    reference_id VARCHAR(255), -- scraping session / sync run / plan ID of the run, when the service has one
+    source VARCHAR(100), -- script that started the run (scheduler.js, index.js, run-ringba-cost-sync.js, ...)
+    error_message TEXT,
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_started_at ON job_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_job_runs_type_status ON job_runs(job_type, status, started_at DESC);
+
+-- Structured service log events: console output of a job run, tagged with the run, service and level
+-- Written by src/utils/structured-logger.js (captured inside trackJobRun); read by the dashboard's /api/service-logs
+CREATE TABLE IF NOT EXISTS service_logs (
+    id BIGSERIAL PRIMARY KEY,
+    job_run_id INTEGER REFERENCES job_runs(id) ON DELETE CASCADE,
+    service VARCHAR(50) NOT NULL, -- job type of the run (elocal-scrape, ringba-cost, ...)
+    level VARCHAR(10) NOT NULL, -- debug, info, success, skip, warn, error
+    message TEXT NOT NULL,
+    context JSONB, -- objects/errors passed to console next to the message
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_logs_job_run ON service_logs(job_run_id, id);
+CREATE INDEX IF NOT EXISTS idx_service_logs_service_level ON service_logs(service, level, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_service_logs_created_at ON service_logs(created_at DESC);
+
+-- Job leases: one row per running job, so two processes cannot run the same job type on overlapping days
+-- Acquired in trackJobRun (src/services/job-locks.js), renewed by a heartbeat, released when the run ends.
+-- A lease whose expires_at has passed (crashed process) is stale and is removed by the next acquirer.
+CREATE TABLE IF NOT EXISTS job_locks (
+    id SERIAL PRIMARY KEY,
+    job_type VARCHAR(50) NOT NULL,
+    category VARCHAR(50), -- NULL: all categories
+    start_date DATE, -- NULL start/end: the whole job type
+    end_date DATE,
+    owner VARCHAR(255) NOT NULL, -- hostname:pid of the holder
+    job_run_id INTEGER, -- job_runs row of the holder (when recorded)
+    acquired_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    heartbeat_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_locks_type_expires ON job_locks(job_type, expires_at);
+
+-- Alerts sent by the alert dispatcher (src/alerts/dispatcher.js): failed runs, auth session expiry, payout drift,
+-- unmatched-call spikes. alert_key identifies the condition (e.g. payout-drift:2025-07-24); an alert with the same
+-- key is not sent again within its cooldown.
+CREATE TABLE IF NOT EXISTS alerts (
+    id SERIAL PRIMARY KEY,
+    rule VARCHAR(50) NOT NULL, -- job-failed, auth-session, payout-drift, unmatched-ratio, test
+    alert_key VARCHAR(255) NOT NULL,
+    severity VARCHAR(20) NOT NULL, -- critical, warning, info
+    title TEXT NOT NULL,
+    message TEXT,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    channels JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ name, ok, error }] per channel
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_key_created_at ON alerts(alert_key, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alerts_created_at ON alerts(created_at DESC);
@@ -0,0 +1,274 @@
+// Pipeline health (dashboard /api/health): is the data fresh, not just is the database up
+// Components:
+//   job:<type>   last successful run of each scheduled job type (job_runs), in hours
+//   data:<set>   newest day in elocal_call_data, ringba_calls (call_at), payout_comparison_daily, ringba_campaign_summary, in days
+//   auth         latest eLocal auth session (same conditions as the auth-session alert rule, ALERT_AUTH_EXPIRY_HOURS)
+// Each component is ok, warning or critical from its age vs its thresholds, or unknown when it could not be read.
+// Thresholds can be overridden per component: HEALTH_<KEY>_WARN_<HOURS|DAYS> / HEALTH_<KEY>_CRITICAL_<HOURS|DAYS>,
+// e.g. HEALTH_RINGBA_COST_WARN_HOURS=12, HEALTH_ELOCAL_CALLS_CRITICAL_DAYS=4 (see HEALTH_README.md).
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { authSessionAlert } from '../alerts/rules.js';
+import { callDaySql } from '../utils/timezone.js';
+
+const PROJECT_ROOT = join(dirname(fileURLToPath(import.meta.url)), '../..');
+
+// Only runs of the last JOB_LOOKBACK_DAYS are read; a job without a success in that window is critical
+const JOB_LOOKBACK_DAYS = 30;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const withThresholds = (component) => {
+  const prefix = `HEALTH_${component.key.toUpperCase().replace(/-/g, '_')}`;
+  const unit = component.unit.toUpperCase();
+  return {
+    ...component,
+    warn: envNumber(`${prefix}_WARN_${unit}`, component.warn),
+    critical: envNumber(`${prefix}_CRITICAL_${unit}`, component.critical)
+  };
+};
+
+// The current-day pipeline runs four times a night (IST) and then not for ~15 hours, so daily jobs get 26/50 hours
+export const JOB_COMPONENTS = [
+  { key: 'elocal-scrape', name: 'eLocal scrape', warn: 26, critical: 50 },
+  { key: 'ringba-original', name: 'Ringba original sync', warn: 26, critical: 50 },
+  { key: 'ringba-cost', name: 'Ringba cost sync', warn: 26, critical: 50 },
+  { key: 'campaign-summary', name: 'Campaign summary', warn: 26, critical: 50 },
+  { key: 'payout-comparison', name: 'Payout comparison', warn: 26, critical: 50 },
+  { key: 'ringba-zero-payout', name: 'Zero-payout fix', warn: 26, critical: 50 },
+  { key: 'auth-refresh', name: 'Auth refresh', warn: 4 * 24, critical: 7 * 24 },
+  { key: 'alert-check', name: 'Alert checks', warn: 14, critical: 26 }
+].map(component => withThresholds({ ...component, unit: 'hours' }));
+
+// latest: newest YYYY-MM-DD of the data set (calls: call day of call_at in the call time zone)
+export const DATA_COMPONENTS = [
+  {
+    key: 'elocal-calls',
+    name: 'eLocal calls',
+    warn: 1,
+    critical: 3,
+    query: `SELECT ${callDaySql('MAX(call_at)')}::text AS latest FROM elocal_call_data`
+  },
+  {
+    key: 'ringba-calls',
+    name: 'Ringba calls',
+    warn: 1,
+    critical: 3,
+    query: `SELECT ${callDaySql('MAX(call_at)')}::text AS latest FROM ringba_calls`
+  },
+  {
+    key: 'payout-comparison-data',
+    name: 'Payout comparison data',
+    warn: 1,
+    critical: 3,
+    query: 'SELECT MAX(comparison_date)::text AS latest FROM payout_comparison_daily'
+  },
+  {
+    key: 'campaign-summary-data',
+    name: 'Campaign summary data',
+    warn: 1,
+    critical: 3,
+    query: 'SELECT MAX(summary_date)::text AS latest FROM ringba_campaign_summary'
+  }
+].map(component => withThresholds({ ...component, unit: 'days' }));
+
+// Schedule types that are recorded under another job type
+const RECORDED_AS = { historical: 'elocal-scrape', current: 'elocal-scrape' };
+
+/**
+ * Job types with an enabled schedule in schedule-config.json (pipeline steps included)
+ * Jobs that are not scheduled are not expected to be fresh. Falls back to every job component when the file
+ * cannot be read.
+ * @returns {string[]}
+ */
+export const getScheduledJobTypes = (configPath = join(PROJECT_ROOT, 'schedule-config.json')) => {
+  try {
+    const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+    const types = new Set();
+    (config.services || [])
+      .filter(service => service.enabled !== false)
+      .forEach(service => {
+        const steps = service.type === 'pipeline' ? (service.steps || []).map(step => step.type) : [service.type];
+        steps.forEach(type => types.add(RECORDED_AS[type] || type));
+      });
+    return JOB_COMPONENTS.map(component => component.key).filter(key => types.has(key));
+  } catch (error) {
+    console.warn(`[WARN] Failed to read schedule-config.json for the health report: ${error.message}`);
+    return JOB_COMPONENTS.map(component => component.key);
+  }
+};
+
+// "Today" of the call data (eLocal and Ringba days are US days; the current-day services are CST-aware)
+const todayIn = (timeZone, now) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+
+const daysBetween = (fromDay, toDay) =>
+  Math.round((Date.parse(`${toDay}T00:00:00Z`) - Date.parse(`${fromDay}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+
+const grade = (age, component) => {
+  if (age === null) return 'critical';
+  if (age > component.critical) return 'critical';
+  if (age > component.warn) return 'warning';
+  return 'ok';
+};
+
+const describeThresholds = (component) => `warning after ${component.warn} ${component.unit}, critical after ${component.critical} ${component.unit}`;
+
+/**
+ * Read everything the health report needs
+ * Each part is read on its own, so a missing table only makes its components unknown.
+ * @param {Object} db - pg Pool or Client (anything with query(text, params))
+ * @param {string[]} jobTypes - Job types to check (getScheduledJobTypes())
+ * @returns {Promise<Object>} { jobs, jobsError, data: { key: { latest } | { error } }, auth, authError }
+ */
+export const loadHealthSnapshot = async (db, jobTypes) => {
+  const snapshot = { jobs: {}, jobsError: null, data: {}, auth: null, authError: null };
+
+  try {
+    const result = await db.query(`
+      SELECT
+        job_type,
+        MAX(finished_at) FILTER (WHERE status IN ('success', 'partial')) AS last_success_at,
+        MAX(started_at) AS last_started_at,
+        (ARRAY_AGG(status ORDER BY started_at DESC))[1] AS last_status,
+        (ARRAY_AGG(error_message ORDER BY started_at DESC))[1] AS last_error
+      FROM job_runs
+      WHERE job_type = ANY($1) AND started_at > NOW() - make_interval(days => $2)
+      GROUP BY job_type
+    `, [jobTypes, JOB_LOOKBACK_DAYS]);
+    result.rows.forEach(row => {
+      snapshot.jobs[row.job_type] = row;
+    });
+  } catch (error) {
+    snapshot.jobsError = error.message;
+  }
+
+  for (const component of DATA_COMPONENTS) {
+    try {
+      const result = await db.query(component.query);
+      snapshot.data[component.key] = { latest: result.rows[0]?.latest || null };
+    } catch (error) {
+      snapshot.data[component.key] = { error: error.message };
+    }
+  }
+
+  try {
+    const result = await db.query(`
+      SELECT id, expires_at, is_working, last_checked, last_error_message, created_at
+      FROM auth_sessions
+      ORDER BY created_at DESC
+      LIMIT 1
+    `);
+    snapshot.auth = result.rows[0] || null;
+  } catch (error) {
+    snapshot.authError = error.message;
+  }
+
+  return snapshot;
+};
+
+/**
+ * Grade every component of a snapshot
+ * @param {Object} snapshot - loadHealthSnapshot() result
+ * @param {string[]} jobTypes - Job types that were checked
+ * @param {Date} now
+ * @returns {{status: string, components: Array}} status: healthy (all ok), degraded (warning/unknown), unhealthy (critical)
+ */
+export const evaluateHealth = (snapshot, jobTypes, now = new Date()) => {
+  const components = [];
+
+  JOB_COMPONENTS.filter(component => jobTypes.includes(component.key)).forEach(component => {
+    const base = {
+      key: `job:${component.key}`,
+      group: 'jobs',
+      name: component.name,
+      unit: component.unit,
+      warn: component.warn,
+      critical: component.critical
+    };
+    if (snapshot.jobsError) {
+      components.push({ ...base, status: 'unknown', lastAt: null, age: null, message: snapshot.jobsError });
+      return;
+    }
+
+    const run = snapshot.jobs[component.key];
+    const lastAt = run?.last_success_at ? new Date(run.last_success_at) : null;
+    const age = lastAt ? Number(((now - lastAt) / (1000 * 60 * 60)).toFixed(1)) : null;
+    let status = grade(age, component);
+    let message = lastAt
+      ? `Last successful run ${age} hours ago (${describeThresholds(component)})`
+      : `No successful run in the last ${JOB_LOOKBACK_DAYS} days`;
+
+    // A fresh job whose latest run failed still needs a look
+    if (run?.last_status === 'failed') {
+      status = status === 'ok' ? 'warning' : status;
+      message = `Latest run failed: ${run.last_error || 'no error message'}. ${message}`;
+    }
+
+    components.push({
+      ...base,
+      status,
+      lastAt: lastAt ? lastAt.toISOString() : null,
+      age,
+      lastStatus: run?.last_status || null,
+      lastStartedAt: run?.last_started_at ? new Date(run.last_started_at).toISOString() : null,
+      message
+    });
+  });
+
+  const timeZone = process.env.HEALTH_DATA_TIMEZONE || 'America/Chicago';
+  const today = todayIn(timeZone, now);
+  DATA_COMPONENTS.forEach(component => {
+    const base = {
+      key: `data:${component.key}`,
+      group: 'data',
+      name: component.name,
+      unit: component.unit,
+      warn: component.warn,
+      critical: component.critical
+    };
+    const data = snapshot.data[component.key] || {};
+    if (data.error) {
+      components.push({ ...base, status: 'unknown', lastAt: null, age: null, message: data.error });
+      return;
+    }
+
+    const age = data.latest ? daysBetween(data.latest, today) : null;
+    components.push({
+      ...base,
+      status: grade(age, component),
+      lastAt: data.latest,
+      age,
+      message: data.latest
+        ? `Newest day ${data.latest}, ${age} days before ${today} (${timeZone}; ${describeThresholds(component)})`
+        : 'No rows'
+    });
+  });
+
+  const authBase = { key: 'auth', group: 'auth', name: 'eLocal auth session', unit: 'hours' };
+  if (snapshot.authError) {
+    components.push({ ...authBase, status: 'unknown', lastAt: null, message: snapshot.authError });
+  } else {
+    const alert = authSessionAlert(snapshot.auth, now);
+    const expiresAt = snapshot.auth ? new Date(snapshot.auth.expires_at) : null;
+    components.push({
+      ...authBase,
+      status: alert ? alert.severity : 'ok',
+      lastAt: expiresAt ? expiresAt.toISOString() : null,
+      age: null,
+      hoursLeft: expiresAt ? Number(((expiresAt - now) / (1000 * 60 * 60)).toFixed(1)) : null,
+      message: alert ? alert.title : `Session ${snapshot.auth.id} valid until ${expiresAt.toISOString()}`
+    });
+  }
+
+  const statuses = components.map(component => component.status);
+  const status = statuses.includes('critical')
+    ? 'unhealthy'
+    : (statuses.some(value => value !== 'ok') ? 'degraded' : 'healthy');
+
+  return { status, components };
+};
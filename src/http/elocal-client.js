@@ -1,10 +1,32 @@
 import fetch from 'node-fetch';
 import * as TE from 'fp-ts/lib/TaskEither.js';
 import dotenv from 'dotenv';
+import { observeHttpRequest } from '../metrics/metrics.js';
 
 dotenv.config();
 
-const ELOCAL_BASE_URL = 'https://apis.elocal.com/affiliates/v2/campaign-results';
+export const DEFAULT_ELOCAL_BASE_URL = 'https://apis.elocal.com/affiliates/v2/campaign-results';
+
+// ELOCAL_API_BASE_URL overrides the API base URL (e.g. start-elocal-mock.js for offline runs)
+// ELOCAL_BASE_URL is the eLocal login site (auth refresh), not the API
+// Read on every request because runners load .env after their imports are evaluated
+export const getElocalBaseUrl = () => (process.env.ELOCAL_API_BASE_URL || DEFAULT_ELOCAL_BASE_URL).replace(/\/+$/, '');
+
+// fetch() for eLocal API URLs that records latency and status code (ringbav2_http_* metrics)
+// The campaign UUID is dropped from the endpoint label: "GET /calls.json"
+export const elocalFetch = async (url, options = {}) => {
+  const method = (options.method || 'GET').toUpperCase();
+  const endpoint = `${method} ${new URL(url).pathname.replace(/^.*\/[^/]+(\/[^/]+)$/, '$1')}`;
+  const started = Date.now();
+  try {
+    const response = await fetch(url, options);
+    observeHttpRequest('elocal', endpoint, response.status, Date.now() - started);
+    return response;
+  } catch (error) {
+    observeHttpRequest('elocal', endpoint, 'error', Date.now() - started);
+    throw error;
+  }
+};
 
 /**
  * Fetch calls from eLocal API v2
@@ -21,7 +43,7 @@ export const getElocalCalls = (apiKey, uuid) => (dateRange, options = {}) =>
       if (!apiKey) throw new Error('eLocal API Key is required');
       if (!uuid) throw new Error('Campaign UUID is required');
 
-      const url = new URL(`${ELOCAL_BASE_URL}/${uuid}/calls.json`);
+      const url = new URL(`${getElocalBaseUrl()}/${uuid}/calls.json`);
 
       // Add query parameters (API v2 requires YYYY-MM-DD)
       url.searchParams.append('start_date', dateRange.startDateURL);
@@ -44,7 +66,7 @@ export const getElocalCalls = (apiKey, uuid) => (dateRange, options = {}) =>
 
       console.log(`[eLocal] Fetching API: ${url.toString()}`);
 
-      const response = await fetch(url.toString(), {
+      const response = await elocalFetch(url.toString(), {
         method: 'GET',
         headers: {
           'x-api-key': apiKey,
@@ -1,11 +1,9 @@
-import fetch from 'node-fetch';
+import { ringbaFetch, getRingbaBaseUrl } from './ringba-http.js';
 import * as TE from 'fp-ts/lib/TaskEither.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
-
 /**
  * Fetch calls with generic filters and columns
  * 
@@ -47,7 +45,7 @@ export const getCalls = (accountId, apiToken) => (filters, columns, options = {}
             const valueColumns = columns.map(col => ({ column: col }));
 
             while (hasMore) {
-                const url = `${RINGBA_BASE_URL}/${accountId}/calllogs`;
+                const url = `${getRingbaBaseUrl()}/${accountId}/calllogs`;
                 const headers = {
                     'Authorization': `Token ${apiToken}`,
                     'Content-Type': 'application/json'
@@ -66,7 +64,7 @@ export const getCalls = (accountId, apiToken) => (filters, columns, options = {}
                     formatDateTime: true
                 };
 
-                const response = await fetch(url, {
+                const response = await ringbaFetch(url, {
                     method: 'POST',
                     headers,
                     body: JSON.stringify(body)
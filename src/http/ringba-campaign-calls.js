@@ -1,11 +1,9 @@
-import fetch from 'node-fetch';
+import { ringbaFetch, getRingbaBaseUrl } from './ringba-http.js';
 import * as TE from 'fp-ts/lib/TaskEither.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
-
 /**
  * Fetch calls for a specific campaign ID with usage custom columns
  * 
@@ -48,7 +46,7 @@ export const getCallsByCampaignId = (accountId, apiToken) => (campaignId, column
             const valueColumns = columns.map(col => ({ column: col }));
 
             while (hasMore) {
-                const url = `${RINGBA_BASE_URL}/${accountId}/calllogs`;
+                const url = `${getRingbaBaseUrl()}/${accountId}/calllogs`;
                 const headers = {
                     'Authorization': `Token ${apiToken}`,
                     'Content-Type': 'application/json'
@@ -78,7 +76,7 @@ export const getCallsByCampaignId = (accountId, apiToken) => (campaignId, column
                     formatDateTime: true
                 };
 
-                const response = await fetch(url, {
+                const response = await ringbaFetch(url, {
                     method: 'POST',
                     headers,
                     body: JSON.stringify(body)
@@ -1,9 +1,7 @@
 // Ringba API client for call lookup and payment updates
-import fetch from 'node-fetch';
+import { ringbaFetch, getRingbaBaseUrl } from './ringba-http.js';
 import * as TE from 'fp-ts/lib/TaskEither.js';
 
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
-
 // Column key cache by accountId
 const columnKeyCache = {};
 
@@ -16,12 +14,12 @@ export const getColumnKeyMap = (accountId, apiToken) =>
         return columnKeyCache[accountId];
       }
 
-      const url = `${RINGBA_BASE_URL}/${accountId}/calllogs/columns`;
+      const url = `${getRingbaBaseUrl()}/${accountId}/calllogs/columns`;
       const headers = {
         'Authorization': `Token ${apiToken}`
       };
 
-      const response = await fetch(url, {
+      const response = await ringbaFetch(url, {
         method: 'GET',
         headers
       });
@@ -193,7 +191,7 @@ export const findCallByCallerIdAndTime = (accountId, apiToken) => (callerId, cal
       const start = new Date(callDt.getTime() - windowMinutes * 60 * 1000);
       const end = new Date(callDt.getTime() + windowMinutes * 60 * 1000);
 
-      const url = `${RINGBA_BASE_URL}/${accountId}/calllogs`;
+      const url = `${getRingbaBaseUrl()}/${accountId}/calllogs`;
       const headers = {
         'Authorization': `Token ${apiToken}`,
         'Content-Type': 'application/json'
@@ -229,7 +227,7 @@ export const findCallByCallerIdAndTime = (accountId, apiToken) => (callerId, cal
         // formatTimeZone: 'UTC' // Removed - may cause "Invalid IANA TimeZone" error with some accounts
       };
 
-      const response = await fetch(url, {
+      const response = await ringbaFetch(url, {
         method: 'POST',
         headers,
         body: JSON.stringify(body)
@@ -363,7 +361,7 @@ export const getCallDetails = (accountId, apiToken) => (inboundCallId) =>
         throw new Error('inboundCallId is required');
       }
 
-      const url = `${RINGBA_BASE_URL}/${accountId}/calllogs/detail`;
+      const url = `${getRingbaBaseUrl()}/${accountId}/calllogs/detail`;
       const headers = {
         'Authorization': `Token ${apiToken}`,
         'Content-Type': 'application/json'
@@ -384,7 +382,7 @@ export const getCallDetails = (accountId, apiToken) => (inboundCallId) =>
         ]
       };
 
-      const response = await fetch(url, {
+      const response = await ringbaFetch(url, {
         method: 'POST',
         headers,
         body: JSON.stringify(body)
@@ -394,7 +392,7 @@ export const getCallDetails = (accountId, apiToken) => (inboundCallId) =>
       
       if (!response.ok || json.isSuccessful === false) {
         const errorText = json.message || JSON.stringify(json);
-        throw new Error(`Ringba Details ${response.status}: ${errorText}`);
+        throw Object.assign(new Error(`Ringba Details ${response.status}: ${errorText}`), { status: response.status });
       }
 
       // Handle both response structures: report.records[0] or callLog.data[0]
@@ -428,7 +426,7 @@ export const getCallDetails = (accountId, apiToken) => (inboundCallId) =>
         rootInboundCallId: row.rootInboundCallId || null
       };
     },
-    (error) => new Error(`Failed to get Ringba call details: ${error.message}`)
+    (error) => new Error(`Failed to get Ringba call details: ${error.message}`, { cause: error })
   );
 
 // Resolve payment legs for multi-leg calls (reroutes/transfers)
@@ -556,7 +554,7 @@ export const updateCallPayment = (accountId, apiToken) => (inboundCallId, { newC
       }
 
       // Use the correct /calls/payments/override endpoint
-      const url = `${RINGBA_BASE_URL}/${accountId}/calls/payments/override`;
+      const url = `${getRingbaBaseUrl()}/${accountId}/calls/payments/override`;
       const headers = {
         'Authorization': `Token ${apiToken}`,
         'Content-Type': 'application/json'
@@ -592,7 +590,7 @@ export const updateCallPayment = (accountId, apiToken) => (inboundCallId, { newC
         body.adjustPayout = false;
       }
 
-      const response = await fetch(url, {
+      const response = await ringbaFetch(url, {
         method: 'POST',
         headers,
         body: JSON.stringify(body)
@@ -607,12 +605,12 @@ export const updateCallPayment = (accountId, apiToken) => (inboundCallId, { newC
       }
       
       if (!response.ok) {
-        throw new Error(`Ringba API error ${response.status}: ${text}`);
+        throw Object.assign(new Error(`Ringba API error ${response.status}: ${text}`), { status: response.status });
       }
       
       return json;
     },
-    (error) => new Error(`Failed to update Ringba payment: ${error.message}`)
+    (error) => new Error(`Failed to update Ringba payment: ${error.message}`, { cause: error })
   );
 
 // Void a call (zero out revenue/payout) using Ringba Void API
@@ -623,7 +621,7 @@ export const voidCall = (accountId, apiToken) => (inboundCallId, voidReason) =>
         throw new Error('inboundCallId is required');
       }
 
-      const url = `${RINGBA_BASE_URL}/${accountId}/calls/void`;
+      const url = `${getRingbaBaseUrl()}/${accountId}/calls/void`;
       const headers = {
         'Authorization': `Token ${apiToken}`,
         'Content-Type': 'application/json'
@@ -634,7 +632,7 @@ export const voidCall = (accountId, apiToken) => (inboundCallId, voidReason) =>
         voidReason: voidReason || 'Voided by eLocal sync job'
       };
 
-      const response = await fetch(url, {
+      const response = await ringbaFetch(url, {
         method: 'POST',
         headers,
         body: JSON.stringify(body)
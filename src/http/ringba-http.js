@@ -0,0 +1,354 @@
+// Shared Ringba HTTP layer
+// Every request to the Ringba API goes through ringbaFetch() (same signature as fetch):
+//   - token-bucket rate limit, shared between processes through the ringba_rate_limit table
+//     (falls back to an in-process bucket when the database is not configured or not reachable)
+//   - concurrency cap per process
+//   - 429 handling: waits for Retry-After (pausing the shared bucket for every service) and retries
+//   - per-endpoint metrics (requests, errors, 429s, retries, latency, time spent waiting for the limiter);
+//     latency and status codes also go to the Prometheus metrics (src/metrics/metrics.js)
+//
+// Settings (environment):
+//   RINGBA_BASE_URL               API base URL (default https://api.ringba.com/v2; point it at start-ringba-mock.js for offline runs)
+//   RINGBA_RATE_LIMIT_PER_SECOND  requests per second across all services (default 5)
+//   RINGBA_RATE_LIMIT_BURST       bucket size (default 10)
+//   RINGBA_MAX_CONCURRENCY        requests in flight per process (default 4)
+//   RINGBA_MAX_429_RETRIES        retries of a request answered with 429 (default 5)
+//   RINGBA_RATE_LIMIT_SHARED      set to 'false' to use the in-process bucket only
+import fetch from 'node-fetch';
+import { observeHttpRequest } from '../metrics/metrics.js';
+import { getPool, isDbConfigured } from '../database/pool.js';
+
+export const DEFAULT_RINGBA_BASE_URL = 'https://api.ringba.com/v2';
+
+const BUCKET_KEY = 'ringba-api';
+const DEFAULT_RETRY_AFTER_MS = 5000;
+const MAX_LIMITER_SLEEP_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Settings are read on first use (runners load .env after their imports are evaluated)
+let settings = null;
+
+const getSettings = () => {
+  if (!settings) {
+    settings = {
+      baseUrl: (process.env.RINGBA_BASE_URL || DEFAULT_RINGBA_BASE_URL).replace(/\/+$/, ''),
+      ratePerSecond: parseFloat(process.env.RINGBA_RATE_LIMIT_PER_SECOND || '5'),
+      burst: parseInt(process.env.RINGBA_RATE_LIMIT_BURST || '10', 10),
+      maxConcurrency: parseInt(process.env.RINGBA_MAX_CONCURRENCY || '4', 10),
+      max429Retries: parseInt(process.env.RINGBA_MAX_429_RETRIES || '5', 10),
+      shared: process.env.RINGBA_RATE_LIMIT_SHARED !== 'false'
+    };
+  }
+  return settings;
+};
+
+// Override settings for this process (e.g. from a runner's config)
+export const configureRingbaHttp = (overrides = {}) => {
+  settings = { ...getSettings(), ...overrides };
+  return settings;
+};
+
+// Base URL for every Ringba API request ("<base>/<accountId>/calllogs", ...)
+export const getRingbaBaseUrl = () => getSettings().baseUrl;
+
+// ---------------------------------------------------------------------------
+// Token bucket
+// ---------------------------------------------------------------------------
+
+const localBucket = { tokens: null, updatedAt: 0, pausedUntil: 0 };
+
+// Returns 0 when a token was taken, otherwise the milliseconds to wait before trying again
+const takeLocalToken = (s) => {
+  const now = Date.now();
+  if (localBucket.tokens === null) {
+    localBucket.tokens = s.burst;
+    localBucket.updatedAt = now;
+  }
+  localBucket.tokens = Math.min(s.burst, localBucket.tokens + ((now - localBucket.updatedAt) / 1000) * s.ratePerSecond);
+  localBucket.updatedAt = now;
+
+  if (localBucket.pausedUntil > now) {
+    return localBucket.pausedUntil - now;
+  }
+  if (localBucket.tokens >= 1) {
+    localBucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil(((1 - localBucket.tokens) / s.ratePerSecond) * 1000);
+};
+
+let sharedReady = false;
+let sharedDisabled = false;
+
+// The shared database pool, or null when there is no database to share the bucket through
+const getSharedPool = () => (isDbConfigured() ? getPool() : null);
+
+// Shared bucket failures never block Ringba requests - the in-process bucket takes over
+const disableSharedBucket = (error) => {
+  if (!sharedDisabled) {
+    console.warn(`[WARN] [Ringba HTTP] Shared rate limit unavailable, using in-process limit: ${error.message}`);
+  }
+  sharedDisabled = true;
+};
+
+// Same contract as takeLocalToken, against the ringba_rate_limit row (the row lock serialises all processes)
+const takeSharedToken = async (pool, s) => {
+  if (!sharedReady) {
+    await pool.query(`
+      INSERT INTO ringba_rate_limit (bucket_key, tokens, updated_at)
+      VALUES ($1, $2, clock_timestamp())
+      ON CONFLICT (bucket_key) DO NOTHING
+    `, [BUCKET_KEY, s.burst]);
+    sharedReady = true;
+  }
+
+  const result = await pool.query(`
+    WITH current AS (
+      SELECT
+        bucket_key,
+        LEAST($2::float8, tokens + EXTRACT(EPOCH FROM (clock_timestamp() - updated_at)) * $3::float8) AS available,
+        COALESCE(EXTRACT(EPOCH FROM (paused_until - clock_timestamp())), 0) AS paused_for
+      FROM ringba_rate_limit
+      WHERE bucket_key = $1
+      FOR UPDATE
+    )
+    UPDATE ringba_rate_limit r
+    SET
+      tokens = CASE WHEN c.paused_for <= 0 AND c.available >= 1 THEN c.available - 1 ELSE c.available END,
+      updated_at = clock_timestamp()
+    FROM current c
+    WHERE r.bucket_key = c.bucket_key
+    RETURNING c.available::float8 AS available, c.paused_for::float8 AS paused_for
+  `, [BUCKET_KEY, s.burst, s.ratePerSecond]);
+
+  const row = result.rows[0];
+  if (!row) {
+    throw new Error('ringba_rate_limit row is missing');
+  }
+  if (row.paused_for > 0) {
+    return Math.ceil(row.paused_for * 1000);
+  }
+  if (row.available >= 1) {
+    return 0;
+  }
+  return Math.ceil(((1 - row.available) / s.ratePerSecond) * 1000);
+};
+
+const takeToken = async (s) => {
+  const pool = s.shared && !sharedDisabled ? getSharedPool() : null;
+  if (pool) {
+    try {
+      return await takeSharedToken(pool, s);
+    } catch (error) {
+      disableSharedBucket(error);
+    }
+  }
+  return takeLocalToken(s);
+};
+
+// Wait until the bucket hands out a token; returns the time spent waiting
+const waitForToken = async (s) => {
+  const started = Date.now();
+  let waitMs = await takeToken(s);
+  while (waitMs > 0) {
+    await sleep(Math.min(waitMs, MAX_LIMITER_SLEEP_MS));
+    waitMs = await takeToken(s);
+  }
+  return Date.now() - started;
+};
+
+// Stop handing out tokens (in every process) until Retry-After has passed
+const pauseBucket = async (s, delayMs) => {
+  localBucket.pausedUntil = Math.max(localBucket.pausedUntil, Date.now() + delayMs);
+
+  const pool = s.shared && !sharedDisabled ? getSharedPool() : null;
+  if (!pool) return;
+  try {
+    await pool.query(`
+      UPDATE ringba_rate_limit
+      SET paused_until = GREATEST(COALESCE(paused_until, clock_timestamp()), clock_timestamp() + make_interval(secs => $2))
+      WHERE bucket_key = $1
+    `, [BUCKET_KEY, delayMs / 1000]);
+  } catch (error) {
+    disableSharedBucket(error);
+  }
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// ---------------------------------------------------------------------------
+// Concurrency cap
+// ---------------------------------------------------------------------------
+
+let activeRequests = 0;
+const waitingRequests = [];
+
+const acquireSlot = async (maxConcurrency) => {
+  if (activeRequests < maxConcurrency) {
+    activeRequests++;
+    return;
+  }
+  // The slot is handed over directly by releaseSlot()
+  await new Promise(resolve => waitingRequests.push(resolve));
+};
+
+const releaseSlot = () => {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests--;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Metrics
+// ---------------------------------------------------------------------------
+
+const metrics = new Map();
+
+// "POST /calllogs", "POST /calls/payments/override", ... (base path and account ID removed)
+const endpointOf = (url, method) => {
+  let path;
+  let basePath;
+  try {
+    path = new URL(url).pathname;
+    basePath = new URL(getRingbaBaseUrl()).pathname.replace(/\/+$/, '');
+  } catch {
+    path = String(url);
+    basePath = '';
+  }
+  if (path.startsWith(`${basePath}/`)) {
+    path = path.substring(basePath.length).replace(/^\/[^/]+/, '');
+  }
+  return `${method} ${path || '/'}`;
+};
+
+const getEndpointStats = (endpoint) => {
+  if (!metrics.has(endpoint)) {
+    metrics.set(endpoint, {
+      endpoint,
+      requests: 0,
+      successes: 0,
+      errors: 0,
+      networkErrors: 0,
+      rateLimited: 0,
+      retries: 0,
+      totalLatencyMs: 0,
+      maxLatencyMs: 0,
+      limiterWaitMs: 0,
+      lastStatus: null,
+      lastRequestAt: null
+    });
+  }
+  return metrics.get(endpoint);
+};
+
+// Snapshot of the per-endpoint metrics of this process
+export const getRingbaMetrics = () =>
+  Array.from(metrics.values()).map(stats => ({
+    ...stats,
+    avgLatencyMs: stats.requests > 0 ? Math.round(stats.totalLatencyMs / stats.requests) : 0
+  }));
+
+export const resetRingbaMetrics = () => {
+  metrics.clear();
+};
+
+// Print one line per endpoint
+export const logRingbaMetrics = (label = '[Ringba HTTP]') => {
+  const snapshot = getRingbaMetrics();
+  if (snapshot.length === 0) {
+    return;
+  }
+  console.log(`${label} API usage:`);
+  snapshot.forEach(stats => {
+    console.log(`         ${stats.endpoint}: ${stats.requests} requests, ${stats.errors} errors, ${stats.rateLimited} rate limited, ${stats.retries} retries, avg ${stats.avgLatencyMs}ms, waited ${(stats.limiterWaitMs / 1000).toFixed(1)}s`);
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Request
+// ---------------------------------------------------------------------------
+
+// Whether a failed Ringba request is worth retrying: network errors (no response) and 5xx responses
+// Clients put the response status on their errors (error.status) and keep the original error as error.cause;
+// 4xx answers (bad payload, unknown call) fail the same way every time, and 429 is already retried by ringbaFetch
+export const isTransientRingbaError = (error) => {
+  for (let current = error; current; current = current.cause) {
+    if (typeof current.status === 'number') {
+      return current.status >= 500;
+    }
+    if (current.name === 'FetchError' || current.name === 'AbortError') {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Drop-in replacement for fetch() for Ringba API URLs
+// Resolves with the final response (a 429 is returned once the retries are used up); network errors are rethrown
+export const ringbaFetch = async (url, options = {}) => {
+  const s = getSettings();
+  const method = (options.method || 'GET').toUpperCase();
+  const endpoint = endpointOf(url, method);
+  const stats = getEndpointStats(endpoint);
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+
+    await acquireSlot(s.maxConcurrency);
+    try {
+      stats.limiterWaitMs += await waitForToken(s);
+
+      const started = Date.now();
+      stats.requests++;
+      stats.lastRequestAt = new Date().toISOString();
+      try {
+        response = await fetch(url, options);
+      } catch (error) {
+        stats.networkErrors++;
+        stats.errors++;
+        throw error;
+      } finally {
+        const latency = Date.now() - started;
+        stats.totalLatencyMs += latency;
+        stats.maxLatencyMs = Math.max(stats.maxLatencyMs, latency);
+        observeHttpRequest('ringba', endpoint, response ? response.status : 'error', latency);
+      }
+    } finally {
+      releaseSlot();
+    }
+
+    stats.lastStatus = response.status;
+
+    if (response.status === 429) {
+      stats.rateLimited++;
+      if (attempt < s.max429Retries) {
+        const delayMs = parseRetryAfter(response.headers.get('retry-after')) ?? DEFAULT_RETRY_AFTER_MS * Math.pow(2, attempt);
+        await response.text().catch(() => null);
+        console.warn(`[WARN] [Ringba HTTP] 429 on ${endpoint}, retrying in ${(delayMs / 1000).toFixed(1)}s (retry ${attempt + 1}/${s.max429Retries})`);
+        stats.retries++;
+        await pauseBucket(s, delayMs);
+        continue;
+      }
+    }
+
+    if (response.ok) {
+      stats.successes++;
+    } else {
+      stats.errors++;
+    }
+    return response;
+  }
+};
@@ -1,38 +1,32 @@
 // Service to fetch all calls with payout and revenue filtered by targetId from Ringba API
-import fetch from 'node-fetch';
+import { ringbaFetch, getRingbaBaseUrl } from './ringba-http.js';
 import * as TE from 'fp-ts/lib/TaskEither.js';
+import { getRingbaTargets, getCampaignByTargetId } from '../config/campaign-registry.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config();
 
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
-
-// Global target IDs configuration
-// Add new target IDs here for easy management
-export const TARGET_IDS = {
-  'TA48aa3e3f5a0544af8549703f76a24faa': 'Elocal - Appliance repair - Static Line',
-  'PI1175ac62aa1c4748b21216666b398135': 'Elocal - Appliance Repair'
-};
+// Ringba target IDs come from the campaign registry (campaigns-config.json)
+// { targetId: targetName } for the enabled campaigns
+export const getTargetIds = () => getRingbaTargets();
 
 // Helper function to get target name by ID
 export const getTargetName = (targetId) => {
-  return TARGET_IDS[targetId] || targetId;
+  const campaign = getCampaignByTargetId(targetId);
+  return (campaign && campaign.ringbaTargets[targetId]) || targetId;
 };
 
 // Helper function to list all available target IDs
 export const listTargetIds = () => {
-  return Object.entries(TARGET_IDS).map(([id, name]) => ({ id, name }));
+  return Object.entries(getTargetIds()).map(([id, name]) => ({ id, name }));
 };
 
 // Helper function to determine category from target ID
-// Based on target name: "Static Line" -> STATIC, otherwise -> API
+// Category of the registered campaign the target belongs to (null for unregistered targets)
 export const getCategoryFromTargetId = (targetId) => {
-  const targetName = getTargetName(targetId);
-  if (targetName && targetName.toLowerCase().includes('static')) {
-    return 'STATIC';
-  }
-  return 'API';
+  const campaign = getCampaignByTargetId(targetId);
+  return campaign ? campaign.category : null;
 };
 
 /**
@@ -89,7 +83,7 @@ export const getCallsByTargetId = (accountId, apiToken) => (targetId, options =
       console.log(`[Ringba] Date range: ${startDate.toISOString()} to ${endDate.toISOString()}`);
 
       while (hasMore) {
-        const url = `${RINGBA_BASE_URL}/${accountId}/calllogs`;
+        const url = `${getRingbaBaseUrl()}/${accountId}/calllogs`;
         const headers = {
           'Authorization': `Token ${apiToken}`,
           'Content-Type': 'application/json'
@@ -121,7 +115,10 @@ export const getCallsByTargetId = (accountId, apiToken) => (targetId, options =
             { column: 'tag:InboundNumber:Number' }, // Caller ID
             // Campaign info
             { column: 'campaignName' },
-            { column: 'publisherName' }
+            { column: 'publisherName' },
+            // Multi-leg calls (reroutes/transfers)
+            { column: 'reroutedFromInboundCallId' },
+            { column: 'rootInboundCallId' }
           ],
           filters: [
             {
@@ -140,7 +137,7 @@ export const getCallsByTargetId = (accountId, apiToken) => (targetId, options =
 
         console.log(`[Ringba] Fetching page: offset=${offset}, size=${pageSize}`);
 
-        const response = await fetch(url, {
+        const response = await ringbaFetch(url, {
           method: 'POST',
           headers,
           body: JSON.stringify(body)
@@ -193,7 +190,10 @@ export const getCallsByTargetId = (accountId, apiToken) => (targetId, options =
             callerId: record['tag:InboundNumber:Number'] || null,
             // Campaign info
             campaignName: record.campaignName || null,
-            publisherName: record.publisherName || null
+            publisherName: record.publisherName || null,
+            // Multi-leg info (set on rerouted/transferred legs)
+            reroutedFromInboundCallId: record.reroutedFromInboundCallId || null,
+            rootInboundCallId: record.rootInboundCallId || null
           };
 
           allCalls.push(call);
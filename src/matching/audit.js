@@ -0,0 +1,136 @@
+// Match audit - turns a matchCalls() result into call_match_audit rows
+// One row per left record: the chosen pair (decision 'matched') or the reason it stayed unmatched,
+// together with the score breakdown, rejected candidates and competing candidates
+import { MATCHER_VERSION } from './call-matcher.js';
+import { CALL_TIMEZONE, dayInTimeZone } from '../utils/timezone.js';
+
+// Unique ID for one sync run (stored on every audit row written by that run)
+export const createSyncRunId = (service) => {
+  const stamp = new Date().toISOString().replace(/[-:.TZ]/g, '');
+  const suffix = Math.random().toString(36).substring(2, 8);
+  return `${service}_${stamp}_${suffix}`;
+};
+
+// Matcher version + strategy name + assignment mode, e.g. "call-matcher/2:costSync:greedy"
+export const getAlgorithmVersion = (strategy) =>
+  `${MATCHER_VERSION}:${strategy.name}:${strategy.assignment}`;
+
+// Ringba inbound call ID for records built from ringba_calls rows or Ringba API calls
+const ringbaIdOf = (record) => record?.call?.inbound_call_id || record?.call?.inboundCallId || null;
+
+// YYYY-MM-DD of a record: call day of its instant in the call time zone (falls back to the stored EST string)
+const callDateOf = (record) => {
+  if (record.date) return dayInTimeZone(record.date, CALL_TIMEZONE);
+  const prefix = String(record.dateStr || '').substring(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(prefix) ? prefix : null;
+};
+
+const describeCandidate = (record) => ({
+  id: ringbaIdOf(record) || record.id,
+  callerId: record.caller || record.callerRaw,
+  dateTime: record.dateStr,
+  duration: record.duration,
+  payout: record.payout
+});
+
+// Build audit rows for one match result
+// elocalSide: which side of the match holds eLocal records ('left' for cost sync, 'right' for original sync)
+// paymentLegs: optional Map of Ringba inbound call ID -> resolvePaymentLegs() result, noted on multi-leg matches
+export const buildMatchAuditRows = ({ syncRunId, service, strategy, result, elocalSide = 'left', paymentLegs = null }) => {
+  const algorithmVersion = getAlgorithmVersion(strategy);
+  const ids = (left, right) => {
+    const elocal = elocalSide === 'left' ? left : right;
+    const ringba = elocalSide === 'left' ? right : left;
+    return {
+      elocalCallId: elocal ? elocal.id : null,
+      ringbaInboundCallId: ringba ? ringbaIdOf(ringba) : null
+    };
+  };
+
+  const base = (left, entry) => ({
+    syncRunId,
+    service,
+    algorithmVersion,
+    assignment: strategy.assignment,
+    callerId: left.caller || left.callerRaw,
+    category: left.category,
+    callDate: callDateOf(left),
+    callDateTime: left.dateStr,
+    rejectedCandidates: (entry.rejected || []).map(r => ({
+      ...describeCandidate(r.right),
+      reasonCode: r.reasonCode,
+      breakdown: r.breakdown
+    })),
+    competingCandidates: (entry.competing || []).map(c => ({
+      ...describeCandidate(c.right),
+      score: c.score,
+      breakdown: c.breakdown
+    }))
+  });
+
+  const legsOf = (ringbaInboundCallId) => {
+    const legs = paymentLegs && ringbaInboundCallId ? paymentLegs.get(ringbaInboundCallId) : null;
+    if (!legs || !legs.isMultiLeg) {
+      return { multiLeg: false, paymentLegs: null };
+    }
+    return {
+      multiLeg: true,
+      paymentLegs: {
+        payoutLegId: legs.payoutLegId,
+        revenueLegId: legs.revenueLegId,
+        legIds: legs.legs.map(leg => leg.inboundCallId)
+      }
+    };
+  };
+
+  const matchedRows = result.pairs.map(pair => {
+    const row = base(pair.left, pair);
+    const matchIds = ids(pair.left, pair.right);
+    return {
+      ...row,
+      ...matchIds,
+      ...legsOf(matchIds.ringbaInboundCallId),
+      decision: 'matched',
+      reasonCode: null,
+      reason: null,
+      score: pair.score,
+      timeDiffMinutes: pair.breakdown.timeDiff,
+      durationDiffSeconds: pair.breakdown.durationChecked ? pair.breakdown.durationDiff : null,
+      scoreBreakdown: pair.cost !== undefined ? { ...pair.breakdown, cost: pair.cost } : pair.breakdown,
+      candidateCount: 1 + row.rejectedCandidates.length + row.competingCandidates.length
+    };
+  });
+
+  const unmatchedRows = result.unmatched.map(item => {
+    const row = base(item.left, item);
+    return {
+      ...row,
+      ...ids(item.left, null),
+      decision: 'unmatched',
+      reasonCode: item.reasonCode,
+      reason: item.reason,
+      score: null,
+      timeDiffMinutes: null,
+      durationDiffSeconds: null,
+      scoreBreakdown: null,
+      multiLeg: false,
+      paymentLegs: null,
+      candidateCount: row.rejectedCandidates.length + row.competingCandidates.length
+    };
+  });
+
+  return [...matchedRows, ...unmatchedRows];
+};
+
+// Build and store audit rows for one match result
+// Audit failures are logged and never stop the sync
+export const recordMatchAudit = async (db, params) => {
+  try {
+    const rows = buildMatchAuditRows(params);
+    const result = await db.insertMatchAuditBatch(rows);
+    return { inserted: result.inserted, error: null };
+  } catch (error) {
+    console.warn(`[WARN] Failed to record match audit for run ${params.syncRunId}: ${error.message}`);
+    return { inserted: 0, error: error.message };
+  }
+};
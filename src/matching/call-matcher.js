@@ -0,0 +1,411 @@
+// Call matching engine shared by ringba-cost-sync, ringba-original-sync and the eLocal scraper
+// Works on normalized records (see normalizers.js) and a strategy (see strategies.js)
+//
+// Every evaluation returns a score breakdown so "why didn't this call match" has one answer:
+//   { matched, reasonCode, score, breakdown: { timeDiff, effectiveWindow, daysDiff, durationDiff,
+//     durationChecked, durationBonus, payoutDiff, payoutMatch, score } }
+import { timeDiffMinutes } from './normalizers.js';
+import { CALL_TIMEZONE, dayInTimeZone } from '../utils/timezone.js';
+import { solveAssignment } from './hungarian.js';
+
+export const MATCHER_VERSION = 'call-matcher/2';
+
+// Reason codes for rejected pairs and unmatched calls
+export const REASON_CODES = {
+  INVALID_CATEGORY: 'INVALID_CATEGORY',
+  INVALID_CALLER: 'INVALID_CALLER',
+  INVALID_DATE: 'INVALID_DATE',
+  CATEGORY_MISMATCH: 'CATEGORY_MISMATCH',
+  CALLER_MISMATCH: 'CALLER_MISMATCH',
+  DAY_OUT_OF_RANGE: 'DAY_OUT_OF_RANGE',
+  OUTSIDE_TIME_WINDOW: 'OUTSIDE_TIME_WINDOW',
+  DURATION_MISMATCH: 'DURATION_MISMATCH',
+  SKIPPED: 'SKIPPED',
+  NO_CATEGORY_CANDIDATES: 'NO_CATEGORY_CANDIDATES',
+  NO_CALLER_CANDIDATES: 'NO_CALLER_CANDIDATES',
+  NO_CANDIDATE_IN_WINDOW: 'NO_CANDIDATE_IN_WINDOW',
+  CANDIDATES_TAKEN: 'CANDIDATES_TAKEN'
+};
+
+const reject = (reasonCode, breakdown = {}) => ({
+  matched: false,
+  reasonCode,
+  score: null,
+  breakdown
+});
+
+// Days between two records, either by the call day of the instant (in the call time zone) or by the raw
+// YYYY-MM-DD prefix
+const daysBetween = (left, right, strategy) => {
+  const leftDay = strategy.sameDayBy === 'string'
+    ? String(left.dateStr).substring(0, 10)
+    : dayInTimeZone(left.date, CALL_TIMEZONE);
+  const rightDay = strategy.sameDayBy === 'string'
+    ? String(right.dateStr).substring(0, 10)
+    : dayInTimeZone(right.date, CALL_TIMEZONE);
+  return Math.abs((new Date(leftDay).getTime() - new Date(rightDay).getTime()) / (1000 * 60 * 60 * 24));
+};
+
+const truncateToMinute = (date) => {
+  const copy = new Date(date);
+  copy.setUTCSeconds(0, 0);
+  return copy;
+};
+
+// Evaluate a single pair - lower score is better
+export const evaluatePair = (left, right, strategy) => {
+  // 1. Category (when both sides know it)
+  if (left.category && right.category && left.category !== right.category) {
+    return reject(REASON_CODES.CATEGORY_MISMATCH);
+  }
+
+  // 2. Caller ID (E.164, or exactly as scraped for eLocal-to-eLocal matching)
+  const callerKey = strategy.compareCallerBy === 'raw' ? 'callerRaw' : 'caller';
+  if (!left[callerKey] || !right[callerKey]) {
+    return reject(REASON_CODES.INVALID_CALLER);
+  }
+  if (left[callerKey] !== right[callerKey]) {
+    return reject(REASON_CODES.CALLER_MISMATCH);
+  }
+
+  // 3. Date and time
+  if (!left.date || !right.date) {
+    return reject(REASON_CODES.INVALID_DATE);
+  }
+
+  const daysDiff = daysBetween(left, right, strategy);
+  if (daysDiff > strategy.maxDaysApart) {
+    return reject(REASON_CODES.DAY_OUT_OF_RANGE, { daysDiff });
+  }
+
+  const leftDate = strategy.truncateSeconds ? truncateToMinute(left.date) : left.date;
+  const rightDate = strategy.truncateSeconds ? truncateToMinute(right.date) : right.date;
+  const timeDiff = timeDiffMinutes(leftDate, rightDate);
+  const effectiveWindow = daysDiff === 0 ? strategy.windowMinutes : strategy.adjacentDayWindowMinutes;
+
+  if (timeDiff > effectiveWindow) {
+    return reject(REASON_CODES.OUTSIDE_TIME_WINDOW, { daysDiff, timeDiff, effectiveWindow });
+  }
+
+  // 4. Duration - only checked when BOTH calls have duration data
+  const leftDuration = left.duration || 0;
+  const rightDuration = right.duration || 0;
+  const durationDiff = Math.abs(leftDuration - rightDuration);
+  const durationEnabled = strategy.durationToleranceSeconds !== null && strategy.durationToleranceSeconds !== undefined;
+  const durationChecked = durationEnabled && leftDuration > 0 && rightDuration > 0;
+
+  if (durationChecked && durationDiff > strategy.durationToleranceSeconds) {
+    return reject(REASON_CODES.DURATION_MISMATCH, { daysDiff, timeDiff, effectiveWindow, durationDiff, durationChecked });
+  }
+
+  // 5. Score
+  let score = timeDiff;
+
+  const durationBonus = durationChecked && durationDiff <= strategy.durationBonusSeconds;
+  if (durationBonus) {
+    score = score * strategy.durationBonusFactor;
+  }
+
+  const payoutDiff = Math.abs(left.payout - right.payout);
+  const payoutMatch = payoutDiff <= strategy.payoutTolerance;
+  if (strategy.payoutHint && left.payout > 0 && right.payout > 0) {
+    score = payoutMatch
+      ? timeDiff * strategy.payoutMatchFactor
+      : timeDiff + (payoutDiff * strategy.payoutPenaltyPerDollar);
+  }
+
+  return {
+    matched: true,
+    reasonCode: null,
+    score,
+    breakdown: {
+      timeDiff,
+      effectiveWindow,
+      daysDiff,
+      durationDiff,
+      durationChecked,
+      durationBonus,
+      durationMatch: true,
+      payoutDiff,
+      payoutMatch,
+      score
+    }
+  };
+};
+
+// Find the best candidate for one record (lowest score wins, first wins on ties)
+// options.skip(left, right) can exclude candidates (e.g. already matched / already applied)
+export const findBestMatch = (left, candidates, strategy, options = {}) => {
+  const evaluations = [];
+  let best = null;
+
+  for (const right of candidates) {
+    if (options.skip && options.skip(left, right)) {
+      evaluations.push({ right, ...reject(REASON_CODES.SKIPPED) });
+      continue;
+    }
+
+    const evaluation = evaluatePair(left, right, strategy);
+    evaluations.push({ right, ...evaluation });
+
+    if (evaluation.matched && (!best || evaluation.score < best.score)) {
+      best = { left, right, score: evaluation.score, breakdown: evaluation.breakdown };
+    }
+  }
+
+  return { best, evaluations };
+};
+
+// Priority for greedy assignment (higher is better)
+const getPriority = (candidate, strategy) => {
+  if (strategy.priority === 'payout-first') {
+    // Primary: payout amount (calls with money are more important)
+    // Secondary: inverse of match score (lower time diff = higher priority)
+    // Tertiary: duration match bonus
+    return (candidate.left.payout * 1000000) +
+      (1000 / (candidate.score + 1)) +
+      (candidate.breakdown.durationMatch ? 100 : 0);
+  }
+  return -candidate.score;
+};
+
+// Greedy assignment: sort every candidate pair by priority, assign one-to-one
+const assignGreedy = (candidates, strategy) => {
+  const sorted = candidates
+    .map(candidate => ({ ...candidate, priority: getPriority(candidate, strategy) }))
+    .sort((a, b) => b.priority - a.priority);
+
+  const takenLeft = new Set();
+  const takenRight = new Set();
+  const pairs = [];
+
+  for (const candidate of sorted) {
+    if (takenLeft.has(candidate.left.id) || takenRight.has(candidate.right.id)) {
+      continue;
+    }
+    takenLeft.add(candidate.left.id);
+    takenRight.add(candidate.right.id);
+    pairs.push(candidate);
+  }
+
+  return pairs;
+};
+
+// Sequential assignment: each left record (in input order) takes its best untaken candidate
+const assignSequential = (candidates, leftRecords) => {
+  const byLeft = new Map();
+  for (const candidate of candidates) {
+    if (!byLeft.has(candidate.left.id)) byLeft.set(candidate.left.id, []);
+    byLeft.get(candidate.left.id).push(candidate);
+  }
+
+  const takenRight = new Set();
+  const pairs = [];
+
+  for (const left of leftRecords) {
+    let best = null;
+    for (const candidate of byLeft.get(left.id) || []) {
+      if (takenRight.has(candidate.right.id)) continue;
+      if (!best || candidate.score < best.score) best = candidate;
+    }
+    if (best) {
+      takenRight.add(best.right.id);
+      pairs.push(best);
+    }
+  }
+
+  return pairs;
+};
+
+// Cost of a pair for optimal assignment (lower is better)
+const getAssignmentCost = (candidate, strategy) => {
+  const { timeDiff, durationDiff, durationChecked } = candidate.breakdown;
+  return (timeDiff * strategy.optimalTimeWeight) +
+    (durationChecked ? durationDiff * strategy.optimalDurationWeight : 0);
+};
+
+// Optimal assignment: solve a min-cost bipartite matching for each caller/category group
+// Maximizes the number of pairs first, then minimizes total time + duration distance
+const assignOptimal = (candidates, strategy) => {
+  const groups = new Map();
+  for (const candidate of candidates) {
+    const key = `${candidate.left.category}|${candidate.left.caller}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(candidate);
+  }
+
+  const pairs = [];
+  for (const groupCandidates of groups.values()) {
+    const leftIds = [...new Set(groupCandidates.map(c => c.left.id))];
+    const rightIds = [...new Set(groupCandidates.map(c => c.right.id))];
+    const lookup = new Map(groupCandidates.map(c => [`${c.left.id}|${c.right.id}`, c]));
+
+    const costMatrix = leftIds.map(leftId => rightIds.map(rightId => {
+      const candidate = lookup.get(`${leftId}|${rightId}`);
+      return candidate ? getAssignmentCost(candidate, strategy) : Infinity;
+    }));
+
+    const assignment = solveAssignment(costMatrix);
+    assignment.forEach((col, row) => {
+      if (col < 0) return;
+      const candidate = lookup.get(`${leftIds[row]}|${rightIds[col]}`);
+      pairs.push({ ...candidate, cost: costMatrix[row][col] });
+    });
+  }
+
+  return pairs;
+};
+
+const ASSIGNMENTS = {
+  greedy: (candidates, leftRecords, strategy) => assignGreedy(candidates, strategy),
+  sequential: (candidates, leftRecords) => assignSequential(candidates, leftRecords),
+  optimal: (candidates, leftRecords, strategy) => assignOptimal(candidates, strategy)
+};
+
+// Human readable reason for an unmatched record
+const describeReason = (reasonCode, left, strategy, rejected = []) => {
+  const label = strategy.candidateLabel;
+  switch (reasonCode) {
+    case REASON_CODES.INVALID_CATEGORY:
+      return `Invalid or unknown ${left.categorySource || 'category'}`;
+    case REASON_CODES.INVALID_CALLER:
+      return 'Invalid caller ID';
+    case REASON_CODES.NO_CATEGORY_CANDIDATES:
+      return `No ${label} calls found for category: ${left.category}`;
+    case REASON_CODES.NO_CALLER_CANDIDATES:
+      return `No matching ${label} call found for category ${left.category} and caller ${left.caller}`;
+    case REASON_CODES.CANDIDATES_TAKEN:
+      return `All matching ${label} calls were assigned to other calls`;
+    case REASON_CODES.NO_CANDIDATE_IN_WINDOW: {
+      const counts = rejected.reduce((acc, r) => {
+        acc[r.reasonCode] = (acc[r.reasonCode] || 0) + 1;
+        return acc;
+      }, {});
+      const detail = Object.entries(counts).map(([code, count]) => `${code}: ${count}`).join(', ');
+      return `No matching ${label} call found (${detail || 'no candidates'})`;
+    }
+    default:
+      return reasonCode;
+  }
+};
+
+// Match two lists of records one-to-one
+// Candidates are grouped by category and caller, evaluated, then assigned using strategy.assignment
+// Returns { pairs, unmatched, candidates }
+//   pairs:      [{ left, right, score, breakdown, priority?, rejected, competing }]
+//   unmatched:  [{ left, reasonCode, reason, rejected, competing }]
+//   candidates: every pair that passed evaluation (including the ones that lost assignment)
+// rejected = evaluations that failed for the left record, competing = candidates that passed but were not chosen
+export const matchCalls = (leftRecords, rightRecords, strategy) => {
+  const assign = ASSIGNMENTS[strategy.assignment];
+  if (!assign) {
+    throw new Error(`Unknown assignment mode: ${strategy.assignment}`);
+  }
+
+  // Group right records: Map<category, Map<caller, Array<record>>>
+  const rightByCategoryAndCaller = new Map();
+  for (const right of rightRecords) {
+    if (!right.category || !right.caller) {
+      continue; // Skip records with unknown category or invalid caller ID
+    }
+    if (!rightByCategoryAndCaller.has(right.category)) {
+      rightByCategoryAndCaller.set(right.category, new Map());
+    }
+    const byCaller = rightByCategoryAndCaller.get(right.category);
+    if (!byCaller.has(right.caller)) {
+      byCaller.set(right.caller, []);
+    }
+    byCaller.get(right.caller).push(right);
+  }
+
+  const candidates = [];
+  const earlyUnmatched = new Map(); // left.id -> reasonCode
+  const rejectedByLeft = new Map(); // left.id -> rejected evaluations
+
+  for (const left of leftRecords) {
+    if (!left.category) {
+      earlyUnmatched.set(left.id, REASON_CODES.INVALID_CATEGORY);
+      continue;
+    }
+    if (!left.caller) {
+      earlyUnmatched.set(left.id, REASON_CODES.INVALID_CALLER);
+      continue;
+    }
+
+    const byCaller = rightByCategoryAndCaller.get(left.category);
+    if (!byCaller) {
+      earlyUnmatched.set(left.id, REASON_CODES.NO_CATEGORY_CANDIDATES);
+      continue;
+    }
+
+    const group = byCaller.get(left.caller) || [];
+    if (group.length === 0) {
+      earlyUnmatched.set(left.id, REASON_CODES.NO_CALLER_CANDIDATES);
+      continue;
+    }
+
+    const rejected = [];
+    for (const right of group) {
+      const evaluation = evaluatePair(left, right, strategy);
+      if (evaluation.matched) {
+        candidates.push({ left, right, score: evaluation.score, breakdown: evaluation.breakdown });
+      } else {
+        rejected.push({ right, reasonCode: evaluation.reasonCode, breakdown: evaluation.breakdown });
+      }
+    }
+    rejectedByLeft.set(left.id, rejected);
+  }
+
+  const candidatesByLeft = new Map();
+  for (const candidate of candidates) {
+    if (!candidatesByLeft.has(candidate.left.id)) candidatesByLeft.set(candidate.left.id, []);
+    candidatesByLeft.get(candidate.left.id).push(candidate);
+  }
+  const competingFor = (left, chosen = null) => (candidatesByLeft.get(left.id) || [])
+    .filter(c => !chosen || c.right.id !== chosen.id);
+
+  const pairs = assign(candidates, leftRecords, strategy).map(pair => ({
+    ...pair,
+    rejected: rejectedByLeft.get(pair.left.id) || [],
+    competing: competingFor(pair.left, pair.right)
+  }));
+
+  const matchedLeftIds = new Set(pairs.map(p => p.left.id));
+  const unmatched = [];
+
+  for (const left of leftRecords) {
+    if (matchedLeftIds.has(left.id)) continue;
+
+    const rejected = rejectedByLeft.get(left.id) || [];
+    const reasonCode = earlyUnmatched.get(left.id) ||
+      (candidatesByLeft.has(left.id) ? REASON_CODES.CANDIDATES_TAKEN : REASON_CODES.NO_CANDIDATE_IN_WINDOW);
+
+    unmatched.push({
+      left,
+      reasonCode,
+      reason: describeReason(reasonCode, left, strategy, rejected),
+      rejected,
+      competing: competingFor(left)
+    });
+  }
+
+  return { pairs, unmatched, candidates };
+};
+
+// Compare two match results by left record
+// Returns one entry per left record whose assigned partner differs between the two results
+export const diffPairs = (pairsA, pairsB) => {
+  const byLeftA = new Map(pairsA.map(p => [p.left.id, p]));
+  const byLeftB = new Map(pairsB.map(p => [p.left.id, p]));
+  const leftIds = new Set([...byLeftA.keys(), ...byLeftB.keys()]);
+  const differences = [];
+
+  for (const leftId of leftIds) {
+    const a = byLeftA.get(leftId) || null;
+    const b = byLeftB.get(leftId) || null;
+    if (a && b && a.right.id === b.right.id) continue;
+    differences.push({ left: (a || b).left, a, b });
+  }
+
+  return differences;
+};
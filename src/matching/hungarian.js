@@ -0,0 +1,99 @@
+// Hungarian algorithm (Kuhn-Munkres) for the min-cost assignment problem
+// Used by the 'optimal' assignment mode of the call matching engine
+//
+// costMatrix: rows x cols array of numbers (Infinity = pair not allowed)
+// Returns an array where result[row] = assigned column index, or -1 when the row stays unassigned
+
+// Solve a square cost matrix (O(n^3), potentials version)
+const solveSquare = (cost) => {
+  const n = cost.length;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const p = new Array(n + 1).fill(0);   // p[col] = row assigned to col (1-based)
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const result = new Array(n).fill(-1);
+  for (let j = 1; j <= n; j++) {
+    if (p[j] > 0) result[p[j] - 1] = j - 1;
+  }
+  return result;
+};
+
+// Solve a rectangular cost matrix
+// Disallowed pairs and padding share one large cost, so the solver first maximizes
+// the number of allowed pairs and then minimizes their total cost
+export const solveAssignment = (costMatrix) => {
+  const rows = costMatrix.length;
+  if (rows === 0) return [];
+  const cols = Math.max(...costMatrix.map(row => row.length));
+  if (cols === 0) return new Array(rows).fill(-1);
+
+  let allowedTotal = 0;
+  for (const row of costMatrix) {
+    for (const value of row) {
+      if (Number.isFinite(value)) allowedTotal += Math.abs(value);
+    }
+  }
+  const blocked = allowedTotal + 1;
+
+  const n = Math.max(rows, cols);
+  const square = [];
+  for (let i = 0; i < n; i++) {
+    const row = [];
+    for (let j = 0; j < n; j++) {
+      const value = i < rows && j < cols ? costMatrix[i][j] : undefined;
+      row.push(Number.isFinite(value) ? value : blocked);
+    }
+    square.push(row);
+  }
+
+  const assignment = solveSquare(square);
+
+  return costMatrix.map((row, i) => {
+    const j = assignment[i];
+    return j >= 0 && j < cols && Number.isFinite(row[j]) ? j : -1;
+  });
+};
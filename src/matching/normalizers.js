@@ -0,0 +1,160 @@
+// Normalizers for the call matching engine
+// Every source (eLocal rows, Ringba rows, Ringba API calls, adjustments, scraped calls)
+// is converted to the same record shape before matching:
+//   { id, call, category, categorySource, caller, callerRaw, dateStr, date, duration, payout }
+// date is the instant of the call: call_at when the row has it, otherwise dateStr read in its source time zone
+import { getCategoryFromTargetId } from '../http/ringba-target-calls.js';
+import { CALL_TIMEZONE, wallClockToInstant } from '../utils/timezone.js';
+import { parseRingbaDate } from '../utils/date-normalizer.js';
+
+// Convert phone number to E.164 format
+export const toE164 = (raw) => {
+  if (!raw) return null;
+  const digits = (raw || '').replace(/\D/g, '');
+  if (!digits) return null;
+  // If already in E.164 format (starts with +), return as-is
+  if (raw.startsWith('+')) return raw;
+  // 11 digits starting with 1 (US with country code)
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  // 10 digits (US without country code)
+  if (digits.length === 10) return `+1${digits}`;
+  // Last resort: try to format as E.164
+  return digits.length > 0 ? `+${digits}` : null;
+};
+
+// Parse date from various formats to Date object
+// Handles: ISO format, MM/DD/YYYY HH:MM:SS AM/PM (Ringba format), YYYY-MM-DD, etc.
+// IMPORTANT: eLocal and Ringba dates are both stored as wall clocks (YYYY-MM-DDTHH:mm:ss) in their source time zone
+// (source_timezone, EST/EDT by default). Strings without an offset are read in that zone - never in the server's.
+export const parseDate = (dateStr, timeZone = CALL_TIMEZONE) => {
+  if (!dateStr) return null;
+  if (dateStr instanceof Date) return isNaN(dateStr.getTime()) ? null : dateStr;
+  try {
+    const trimmed = String(dateStr).trim();
+
+    // ISO with an explicit offset ("...Z", "...-05:00") is already an instant
+    if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(trimmed)) {
+      const date = new Date(trimmed);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    // Try Ringba format: MM/DD/YYYY HH:MM:SS AM/PM (e.g., "11/18/2025 06:29:34 PM", UTC)
+    const ringbaDate = parseRingbaDate(trimmed);
+    if (ringbaDate) {
+      return ringbaDate;
+    }
+
+    // Try YYYY-MM-DDTHH:mm:ss (eLocal format, and Ringba after conversion) or YYYY-MM-DD (date only)
+    if (/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2})?)?/.test(trimmed)) {
+      return wallClockToInstant(trimmed, timeZone || CALL_TIMEZONE);
+    }
+
+    // Try MM/DD/YYYY format (date only, no time)
+    const mmddyyyy = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (mmddyyyy) {
+      const month = mmddyyyy[1].padStart(2, '0');
+      const day = mmddyyyy[2].padStart(2, '0');
+      return wallClockToInstant(`${mmddyyyy[3]}-${month}-${day}`, timeZone || CALL_TIMEZONE);
+    }
+
+    // Anything else (e.g. raw "11/18/25 04:38 PM EST" with its own zone abbreviation)
+    const date = new Date(trimmed);
+    if (!isNaN(date.getTime())) {
+      return date;
+    }
+  } catch (error) {
+    // Ignore parsing errors
+  }
+  return null;
+};
+
+// Calculate time difference in minutes
+export const timeDiffMinutes = (date1, date2) => {
+  if (!date1 || !date2) return Infinity;
+  return Math.abs(date1.getTime() - date2.getTime()) / (1000 * 60);
+};
+
+// Duration in seconds, or null when there is no duration data
+// N/A, null, undefined and '' mean "unknown" - NOT zero
+const toDuration = (raw) => {
+  if (raw === null || raw === undefined || raw === 'N/A' || raw === '') return null;
+  const value = Number(raw);
+  return isNaN(value) ? null : value;
+};
+
+// Caller ID for matching - anonymous callers never match
+const toMatchCaller = (raw) => {
+  if (!raw) return null;
+  if (String(raw).toLowerCase().includes('anonymous')) return null;
+  return toE164(String(raw));
+};
+
+// Row from elocal_call_data
+export const fromElocalRow = (row) => ({
+  id: row.id,
+  call: row,
+  category: row.category || 'STATIC',
+  categorySource: null,
+  caller: toMatchCaller(row.caller_id),
+  callerRaw: row.caller_id || null,
+  dateStr: row.date_of_call || null,
+  date: parseDate(row.call_at) || parseDate(row.date_of_call, row.source_timezone),
+  duration: toDuration(row.total_duration),
+  payout: Number(row.payout || 0)
+});
+
+// Row from ringba_calls
+export const fromRingbaRow = (row) => ({
+  id: row.id,
+  call: row,
+  category: getCategoryFromTargetId(row.target_id),
+  categorySource: `target ID: ${row.target_id}`,
+  caller: row.caller_id_e164 || toMatchCaller(row.caller_id),
+  callerRaw: row.caller_id || null,
+  dateStr: row.call_date_time || null,
+  date: parseDate(row.call_at) || parseDate(row.call_date_time, row.source_timezone),
+  duration: toDuration(row.call_duration),
+  payout: Number(row.payout_amount || 0)
+});
+
+// Call fetched from the Ringba API (see fetchAllRingbaCalls in ringba-original-sync.js)
+export const fromRingbaApiCall = (call) => ({
+  id: call.inboundCallId,
+  call,
+  category: getCategoryFromTargetId(call.targetId),
+  categorySource: `target ID: ${call.targetId}`,
+  caller: call.callerIdE164 || toMatchCaller(call.callerId),
+  callerRaw: call.callerId || null,
+  dateStr: call.callDt || null,
+  date: parseDate(call.callAt) || parseDate(call.callDt, call.sourceTimezone),
+  duration: toDuration(call.callDuration),
+  payout: Number(call.payout || 0)
+});
+
+// Adjustment row scraped from eLocal
+export const fromAdjustment = (adjustment, category = 'STATIC') => ({
+  id: `${adjustment.callerId}|${adjustment.timeOfCall}`,
+  call: adjustment,
+  category,
+  categorySource: null,
+  caller: toMatchCaller(adjustment.callerId),
+  callerRaw: adjustment.callerId || null,
+  dateStr: adjustment.timeOfCall || null,
+  date: parseDate(adjustment.timeOfCall),
+  duration: null,
+  payout: Number(adjustment.amount || 0)
+});
+
+// Call scraped in the current session (camelCase fields from processCampaignCalls)
+export const fromScrapedCall = (call, category = 'STATIC') => ({
+  id: call.dbId || `${call.callerId}|${call.dateOfCall}`,
+  call,
+  category: call.category || category,
+  categorySource: null,
+  caller: toMatchCaller(call.callerId),
+  callerRaw: call.callerId || null,
+  dateStr: call.dateOfCall || null,
+  date: parseDate(call.callAt) || parseDate(call.dateOfCall, call.sourceTimezone),
+  duration: toDuration(call.totalDuration),
+  payout: Number(call.payout || 0)
+});
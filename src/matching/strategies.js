@@ -0,0 +1,87 @@
+// Matching strategies shared by the call matching engine
+// Each service picks a named strategy and can override individual settings:
+//   createStrategy('costSync', { windowMinutes: 45 })
+
+// Base settings - every strategy starts from these
+const BASE_STRATEGY = {
+  name: 'custom',
+  candidateLabel: 'candidate',  // Used in unmatched reason messages (e.g. "Ringba", "eLocal")
+  compareCallerBy: 'e164',      // 'e164' = normalized caller ID, 'raw' = caller ID exactly as scraped
+
+  // Time matching
+  windowMinutes: 30,            // Max time difference for same-day matches
+  maxDaysApart: 1,              // 0 = same day only, 1 = allow adjacent days
+  adjacentDayWindowMinutes: 24 * 60, // Window used when the calls are on adjacent days
+  sameDayBy: 'instant',         // 'instant' = compare parsed dates, 'string' = compare YYYY-MM-DD prefix
+  truncateSeconds: false,       // Compare hour:minute only
+
+  // Duration matching (seconds), null disables the check
+  durationToleranceSeconds: null,
+  durationBonusSeconds: 10,     // Durations this close get a score bonus
+  durationBonusFactor: 0.5,
+
+  // Payout hint - payout is used to rank candidates, never to reject them
+  payoutHint: false,
+  payoutTolerance: 0.01,
+  payoutMatchFactor: 0.1,       // Score multiplier when payouts match
+  payoutPenaltyPerDollar: 10,   // Added to score per dollar of payout difference
+
+  // Assignment: 'greedy' = global priority order, 'sequential' = first come first served,
+  // 'optimal' = min-cost one-to-one matching per caller/category group (Hungarian algorithm)
+  assignment: 'greedy',
+  priority: 'score',            // 'score' or 'payout-first' (greedy only)
+
+  // Pair cost for 'optimal' assignment: minutes apart + seconds of duration difference
+  optimalTimeWeight: 1,         // Cost per minute of time difference
+  optimalDurationWeight: 0.5    // Cost per second of duration difference (only when both have duration)
+};
+
+export const ASSIGNMENT_MODES = ['greedy', 'sequential', 'optimal'];
+
+export const STRATEGIES = {
+  // eLocal -> Ringba (ringba-cost-sync.js)
+  // Category, caller ID, ±30 minutes, ±30 seconds duration. Payout is NOT used for matching.
+  costSync: {
+    ...BASE_STRATEGY,
+    name: 'costSync',
+    candidateLabel: 'Ringba',
+    windowMinutes: 30,
+    durationToleranceSeconds: 30,
+    assignment: 'greedy',
+    priority: 'payout-first'
+  },
+
+  // Ringba -> eLocal (ringba-original-sync.js)
+  // Category, caller ID, ±120 minutes (hour:minute only), payout as a tie-breaker
+  originalSync: {
+    ...BASE_STRATEGY,
+    name: 'originalSync',
+    candidateLabel: 'eLocal',
+    windowMinutes: 120,
+    truncateSeconds: true,
+    payoutHint: true,
+    assignment: 'sequential'
+  },
+
+  // Adjustment -> call (elocal.scrapper.js)
+  // Same caller, same calendar day, ±30 minutes
+  adjustmentMerge: {
+    ...BASE_STRATEGY,
+    name: 'adjustmentMerge',
+    candidateLabel: 'call',
+    windowMinutes: 30,
+    maxDaysApart: 0,
+    sameDayBy: 'string',
+    compareCallerBy: 'raw',
+    assignment: 'sequential'
+  }
+};
+
+// Build a strategy from a named preset plus overrides
+export const createStrategy = (name = null, overrides = {}) => {
+  if (name && !STRATEGIES[name]) {
+    throw new Error(`Unknown matching strategy: ${name}`);
+  }
+  const preset = name ? STRATEGIES[name] : BASE_STRATEGY;
+  return { ...preset, ...overrides };
+};
@@ -0,0 +1,210 @@
+// Pipeline metrics of this process (Prometheus, see METRICS_README.md)
+// Recorded where the work already is: trackJobRun (job outcomes, durations and result counters), ringbaFetch and the
+// eLocal client (HTTP latency and status codes), and the shared DB pool (read when collected).
+//
+// A scheduler process is not scraped: after every job run (and every METRICS_PUSH_INTERVAL_SECONDS when
+// startMetricsPush() was called) it pushes its metrics to the dashboard server, which serves them on /metrics.
+//   METRICS_PUSH_URL       push endpoint, e.g. http://127.0.0.1:3000/api/metrics/push (pushing is off when unset)
+//   METRICS_PUSH_TOKEN     sent as "Authorization: Bearer ..." (must match the dashboard's METRICS_PUSH_TOKEN)
+//   METRICS_INSTANCE       instance label of this process (default: <script>@<hostname>)
+import fetch from 'node-fetch';
+import { basename } from 'path';
+import { hostname } from 'os';
+import { createRegistry } from './registry.js';
+import { getPoolStats } from '../database/pool.js';
+
+const PUSH_TIMEOUT_MS = 5000;
+
+export const registry = createRegistry();
+
+const jobRunsTotal = registry.counter({
+  name: 'ringbav2_job_runs_total',
+  help: 'Finished job runs by job type and status (success, partial, failed, locked)',
+  labelNames: ['job_type', 'status']
+});
+
+const jobDurationSeconds = registry.histogram({
+  name: 'ringbav2_job_duration_seconds',
+  help: 'Job run duration by job type and status',
+  labelNames: ['job_type', 'status'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600]
+});
+
+const jobLastFinished = registry.gauge({
+  name: 'ringbav2_job_last_finished_timestamp_seconds',
+  help: 'Unix time of the last finished run by job type and status',
+  labelNames: ['job_type', 'status']
+});
+
+const callsFetchedTotal = registry.counter({
+  name: 'ringbav2_calls_fetched_total',
+  help: 'Calls fetched by job runs, by job type and source (elocal, ringba)',
+  labelNames: ['job_type', 'source']
+});
+
+const callMatchesTotal = registry.counter({
+  name: 'ringbav2_call_matches_total',
+  help: 'eLocal calls matched or left unmatched against Ringba, by job type',
+  labelNames: ['job_type', 'result']
+});
+
+const overridesTotal = registry.counter({
+  name: 'ringbav2_ringba_overrides_total',
+  help: 'Ringba payout overrides sent by job runs, by job type and result (success, failure)',
+  labelNames: ['job_type', 'result']
+});
+
+const httpRequestsTotal = registry.counter({
+  name: 'ringbav2_http_requests_total',
+  help: 'Requests to the Ringba and eLocal APIs by target, endpoint and status code ("error" for network errors)',
+  labelNames: ['target', 'endpoint', 'status']
+});
+
+const httpRequestDurationSeconds = registry.histogram({
+  name: 'ringbav2_http_request_duration_seconds',
+  help: 'Latency of requests to the Ringba and eLocal APIs by target and endpoint',
+  labelNames: ['target', 'endpoint'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+});
+
+const dbPoolConnections = registry.gauge({
+  name: 'ringbav2_db_pool_connections',
+  help: 'Connections of the PostgreSQL pool by state (total, idle, waiting clients, max)',
+  labelNames: ['pool', 'state']
+});
+
+// Register a pool to be read on every collect (the shared pool of src/database/pool.js is registered below)
+export const trackPool = (name, getStats) => {
+  registry.onCollect(() => {
+    const stats = getStats();
+    if (stats) {
+      Object.entries(stats).forEach(([state, value]) => dbPoolConnections.set({ pool: name, state }, value ?? 0));
+    }
+  });
+};
+
+trackPool('main', getPoolStats);
+
+// Result counters that feed the call, match and override metrics (see the service results in job_runs)
+const CALLS_FETCHED = {
+  'elocal-scrape': { elocal: 'calls' },
+  'ringba-original': { ringba: 'ringbaCalls', elocal: 'elocalCalls' },
+  'ringba-cost': { elocal: 'elocalCalls', ringba: 'ringbaCalls' },
+  'ringba-zero-payout': { ringba: 'totalCalls' }
+};
+
+const OVERRIDES = {
+  'ringba-cost': { success: 'updated', failure: 'failed' },
+  'ringba-zero-payout': { success: 'fixed', failure: 'failed' }
+};
+
+const MATCHING_JOB_TYPES = ['ringba-original', 'ringba-cost'];
+
+/**
+ * Record a finished job run
+ * @param {Object} run - { jobType, status, durationMs, counters } (counters as stored in job_runs)
+ */
+export const recordJobRunMetrics = ({ jobType, status, durationMs = null, counters = {} }) => {
+  const labels = { job_type: jobType, status };
+  jobRunsTotal.inc(labels);
+  jobLastFinished.set(labels, Math.floor(Date.now() / 1000));
+  if (durationMs !== null) {
+    jobDurationSeconds.observe(labels, durationMs / 1000);
+  }
+
+  const count = (key) => (Number.isFinite(counters[key]) ? counters[key] : null);
+
+  Object.entries(CALLS_FETCHED[jobType] || {}).forEach(([source, key]) => {
+    if (count(key) !== null) {
+      callsFetchedTotal.inc({ job_type: jobType, source }, count(key));
+    }
+  });
+
+  if (MATCHING_JOB_TYPES.includes(jobType) && count('unmatched') !== null) {
+    // The cost sync reports eLocal calls and unmatched calls; matched is the rest
+    const matched = count('matched') ?? (count('elocalCalls') !== null ? count('elocalCalls') - count('unmatched') : null);
+    if (matched !== null) {
+      callMatchesTotal.inc({ job_type: jobType, result: 'matched' }, Math.max(0, matched));
+    }
+    callMatchesTotal.inc({ job_type: jobType, result: 'unmatched' }, count('unmatched'));
+  }
+
+  Object.entries(OVERRIDES[jobType] || {}).forEach(([result, key]) => {
+    if (count(key) !== null) {
+      overridesTotal.inc({ job_type: jobType, result }, count(key));
+    }
+  });
+};
+
+/**
+ * Record one request to an external API
+ * @param {string} target - 'ringba' | 'elocal'
+ * @param {string} endpoint - Method and path without IDs, e.g. "POST /calllogs"
+ * @param {number|string} status - HTTP status code, or 'error' when the request failed before a response
+ * @param {number} durationMs
+ */
+export const observeHttpRequest = (target, endpoint, status, durationMs) => {
+  httpRequestsTotal.inc({ target, endpoint, status: String(status) });
+  httpRequestDurationSeconds.observe({ target, endpoint }, durationMs / 1000);
+};
+
+export const getMetricsInstance = () =>
+  process.env.METRICS_INSTANCE || `${process.argv[1] ? basename(process.argv[1]) : 'node'}@${hostname()}`;
+
+let pushFailed = false;
+
+/**
+ * Push this process's metrics to the dashboard server (no-op when METRICS_PUSH_URL is not set)
+ * Best effort: a failed push is logged once and never fails the caller.
+ * @returns {Promise<boolean>} Whether the metrics were pushed
+ */
+export const pushMetrics = async () => {
+  const url = process.env.METRICS_PUSH_URL;
+  if (!url) {
+    return false;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PUSH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.METRICS_PUSH_TOKEN ? { Authorization: `Bearer ${process.env.METRICS_PUSH_TOKEN}` } : {})
+      },
+      body: JSON.stringify({ instance: getMetricsInstance(), families: registry.collect() }),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    if (pushFailed) {
+      console.log('[INFO] Metrics push to the dashboard server works again');
+      pushFailed = false;
+    }
+    return true;
+  } catch (error) {
+    if (!pushFailed) {
+      console.warn(`[WARN] Failed to push metrics to ${url}: ${error.message}`);
+      pushFailed = true;
+    }
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Push every METRICS_PUSH_INTERVAL_SECONDS (default 15) for long-running schedulers, so the pool gauges stay fresh
+ * @returns {Function} stop()
+ */
+export const startMetricsPush = () => {
+  if (!process.env.METRICS_PUSH_URL) {
+    return () => {};
+  }
+  const intervalMs = (parseInt(process.env.METRICS_PUSH_INTERVAL_SECONDS, 10) || 15) * 1000;
+  const timer = setInterval(() => { pushMetrics(); }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
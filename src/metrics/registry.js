@@ -0,0 +1,162 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels, rendered in the text exposition format
+// collect() returns plain families ({ name, help, type, samples }), so another process can push them as JSON and the
+// dashboard server renders them next to its own (renderFamilies).
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const labelKey = (labelNames, labels) => labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+
+const pickLabels = (labelNames, labels) =>
+  Object.fromEntries(labelNames.map(name => [name, String(labels[name] ?? '')]));
+
+const createFamily = ({ name, help, labelNames = [] }, type, initial) => {
+  const series = new Map();
+  const get = (labels = {}) => {
+    const key = labelKey(labelNames, labels);
+    if (!series.has(key)) {
+      series.set(key, { labels: pickLabels(labelNames, labels), ...initial() });
+    }
+    return series.get(key);
+  };
+  return { name, help, type, series, get };
+};
+
+export const createRegistry = () => {
+  const families = [];
+  const collectors = [];
+
+  const register = (family) => {
+    if (families.some(existing => existing.name === family.name)) {
+      throw new Error(`Metric ${family.name} is already registered`);
+    }
+    families.push(family);
+    return family;
+  };
+
+  return {
+    // inc(labels, value = 1)
+    counter(options) {
+      const family = register(createFamily(options, 'counter', () => ({ value: 0 })));
+      return {
+        inc: (labels = {}, value = 1) => {
+          family.get(labels).value += value;
+        }
+      };
+    },
+
+    // set(labels, value)
+    gauge(options) {
+      const family = register(createFamily(options, 'gauge', () => ({ value: 0 })));
+      return {
+        set: (labels = {}, value) => {
+          family.get(labels).value = value;
+        }
+      };
+    },
+
+    // observe(labels, value); buckets are upper bounds (+Inf is added when rendering)
+    histogram(options) {
+      const buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+      const family = register(createFamily(options, 'histogram', () => ({
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0
+      })));
+      family.buckets = buckets;
+      return {
+        observe: (labels = {}, value) => {
+          const sample = family.get(labels);
+          const index = buckets.findIndex(bound => value <= bound);
+          if (index >= 0) {
+            sample.counts[index]++;
+          }
+          sample.sum += value;
+          sample.count++;
+        }
+      };
+    },
+
+    // fn() runs before every collect() (e.g. to set gauges from the DB pool)
+    onCollect(fn) {
+      collectors.push(fn);
+    },
+
+    collect() {
+      collectors.forEach(fn => {
+        try {
+          fn();
+        } catch (error) {
+          console.warn(`[WARN] Metrics collector failed: ${error.message}`);
+        }
+      });
+      return families.map(family => ({
+        name: family.name,
+        help: family.help,
+        type: family.type,
+        ...(family.buckets ? { buckets: family.buckets } : {}),
+        samples: Array.from(family.series.values()).map(sample => JSON.parse(JSON.stringify(sample)))
+      }));
+    }
+  };
+};
+
+// Add labels (e.g. { instance }) to every sample of the families
+export const withLabels = (families, labels) =>
+  families.map(family => ({
+    ...family,
+    samples: family.samples.map(sample => ({ ...sample, labels: { ...sample.labels, ...labels } }))
+  }));
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+/**
+ * Render families in the Prometheus text format (version 0.0.4)
+ * Families with the same name (e.g. from several processes) are merged under one HELP/TYPE header.
+ * @param {Array} families - collect() output, possibly from several registries
+ * @returns {string}
+ */
+export const renderFamilies = (families) => {
+  const merged = new Map();
+  families.forEach(family => {
+    if (merged.has(family.name)) {
+      merged.get(family.name).samples.push(...family.samples);
+    } else {
+      merged.set(family.name, { ...family, samples: [...family.samples] });
+    }
+  });
+
+  const lines = [];
+  merged.forEach(family => {
+    lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    family.samples.forEach(sample => {
+      if (family.type === 'histogram') {
+        let cumulative = 0;
+        (family.buckets || []).forEach((bound, index) => {
+          cumulative += sample.counts[index] || 0;
+          lines.push(`${family.name}_bucket${formatLabels({ ...sample.labels, le: formatValue(bound) })} ${cumulative}`);
+        });
+        lines.push(`${family.name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+        lines.push(`${family.name}_sum${formatLabels(sample.labels)} ${formatValue(sample.sum)}`);
+        lines.push(`${family.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+      } else {
+        lines.push(`${family.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    });
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,165 @@
+// Local stand-in for the alert channels (offline runs and CI)
+// One HTTP server receives the generic webhook and Slack-compatible webhook posts, one SMTP server receives mails.
+// Nothing is forwarded; everything is kept in memory and printed.
+//
+//   POST /webhook, /slack (any path)   records the JSON body; answers 200 like the real endpoints
+//   SMTP (EHLO/HELO, AUTH, MAIL, RCPT, DATA, QUIT)   records the message; AUTH accepts any credentials
+//
+// Control endpoints:
+//   GET  /__mock/state    received webhook posts and mails
+//   POST /__mock/reset    clear them
+import express from 'express';
+import net from 'net';
+
+// Minimal SMTP server: enough of RFC 5321 for smtp-client.js and common clients (no STARTTLS)
+const createSmtpSink = (onMail) => net.createServer(socket => {
+  let buffer = '';
+  let mail = null;
+  let inData = false;
+  let dataLines = [];
+  let authStep = null;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply('220 alert-sink ESMTP ready');
+
+  const handleLine = (line) => {
+    if (inData) {
+      if (line === '.') {
+        inData = false;
+        const raw = dataLines.join('\n');
+        const [head, ...body] = raw.split('\n\n');
+        const subject = (head.match(/^Subject: (.*)$/m) || [])[1] || '';
+        onMail({ ...mail, subject, text: body.join('\n\n'), raw, at: new Date().toISOString() });
+        mail = null;
+        dataLines = [];
+        reply('250 OK: queued');
+      } else {
+        dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+      }
+      return;
+    }
+
+    if (authStep) {
+      authStep = authStep === 'user' ? 'password' : null;
+      reply(authStep ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+      return;
+    }
+
+    const [verb] = line.split(' ');
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        reply('250-alert-sink');
+        reply('250-AUTH PLAIN LOGIN');
+        reply('250 8BITMIME');
+        break;
+      case 'HELO':
+        reply('250 alert-sink');
+        break;
+      case 'AUTH':
+        if (/^AUTH LOGIN/i.test(line)) {
+          authStep = 'user';
+          reply('334 VXNlcm5hbWU6');
+        } else {
+          reply('235 Authentication successful');
+        }
+        break;
+      case 'MAIL':
+        mail = { from: line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, ''), to: [] };
+        reply('250 OK');
+        break;
+      case 'RCPT':
+        if (!mail) {
+          reply('503 MAIL first');
+          break;
+        }
+        mail.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, ''));
+        reply('250 OK');
+        break;
+      case 'DATA':
+        if (!mail || mail.to.length === 0) {
+          reply('503 RCPT first');
+          break;
+        }
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+        break;
+      case 'RSET':
+        mail = null;
+        reply('250 OK');
+        break;
+      case 'NOOP':
+        reply('250 OK');
+        break;
+      case 'QUIT':
+        reply('221 Bye');
+        socket.end();
+        break;
+      default:
+        reply('502 Command not implemented');
+    }
+  };
+
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      handleLine(line);
+    }
+  });
+  socket.on('error', () => {});
+});
+
+// options: { log } - log(line) is called for every received alert (default: console.log)
+export const createAlertSink = (options = {}) => {
+  const log = options.log || ((line) => console.log(line));
+  const state = { requests: [], mails: [] };
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+
+  app.get('/__mock/state', (req, res) => {
+    res.json(state);
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    state.requests = [];
+    state.mails = [];
+    res.json({ ok: true });
+  });
+
+  app.post('*', (req, res) => {
+    state.requests.push({ path: req.path, body: req.body, at: new Date().toISOString() });
+    log(`[Alert Sink] POST ${req.path}: ${req.body?.title || req.body?.text || JSON.stringify(req.body).slice(0, 120)}`);
+    res.json({ ok: true });
+  });
+
+  const smtp = createSmtpSink(mail => {
+    state.mails.push(mail);
+    log(`[Alert Sink] MAIL to ${mail.to.join(', ')}: ${mail.subject}`);
+  });
+
+  return { app, smtp, state };
+};
+
+// Start the sink; resolves with { server, smtpServer, url, smtpPort, state }
+export const startAlertSink = (options = {}) =>
+  new Promise((resolve, reject) => {
+    const host = options.host || '127.0.0.1';
+    const { app, smtp, state } = createAlertSink(options);
+
+    const server = app.listen(options.port ?? 4030, host, () => {
+      smtp.listen(options.smtpPort ?? 4025, host, () => {
+        resolve({
+          server,
+          smtpServer: smtp,
+          url: `http://${host}:${server.address().port}`,
+          smtpPort: smtp.address().port,
+          state
+        });
+      });
+      smtp.on('error', reject);
+    });
+    server.on('error', reject);
+  });
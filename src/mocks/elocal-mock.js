@@ -0,0 +1,162 @@
+// Local stand-in for the eLocal affiliates API v2 (offline runs and CI)
+// Serves GET /:uuid/calls.json by replaying captured API responses (the elocal_api_*.txt dumps in the repo root)
+//
+// Like the live API:
+//   - x-api-key is required (401 without it)
+//   - start_date / end_date are YYYY-MM-DD and mean midnight Eastern time; end_date is EXCLUSIVE
+//     (a request for 2026-01-29..2026-01-29 returns nothing - see the +1 day in src/http/elocal-client.js)
+//   - sortBy (callStartTime, callDuration, payout) and sortOrder (asc, desc) are applied
+//   - the response echoes start_date / end_date with the Eastern offset: { start_date, end_date, calls }
+//
+// Control endpoints (not part of the eLocal API):
+//   GET  /__mock/state    campaigns, loaded call counts and the request log
+//   POST /__mock/reset    reload the dumps and clear the request log
+//
+// Fixtures: src/mocks/fixtures/elocal/campaigns.json maps campaign UUIDs to dump files (file names may use *)
+import express from 'express';
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, basename } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_ELOCAL_CAMPAIGNS_FILE = join(__dirname, 'fixtures', 'elocal', 'campaigns.json');
+// Dump paths in campaigns.json are relative to the repo root
+const PROJECT_ROOT = join(__dirname, '..', '..');
+
+const SORT_FIELDS = {
+  callStartTime: (call) => new Date(call.call_date).getTime(),
+  callDuration: (call) => Number(call.call_duration || 0),
+  payout: (call) => Number(call.final_payout || 0)
+};
+
+// "elocal_api_*.txt" -> matching files in the directory
+const resolveDumpFiles = (pattern, rootDir) => {
+  const dir = join(rootDir, dirname(pattern));
+  const namePattern = basename(pattern);
+  if (!namePattern.includes('*')) {
+    return [join(dir, namePattern)];
+  }
+  const regex = new RegExp(`^${namePattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return readdirSync(dir).filter(name => regex.test(name)).sort().map(name => join(dir, name));
+};
+
+// Calls of all dumps of one campaign, de-duplicated by call_id (later dumps win)
+const loadCampaignCalls = (dumps, rootDir) => {
+  const byId = new Map();
+  for (const file of dumps.flatMap(pattern => resolveDumpFiles(pattern, rootDir))) {
+    const data = JSON.parse(readFileSync(file, 'utf8'));
+    const calls = Array.isArray(data) ? data : (data.calls || []);
+    for (const call of calls) {
+      byId.set(call.call_id, call);
+    }
+  }
+  return Array.from(byId.values());
+};
+
+export const loadElocalFixtures = (campaignsFile = DEFAULT_ELOCAL_CAMPAIGNS_FILE, rootDir = PROJECT_ROOT) => {
+  const campaigns = JSON.parse(readFileSync(campaignsFile, 'utf8'));
+  const result = {};
+  for (const [uuid, campaign] of Object.entries(campaigns)) {
+    result[uuid] = { name: campaign.name, calls: loadCampaignCalls(campaign.dumps || [], rootDir) };
+  }
+  return result;
+};
+
+// "-05:00" / "-04:00" for a YYYY-MM-DD date in America/New_York
+const easternOffset = (dateStr) => {
+  const zone = new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', timeZoneName: 'shortOffset' })
+    .formatToParts(new Date(`${dateStr}T06:00:00Z`))
+    .find(part => part.type === 'timeZoneName').value; // "GMT-5"
+  const match = zone.match(/GMT([+-])(\d{1,2})(?::(\d{2}))?/);
+  return match ? `${match[1]}${match[2].padStart(2, '0')}:${match[3] || '00'}` : '+00:00';
+};
+
+const easternMidnight = (dateStr) => `${dateStr}T00:00:00${easternOffset(dateStr)}`;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+// options: { campaignsFile, rootDir, log } - log(line) is called for every request (default: console.log)
+export const createElocalMockApp = (options = {}) => {
+  const campaignsFile = options.campaignsFile || DEFAULT_ELOCAL_CAMPAIGNS_FILE;
+  const rootDir = options.rootDir || PROJECT_ROOT;
+  const log = options.log || ((line) => console.log(line));
+
+  const state = {};
+  const reset = () => {
+    state.campaigns = loadElocalFixtures(campaignsFile, rootDir);
+    state.requests = [];
+  };
+  reset();
+
+  const app = express();
+
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      campaigns: Object.entries(state.campaigns).map(([uuid, campaign]) => ({ uuid, name: campaign.name, calls: campaign.calls.length })),
+      requests: state.requests
+    });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ ok: true });
+  });
+
+  app.get('/:uuid/calls.json', (req, res) => {
+    const { uuid } = req.params;
+    const { start_date: startDate, end_date: endDate, sortBy = 'callStartTime', sortOrder = 'desc' } = req.query;
+    state.requests.push({ uuid, query: req.query, at: new Date().toISOString() });
+    log(`[eLocal Mock] GET ${req.originalUrl}`);
+
+    if (!req.get('x-api-key')) {
+      return res.status(401).json({ error: 'Missing API key' });
+    }
+    const campaign = state.campaigns[uuid];
+    if (!campaign) {
+      return res.status(404).json({ error: `Campaign not found: ${uuid}` });
+    }
+    if (!isDate(startDate) || !isDate(endDate)) {
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD' });
+    }
+    if (!SORT_FIELDS[sortBy]) {
+      return res.status(400).json({ error: `Unsupported sortBy: ${sortBy}` });
+    }
+
+    // [start_date 00:00 ET, end_date 00:00 ET)
+    const start = easternMidnight(startDate);
+    const end = easternMidnight(endDate);
+    const from = new Date(start).getTime();
+    const to = new Date(end).getTime();
+    const sortValue = SORT_FIELDS[sortBy];
+    const sign = String(sortOrder).toLowerCase() === 'asc' ? 1 : -1;
+
+    const calls = campaign.calls
+      .filter(call => {
+        const time = new Date(call.call_date).getTime();
+        return time >= from && time < to;
+      })
+      .sort((a, b) => (sortValue(a) - sortValue(b)) * sign);
+
+    res.json({ start_date: start, end_date: end, calls });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `Not implemented in eLocal mock: ${req.method} ${req.path}` });
+  });
+
+  return app;
+};
+
+// Start the mock; resolves with { server, url, baseUrl } (baseUrl is the value for ELOCAL_API_BASE_URL)
+export const startElocalMock = (options = {}) =>
+  new Promise((resolve, reject) => {
+    const app = createElocalMockApp(options);
+    const server = app.listen(options.port ?? 4020, options.host || '127.0.0.1', () => {
+      const { port } = server.address();
+      const url = `http://${options.host || '127.0.0.1'}:${port}`;
+      resolve({ server, url, baseUrl: url });
+    });
+    server.on('error', reject);
+  });
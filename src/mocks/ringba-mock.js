@@ -0,0 +1,330 @@
+// Local stand-in for the Ringba API (offline end-to-end runs and CI)
+// Serves the endpoints the services use, backed by fixture JSON:
+//   GET  /v2/:accountId/calllogs/columns
+//   POST /v2/:accountId/calllogs
+//   POST /v2/:accountId/calllogs/detail
+//   POST /v2/:accountId/calls/payments/override
+//   POST /v2/:accountId/calls/void
+//   POST /v2/:accountId/insights
+// Payment overrides and voids change the in-memory calls, so later requests see the new amounts.
+//
+// Control endpoints (not part of the Ringba API):
+//   GET  /__mock/state     calls, overrides, voids and the request log
+//   POST /__mock/reset     reload the fixtures and clear the request log
+//   POST /__mock/fail      { path, status, times, retryAfter } - answer the next `times` requests whose path
+//                          contains `path` with `status` (e.g. 429 with Retry-After to test the rate limiter)
+//
+// Fixtures (see src/mocks/fixtures/ringba): calls.json holds raw call records keyed by Ringba column names
+// (callDt in UTC ISO format), columns.json the column listing
+import express from 'express';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_RINGBA_FIXTURES_DIR = join(__dirname, 'fixtures', 'ringba');
+
+export const loadRingbaFixtures = (fixturesDir = DEFAULT_RINGBA_FIXTURES_DIR) => {
+  const readJSON = (name) => JSON.parse(readFileSync(join(fixturesDir, name), 'utf8'));
+  return {
+    calls: readJSON('calls.json'),
+    columns: readJSON('columns.json')
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Columns, filters and formatting
+// ---------------------------------------------------------------------------
+
+// Columns that are derived from other fixture fields
+const DERIVED_COLUMNS = {
+  hasConnected: (call) => !!call.connected,
+  callDuration: (call) => call.callLengthInSeconds,
+  'tag:Campaign:Name': (call) => call.campaignName,
+  'tag:Target:Name': (call) => call.targetName,
+  totalCost: (call) => (call.totalCost !== undefined ? call.totalCost : call.payoutAmount)
+};
+
+const columnValue = (call, column) => {
+  if (DERIVED_COLUMNS[column]) return DERIVED_COLUMNS[column](call);
+  return call[column];
+};
+
+// Ringba compares everything as text; booleans are 'yes'/'no'
+const toFilterText = (value) => {
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (value === null || value === undefined) return '';
+  return String(value);
+};
+
+const matchesCondition = (call, condition) => {
+  const actual = toFilterText(columnValue(call, condition.column));
+  const expected = toFilterText(condition.value);
+  let matches;
+
+  switch ((condition.comparisonType || 'EQUALS').toUpperCase()) {
+    case 'EQUALS':
+      matches = actual !== '' && expected !== '' && !isNaN(Number(actual)) && !isNaN(Number(expected))
+        ? Number(actual) === Number(expected)
+        : actual.toLowerCase() === expected.toLowerCase();
+      break;
+    case 'CONTAINS':
+      matches = actual.toLowerCase().includes(expected.toLowerCase());
+      break;
+    case 'BEGINS_WITH':
+      matches = actual.toLowerCase().startsWith(expected.toLowerCase());
+      break;
+    default:
+      throw new Error(`Unsupported comparisonType: ${condition.comparisonType}`);
+  }
+
+  return condition.isNegativeMatch ? !matches : matches;
+};
+
+// filters: every group must match, any condition of a group is enough
+const matchesFilters = (call, filters = []) =>
+  filters.every(group => (group.anyConditionToMatch || []).some(condition => matchesCondition(call, condition)));
+
+const inReportRange = (call, body) => {
+  const time = new Date(call.callDt).getTime();
+  if (body.reportStart && time < new Date(body.reportStart).getTime()) return false;
+  if (body.reportEnd && time > new Date(body.reportEnd).getTime()) return false;
+  return true;
+};
+
+// formatDateTime: "MM/DD/YYYY hh:mm:ss AM/PM" in formatTimeZone (UTC when not given), like Ringba
+const formatCallDt = (value, timeZone = 'UTC') => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: true
+  }).formatToParts(new Date(value)).map(part => [part.type, part.value]));
+  return `${parts.month}/${parts.day}/${parts.year} ${parts.hour}:${parts.minute}:${parts.second} ${parts.dayPeriod.toUpperCase()}`;
+};
+
+// Keep only the requested columns (all fixture fields when none are requested)
+const project = (call, columns, options = {}) => {
+  const keys = columns && columns.length > 0 ? columns : Object.keys(call);
+  const record = {};
+  for (const key of keys) {
+    let value = columnValue(call, key);
+    if (value === undefined) continue;
+    if (key === 'callDt' && options.formatDateTime) {
+      value = formatCallDt(value, options.formatTimeZone || 'UTC');
+    }
+    record[key] = value;
+  }
+  return record;
+};
+
+const sortCalls = (calls, orderByColumns = []) => {
+  const sorted = [...calls];
+  for (const { column, direction } of [...orderByColumns].reverse()) {
+    const sign = String(direction).toLowerCase() === 'desc' ? -1 : 1;
+    sorted.sort((a, b) => {
+      const x = column === 'callDt' ? new Date(a.callDt).getTime() : columnValue(a, column);
+      const y = column === 'callDt' ? new Date(b.callDt).getTime() : columnValue(b, column);
+      if (x === y) return 0;
+      return (x > y ? 1 : -1) * sign;
+    });
+  }
+  return sorted;
+};
+
+const round2 = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// ---------------------------------------------------------------------------
+// App
+// ---------------------------------------------------------------------------
+
+// options: { fixturesDir, log } - log(line) is called for every request (default: console.log)
+export const createRingbaMockApp = (options = {}) => {
+  const fixturesDir = options.fixturesDir || DEFAULT_RINGBA_FIXTURES_DIR;
+  const log = options.log || ((line) => console.log(line));
+
+  const state = {};
+  const reset = () => {
+    const fixtures = loadRingbaFixtures(fixturesDir);
+    state.calls = fixtures.calls.map(call => ({ ...call }));
+    state.columns = fixtures.columns;
+    state.overrides = [];
+    state.voids = [];
+    state.requests = [];
+    state.failures = [];
+  };
+  reset();
+
+  const findCall = (inboundCallId) => state.calls.find(call => call.inboundCallId === inboundCallId);
+
+  const app = express();
+  app.use(express.json({ limit: '2mb' }));
+
+  // Control endpoints
+  app.get('/__mock/state', (req, res) => {
+    res.json({
+      calls: state.calls,
+      overrides: state.overrides,
+      voids: state.voids,
+      requests: state.requests
+    });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ isSuccessful: true, calls: state.calls.length });
+  });
+
+  app.post('/__mock/fail', (req, res) => {
+    const { path = '', status = 500, times = 1, retryAfter = null } = req.body || {};
+    state.failures.push({ path, status: Number(status), remaining: Number(times), retryAfter });
+    res.json({ isSuccessful: true, failures: state.failures });
+  });
+
+  // Every Ringba route: request log, token check and injected failures
+  app.use('/v2/:accountId', (req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, body: req.body || null, at: new Date().toISOString() });
+    log(`[Ringba Mock] ${req.method} ${req.originalUrl}`);
+
+    if (!/^Token\s+\S+/.test(req.get('Authorization') || '')) {
+      return res.status(401).json({ isSuccessful: false, message: 'Authorization has been denied for this request.' });
+    }
+
+    const failure = state.failures.find(f => f.remaining > 0 && req.path.includes(f.path));
+    if (failure) {
+      failure.remaining--;
+      if (failure.retryAfter !== null && failure.retryAfter !== undefined) {
+        res.set('Retry-After', String(failure.retryAfter));
+      }
+      return res.status(failure.status).json({ isSuccessful: false, message: `Injected failure (${failure.status})` });
+    }
+
+    next();
+  });
+
+  app.get('/v2/:accountId/calllogs/columns', (req, res) => {
+    res.json({ isSuccessful: true, columns: state.columns });
+  });
+
+  app.post('/v2/:accountId/calllogs', (req, res) => {
+    const body = req.body || {};
+    let matching;
+    try {
+      matching = state.calls.filter(call => inReportRange(call, body) && matchesFilters(call, body.filters));
+    } catch (error) {
+      return res.status(400).json({ isSuccessful: false, message: error.message });
+    }
+
+    const offset = Number(body.offset || 0);
+    const size = Number(body.size || 1000);
+    const columns = (body.valueColumns || []).map(c => c.column);
+    const records = sortCalls(matching, body.orderByColumns)
+      .slice(offset, offset + size)
+      .map(call => project(call, columns, body));
+
+    res.json({
+      isSuccessful: true,
+      report: { records, totalCount: matching.length, partialResult: false }
+    });
+  });
+
+  app.post('/v2/:accountId/calllogs/detail', (req, res) => {
+    const body = req.body || {};
+    const ids = body.inboundCallIds || [];
+    const records = ids
+      .map(findCall)
+      .filter(Boolean)
+      .map(call => project(call, body.columns || [], body));
+
+    res.json({ isSuccessful: true, report: { records, totalCount: records.length } });
+  });
+
+  app.post('/v2/:accountId/calls/payments/override', (req, res) => {
+    const body = req.body || {};
+    const call = findCall(body.inboundCallId);
+    if (!call) {
+      return res.status(404).json({ isSuccessful: false, message: `Call not found: ${body.inboundCallId}` });
+    }
+    if (!body.adjustConversion && !body.adjustPayout) {
+      return res.status(400).json({ isSuccessful: false, message: 'Nothing to adjust' });
+    }
+
+    const before = { payoutAmount: call.payoutAmount, conversionAmount: call.conversionAmount };
+    if (body.adjustPayout) {
+      call.payoutAmount = round2(body.newPayoutAmount);
+    }
+    if (body.adjustConversion) {
+      call.conversionAmount = round2(body.newConversionAmount);
+    }
+    state.overrides.push({
+      inboundCallId: call.inboundCallId,
+      targetId: body.targetId || null,
+      reason: body.reason || null,
+      before,
+      after: { payoutAmount: call.payoutAmount, conversionAmount: call.conversionAmount },
+      at: new Date().toISOString()
+    });
+
+    res.json({ isSuccessful: true, inboundCallId: call.inboundCallId, message: 'Payment override applied' });
+  });
+
+  app.post('/v2/:accountId/calls/void', (req, res) => {
+    const body = req.body || {};
+    const call = findCall(body.inboundCallId);
+    if (!call) {
+      return res.status(404).json({ isSuccessful: false, message: `Call not found: ${body.inboundCallId}` });
+    }
+
+    call.payoutAmount = 0;
+    call.conversionAmount = 0;
+    call.isVoided = true;
+    state.voids.push({ inboundCallId: call.inboundCallId, voidReason: body.voidReason || null, at: new Date().toISOString() });
+
+    res.json({ isSuccessful: true, inboundCallId: call.inboundCallId, message: 'Call voided' });
+  });
+
+  // Totals over the filtered calls (callCount counts them, every other column is summed)
+  app.post('/v2/:accountId/insights', (req, res) => {
+    const body = req.body || {};
+    let matching;
+    try {
+      matching = state.calls.filter(call => inReportRange(call, body) && matchesFilters(call, body.filters));
+    } catch (error) {
+      return res.status(400).json({ isSuccessful: false, message: error.message });
+    }
+
+    const columns = (body.valueColumns || [{ column: 'totalCost' }]).map(c => c.column);
+    const totals = {};
+    for (const column of columns) {
+      totals[column] = column === 'callCount'
+        ? matching.length
+        : round2(matching.reduce((sum, call) => sum + Number(columnValue(call, column) || 0), 0));
+    }
+
+    res.json({ isSuccessful: true, report: { records: [totals], totalCount: 1 } });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ isSuccessful: false, message: `Not implemented in Ringba mock: ${req.method} ${req.path}` });
+  });
+
+  return app;
+};
+
+// Start the mock; resolves with { server, url, baseUrl } (baseUrl is the value for RINGBA_BASE_URL)
+export const startRingbaMock = (options = {}) =>
+  new Promise((resolve, reject) => {
+    const app = createRingbaMockApp(options);
+    const server = app.listen(options.port ?? 4010, options.host || '127.0.0.1', () => {
+      const { port } = server.address();
+      const url = `http://${options.host || '127.0.0.1'}:${port}`;
+      resolve({ server, url, baseUrl: `${url}/v2` });
+    });
+    server.on('error', reject);
+  });
@@ -0,0 +1,30 @@
+// Scheduled alert checks: eLocal auth session expiry and payout drift (src/alerts/rules.js)
+// Failed runs and cost sync unmatched spikes are alerted when the run finishes (trackJobRun); the checks here cover
+// conditions that no run reports on its own.
+import { trackJobRun, rangeOf } from './job-runs.js';
+import { checkAuthSession, checkPayoutDrift } from '../alerts/rules.js';
+
+/**
+ * Run the auth session and payout drift checks
+ * @param {Object} config - Database config (dbOps)
+ * @param {Object} dateRange - Days to check for payout drift (see date-utils createDateRange)
+ * @returns {Promise<{authAlerts: number, days: number, drifting: number, alertsSent: number}>}
+ */
+export const runAlertChecks = (config, dateRange) =>
+  trackJobRun(config, { jobType: 'alert-check', ...rangeOf(dateRange) }, async () => {
+    const { startDate, endDate } = rangeOf(dateRange);
+
+    console.log('[INFO] Checking eLocal auth session...');
+    const authAlerts = await checkAuthSession(config);
+
+    console.log(`[INFO] Checking payout drift from ${startDate} to ${endDate}...`);
+    const drift = await checkPayoutDrift(config, startDate, endDate);
+    console.log(`[INFO] ${drift.days} days checked, ${drift.drifting} above the drift threshold`);
+
+    return {
+      authAlerts,
+      days: drift.days,
+      drifting: drift.drifting,
+      alertsSent: authAlerts + drift.sent
+    };
+  });
@@ -2,8 +2,12 @@
 // Similar to elocal's auth-refresh.js but saves sessions to PostgreSQL database
 
 import * as TE from 'fp-ts/lib/TaskEither.js';
+import * as E from 'fp-ts/lib/Either.js';
 import puppeteer from 'puppeteer';
 import { saveSession, createSessionFromCookies } from '../auth/session-store-postgres.js';
+import { trackJobRun } from './job-runs.js';
+import { getPool } from '../database/pool.js';
+import { createAuthSessionsRepository } from '../database/repositories/auth-sessions.js';
 
 const THREE_DAYS_MS = 3 * 24 * 60 * 60 * 1000;
 
@@ -98,7 +102,7 @@ const loginToElocal = async (page, config) => {
 /**
  * Refresh auth session using Puppeteer login
  */
-export const refreshAuthSession = (config) =>
+const refreshAuthSessionTask = (config) =>
   TE.tryCatch(
     async () => {
       console.log('[Auth Refresh] ========================================');
@@ -226,3 +230,74 @@ export const refreshAuthSession = (config) =>
     }
   );
 
+// Recorded in job_runs as 'auth-refresh' (reference: the new session ID)
+export const refreshAuthSession = (config) =>
+  TE.tryCatch(
+    () => trackJobRun(config, { jobType: 'auth-refresh' }, async () => {
+      const result = await refreshAuthSessionTask(config)();
+      if (E.isLeft(result)) {
+        throw result.left;
+      }
+      return result.right;
+    }),
+    (error) => error
+  );
+
+// Get last successful session creation time from database
+export const getLastSuccessfulSessionTime = async (config) => {
+  try {
+    // Get the most recent working session (even if expired)
+    const row = await createAuthSessionsRepository(getPool(config)).getLatestWorking();
+    if (!row) {
+      return null; // No previous session found
+    }
+
+    return {
+      createdAt: new Date(row.created_at),
+      expiresAt: new Date(row.expires_at)
+    };
+  } catch (error) {
+    console.error('[Auth Refresh] Error getting last session from database:', error.message);
+    return null;
+  }
+};
+
+// Check if the refresh is due (every 3 days, or when the session is about to expire)
+// Returns: { shouldRun: boolean, reason: string, daysSinceLastRun?: number }
+export const shouldRefreshAuthSession = async (config) => {
+  const lastSession = await getLastSuccessfulSessionTime(config);
+  
+  if (!lastSession) {
+    return { shouldRun: true, reason: 'No previous session found - first run' };
+  }
+  
+  const now = new Date();
+  const daysSinceLastRun = Math.floor((now - lastSession.createdAt) / (1000 * 60 * 60 * 24));
+  const hoursUntilExpiry = (lastSession.expiresAt - now) / (1000 * 60 * 60);
+  
+  // Check if session is expired or about to expire (within 6 hours)
+  if (hoursUntilExpiry <= 6) {
+    return { 
+      shouldRun: true, 
+      reason: `Session expires in ${hoursUntilExpiry.toFixed(1)} hours - refreshing proactively`,
+      daysSinceLastRun,
+      hoursUntilExpiry: hoursUntilExpiry.toFixed(1)
+    };
+  }
+  
+  // Check if 3 days have passed since last refresh
+  if (daysSinceLastRun >= 3) {
+    return { 
+      shouldRun: true, 
+      reason: `${daysSinceLastRun} days since last refresh - scheduled refresh`,
+      daysSinceLastRun
+    };
+  }
+  
+  return { 
+    shouldRun: false, 
+    reason: `Only ${daysSinceLastRun} days since last refresh (need 3 days)`,
+    daysSinceLastRun,
+    hoursUntilExpiry: hoursUntilExpiry.toFixed(1)
+  };
+};
@@ -1,25 +1,19 @@
-import fetch from 'node-fetch';
 import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
+import { getElocalBaseUrl, elocalFetch } from '../http/elocal-client.js';
+import { listCampaigns, getCategories } from '../config/campaign-registry.js';
 
 dotenv.config();
 
 // Configuration
 const ELOCAL_API_KEY = process.env.ELOCAL_API_KEY;
-const ELOCAL_BASE_URL = 'https://apis.elocal.com/affiliates/v2/campaign-results';
-
-// Campaign UUIDs mapping to categories
-const CAMPAIGNS = [
-    {
-        name: 'STATIC', // Appliance Repair / Final Expense
-        uuid: 'dce224a6-f813-4cab-a8c6-972c5a1520ab'
-    },
-    {
-        name: 'API',    // API Campaigns
-        uuid: '4534924c-f52b-4124-981b-9d2670b2af3e'
-    }
-];
+
+// Campaign UUIDs mapping to categories (from campaigns-config.json)
+const getCampaigns = () => listCampaigns().map(campaign => ({
+    name: campaign.category,
+    uuid: campaign.elocalCampaignUuid
+}));
 
 /**
  * Fetch calls from eLocal API for a specific campaign
@@ -29,7 +23,7 @@ const CAMPAIGNS = [
  * @returns {Promise<Object>} API response
  */
 const fetchCampaignCalls = async (uuid, startDate, endDate) => {
-    const url = new URL(`${ELOCAL_BASE_URL}/${uuid}/calls.json`);
+    const url = new URL(`${getElocalBaseUrl()}/${uuid}/calls.json`);
 
     // Add query parameters
     url.searchParams.append('start_date', startDate);
@@ -39,7 +33,7 @@ const fetchCampaignCalls = async (uuid, startDate, endDate) => {
 
     console.log(`[eLocal] Fetching: ${url.toString()}`);
 
-    const response = await fetch(url.toString(), {
+    const response = await elocalFetch(url.toString(), {
         method: 'GET',
         headers: {
             'x-api-key': ELOCAL_API_KEY,
@@ -61,7 +55,7 @@ const fetchCampaignCalls = async (uuid, startDate, endDate) => {
 const printUsage = () => {
     console.log('Usage: node src/services/elocal-api-fetch.js [category] [startDate] [endDate]');
     console.log('Parameters:');
-    console.log('  category   : STATIC, API, or ALL (default: ALL)');
+    console.log(`  category   : ${getCategories().join(', ')}, or ALL (default: ALL)`);
     console.log('  startDate  : YYYY-MM-DD (default: today)');
     console.log('  endDate    : YYYY-MM-DD (default: startDate)');
     console.log('\nExamples:');
@@ -112,9 +106,10 @@ const run = async () => {
     }
 
     // Filter campaigns based on category argument
+    const campaigns = getCampaigns();
     const campaignsToFetch = categoryArg === 'ALL'
-        ? CAMPAIGNS
-        : CAMPAIGNS.filter(c => c.name === categoryArg);
+        ? campaigns
+        : campaigns.filter(c => c.name === categoryArg);
 
     if (campaignsToFetch.length === 0) {
         console.error(`[ERROR] Invalid category: ${categoryArg}`);
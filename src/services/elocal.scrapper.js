@@ -1,12 +1,17 @@
 // Separate service functions for historical and current day data
 import { dbOps } from '../database/postgres-operations.js';
+import { trackJobRun, rangeOf } from './job-runs.js';
 import { getElocalCalls } from '../http/elocal-client.js';
+import { requireCampaign } from '../config/campaign-registry.js';
 import { processAdjustmentDetails } from '../utils/helpers.js';
 import {
   processCampaignCalls,
   createSession,
   aggregateScrapingResults
 } from '../utils/helpers.js';
+import { findBestMatch } from '../matching/call-matcher.js';
+import { createStrategy } from '../matching/strategies.js';
+import { fromAdjustment, fromScrapedCall, fromElocalRow } from '../matching/normalizers.js';
 import {
   getPast10DaysRange,
   getCurrentDayRange,
@@ -15,21 +20,32 @@ import {
   getServiceScheduleInfo
 } from '../utils/date-utils.js';
 
+// job_runs counters of a scraping session
+const describeScrapeResult = (result) => ({
+  counters: {
+    calls: result.summary.totalCalls,
+    inserted: result.databaseResults.callsInserted,
+    updated: result.databaseResults.callsUpdated,
+    adjustmentsApplied: result.summary.adjustmentsApplied || 0
+  },
+  referenceId: result.sessionId
+});
+
 // Base scraping workflow with date range support
+// Recorded in job_runs as 'elocal-scrape' (reference: the scraping session ID)
 export const scrapeElocalDataWithDateRange = (config) => (dateRange) => (serviceType = 'unknown') => (category = 'STATIC') => {
-  return (async () => {
+  return trackJobRun(config, { jobType: 'elocal-scrape', category, ...rangeOf(dateRange) }, async () => {
     const session = createSession();
     // Include service type (historical/current) and category in session_id for filtering
     session.sessionId = `${serviceType}_${category.toLowerCase()}_${session.sessionId}_${dateRange.startDateFormatted.replace(/\//g, '-')}_to_${dateRange.endDateFormatted.replace(/\//g, '-')}`;
 
     const db = dbOps(config);
 
-    // Determine campaign UUID and whether to include adjustments based on category
-    // New UUIDs from user request:
-    // STATIC: dce224a6-f813-4cab-a8c6-972c5a1520ab
-    // API: 4534924c-f52b-4124-981b-9d2670b2af3e
-    const campaignUuid = category === 'API' ? '4534924c-f52b-4124-981b-9d2670b2af3e' : 'dce224a6-f813-4cab-a8c6-972c5a1520ab';
-    const includeAdjustments = category === 'STATIC';
+    // Campaign UUID and whether to include adjustments come from the campaign registry (campaigns-config.json)
+    const campaign = requireCampaign(category);
+    const campaignUuid = campaign.elocalCampaignUuid;
+    const includeAdjustments = campaign.applyAdjustments;
+    const adjustmentStrategy = createStrategy('adjustmentMerge');
 
     try {
       console.log(`[INFO] Starting scraping session: ${session.sessionId}`);
@@ -142,32 +158,23 @@ export const scrapeElocalDataWithDateRange = (config) => (dateRange) => (service
         }
 
         if (includeAdjustments && processedAdjustments.length > 0) {
-          // Fuzzy merge: same caller_id and within ±30 minutes on same day
+          // Fuzzy merge: same caller_id and within ±30 minutes on same day (adjustmentMerge strategy)
           // FIXED: Now also matches against existing calls in database
           const toDate = (s) => { try { return new Date(s); } catch { return null; } };
-          // FIXED: Compare date parts directly from strings to avoid timezone issues
-          const sameDay = (dateStr1, dateStr2) => {
-            if (!dateStr1 || !dateStr2) return false;
-            // Extract date part (first 10 characters: YYYY-MM-DD) directly from strings
-            const date1 = dateStr1.substring(0, 10);
-            const date2 = dateStr2.substring(0, 10);
-            return date1 === date2;
-          };
           const diffMinutes = (d1, d2) => Math.abs(d1.getTime() - d2.getTime()) / 60000;
-          const WINDOW_MIN = 30;
 
           // Step 1: Build map from calls in current session
           const callerToCalls = new Map();
           for (const c of processedCalls) {
             const list = callerToCalls.get(c.callerId) || [];
-            list.push({ ...c, dt: toDate(c.dateOfCall), fromDatabase: false });
+            list.push({ ...c, fromDatabase: false });
             callerToCalls.set(c.callerId, list);
           }
 
           // Step 2: Fetch existing calls from database for the date range and add to map
           try {
             console.log(`[INFO] Fetching existing calls from database for date range: ${getDateRangeDescription(dateRange)}`);
-            const existingCalls = await db.getCallsForDateRange(dateRange.startDate, dateRange.endDate, category);
+            const existingCalls = await db.getCallsForDateRange(dateRange, category);
             console.log(`[INFO] Found ${existingCalls.length} existing call(s) in database for matching`);
 
             for (const existingCall of existingCalls) {
@@ -178,9 +185,10 @@ export const scrapeElocalDataWithDateRange = (config) => (dateRange) => (service
               list.push({
                 callerId: existingCall.caller_id,
                 dateOfCall: existingCall.date_of_call,
+                callAt: existingCall.call_at || null,
+                sourceTimezone: existingCall.source_timezone || null,
                 payout: parseFloat(existingCall.payout) || 0,
                 category: existingCall.category || category,
-                dt: toDate(existingCall.date_of_call),
                 fromDatabase: true,
                 dbId: existingCall.id, // Store database ID for updates
                 originalPayout: parseFloat(existingCall.original_payout) || null,
@@ -204,61 +212,47 @@ export const scrapeElocalDataWithDateRange = (config) => (dateRange) => (service
 
           for (const a of processedAdjustments) {
             const adjDt = toDate(a.timeOfCall);
-            const candidates = callerToCalls.get(a.callerId) || [];
-            let best = null;
-
-            for (const cand of candidates) {
-              if (!cand.dt || !adjDt) continue;
-              // FIXED: Use string comparison for sameDay check
-              if (!sameDay(cand.dateOfCall, a.timeOfCall)) continue;
-
-              // CRITICAL FIX: Skip if this existing call already has an adjustment applied
-              // This prevents double application when service runs multiple times
-              if (cand.fromDatabase && cand.hasAdjustment) {
-                // Check if this adjustment matches the one already applied
-                // Compare adjustment amount and time to see if it's the same adjustment
-                const existingAdjAmount = cand.adjustmentAmount;
-                const existingAdjTime = cand.adjustmentTime;
-
-                // If amounts match and times are close (within 1 minute), it's the same adjustment
-                const amountMatch = Math.abs((existingAdjAmount || 0) - (a.amount || 0)) < 0.01;
-                if (amountMatch && existingAdjTime) {
-                  const existingAdjDt = toDate(existingAdjTime);
-                  if (existingAdjDt && adjDt) {
-                    const timeDiff = diffMinutes(existingAdjDt, adjDt);
-                    if (timeDiff <= 1) {
-                      // This adjustment was already applied to this call, skip it
-                      console.log(`[INFO] Skipping adjustment for call ID ${cand.dbId} - already applied (amount: $${a.amount}, time: ${a.adjustmentTime})`);
-                      continue;
-                    }
-                  }
-                }
+            const candidates = (callerToCalls.get(a.callerId) || []).map(c => fromScrapedCall(c, category));
+
+            // CRITICAL FIX: Skip existing calls that already have this adjustment applied
+            // This prevents double application when service runs multiple times
+            const alreadyApplied = (adjRecord, candRecord) => {
+              const cand = candRecord.call;
+              if (!cand.fromDatabase || !cand.hasAdjustment) return false;
+
+              // If amounts match and times are close (within 1 minute), it's the same adjustment
+              const amountMatch = Math.abs((cand.adjustmentAmount || 0) - (a.amount || 0)) < 0.01;
+              if (!amountMatch || !cand.adjustmentTime) return false;
+
+              const existingAdjDt = toDate(cand.adjustmentTime);
+              if (existingAdjDt && adjDt && diffMinutes(existingAdjDt, adjDt) <= 1) {
+                console.log(`[INFO] Skipping adjustment for call ID ${cand.dbId} - already applied (amount: $${a.amount}, time: ${a.adjustmentTime})`);
+                return true;
               }
+              return false;
+            };
 
-              const dm = diffMinutes(cand.dt, adjDt);
-              if (dm <= WINDOW_MIN) {
-                if (!best || dm < best.diff) best = { diff: dm, call: cand };
-              }
-            }
+            const { best } = findBestMatch(fromAdjustment(a, category), candidates, adjustmentStrategy, { skip: alreadyApplied });
 
-            if (best && best.call) {
-              if (best.call.fromDatabase) {
+            if (best) {
+              const bestCall = best.right.call;
+              if (bestCall.fromDatabase) {
                 // Match with existing database call - will update separately
                 // Double-check: Skip if call already has this adjustment applied
-                if (best.call.hasAdjustment) {
-                  const existingAdjAmount = best.call.adjustmentAmount;
+                if (bestCall.hasAdjustment) {
+                  const existingAdjAmount = bestCall.adjustmentAmount;
                   const amountMatch = Math.abs((existingAdjAmount || 0) - (a.amount || 0)) < 0.01;
                   if (amountMatch) {
-                    console.log(`[INFO] Skipping adjustment for call ID ${best.call.dbId} - adjustment already applied`);
+                    console.log(`[INFO] Skipping adjustment for call ID ${bestCall.dbId} - adjustment already applied`);
                     continue;
                   }
                 }
 
-                dbCallMatches.set(best.call.dbId, a);
-                console.log(`[INFO] Matched adjustment to existing database call ID ${best.call.dbId} (caller: ${a.callerId.substring(0, 10)}..., time diff: ${best.diff.toFixed(2)} min)`);
+                dbCallMatches.set(bestCall.dbId, a);
+                console.log(`[INFO] Matched adjustment to existing database call ID ${bestCall.dbId} (caller: ${a.callerId.substring(0, 10)}..., time diff: ${best.breakdown.timeDiff.toFixed(2)} min)`);
               } else {
                 // Match with new call from current session
-                matchMap.set(`${best.call.callerId}|${best.call.dateOfCall}`, a);
+                matchMap.set(`${bestCall.callerId}|${bestCall.dateOfCall}`, a);
               }
             }
           }
@@ -394,16 +388,7 @@ export const scrapeElocalDataWithDateRange = (config) => (dateRange) => (service
           // Import normalizeDateTime for unmatched adjustments
           const { normalizeDateTime } = await import('../utils/date-normalizer.js');
 
-          // Helper functions for matching (same as above)
           const toDate = (s) => { try { return new Date(s); } catch { return null; } };
-          const sameDay = (dateStr1, dateStr2) => {
-            if (!dateStr1 || !dateStr2) return false;
-            const date1 = dateStr1.substring(0, 10);
-            const date2 = dateStr2.substring(0, 10);
-            return date1 === date2;
-          };
-          const diffMinutes = (d1, d2) => Math.abs(d1.getTime() - d2.getTime()) / 60000;
-          const WINDOW_MIN = 30;
 
           // Get truly unmatched adjustments (not matched to new calls or already matched DB calls)
           const trulyUnmatched = processedAdjustments.filter(a => {
@@ -436,7 +421,7 @@ export const scrapeElocalDataWithDateRange = (config) => (dateRange) => (service
               searchEndDate.setDate(searchEndDate.getDate() + 1);
               searchEndDate.setHours(23, 59, 59, 999);
 
-              const existingCalls = await db.getCallsForDateRange(searchStartDate, searchEndDate, category);
+              const existingCalls = await db.getCallsForDateRange({ startDate: searchStartDate, endDate: searchEndDate }, category);
 
               // Filter to same caller ID and not already matched
               const candidateCalls = existingCalls.filter(c =>
@@ -446,23 +431,13 @@ export const scrapeElocalDataWithDateRange = (config) => (dateRange) => (service
               );
 
               if (candidateCalls.length > 0) {
-                const adjDt = toDate(adj.timeOfCall);
-                let bestMatch = null;
-                let bestDiff = Infinity;
-
-                for (const existingCall of candidateCalls) {
-                  const callDt = toDate(existingCall.date_of_call);
-                  if (!callDt || !adjDt) continue;
-
-                  // Check same day and time window
-                  if (!sameDay(existingCall.date_of_call, adj.timeOfCall)) continue;
-
-                  const timeDiff = diffMinutes(callDt, adjDt);
-                  if (timeDiff <= WINDOW_MIN && timeDiff < bestDiff) {
-                    bestDiff = timeDiff;
-                    bestMatch = existingCall;
-                  }
-                }
+                const { best } = findBestMatch(
+                  fromAdjustment(adj, category),
+                  candidateCalls.map(fromElocalRow),
+                  adjustmentStrategy
+                );
+                const bestMatch = best ? best.right.call : null;
+                const bestDiff = best ? best.breakdown.timeDiff : Infinity;
 
                 if (bestMatch) {
                   // Found a match! Update the existing call
@@ -569,42 +544,37 @@ export const scrapeElocalDataWithDateRange = (config) => (dateRange) => (service
 
       throw error;
     }
-  })();
+  }, describeScrapeResult);
 };
 
-// Historical data service (past 10 days, excluding today) - STATIC category
-export const scrapeHistoricalData = async (config) => {
+// Historical data service (past 10 days, excluding today) for any registered category
+export const scrapeHistoricalDataForCategory = async (config, category) => {
   const dateRange = getPast10DaysRange();
-  console.log(`[INFO] Historical Data Service (STATIC): ${getDateRangeDescription(dateRange)}`);
-  return await scrapeElocalDataWithDateRange(config)(dateRange)('historical')('STATIC');
+  console.log(`[INFO] Historical Data Service (${category}): ${getDateRangeDescription(dateRange)}`);
+  return await scrapeElocalDataWithDateRange(config)(dateRange)('historical')(category);
 };
 
-// Current day service (current day only) - STATIC category
+// Current day service (current day only) for any registered category
 // Uses timezone-aware date range: if after 12:00 AM IST, fetches previous day (CST consideration)
-export const scrapeCurrentDayData = async (config, dateRange = null) => {
+export const scrapeCurrentDayDataForCategory = async (config, category, dateRange = null) => {
   // If dateRange is provided (e.g., from scheduler with timezone logic), use it
   // Otherwise, use timezone-aware date range
   const finalDateRange = dateRange || getCurrentDayRangeWithTimezone();
-  console.log(`[INFO] Current Day Service (STATIC): ${getDateRangeDescription(finalDateRange)}`);
-  return await scrapeElocalDataWithDateRange(config)(finalDateRange)('current')('STATIC');
+  console.log(`[INFO] Current Day Service (${category}): ${getDateRangeDescription(finalDateRange)}`);
+  return await scrapeElocalDataWithDateRange(config)(finalDateRange)('current')(category);
 };
 
+// Historical data service (past 10 days, excluding today) - STATIC category
+export const scrapeHistoricalData = (config) => scrapeHistoricalDataForCategory(config, 'STATIC');
+
+// Current day service (current day only) - STATIC category
+export const scrapeCurrentDayData = (config, dateRange = null) => scrapeCurrentDayDataForCategory(config, 'STATIC', dateRange);
+
 // Historical data service for API category (past 10 days, excluding today)
-export const scrapeHistoricalDataAPI = async (config) => {
-  const dateRange = getPast10DaysRange();
-  console.log(`[INFO] Historical Data Service (API): ${getDateRangeDescription(dateRange)}`);
-  return await scrapeElocalDataWithDateRange(config)(dateRange)('historical')('API');
-};
+export const scrapeHistoricalDataAPI = (config) => scrapeHistoricalDataForCategory(config, 'API');
 
 // Current day service for API category (current day only)
-// Uses timezone-aware date range: if after 12:00 AM IST, fetches previous day (CST consideration)
-export const scrapeCurrentDayDataAPI = async (config, dateRange = null) => {
-  // If dateRange is provided (e.g., from scheduler with timezone logic), use it
-  // Otherwise, use timezone-aware date range
-  const finalDateRange = dateRange || getCurrentDayRangeWithTimezone();
-  console.log(`[INFO] Current Day Service (API): ${getDateRangeDescription(finalDateRange)}`);
-  return await scrapeElocalDataWithDateRange(config)(finalDateRange)('current')('API');
-};
+export const scrapeCurrentDayDataAPI = (config, dateRange = null) => scrapeCurrentDayDataForCategory(config, 'API', dateRange);
 
 // Get service info
 export const getServiceInfo = (serviceType) => {
@@ -617,6 +587,8 @@ export const elocalServices = {
   scrapeCurrentDayData,
   scrapeHistoricalDataAPI,
   scrapeCurrentDayDataAPI,
+  scrapeHistoricalDataForCategory,
+  scrapeCurrentDayDataForCategory,
   getServiceInfo,
   getPast10DaysRange,
   getCurrentDayRange
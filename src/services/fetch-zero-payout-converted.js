@@ -1,14 +1,13 @@
 
 import { getColumnKeyMap } from '../http/ringba-client.js';
-import fetch from 'node-fetch';
+import { ringbaFetch, getRingbaBaseUrl } from '../http/ringba-http.js';
+import { getRingbaTargets } from '../config/campaign-registry.js';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import path from 'path';
 
 dotenv.config();
 
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
-
 const fetchCalls = async (accountId, apiToken, startDate, endDate, convertedKey) => {
     let allCalls = [];
     let offset = 0;
@@ -43,7 +42,7 @@ const fetchCalls = async (accountId, apiToken, startDate, endDate, convertedKey)
             body.valueColumns.push({ column: convertedKey });
         }
 
-        const response = await fetch(`${RINGBA_BASE_URL}/${accountId}/calllogs`, {
+        const response = await ringbaFetch(`${getRingbaBaseUrl()}/${accountId}/calllogs`, {
             method: 'POST',
             headers: {
                 'Authorization': `Token ${apiToken}`,
@@ -142,10 +141,8 @@ const run = async () => {
 
         const calls = await fetchCalls(accountId, apiToken, startISO, endISO, convertedKey);
 
-        const TARGET_IDS = [
-            'PI1175ac62aa1c4748b21216666b398135',
-            'TA48aa3e3f5a0544af8549703f76a24faa'
-        ];
+        // Targets of the registered campaigns (campaigns-config.json)
+        const TARGET_IDS = Object.keys(getRingbaTargets());
 
         const anomalousCalls = calls.filter(call => {
             const payout = parseFloat(call.payoutAmount || 0);
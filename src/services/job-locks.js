@@ -0,0 +1,126 @@
+// Job leases (job_locks table)
+// Two processes must not run the same job type on overlapping days (e.g. two copies of start-ringba-cost-scheduler.js,
+// or the 15-day cost scheduler and start-ringba-cost-sync-current-day.js): both would send the same overrides.
+// trackJobRun takes a lease keyed by job type, category and date range before the service runs; an overlapping live
+// lease makes the run fail with JobLockedError. The holder renews its lease with a heartbeat. A lease stops being
+// renewed when its process crashes, expires after JOB_LOCK_TTL_SECONDS and is then removed by the next acquirer;
+// a lease of a dead process on the same host is removed right away.
+import os from 'os';
+import { dbOps } from '../database/postgres-operations.js';
+
+const LOCK_TTL_SECONDS = parseInt(process.env.JOB_LOCK_TTL_SECONDS) || 600;
+const HEARTBEAT_INTERVAL_MS = Math.max(Math.floor(LOCK_TTL_SECONDS / 5), 1) * 1000;
+
+const OWNER = `${os.hostname()}:${process.pid}`;
+
+const formatDay = (value) =>
+  value instanceof Date ? value.toISOString().split('T')[0] : String(value).slice(0, 10);
+
+export class JobLockedError extends Error {
+  constructor(jobType, holder) {
+    const range = holder.start_date ? ` for ${formatDay(holder.start_date)} to ${formatDay(holder.end_date)}` : '';
+    super(
+      `${jobType}${holder.category ? ` (${holder.category})` : ''} is already running${range} ` +
+      `in ${holder.owner} since ${new Date(holder.acquired_at).toISOString()} (lock #${holder.id})`
+    );
+    this.name = 'JobLockedError';
+    this.holder = holder;
+  }
+}
+
+// A holder on this host whose process no longer exists crashed without releasing its lease
+const isDeadLocalHolder = (holder) => {
+  const separator = holder.owner.lastIndexOf(':');
+  const host = holder.owner.slice(0, separator);
+  const pid = parseInt(holder.owner.slice(separator + 1));
+
+  if (host !== os.hostname() || !pid || pid === process.pid) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+};
+
+const logRecovered = (recovered) => recovered.forEach(lock => {
+  console.warn(
+    `[WARN] Removed stale ${lock.job_type} lock #${lock.id} of ${lock.owner} ` +
+    `(last heartbeat ${new Date(lock.heartbeat_at).toISOString()})`
+  );
+});
+
+const acquire = async (db, lockRequest) => {
+  let attempt = await db.acquireJobLock(lockRequest);
+  logRecovered(attempt.recovered);
+
+  if (!attempt.acquired && isDeadLocalHolder(attempt.holder)) {
+    console.warn(`[WARN] Removing ${lockRequest.jobType} lock #${attempt.holder.id} of exited process ${attempt.holder.owner}`);
+    await db.releaseJobLock(attempt.holder.id);
+    attempt = await db.acquireJobLock(lockRequest);
+    logRecovered(attempt.recovered);
+  }
+
+  if (!attempt.acquired) {
+    throw new JobLockedError(lockRequest.jobType, attempt.holder);
+  }
+  return attempt.lock;
+};
+
+/**
+ * Run fn while holding the lease of a job type, category and date range
+ * Best effort when the lease cannot be stored (table missing, database down): the job runs without it.
+ * @param {Object} config - Database config (dbOps)
+ * @param {Object} meta - { jobType, category, startDate, endDate } (dates as YYYY-MM-DD; null = no limit)
+ * @param {Function} fn - async (lock) => result; lock is the job_locks row, or null when running without a lease
+ * @returns {Promise<*>} The result of fn()
+ * @throws {JobLockedError} When an overlapping lease is held
+ */
+export const withJobLock = async (config, meta, fn) => {
+  const db = dbOps(config || {});
+  let lock = null;
+
+  try {
+    lock = await acquire(db, {
+      jobType: meta.jobType,
+      category: meta.category || null,
+      startDate: meta.startDate || null,
+      endDate: meta.endDate || null,
+      owner: OWNER,
+      ttlSeconds: LOCK_TTL_SECONDS
+    });
+  } catch (error) {
+    if (error instanceof JobLockedError) {
+      throw error;
+    }
+    console.warn(`[WARN] Failed to take ${meta.jobType} lock in job_locks, running without it: ${error.message}`);
+  }
+
+  if (!lock) {
+    return fn(null);
+  }
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!await db.renewJobLock(lock.id, LOCK_TTL_SECONDS)) {
+        console.error(`[ERROR] ${meta.jobType} lock #${lock.id} expired and was removed; another process may start the same job`);
+      }
+    } catch (error) {
+      console.warn(`[WARN] Failed to renew ${meta.jobType} lock #${lock.id}: ${error.message}`);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  try {
+    return await fn(lock);
+  } finally {
+    clearInterval(heartbeat);
+    try {
+      await db.releaseJobLock(lock.id);
+    } catch (error) {
+      console.warn(`[WARN] Failed to release ${meta.jobType} lock #${lock.id} (expires on its own): ${error.message}`);
+    }
+  }
+};
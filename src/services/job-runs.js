@@ -0,0 +1,125 @@
+// Job run history (job_runs table)
+// Every service entry point wraps its work in trackJobRun, so runs started by the orchestrator,
+// the start-*.js schedulers, the CLI or the run-*.js scripts all end up in the dashboard history.
+// Recording is best effort: when the table is missing or the database write fails the service still runs.
+// The console output of a recorded run is stored in service_logs (src/utils/structured-logger.js).
+// Before a run starts, its lease is taken in job_locks (src/services/job-locks.js), so the same job type cannot
+// run twice on overlapping days. A finished run is checked by the alert rules (src/alerts/rules.js) and counted in
+// the Prometheus metrics (src/metrics/metrics.js).
+import { basename } from 'path';
+import { dbOps } from '../database/postgres-operations.js';
+import { withRunLogs } from '../utils/structured-logger.js';
+import { withJobLock, JobLockedError } from './job-locks.js';
+import { alertOnJobRun } from '../alerts/rules.js';
+import { recordJobRunMetrics, pushMetrics } from '../metrics/metrics.js';
+
+// Date | 'YYYY-MM-DD' | 'MM/DD/YYYY' -> 'YYYY-MM-DD' (null when not given)
+const toDay = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+  const match = String(value).match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return match ? `${match[3]}-${match[1]}-${match[2]}` : String(value).slice(0, 10);
+};
+
+// Start/end day of a service date range (the range's own formatted strings when it has them)
+export const rangeOf = (dateRange) => ({
+  startDate: dateRange?.startDateURL || dateRange?.startDateFormatted || dateRange?.startDate || null,
+  endDate: dateRange?.endDateURL || dateRange?.endDateFormatted || dateRange?.endDate || null
+});
+
+// Top-level numbers of a service result (calls, updated, failed, ...)
+export const countersFromResult = (result) =>
+  Object.fromEntries(
+    Object.entries(result || {}).filter(([, value]) => typeof value === 'number' && Number.isFinite(value))
+  );
+
+// Default description of a result: its numbers, 'partial' when some items failed, the run/session/plan ID
+const describeResult = (result) => {
+  const counters = countersFromResult(result);
+  return {
+    counters,
+    status: counters.failed > 0 ? 'partial' : 'success',
+    referenceId: result?.syncRunId || result?.sessionId || (result?.planId ? String(result.planId) : null)
+  };
+};
+
+/**
+ * Run a service under its job lease and record it in job_runs (its console output goes to service_logs)
+ * @param {Object} config - Database config (dbOps); missing keys fall back to the environment
+ * @param {Object} meta - { jobType, category, startDate, endDate } (dates as Date, YYYY-MM-DD or MM/DD/YYYY; see rangeOf)
+ * @param {Function} run - async () => result; a thrown error marks the run as failed and is rethrown
+ * @param {Function} describe - result => { counters, status, referenceId } (default: numbers of the result)
+ * @returns {Promise<*>} The result of run()
+ * @throws {JobLockedError} When the same job type is already running on overlapping days (nothing is recorded)
+ */
+export const trackJobRun = (config, meta, run, describe = describeResult) => {
+  const tracked = { ...meta, startDate: toDay(meta.startDate), endDate: toDay(meta.endDate) };
+  return withJobLock(config, tracked, (lock) => recordJobRun(config, tracked, lock, run, describe))
+    .catch(async (error) => {
+      if (error instanceof JobLockedError) {
+        recordJobRunMetrics({ jobType: tracked.jobType, status: 'locked' });
+        await pushMetrics();
+      }
+      throw error;
+    });
+};
+
+const recordJobRun = async (config, meta, lock, run, describe) => {
+  const db = dbOps(config || {});
+  const source = process.argv[1] ? basename(process.argv[1]) : null;
+  const started = Date.now();
+  let runId = null;
+
+  try {
+    runId = await db.createJobRun({
+      jobType: meta.jobType,
+      category: meta.category,
+      startDate: meta.startDate,
+      endDate: meta.endDate,
+      source
+    });
+    if (lock) {
+      await db.setJobLockRun(lock.id, runId);
+    }
+  } catch (error) {
+    console.warn(`[WARN] Failed to record ${meta.jobType} run in job_runs: ${error.message}`);
+  }
+
+  const finish = async (details) => {
+    recordJobRunMetrics({
+      jobType: meta.jobType,
+      status: details.status,
+      durationMs: Date.now() - started,
+      counters: details.counters
+    });
+    await pushMetrics();
+    if (runId === null) {
+      return;
+    }
+    try {
+      await db.finishJobRun(runId, details);
+    } catch (error) {
+      console.warn(`[WARN] Failed to update job run #${runId}: ${error.message}`);
+    }
+  };
+
+  const execute = () => runId === null
+    ? run()
+    : withRunLogs({ runId, service: meta.jobType, config }, run);
+
+  try {
+    const result = await execute();
+    const { counters = {}, status = 'success', referenceId = null } = describe(result) || {};
+    await finish({ status, counters, referenceId });
+    await alertOnJobRun(config, { ...meta, id: runId, status, counters, source });
+    return result;
+  } catch (error) {
+    await finish({ status: 'failed', errorMessage: error.message });
+    await alertOnJobRun(config, { ...meta, id: runId, status: 'failed', errorMessage: error.message, source });
+    throw error;
+  }
+};
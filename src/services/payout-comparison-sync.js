@@ -1,199 +1,85 @@
 // Service to calculate and store payout comparison data in payout_comparison_daily table
-import pg from 'pg';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const { Pool } = pg;
-
-const pool = new Pool({
-  host: process.env.POSTGRES_HOST || process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.POSTGRES_PORT || process.env.DB_PORT || '5432'),
-  database: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-  user: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-  password: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-  ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: false } : false
-});
+import { trackJobRun } from './job-runs.js';
+import { withTransaction } from '../database/pool.js';
+import { createCallsRepository } from '../database/repositories/calls.js';
+import { createCampaignSummariesRepository, COMBINED_CAMPAIGN } from '../database/repositories/campaign-summaries.js';
+import { createPayoutComparisonsRepository, calculateNet } from '../database/repositories/payout-comparisons.js';
 
 /**
  * Calculate and store payout comparison data for a specific date
  * @param {string} date - Date in YYYY-MM-DD format
  */
-export const syncPayoutComparisonForDate = async (date) => {
-  let client = null;
+const runPayoutComparisonForDate = async (date) => {
   try {
     console.log(`[PayoutComparisonSync] Syncing data for date: ${date}`);
-    
-    client = await pool.connect();
-    
-    // Get elocal call data grouped by category
-    const elocalQuery = `
-      SELECT 
-        category,
-        COALESCE(SUM(payout), 0) as elocal_payout,
-        COALESCE(SUM(original_payout), 0) as ringba_payout,
-        COALESCE(SUM(original_revenue), 0) as ringba_revenue,
-        COUNT(*) as call_count
-      FROM elocal_call_data
-      WHERE SUBSTRING(date_of_call, 1, 10) = $1
-      GROUP BY category
-    `;
-    
-    const elocalResult = await client.query(elocalQuery, [date]);
-    
+
+    // eLocal call data of the day (call time zone, EST/EDT) grouped by category
+    const categoryTotals = await createCallsRepository().totalsByCategoryForDay(date);
+
     // Initialize values
     let ringbaStatic = 0;
     let ringbaApi = 0;
     let elocalStatic = 0;
     let elocalApi = 0;
     let totalCalls = 0;
-    
+
     // Process elocal call data
-    for (const row of elocalResult.rows) {
-      const category = String(row.category || 'STATIC').toUpperCase();
-      const elocalPayout = parseFloat(row.elocal_payout) || 0;
-      const ringbaPayout = parseFloat(row.ringba_payout) || 0;
-      const ringbaRevenue = parseFloat(row.ringba_revenue) || 0;
-      const callCount = parseInt(row.call_count) || 0;
-      
-      if (category === 'STATIC') {
-        ringbaStatic = ringbaPayout;
-        elocalStatic = elocalPayout;
-      } else if (category === 'API') {
-        ringbaApi = ringbaRevenue;
-        elocalApi = elocalPayout;
+    for (const row of categoryTotals) {
+      if (row.category === 'STATIC') {
+        ringbaStatic = row.ringbaPayout;
+        elocalStatic = row.elocalPayout;
+      } else if (row.category === 'API') {
+        ringbaApi = row.ringbaRevenue;
+        elocalApi = row.elocalPayout;
       }
-      
-      totalCalls += callCount;
+
+      totalCalls += row.callCount;
     }
-    
+
     // Calculate totals
     const ringbaTotal = ringbaStatic + ringbaApi;
     const elocalTotal = elocalStatic + elocalApi;
-    
-    // Get RPC from ringba_campaign_summary (prefer "Appliance Repair" campaign)
-    const rpcQuery = `
-      SELECT rpc, campaign_name 
-      FROM ringba_campaign_summary 
-      WHERE summary_date = $1
-      ORDER BY 
-        CASE 
-          WHEN campaign_name = 'Appliance Repair' THEN 1
-          WHEN LOWER(campaign_name) LIKE '%appliance repair%' THEN 2
-          ELSE 3
-        END ASC
-      LIMIT 1
-    `;
-    
-    const rpcResult = await client.query(rpcQuery, [date]);
-    const rpc = rpcResult.rows.length > 0 ? parseFloat(rpcResult.rows[0].rpc) || 0 : 0;
-    
-    // Get Google Ads spend and telco from ringba_campaign_summary (Appliance Repair)
-    const summaryQuery = `
-      SELECT google_ads_spend, google_ads_notes, insights_total_cost
-      FROM ringba_campaign_summary 
-      WHERE summary_date = $1 
-        AND campaign_name = 'Appliance Repair'
-      LIMIT 1
-    `;
-    
-    const summaryResult = await client.query(summaryQuery, [date]);
-    const googleAdsSpend = summaryResult.rows.length > 0 
-      ? parseFloat(summaryResult.rows[0].google_ads_spend) || 0 
-      : 0;
-    const googleAdsNotes = summaryResult.rows.length > 0 
-      ? summaryResult.rows[0].google_ads_notes || null 
-      : null;
-    const telco = summaryResult.rows.length > 0 
-      ? parseFloat(summaryResult.rows[0].insights_total_cost) || 0 
-      : 0;
-    
+
+    // RPC, Google Ads spend and telco from ringba_campaign_summary (prefer the combined campaign)
+    const summaries = createCampaignSummariesRepository();
+    const rpc = await summaries.getRpcForDay(date);
+    const { googleAdsSpend, googleAdsNotes, telco } = await summaries.getCombinedDayCosts(date);
+
     // Calculate adjustments
     const adjustments = ringbaTotal - elocalTotal;
     const adjustmentStaticPct = (ringbaStatic - elocalStatic) / 100;
     const adjustmentApiPct = (ringbaApi - elocalApi) / 100;
-    const adjustmentPct = ringbaTotal > 0 
-      ? (adjustments / ringbaTotal) * 100 
+    const adjustmentPct = ringbaTotal > 0
+      ? (adjustments / ringbaTotal) * 100
       : 0;
-    
+
     // Calculate frontend metrics
-    const costPerCall = totalCalls > 0 ? googleAdsSpend / totalCalls : 0;
-    const net = elocalTotal - googleAdsSpend - telco;
-    const netProfit = elocalTotal > 0 ? (net / elocalTotal) * 100 : 0;
-    
-    // Upsert into payout_comparison_daily table
-    const upsertQuery = `
-      INSERT INTO payout_comparison_daily (
-        comparison_date,
-        ringba_static,
-        ringba_api,
-        ringba_total,
-        elocal_static,
-        elocal_api,
-        elocal_total,
-        adjustments,
-        adjustment_static_pct,
-        adjustment_api_pct,
-        adjustment_pct,
-        total_calls,
-        rpc,
-        google_ads_spend,
-        google_ads_notes,
-        telco,
-        cost_per_call,
-        net,
-        net_profit,
-        updated_at
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, CURRENT_TIMESTAMP
-      )
-      ON CONFLICT (comparison_date) 
-      DO UPDATE SET
-        ringba_static = EXCLUDED.ringba_static,
-        ringba_api = EXCLUDED.ringba_api,
-        ringba_total = EXCLUDED.ringba_total,
-        elocal_static = EXCLUDED.elocal_static,
-        elocal_api = EXCLUDED.elocal_api,
-        elocal_total = EXCLUDED.elocal_total,
-        adjustments = EXCLUDED.adjustments,
-        adjustment_static_pct = EXCLUDED.adjustment_static_pct,
-        adjustment_api_pct = EXCLUDED.adjustment_api_pct,
-        adjustment_pct = EXCLUDED.adjustment_pct,
-        total_calls = EXCLUDED.total_calls,
-        rpc = EXCLUDED.rpc,
-        google_ads_spend = EXCLUDED.google_ads_spend,
-        google_ads_notes = EXCLUDED.google_ads_notes,
-        telco = EXCLUDED.telco,
-        cost_per_call = EXCLUDED.cost_per_call,
-        net = EXCLUDED.net,
-        net_profit = EXCLUDED.net_profit,
-        updated_at = CURRENT_TIMESTAMP
-    `;
-    
-    await client.query(upsertQuery, [
-      date,
-      ringbaStatic,
-      ringbaApi,
-      ringbaTotal,
-      elocalStatic,
-      elocalApi,
-      elocalTotal,
+    const { cost_per_call: costPerCall, net, net_profit: netProfit } = calculateNet({ elocalTotal, googleAdsSpend, telco, totalCalls });
+
+    await createPayoutComparisonsRepository().upsertDay({
+      comparison_date: date,
+      ringba_static: ringbaStatic,
+      ringba_api: ringbaApi,
+      ringba_total: ringbaTotal,
+      elocal_static: elocalStatic,
+      elocal_api: elocalApi,
+      elocal_total: elocalTotal,
       adjustments,
-      adjustmentStaticPct,
-      adjustmentApiPct,
-      adjustmentPct,
-      totalCalls,
+      adjustment_static_pct: adjustmentStaticPct,
+      adjustment_api_pct: adjustmentApiPct,
+      adjustment_pct: adjustmentPct,
+      total_calls: totalCalls,
       rpc,
-      googleAdsSpend,
-      googleAdsNotes,
+      google_ads_spend: googleAdsSpend,
+      google_ads_notes: googleAdsNotes,
       telco,
-      costPerCall,
+      cost_per_call: costPerCall,
       net,
-      netProfit
-    ]);
-    
+      net_profit: netProfit
+    });
+
     console.log(`[PayoutComparisonSync] ✓ Successfully synced data for ${date}`);
-    
+
     return {
       date,
       ringbaStatic,
@@ -214,19 +100,20 @@ export const syncPayoutComparisonForDate = async (date) => {
   } catch (error) {
     console.error(`[PayoutComparisonSync] Error syncing data for ${date}:`, error);
     throw error;
-  } finally {
-    if (client) {
-      client.release();
-    }
   }
 };
 
+// Recorded in job_runs as 'payout-comparison'
+export const syncPayoutComparisonForDate = (date) =>
+  trackJobRun({}, { jobType: 'payout-comparison', startDate: date, endDate: date },
+    () => runPayoutComparisonForDate(date), () => ({ counters: { total: 1, successful: 1, failed: 0 } }));
+
 /**
  * Sync payout comparison data for a date range
  * @param {string} startDate - Start date in YYYY-MM-DD format
  * @param {string} endDate - End date in YYYY-MM-DD format
  */
-export const syncPayoutComparisonForDateRange = async (startDate, endDate) => {
+const runPayoutComparisonForDateRange = async (startDate, endDate) => {
   try {
     console.log(`[PayoutComparisonSync] Syncing data for date range: ${startDate} to ${endDate}`);
     
@@ -247,7 +134,7 @@ export const syncPayoutComparisonForDateRange = async (startDate, endDate) => {
     const results = [];
     for (const date of dates) {
       try {
-        const result = await syncPayoutComparisonForDate(date);
+        const result = await runPayoutComparisonForDate(date);
         results.push({ date, status: 'success', data: result });
       } catch (error) {
         console.error(`[PayoutComparisonSync] Failed to sync ${date}:`, error.message);
@@ -272,79 +159,39 @@ export const syncPayoutComparisonForDateRange = async (startDate, endDate) => {
   }
 };
 
+// Recorded in job_runs as 'payout-comparison' (one run for the whole range)
+export const syncPayoutComparisonForDateRange = (startDate, endDate) =>
+  trackJobRun({}, { jobType: 'payout-comparison', startDate, endDate },
+    () => runPayoutComparisonForDateRange(startDate, endDate));
+
 /**
  * Update Google Ads spend for a specific date
  * This is called when user edits Google Ads spend in the UI
+ * Stored on the combined campaign summary and the payout comparison row of the day, in one transaction.
  * @param {string} date - Date in YYYY-MM-DD format
  * @param {number} spend - Google Ads spend amount
  * @param {string} notes - Optional notes
+ * @param {Object} options - { requireComparison: fail when the day has no payout comparison row yet (default true) }
+ * @returns {Promise<Object>} { date, googleAdsSpend, googleAdsNotes, costPerCall, net, netProfit } (the last three
+ *   are null when the day has no payout comparison row)
  */
-export const updateGoogleAdsSpend = async (date, spend, notes = null) => {
-  let client = null;
+export const updateGoogleAdsSpend = async (date, spend, notes = null, { requireComparison = true } = {}) => {
   try {
     console.log(`[PayoutComparisonSync] Updating Google Ads spend for ${date}: ${spend}`);
-    
-    client = await pool.connect();
-    
-    // Get current row data
-    const getRowQuery = `
-      SELECT 
-        elocal_total,
-        telco,
-        total_calls
-      FROM payout_comparison_daily
-      WHERE comparison_date = $1
-    `;
-    
-    const rowResult = await client.query(getRowQuery, [date]);
-    
-    if (rowResult.rows.length === 0) {
-      throw new Error(`No payout comparison data found for date ${date}. Please sync the data first.`);
-    }
-    
-    const row = rowResult.rows[0];
-    const elocalTotal = parseFloat(row.elocal_total) || 0;
-    const telco = parseFloat(row.telco) || 0;
-    const totalCalls = parseInt(row.total_calls) || 0;
-    
-    // Recalculate cost_per_call, net, and net_profit
-    const costPerCall = totalCalls > 0 ? spend / totalCalls : 0;
-    const net = elocalTotal - spend - telco;
-    const netProfit = elocalTotal > 0 ? (net / elocalTotal) * 100 : 0;
-    
-    // Update the row
-    const updateQuery = `
-      UPDATE payout_comparison_daily
-      SET
-        google_ads_spend = $1,
-        google_ads_notes = $2,
-        cost_per_call = $3,
-        net = $4,
-        net_profit = $5,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE comparison_date = $6
-    `;
-    
-    await client.query(updateQuery, [spend, notes, costPerCall, net, netProfit, date]);
-    
-    console.log(`[PayoutComparisonSync] ✓ Updated Google Ads spend for ${date}`);
-    
-    return {
-      date,
-      googleAdsSpend: spend,
-      googleAdsNotes: notes,
-      costPerCall,
-      net,
-      netProfit
-    };
+
+    const result = await withTransaction(async (client) => {
+      await createCampaignSummariesRepository(client).setGoogleAdsSpend(date, spend, notes);
+      const comparison = await createPayoutComparisonsRepository(client).applyGoogleAdsSpend(date, spend, notes);
+      if (!comparison && requireComparison) {
+        throw new Error(`No payout comparison data found for date ${date}. Please sync the data first.`);
+      }
+      return comparison || { date, googleAdsSpend: spend, googleAdsNotes: notes, costPerCall: null, net: null, netProfit: null };
+    });
+
+    console.log(`[PayoutComparisonSync] ✓ Updated Google Ads spend for ${date} (${COMBINED_CAMPAIGN} summary${result.net === null ? '' : ' and payout comparison'})`);
+    return result;
   } catch (error) {
     console.error(`[PayoutComparisonSync] Error updating Google Ads spend for ${date}:`, error);
     throw error;
-  } finally {
-    if (client) {
-      client.release();
-    }
   }
 };
-
-
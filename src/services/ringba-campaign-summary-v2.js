@@ -3,17 +3,16 @@
 // Tracks RPC (Revenue Per Call), total calls, connected calls per day per campaign
 
 import { dbOps } from '../database/postgres-operations.js';
-import { TARGET_IDS } from '../http/ringba-target-calls.js';
-import fetch from 'node-fetch';
-
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
+import { getTargetIds } from '../http/ringba-target-calls.js';
+import { ringbaFetch, getRingbaBaseUrl } from '../http/ringba-http.js';
+import { trackJobRun } from './job-runs.js';
 
 /**
  * Fetch totalCost from Ringba Insights API
  * This is the only metric reliably available from the insights endpoint
  */
 const getTotalCostFromInsights = async (accountId, apiToken, filterColumn, filterValue, startDate, endDate) => {
-  const url = `${RINGBA_BASE_URL}/${accountId}/insights`;
+  const url = `${getRingbaBaseUrl()}/${accountId}/insights`;
   const headers = {
     'Authorization': `Token ${apiToken}`,
     'Content-Type': 'application/json'
@@ -39,7 +38,7 @@ const getTotalCostFromInsights = async (accountId, apiToken, filterColumn, filte
     ]
   };
   
-  const response = await fetch(url, {
+  const response = await ringbaFetch(url, {
     method: 'POST',
     headers,
     body: JSON.stringify(body)
@@ -84,7 +83,7 @@ const getTotalCostFromInsights = async (accountId, apiToken, filterColumn, filte
  * @returns {Promise<{calls: Array, totalCount: number}>}
  */
 const getCallLogs = async (accountId, apiToken, filterColumn, filterValue, startDate, endDate, hasConnected = null) => {
-  const url = `${RINGBA_BASE_URL}/${accountId}/calllogs`;
+  const url = `${getRingbaBaseUrl()}/${accountId}/calllogs`;
   const headers = {
     'Authorization': `Token ${apiToken}`,
     'Content-Type': 'application/json'
@@ -156,7 +155,7 @@ const getCallLogs = async (accountId, apiToken, filterColumn, filterValue, start
   while (hasMore) {
     body.offset = offset;
     
-    const response = await fetch(url, {
+    const response = await ringbaFetch(url, {
       method: 'POST',
       headers,
       body: JSON.stringify(body)
@@ -670,7 +669,7 @@ export const syncCampaignSummaryByCampaignId = async (config, campaignId, date =
 /**
  * Main function to fetch and save campaign summary for a specific date using Insights API
  */
-export const syncCampaignSummary = async (config, date = null) => {
+const runCampaignSummarySync = async (config, date = null) => {
   const accountId = config.ringbaAccountId;
   const apiToken = config.ringbaApiToken;
   
@@ -711,7 +710,7 @@ export const syncCampaignSummary = async (config, date = null) => {
   console.log('Ringba Campaign Summary Sync V2 (Insights API)');
   console.log('='.repeat(70));
   console.log(`Date: ${targetDate.toISOString().split('T')[0]}`);
-  console.log(`Targets: ${Object.keys(TARGET_IDS).length}`);
+  console.log(`Targets: ${Object.keys(getTargetIds()).length}`);
   console.log('='.repeat(70));
   console.log('');
   
@@ -719,7 +718,7 @@ export const syncCampaignSummary = async (config, date = null) => {
   const errors = [];
   
   // Fetch summary for each target/campaign
-  for (const [targetId, targetName] of Object.entries(TARGET_IDS)) {
+  for (const [targetId, targetName] of Object.entries(getTargetIds())) {
     try {
       console.log(`\n[${targetName}] Processing...`);
       
@@ -792,3 +791,7 @@ export const syncCampaignSummary = async (config, date = null) => {
   };
 };
 
+// Recorded in job_runs as 'campaign-summary' (one run per day)
+export const syncCampaignSummary = (config, date = null) =>
+  trackJobRun(config, { jobType: 'campaign-summary', startDate: date || new Date(), endDate: date || new Date() },
+    () => runCampaignSummarySync(config, date));
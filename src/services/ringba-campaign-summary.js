@@ -3,20 +3,19 @@
 
 import { dbOps } from '../database/postgres-operations.js';
 import { getCallsByTargetId } from '../http/ringba-target-calls.js';
-import { TARGET_IDS } from '../http/ringba-target-calls.js';
+import { getTargetIds } from '../http/ringba-target-calls.js';
 import * as TE from 'fp-ts/lib/TaskEither.js';
 import * as T from 'fp-ts/lib/Task.js';
 import * as E from 'fp-ts/lib/Either.js';
-import fetch from 'node-fetch';
-
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
+import { ringbaFetch, getRingbaBaseUrl } from '../http/ringba-http.js';
+import { trackJobRun } from './job-runs.js';
 
 /**
  * Fetch total cost from Ringba Insights API
  */
 const getTotalCostFromInsights = async (accountId, apiToken, identifier, startDate, endDate, useCampaignId = false) => {
   try {
-    const url = `${RINGBA_BASE_URL}/${accountId}/insights`;
+    const url = `${getRingbaBaseUrl()}/${accountId}/insights`;
     const headers = {
       'Authorization': `Token ${apiToken}`,
       'Content-Type': 'application/json'
@@ -42,7 +41,7 @@ const getTotalCostFromInsights = async (accountId, apiToken, identifier, startDa
       ]
     };
     
-    const response = await fetch(url, {
+    const response = await ringbaFetch(url, {
       method: 'POST',
       headers,
       body: JSON.stringify(body)
@@ -100,7 +99,7 @@ const getTotalCostFromInsights = async (accountId, apiToken, identifier, startDa
  */
 const getConnectedCallsCount = async (accountId, apiToken, filterColumn, filterValue, startDate, endDate) => {
   try {
-    const url = `${RINGBA_BASE_URL}/${accountId}/calllogs`;
+    const url = `${getRingbaBaseUrl()}/${accountId}/calllogs`;
     const headers = {
       'Authorization': `Token ${apiToken}`,
       'Content-Type': 'application/json'
@@ -139,7 +138,7 @@ const getConnectedCallsCount = async (accountId, apiToken, filterColumn, filterV
       formatDateTime: true
     };
     
-    const response = await fetch(url, {
+    const response = await ringbaFetch(url, {
       method: 'POST',
       headers,
       body: JSON.stringify(body)
@@ -171,7 +170,7 @@ const getCallsByCampaignId = async (accountId, apiToken, campaignId, startDate,
   let hasMore = true;
   
   while (hasMore) {
-    const url = `${RINGBA_BASE_URL}/${accountId}/calllogs`;
+    const url = `${getRingbaBaseUrl()}/${accountId}/calllogs`;
     const headers = {
       'Authorization': `Token ${apiToken}`,
       'Content-Type': 'application/json'
@@ -220,7 +219,7 @@ const getCallsByCampaignId = async (accountId, apiToken, campaignId, startDate,
     };
     
     // Try with basic columns first (some columns may not be available in /calllogs endpoint)
-    let response = await fetch(url, {
+    let response = await ringbaFetch(url, {
       method: 'POST',
       headers,
       body: JSON.stringify(body)
@@ -260,7 +259,7 @@ const getCallsByCampaignId = async (accountId, apiToken, campaignId, startDate,
         }
         body.valueColumns = basicColumns;
         
-        response = await fetch(url, {
+        response = await ringbaFetch(url, {
           method: 'POST',
           headers,
           body: JSON.stringify(body)
@@ -1114,7 +1113,7 @@ export const syncCampaignSummaryByCampaignId = async (config, campaignId, date =
  * Main function to fetch and save campaign summary for a specific date
  * Creates both individual campaign summaries and a combined summary
  */
-export const syncCampaignSummary = async (config, date = null) => {
+const runCampaignSummarySync = async (config, date = null) => {
   const accountId = config.ringbaAccountId;
   const apiToken = config.ringbaApiToken;
   
@@ -1156,7 +1155,7 @@ export const syncCampaignSummary = async (config, date = null) => {
   console.log('Ringba Campaign Summary Sync');
   console.log('='.repeat(70));
   console.log(`Date: ${targetDate.toISOString().split('T')[0]}`);
-  console.log(`Targets: ${Object.keys(TARGET_IDS).length}`);
+  console.log(`Targets: ${Object.keys(getTargetIds()).length}`);
   console.log('='.repeat(70));
   console.log('');
   
@@ -1165,7 +1164,7 @@ export const syncCampaignSummary = async (config, date = null) => {
   const allSummaries = [];
   
   // Fetch summary for each target/campaign
-  for (const [targetId, targetName] of Object.entries(TARGET_IDS)) {
+  for (const [targetId, targetName] of Object.entries(getTargetIds())) {
     try {
       console.log(`\n[${targetName}] Processing...`);
       
@@ -1279,3 +1278,7 @@ export const syncCampaignSummary = async (config, date = null) => {
   };
 };
 
+// Recorded in job_runs as 'campaign-summary' (one run per day)
+export const syncCampaignSummary = (config, date = null) =>
+  trackJobRun(config, { jobType: 'campaign-summary', startDate: date || new Date(), endDate: date || new Date() },
+    () => runCampaignSummarySync(config, date));
@@ -1,326 +1,44 @@
 // Service to sync cost changes from eLocal to Ringba dashboard
 // Detects changes in elocal_call_data compared to ringba_calls
 // Matches by: 1) Category (from target ID), 2) caller ID (E.164), 3) time window (±30 minutes), 4) call duration (±30 seconds)
+// Matching rules live in src/matching (costSync strategy)
 // Note: Payout is NOT used for matching - only for updating after match is found
 // Updates Ringba payout and revenue in bulk
+// Multi-leg calls (reroutes/transfers): payout is applied to the payout leg and revenue to the revenue leg
 
 import { dbOps } from '../database/postgres-operations.js';
-import { updateCallPayment } from '../http/ringba-client.js';
-import { getCategoryFromTargetId } from '../http/ringba-target-calls.js';
-import * as TE from 'fp-ts/lib/TaskEither.js';
-import * as T from 'fp-ts/lib/Task.js';
-
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
-
-// Convert phone number to E.164 format
-const toE164 = (raw) => {
-  if (!raw) return null;
-  const digits = (raw || '').replace(/\D/g, '');
-  if (!digits) return null;
-  // If already in E.164 format (starts with +), return as-is
-  if (raw.startsWith('+')) return raw;
-  // 11 digits starting with 1 (US with country code)
-  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
-  // 10 digits (US without country code)
-  if (digits.length === 10) return `+1${digits}`;
-  // Last resort: try to format as E.164
-  return digits.length > 0 ? `+${digits}` : null;
-};
-
-// Parse date from various formats to Date object
-// Handles: ISO format, MM/DD/YYYY HH:MM:SS AM/PM (Ringba format), YYYY-MM-DD, etc.
-// IMPORTANT: eLocal dates are in EST (Eastern Standard Time) USA/Canada timezone
-const parseDate = (dateStr, isElocalDate = false) => {
-  if (!dateStr) return null;
-  try {
-    // Try parsing as ISO string first (handles most cases)
-    const date = new Date(dateStr);
-    if (!isNaN(date.getTime())) {
-      // If this is an eLocal date (stored as YYYY-MM-DDTHH:mm:ss), treat it as EST
-      // EST is UTC-5 (or UTC-4 during DST)
-      if (isElocalDate && dateStr.match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/)) {
-        // Parse the date components and create a date in EST
-        // We'll treat it as local time but account for EST offset when comparing
-        return date; // For now, return as-is since we're storing EST times directly
-      }
-      return date;
-    }
-
-    // Try Ringba format: MM/DD/YYYY HH:MM:SS AM/PM (e.g., "11/18/2025 06:29:34 PM")
-    // Ringba dates are stored in EST in database (converted during sync)
-    // But if we get the original format, we need to handle it
-    const ringbaFormat = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2}):(\d{2})\s+(AM|PM)$/i);
-    if (ringbaFormat) {
-      // If this is still in Ringba format, it means it wasn't converted yet
-      // For database queries, dates should already be in EST (YYYY-MM-DDTHH:mm:ss)
-      // But handle the original format just in case
-      const month = parseInt(ringbaFormat[1], 10) - 1;
-      const day = parseInt(ringbaFormat[2], 10);
-      const year = parseInt(ringbaFormat[3], 10);
-      let hours = parseInt(ringbaFormat[4], 10);
-      const minutes = parseInt(ringbaFormat[5], 10);
-      const seconds = parseInt(ringbaFormat[6], 10);
-      const ampm = ringbaFormat[7].toUpperCase();
-
-      // Convert to 24-hour format
-      if (ampm === 'PM' && hours !== 12) {
-        hours += 12;
-      } else if (ampm === 'AM' && hours === 12) {
-        hours = 0;
-      }
-
-      // Treat as EST (since Ringba dates in DB are already converted to EST)
-      return new Date(year, month, day, hours, minutes, seconds);
-    }
-
-    // Try YYYY-MM-DDTHH:mm:ss format (ISO with time) - this is eLocal format
-    const isoMatch = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
-    if (isoMatch) {
-      const year = parseInt(isoMatch[1], 10);
-      const month = parseInt(isoMatch[2], 10) - 1;
-      const day = parseInt(isoMatch[3], 10);
-      const hours = parseInt(isoMatch[4], 10);
-      const minutes = parseInt(isoMatch[5], 10);
-      const seconds = parseInt(isoMatch[6], 10);
-      // eLocal dates are in EST, but we store them as-is
-      // When comparing, the 10-minute window should account for small timezone differences
-      return new Date(year, month, day, hours, minutes, seconds);
-    }
-
-    // Try YYYY-MM-DD format (date only)
-    const yyyymmdd = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-    if (yyyymmdd) {
-      const year = parseInt(yyyymmdd[1], 10);
-      const month = parseInt(yyyymmdd[2], 10) - 1;
-      const day = parseInt(yyyymmdd[3], 10);
-      return new Date(year, month, day);
-    }
-
-    // Try MM/DD/YYYY format (date only, no time)
-    const mmddyyyy = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-    if (mmddyyyy) {
-      const month = parseInt(mmddyyyy[1], 10) - 1;
-      const day = parseInt(mmddyyyy[2], 10);
-      const year = parseInt(mmddyyyy[3], 10);
-      return new Date(year, month, day);
-    }
-  } catch (error) {
-    // Ignore parsing errors
-  }
-  return null;
-};
-
-// Calculate time difference in minutes
-const timeDiffMinutes = (date1, date2) => {
-  if (!date1 || !date2) return Infinity;
-  return Math.abs(date1.getTime() - date2.getTime()) / (1000 * 60);
-};
-
-// Match eLocal call with Ringba call
-// Uses: 1) Category (from target ID), 2) caller ID (E.164), 3) time range (±30 minutes), 4) call duration (±30 seconds)
-// Note: Payout is NOT used for matching - only for updating after match is found
-const matchCall = (elocalCall, ringbaCall, windowMinutes = 30, durationTolerance = 30) => {
-  // 0. Match category first (from Ringba target ID)
-  const ringbaCategory = getCategoryFromTargetId(ringbaCall.target_id);
-  const elocalCategory = elocalCall.category || 'STATIC';
-
-  // Categories must match
-  if (ringbaCategory !== elocalCategory) {
-    return null;
-  }
-
-  // 1. Match caller ID (convert both to E.164)
-  const elocalCallerE164 = toE164(elocalCall.caller_id);
-  const ringbaCallerE164 = ringbaCall.caller_id_e164 || toE164(ringbaCall.caller_id);
-
-  // Skip anonymous or invalid caller IDs
-  const elocalCallerLower = (elocalCall.caller_id || '').toLowerCase();
-  if (elocalCallerLower.includes('anonymous') || elocalCallerLower === '' || !elocalCall.caller_id) {
-    return null;
-  }
-
-  if (!elocalCallerE164 || !ringbaCallerE164) {
-    return null;
-  }
-
-  // Compare normalized E.164 formats
-  if (elocalCallerE164 !== ringbaCallerE164) {
-    return null;
-  }
-
-  // 2. Match date and time
-  // eLocal dates are in EST timezone, Ringba dates may be in different timezone
-  // Account for timezone differences - eLocal is EST (UTC-5), Ringba may be CST (UTC-6) or other
-  // There can be up to 5-6 hour timezone differences, so we need a larger window
-  const elocalDate = parseDate(elocalCall.date_of_call, true); // Mark as eLocal date (EST)
-  const ringbaDate = parseDate(ringbaCall.call_date_time, false); // Ringba date
-
-  if (!elocalDate || !ringbaDate) {
-    return null;
-  }
-
-  // Check if dates are on the same day or adjacent days
-  const elocalDateStr = elocalDate.toISOString().split('T')[0];
-  const ringbaDateStr = ringbaDate.toISOString().split('T')[0];
-  const elocalDateOnly = new Date(elocalDateStr);
-  const ringbaDateOnly = new Date(ringbaDateStr);
-  const daysDiff = Math.abs((elocalDateOnly.getTime() - ringbaDateOnly.getTime()) / (1000 * 60 * 60 * 24));
-
-  if (daysDiff > 1) {
-    return null; // Dates are more than 1 day apart
-  }
-
-  // Calculate time difference in minutes
-  const timeDiff = timeDiffMinutes(elocalDate, ringbaDate);
-
-  // Both eLocal and Ringba dates are now stored in EST timezone
-  // So we can use the standard 30-minute window for same-day matches
-  // For adjacent days: use 24 hours window
-  const effectiveWindow = daysDiff === 0 ? windowMinutes : (24 * 60);
-
-  if (timeDiff > effectiveWindow) {
-    return null; // Time difference too large
-  }
-
-  // 3. Match call duration (if both have duration data)
-  // FIX: Handle N/A, null, or undefined duration properly
-  // Don't treat them as 0 - treat them as "no duration data available"
-  const elocalDurationRaw = elocalCall.total_duration;
-  const hasElocalDuration = elocalDurationRaw !== null &&
-    elocalDurationRaw !== undefined &&
-    elocalDurationRaw !== 'N/A' &&
-    elocalDurationRaw !== '';
-
-  const ringbaDurationRaw = ringbaCall.call_duration;
-  const hasRingbaDuration = ringbaDurationRaw !== null &&
-    ringbaDurationRaw !== undefined &&
-    ringbaDurationRaw !== 'N/A' &&
-    ringbaDurationRaw !== '';
-
-  const elocalDuration = hasElocalDuration ? Number(elocalDurationRaw) : 0;
-  const ringbaDuration = hasRingbaDuration ? Number(ringbaDurationRaw) : 0;
-  const durationDiff = Math.abs(elocalDuration - ringbaDuration);
-
-  // If both have duration data, check if they match within tolerance
-  // This helps distinguish between multiple calls from the same caller
-  // FIX: Only validate duration if BOTH calls have valid duration data
-  let durationMatch = true;
-  if (hasElocalDuration && hasRingbaDuration && elocalDuration > 0 && ringbaDuration > 0) {
-    if (durationDiff > durationTolerance) {
-      // Duration doesn't match - this is likely a different call
-      return null;
-    }
-    durationMatch = true;
-  }
-  // If either call lacks duration data, skip duration check entirely (allow match)
-
-  // Calculate match score (lower is better)
-  // Prioritize: duration match > time match
-  // Note: Payout is NOT used in matching - only category, caller ID, time, and duration
-  let matchScore = timeDiff;
-
-  // Bonus for duration match
-  if (elocalDuration > 0 && ringbaDuration > 0 && durationDiff <= 10) {
-    matchScore = matchScore * 0.5; // Strong bonus for close duration match
-  }
-
-  return {
-    elocalCall,
-    ringbaCall,
-    matchScore,
-    timeDiff,
-    durationDiff,
-    durationMatch
-  };
-};
-
-// Get eLocal calls that need to be synced
-const getElocalCallsForSync = async (db, startDate, endDate, category = null) => {
+import { createCallsRepository } from '../database/repositories/calls.js';
+import { createRingbaCallsRepository } from '../database/repositories/ringba-calls.js';
+import { journaledUpdateCallPayment, getOverrideConcurrency } from './ringba-payment-journal.js';
+import { getCallDetails, resolvePaymentLegs } from '../http/ringba-client.js';
+import { isTransientRingbaError } from '../http/ringba-http.js';
+import { withRetryAndBackoff } from '../utils/error-handling.js';
+import { executeWithConcurrency } from '../utils/concurrent-executor.js';
+import { matchCalls, diffPairs } from '../matching/call-matcher.js';
+import { createStrategy } from '../matching/strategies.js';
+import { fromElocalRow, fromRingbaRow } from '../matching/normalizers.js';
+import { createSyncRunId, recordMatchAudit } from '../matching/audit.js';
+import { trackJobRun, rangeOf } from './job-runs.js';
+import { CALL_TIMEZONE, dayInTimeZone } from '../utils/timezone.js';
+import { getRangeDays } from '../utils/date-utils.js';
+
+// Get eLocal calls that need to be synced (call days in the call time zone, by call_at)
+const getElocalCallsForSync = async (db, [firstDay, lastDay], category = null) => {
   try {
-    // Format dates for query
-    const formatDate = (date) => {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    };
-
-    const datesInRange = [];
-    const current = new Date(startDate);
-    const end = new Date(endDate);
-
-    while (current <= end) {
-      datesInRange.push(formatDate(new Date(current)));
-      current.setDate(current.getDate() + 1);
-    }
-
-    const placeholders = datesInRange.map((_, i) => `$${i + 1}`).join(', ');
-    const params = [...datesInRange];
-
-    let categoryFilter = '';
-    if (category) {
-      categoryFilter = ` AND category = $${params.length + 1}`;
-      params.push(category);
-    }
-
-    const query = `
-      SELECT 
-        id, caller_id, date_of_call, payout, category,
-        original_payout, original_revenue, total_duration
-      FROM elocal_call_data
-      WHERE SUBSTRING(date_of_call, 1, 10) = ANY(ARRAY[${placeholders}])${categoryFilter}
-      ORDER BY caller_id, date_of_call
-    `;
-
-    const result = await db.pool.query(query, params);
-    return result.rows || [];
+    return await createCallsRepository(db.pool).listForCallDays(firstDay, lastDay, { category });
   } catch (error) {
     console.error('[ERROR] Failed to get eLocal calls:', error);
     throw error;
   }
 };
 
-// Get Ringba calls for matching
-const getRingbaCallsForMatching = async (db, startDate, endDate) => {
+// Get Ringba calls for matching (same call days as the eLocal calls, by call_at)
+const getRingbaCallsForMatching = async (db, [firstDay, lastDay]) => {
   try {
-    // Ringba dates are now stored in EST format: YYYY-MM-DDTHH:mm:ss
-    // We need to extract the date part (YYYY-MM-DD) and match it with our date range
-
-    const formatDateForQuery = (date) => {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      return `${year}-${month}-${day}`;
-    };
-
-    // Generate all dates in the range in YYYY-MM-DD format
-    const datesInRange = [];
-    const current = new Date(startDate);
-    const end = new Date(endDate);
-
-    while (current <= end) {
-      datesInRange.push(formatDateForQuery(new Date(current)));
-      current.setDate(current.getDate() + 1);
-    }
-
-    // Build query to match date part (first 10 characters: YYYY-MM-DD)
-    // Ringba format in DB: "YYYY-MM-DDTHH:mm:ss" (EST timezone)
-    const placeholders = datesInRange.map((_, i) => `$${i + 1}`).join(', ');
-    const params = [...datesInRange];
 
-    console.log(`[Ringba Cost Sync] Querying ringba_calls table for dates: ${datesInRange.join(', ')}`);
+    console.log(`[Ringba Cost Sync] Querying ringba_calls table for days: ${firstDay} to ${lastDay} (${CALL_TIMEZONE})`);
 
-    const query = `
-      SELECT 
-        id, inbound_call_id, call_date_time, caller_id, caller_id_e164,
-        payout_amount, revenue_amount, target_id, call_duration
-      FROM ringba_calls
-      WHERE SUBSTRING(call_date_time, 1, 10) = ANY(ARRAY[${placeholders}])
-      ORDER BY caller_id_e164, call_date_time
-    `;
-
-    const result = await db.pool.query(query, params);
-    const calls = result.rows || [];
+    const calls = await createRingbaCallsRepository(db.pool).listForCallDays(firstDay, lastDay);
     console.log(`[Ringba Cost Sync] Retrieved ${calls.length} Ringba calls from database`);
     return calls;
   } catch (error) {
@@ -329,132 +47,136 @@ const getRingbaCallsForMatching = async (db, startDate, endDate) => {
   }
 };
 
-// Detect changes and prepare update list
-// FIX: Use best-score matching instead of first-match-wins
-// Prioritize calls with higher payouts to ensure valuable matches aren't missed
-const detectChanges = (elocalCalls, ringbaCalls) => {
-  const updates = [];
-  const unmatched = [];
-  const matched = []; // Track all matched calls (including those that don't need updates)
-
-  // Group Ringba calls by category first, then by normalized caller ID for faster lookup
-  // Structure: Map<category, Map<callerE164, Array<ringbaCall>>>
-  const ringbaCallsByCategoryAndCaller = new Map();
-  for (const ringbaCall of ringbaCalls) {
-    const category = getCategoryFromTargetId(ringbaCall.target_id);
-    if (!category) {
-      continue; // Skip calls with invalid target ID
-    }
-
-    const callerE164 = ringbaCall.caller_id_e164 || toE164(ringbaCall.caller_id);
-    if (!callerE164) {
-      continue; // Skip calls without valid caller ID
-    }
-
-    if (!ringbaCallsByCategoryAndCaller.has(category)) {
-      ringbaCallsByCategoryAndCaller.set(category, new Map());
-    }
-
-    const callsByCaller = ringbaCallsByCategoryAndCaller.get(category);
-    if (!callsByCaller.has(callerE164)) {
-      callsByCaller.set(callerE164, []);
-    }
-    callsByCaller.get(callerE164).push(ringbaCall);
+// Whether a ringba_calls row points at another leg of the same call (reroute/transfer)
+const hasLegHint = (ringbaCall) =>
+  !!ringbaCall.rerouted_from_inbound_call_id ||
+  (!!ringbaCall.root_inbound_call_id && ringbaCall.root_inbound_call_id !== ringbaCall.inbound_call_id);
+
+// Resolve the payout and revenue legs of matched calls that have a leg hint
+// Returns a Map of matched inbound call ID -> resolvePaymentLegs() result (multi-leg calls only);
+// calls whose legs cannot be resolved keep being updated on the matched leg
+const resolveMatchedPaymentLegs = async (accountId, apiToken, pairs, concurrency = null) => {
+  const paymentLegs = new Map();
+  const hinted = pairs.map(pair => pair.right.call).filter(hasLegHint);
+  if (hinted.length === 0) {
+    return paymentLegs;
   }
 
-  // PHASE 1: Collect ALL possible matches for ALL eLocal calls
-  const allPossibleMatches = [];
-
-  for (const elocalCall of elocalCalls) {
-    const elocalCategory = elocalCall.category || 'STATIC';
-    const callerE164 = toE164(elocalCall.caller_id);
-
-    if (!callerE164) {
-      unmatched.push({ elocalCall, reason: 'Invalid caller ID' });
-      continue;
+  console.log(`[Step 3] Resolving payment legs for ${hinted.length} matched calls with a reroute/root hint...`);
+  let failed = 0;
+  await executeWithConcurrency(hinted, async (call) => {
+    const legsEither = await resolvePaymentLegs(accountId, apiToken)(call.inbound_call_id)();
+    if (legsEither._tag === 'Left') {
+      failed++;
+      console.warn(`[WARN] Could not resolve payment legs for ${call.inbound_call_id}, using the matched leg: ${legsEither.left.message}`);
+      return;
     }
-
-    // Get Ringba calls for this category and caller ID
-    const categoryCalls = ringbaCallsByCategoryAndCaller.get(elocalCategory);
-    if (!categoryCalls) {
-      unmatched.push({ elocalCall, reason: `No Ringba calls found for category: ${elocalCategory}` });
-      continue;
+    if (legsEither.right.isMultiLeg) {
+      paymentLegs.set(call.inbound_call_id, legsEither.right);
     }
+  }, { concurrency: getOverrideConcurrency(concurrency) });
 
-    const candidateRingbaCalls = categoryCalls.get(callerE164) || [];
-
-    if (candidateRingbaCalls.length === 0) {
-      unmatched.push({ elocalCall, reason: `No matching Ringba call found for category ${elocalCategory} and caller ${callerE164}` });
-      continue;
-    }
+  console.log(`[Step 3] ✅ Found ${paymentLegs.size} multi-leg calls${failed > 0 ? ` (${failed} could not be resolved)` : ''}`);
+  console.log('');
+  return paymentLegs;
+};
 
-    // Find ALL possible matches for this eLocal call
-    for (const ringbaCall of candidateRingbaCalls) {
-      const match = matchCall(elocalCall, ringbaCall);
-      if (match) {
-        const elocalPayout = Number(elocalCall.payout || 0);
-
-        // Calculate priority score (higher is better)
-        // Primary: Payout amount (calls with money are more important)
-        // Secondary: Match score (lower time diff is better, so invert it)
-        // Tertiary: Duration match quality
-        const priorityScore =
-          (elocalPayout * 1000000) +           // Payout in millions (e.g., $21 = 21,000,000 priority)
-          (1000 / (match.matchScore + 1)) +    // Inverse of time diff (lower time = higher priority)
-          (match.durationMatch ? 100 : 0);     // Bonus for duration match
-
-        allPossibleMatches.push({
-          elocalCall,
-          ringbaCall,
-          matchScore: match.matchScore,
-          timeDiff: match.timeDiff,
-          durationDiff: match.durationDiff,
-          durationMatch: match.durationMatch,
-          elocalPayout,
-          priorityScore
-        });
-      }
-    }
+// Updates for one multi-leg call, built from the amounts Ringba shows on each leg
+// When payout and revenue live on different legs, each leg only gets its own amount (paymentLeg: 'payout' / 'revenue');
+// the amount that is not sent keeps its current value in newPayout/newRevenue
+const prepareLegUpdates = (base, legs, elocalPayout, ringbaById) => {
+  const legUpdate = (leg, paymentLeg, newPayout, newRevenue) => ({
+    ...base,
+    ringbaInboundCallId: leg.inboundCallId,
+    targetId: ringbaById.get(leg.inboundCallId)?.target_id || null,
+    paymentLeg,
+    currentPayout: leg.payout,
+    currentRevenue: leg.revenue,
+    newPayout,
+    newRevenue,
+    payoutDiff: Math.abs(newPayout - leg.payout),
+    revenueDiff: Math.abs(newRevenue - leg.revenue)
+  });
+
+  if (legs.payoutLegId === legs.revenueLegId) {
+    const leg = legs.payoutLeg;
+    const needsUpdate = Math.abs(elocalPayout - leg.payout) > 0.01 || Math.abs(elocalPayout - leg.revenue) > 0.01;
+    return needsUpdate ? [legUpdate(leg, null, elocalPayout, elocalPayout)] : [];
   }
 
-  // PHASE 2: Sort all matches by priority score (highest first)
-  // This ensures calls with higher payouts get matched first
-  allPossibleMatches.sort((a, b) => b.priorityScore - a.priorityScore);
-
-  // PHASE 3: Assign matches in priority order, respecting one-to-one constraint
-  const matchedRingbaIds = new Set();
-  const matchedElocalIds = new Set();
-  const matchedPairs = [];
-
-  for (const match of allPossibleMatches) {
-    const elocalId = match.elocalCall.id;
-    const ringbaId = match.ringbaCall.id;
-
-    // Skip if either call is already matched
-    if (matchedElocalIds.has(elocalId) || matchedRingbaIds.has(ringbaId)) {
-      continue;
-    }
+  const updates = [];
+  if (Math.abs(elocalPayout - legs.payoutLeg.payout) > 0.01) {
+    updates.push(legUpdate(legs.payoutLeg, 'payout', elocalPayout, legs.payoutLeg.revenue));
+  }
+  if (Math.abs(elocalPayout - legs.revenueLeg.revenue) > 0.01) {
+    updates.push(legUpdate(legs.revenueLeg, 'revenue', legs.revenueLeg.payout, elocalPayout));
+  }
+  return updates;
+};
 
-    // This is the best available match for this pair - assign it
-    matchedElocalIds.add(elocalId);
-    matchedRingbaIds.add(ringbaId);
-    matchedPairs.push(match);
+// Detect changes and prepare update list
+// Matching is done by the shared engine (src/matching) using the costSync strategy:
+// greedy one-to-one assignment by default (calls with higher payouts are matched first),
+// or optimal min-cost assignment per caller/category group when strategy.assignment = 'optimal'
+// paymentLegs: Map from resolveMatchedPaymentLegs(); multi-leg matches are updated on their payout/revenue legs
+const detectChanges = (elocalCalls, ringbaCalls, strategy = createStrategy('costSync'), paymentLegs = new Map()) => {
+  const updates = [];
+  const matched = []; // Track all matched calls (including those that don't need updates)
+  const ringbaById = new Map(ringbaCalls.map(call => [call.inbound_call_id, call]));
+
+  const matchResult = matchCalls(
+    elocalCalls.map(fromElocalRow),
+    ringbaCalls.map(fromRingbaRow),
+    strategy
+  );
+  const { pairs, unmatched: unmatchedRecords } = matchResult;
+
+  const unmatched = unmatchedRecords.map(u => ({
+    elocalCall: u.left.call,
+    reason: u.reason,
+    reasonCode: u.reasonCode,
+    rejected: u.rejected
+  }));
+
+  for (const pair of pairs) {
+    const elocalCall = pair.left.call;
+    const ringbaCall = pair.right.call;
 
     // Track for ringba_inbound_call_id update
     matched.push({
-      elocalCallId: elocalId,
-      ringbaInboundCallId: match.ringbaCall.inbound_call_id
+      elocalCallId: elocalCall.id,
+      ringbaInboundCallId: ringbaCall.inbound_call_id
     });
 
     // Check if payout/revenue needs updating
-    const elocalPayout = match.elocalPayout;
-    const ringbaPayout = Number(match.ringbaCall.payout_amount || 0);
-    const ringbaRevenue = Number(match.ringbaCall.revenue_amount || 0);
+    const elocalPayout = pair.left.payout;
+    const matchInfo = {
+      timeDiff: pair.breakdown.timeDiff,
+      durationMatch: pair.breakdown.durationMatch,
+      breakdown: pair.breakdown
+    };
+
+    const legs = paymentLegs.get(ringbaCall.inbound_call_id);
+    if (legs) {
+      const base = {
+        elocalCallId: elocalCall.id,
+        matchedInboundCallId: ringbaCall.inbound_call_id,
+        category: pair.left.category,
+        callDate: pair.left.date ? dayInTimeZone(pair.left.date) : null,
+        callerId: pair.left.caller,
+        matchInfo
+      };
+      updates.push(...prepareLegUpdates(base, legs, elocalPayout, ringbaById));
+      continue;
+    }
+
+    const ringbaPayout = Number(ringbaCall.payout_amount || 0);
+    const ringbaRevenue = Number(ringbaCall.revenue_amount || 0);
 
     // Skip if eLocal payout is 0 and Ringba payout is also 0 (no change needed)
     // But we still track it in matched[] for ringba_inbound_call_id update
     if (elocalPayout === 0 && ringbaPayout === 0 && ringbaRevenue === 0) {
-      continue; // No update needed, but ringba_inbound_call_id will still be updated
+      continue;
     }
 
     // Use eLocal payout for both revenue and payout (same value)
@@ -467,50 +189,121 @@ const detectChanges = (elocalCalls, ringbaCalls) => {
 
     if (payoutDiff > 0.01 || revenueDiff > 0.01) {
       updates.push({
-        elocalCallId: match.elocalCall.id,
-        ringbaInboundCallId: match.ringbaCall.inbound_call_id,
-        targetId: match.ringbaCall.target_id || null, // Include target ID for API call
+        elocalCallId: elocalCall.id,
+        ringbaInboundCallId: ringbaCall.inbound_call_id,
+        targetId: ringbaCall.target_id || null, // Include target ID for API call
+        category: pair.left.category,
+        callDate: pair.left.date ? dayInTimeZone(pair.left.date) : null,
+        callerId: pair.left.caller,
         currentPayout: ringbaPayout,
         currentRevenue: ringbaRevenue,
         newPayout: newPayout,
         newRevenue: newRevenue,
         payoutDiff: payoutDiff,
         revenueDiff: revenueDiff,
-        matchInfo: {
-          timeDiff: match.timeDiff,
-          durationMatch: match.durationMatch
-        }
+        matchInfo
       });
     }
   }
 
-  // PHASE 4: Mark remaining eLocal calls (that couldn't find matches) as unmatched
-  // Only if they weren't already added to unmatched in Phase 1
-  const alreadyUnmatchedIds = new Set(unmatched.map(u => u.elocalCall.id));
-  for (const elocalCall of elocalCalls) {
-    if (!matchedElocalIds.has(elocalCall.id) && !alreadyUnmatchedIds.has(elocalCall.id)) {
-      unmatched.push({ elocalCall, reason: 'No matching Ringba call found (time/duration mismatch)' });
+  // A Ringba call is overridden at most once per run (a leg of a multi-leg call can also be the matched leg of another eLocal call)
+  const seen = new Set();
+  const uniqueUpdates = updates.filter(update => {
+    if (seen.has(update.ringbaInboundCallId)) {
+      console.warn(`[WARN] Call ${update.ringbaInboundCallId} is already being updated for another eLocal call, skipping the update for eLocal call ${update.elocalCallId}`);
+      return false;
     }
-  }
+    seen.add(update.ringbaInboundCallId);
+    return true;
+  });
+
+  return { updates: uniqueUpdates, unmatched, matched, pairs, matchResult };
+};
+
+// Totals for one assignment result (used in dry-run comparison)
+const summarizeAssignment = (result) => ({
+  matched: result.matched.length,
+  unmatched: result.unmatched.length,
+  updates: result.updates.length,
+  payoutChange: result.updates.reduce((sum, u) => sum + (u.newPayout - u.currentPayout), 0),
+  totalTimeDiff: result.pairs.reduce((sum, p) => sum + p.breakdown.timeDiff, 0)
+});
+
+// Print greedy and optimal assignment results side by side
+const logAssignmentComparison = (greedy, optimal, selected) => {
+  const g = summarizeAssignment(greedy);
+  const o = summarizeAssignment(optimal);
+  const differences = diffPairs(greedy.pairs, optimal.pairs);
+  const row = (label, a, b) => console.log(`         ${label.padEnd(24)}${String(a).padEnd(16)}${b}`);
+  const describePair = (pair) => pair
+    ? `${pair.right.call.inbound_call_id} (timeDiff=${pair.breakdown.timeDiff.toFixed(2)}min, durationDiff=${pair.breakdown.durationDiff}s)`
+    : 'unmatched';
+
+  console.log(`[Dry Run] Assignment comparison (selected: ${selected}):`);
+  row('', 'Greedy', 'Optimal');
+  row('Matched calls:', g.matched, o.matched);
+  row('Unmatched calls:', g.unmatched, o.unmatched);
+  row('Updates needed:', g.updates, o.updates);
+  row('Payout change:', `$${g.payoutChange.toFixed(2)}`, `$${o.payoutChange.toFixed(2)}`);
+  row('Total time diff:', `${g.totalTimeDiff.toFixed(2)}min`, `${o.totalTimeDiff.toFixed(2)}min`);
+  console.log(`         ${differences.length} eLocal call(s) paired differently${differences.length > 0 ? ':' : ''}`);
+
+  differences.forEach((diff, index) => {
+    console.log(`         [${index + 1}] eLocal Call ID: ${diff.left.id} (caller: ${diff.left.caller}, date: ${diff.left.dateStr})`);
+    console.log(`             - Greedy:  ${describePair(diff.a)}`);
+    console.log(`             - Optimal: ${describePair(diff.b)}`);
+  });
+  console.log('');
 
-  return { updates, unmatched, matched };
+  return { greedy: g, optimal: o, differences: differences.length };
 };
 
-// Update a single call in Ringba
-const updateRingbaCall = async (accountId, apiToken, update) => {
+// Attempts per override before it is marked as failed (delay doubles after every attempt: 2s, 4s)
+const OVERRIDE_MAX_ATTEMPTS = 3;
+const OVERRIDE_RETRY_BASE_DELAY_MS = 2000;
+
+// Update a single call in Ringba (journaled with the current amounts so it can be rolled back)
+// Network errors and 5xx answers are retried with exponential backoff (429 is retried by the HTTP layer); other
+// failures (4xx, e.g. an unknown call) fail at once, so they leave one failed journal row
+// journal: { db, syncRunId, actor }
+// onSend(update, attempt) is called before every attempt
+// update.paymentLeg 'payout' / 'revenue' sends only that amount (legs of a multi-leg call)
+const updateRingbaCall = async (accountId, apiToken, update, journal, onSend = null) => {
   try {
     const payload = {
-      newConversionAmount: Number(update.newRevenue),
-      newPayoutAmount: Number(update.newPayout),
+      newConversionAmount: update.paymentLeg === 'payout' ? undefined : Number(update.newRevenue),
+      newPayoutAmount: update.paymentLeg === 'revenue' ? undefined : Number(update.newPayout),
       reason: 'Call payments synced from eLocal database.',
       targetId: update.targetId || null // Include target ID if available
     };
 
-    const updateEither = await updateCallPayment(accountId, apiToken)(update.ringbaInboundCallId, payload)();
+    let attempt = 0;
+    const updateEither = await withRetryAndBackoff(OVERRIDE_MAX_ATTEMPTS, isTransientRingbaError)(OVERRIDE_RETRY_BASE_DELAY_MS)(async () => {
+      attempt++;
+      if (attempt > 1) {
+        console.warn(`         ⚠️  Retrying call ${update.ringbaInboundCallId} (attempt ${attempt}/${OVERRIDE_MAX_ATTEMPTS})`);
+      }
+      if (onSend) {
+        await onSend(update, attempt);
+      }
+
+      const resultEither = await journaledUpdateCallPayment(journal.db, accountId, apiToken)(update.ringbaInboundCallId, payload, {
+        syncRunId: journal.syncRunId,
+        actor: journal.actor,
+        oldPayout: update.currentPayout,
+        oldRevenue: update.currentRevenue
+      })();
+
+      if (resultEither._tag === 'Left') {
+        throw resultEither.left;
+      }
+      return resultEither.right;
+    })();
 
     if (updateEither._tag === 'Left') {
-      const error = updateEither.left;
-      throw new Error(error.message || String(error));
+      // withRetryAndBackoff wraps the last error
+      const error = updateEither.left.originalError || updateEither.left;
+      throw new Error(`${error.message || String(error)} (after ${attempt} attempts)`);
     }
 
     return {
@@ -529,8 +322,147 @@ const updateRingbaCall = async (accountId, apiToken, update) => {
   }
 };
 
+// Send updates to Ringba with a bounded number of overrides in flight (the shared Ringba rate limit applies)
+// options.onSend(update, attempt) is called before every attempt, options.onResult(update, result) after every call,
+// options.onProgress(progress) after every call (throughput and ETA, see executeWithConcurrency)
+// options.concurrency: overrides in flight (default: getOverrideConcurrency())
+const sendRingbaUpdates = async (accountId, apiToken, updates, label, journal, options = {}) => {
+  const { onSend = null, onResult = null, onProgress = null } = options;
+  const concurrency = getOverrideConcurrency(options.concurrency);
+
+  if (updates.length > 0) {
+    console.log(`${label} Sending ${updates.length} updates (${concurrency} in parallel)`);
+  }
+
+  const results = await executeWithConcurrency(updates, async (update, i) => {
+    const startTime = new Date().toISOString();
+    const result = await updateRingbaCall(accountId, apiToken, update, journal, onSend);
+    const endTime = new Date().toISOString();
+    const duration = ((new Date(endTime) - new Date(startTime)) / 1000).toFixed(2);
+
+    // One block per call so parallel requests do not interleave in the log
+    const lines = [
+      `${label} [${i + 1}/${updates.length}] Updating call ${update.ringbaInboundCallId}...`,
+      `         - Call ID: ${update.ringbaInboundCallId}`,
+      `         - Target ID: ${update.targetId || 'N/A'}`,
+      `         - eLocal Call ID: ${update.elocalCallId}`,
+      ...(update.paymentLeg ? [`         - Payment Leg: ${update.paymentLeg} only`] : []),
+      `         - Start Time: ${startTime}`,
+      `         - Current: payout=$${update.currentPayout.toFixed(2)}, revenue=$${update.currentRevenue.toFixed(2)}`,
+      `         - New: payout=$${update.newPayout.toFixed(2)}, revenue=$${update.newRevenue.toFixed(2)}`
+    ];
+    if (update.matchInfo?.timeDiff !== undefined) {
+      lines.push(`         - Match Info: timeDiff=${update.matchInfo.timeDiff.toFixed(2)}min, durationMatch=${update.matchInfo.durationMatch}`);
+    }
+
+    if (result.success) {
+      lines.push(`         ✅ Successfully updated`);
+      lines.push(`         - End Time: ${endTime}`);
+      lines.push(`         - Duration: ${duration}s`);
+      console.log(lines.join('\n'));
+    } else {
+      lines.push(`         ❌ Failed: ${result.error}`);
+      lines.push(`         - End Time: ${endTime}`);
+      lines.push(`         - Duration: ${duration}s`);
+      console.error(lines.join('\n'));
+    }
+
+    if (onResult) {
+      await onResult(update, result);
+    }
+    return result;
+  }, { concurrency, isSuccess: (result) => result.success, onProgress });
+
+  const updated = results.filter(result => result.success).length;
+  return { updated, failed: results.length - updated };
+};
+
+// Checkpoint row (cost_sync_run_updates) -> update
+const fromCheckpointRow = (row) => ({
+  checkpointId: row.id,
+  checkpointStatus: row.status,
+  elocalCallId: row.elocal_call_id,
+  ringbaInboundCallId: row.ringba_inbound_call_id,
+  targetId: row.target_id,
+  category: row.category,
+  callDate: row.call_date,
+  currentPayout: Number(row.current_payout || 0),
+  currentRevenue: Number(row.current_revenue || 0),
+  newPayout: Number(row.new_payout || 0),
+  newRevenue: Number(row.new_revenue || 0),
+  paymentLeg: row.payment_leg || null,
+  matchInfo: {}
+});
+
+// Whether Ringba already shows the new amounts (used for updates left 'sent' by an interrupted run)
+const isAppliedInRingba = async (accountId, apiToken, update) => {
+  const detailsEither = await getCallDetails(accountId, apiToken)(update.ringbaInboundCallId)();
+  if (detailsEither._tag === 'Left') {
+    console.warn(`         ⚠️  Could not check call ${update.ringbaInboundCallId}: ${detailsEither.left.message}`);
+    return false;
+  }
+  const { payout, revenue } = detailsEither.right;
+  return Math.abs(payout - update.newPayout) <= 0.01 && Math.abs(revenue - update.newRevenue) <= 0.01;
+};
+
+// Mark an update as confirmed and store the new amounts in ringba_calls
+const confirmUpdate = async (db, update, journalId = null) => {
+  await db.updateCostSyncRunUpdateStatus(update.checkpointId, 'confirmed', { journalId });
+  await db.updateRingbaCallAmounts(update.ringbaInboundCallId, update.newPayout, update.newRevenue);
+};
+
+// Send the checkpointed updates of a run and close the run
+// Every update moves pending -> sent -> confirmed/failed in cost_sync_run_updates, so a run that stops
+// halfway can resume: confirmed updates are skipped and 'sent' updates are checked in Ringba before resending
+// options: { concurrency, onProgress } (see sendRingbaUpdates)
+const sendCheckpointedUpdates = async (db, accountId, apiToken, syncRunId, updates, label, actor, options = {}) => {
+  const toSend = [];
+  let alreadyConfirmed = 0;
+
+  for (const update of updates) {
+    if (update.checkpointStatus === 'confirmed') {
+      alreadyConfirmed++;
+      continue;
+    }
+    if (update.checkpointStatus === 'sent' && await isAppliedInRingba(accountId, apiToken, update)) {
+      await confirmUpdate(db, update);
+      alreadyConfirmed++;
+      continue;
+    }
+    toSend.push(update);
+  }
+
+  if (alreadyConfirmed > 0) {
+    console.log(`${label} Skipping ${alreadyConfirmed} updates already confirmed in run ${syncRunId}`);
+  }
+
+  const { updated, failed } = await sendRingbaUpdates(accountId, apiToken, toSend, label, { db, syncRunId, actor }, {
+    concurrency: options.concurrency,
+    onProgress: options.onProgress,
+    onSend: (update) => db.updateCostSyncRunUpdateStatus(update.checkpointId, 'sent'),
+    onResult: async (update, result) => {
+      if (result.success) {
+        await confirmUpdate(db, update, result.result?.journalId);
+      } else {
+        await db.updateCostSyncRunUpdateStatus(update.checkpointId, 'failed', { errorMessage: result.error });
+      }
+    }
+  });
+
+  const run = await db.finishCostSyncRun(syncRunId);
+  return { updated, failed, alreadyConfirmed, status: run?.status || null };
+};
+
 // Main sync function
-export const syncCostToRingba = async (config, dateRange, category = null) => {
+// options.matching: overrides for the costSync matching strategy (e.g. { assignment: 'optimal' })
+// options.dryRun: detect changes and compare greedy vs optimal assignment without writing anything
+// options.syncRunId: run ID stored with the match audit rows (generated when not provided)
+//   When not provided, an interrupted run for the same category and an overlapping date range is resumed (its run ID is reused)
+// options.plan: save the proposed updates to cost_sync_plans instead of updating Ringba (see applyCostSyncPlan)
+// options.actor: recorded in ringba_payment_journal for every override (default: 'ringba-cost-sync')
+// options.concurrency: overrides sent in parallel (default: RINGBA_OVERRIDE_CONCURRENCY or 4)
+// options.onProgress: called after every override with { completed, total, succeeded, failed, elapsedMs, perSecond, etaMs }
+const runCostSync = async (config, dateRange, category = null, options = {}) => {
   const accountId = config.ringbaAccountId;
   const apiToken = config.ringbaApiToken;
 
@@ -540,10 +472,16 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
 
   const db = dbOps(config);
 
-  // Parse date range
-  const startDate = new Date(dateRange.startDate);
-  const endDate = new Date(dateRange.endDate);
-  endDate.setHours(23, 59, 59, 999);
+  // Call days of the range (independent of the server time zone)
+  const days = getRangeDays(dateRange);
+
+  // Resume the checkpoint of a run over these days (or a wider range) that stopped before finishing
+  // (dry runs and plans never send updates)
+  const runRange = { startDate: days[0], endDate: days[1] };
+  const interruptedRun = !options.syncRunId && !options.dryRun && !options.plan
+    ? await db.getInterruptedCostSyncRun({ ...runRange, category })
+    : null;
+  const syncRunId = options.syncRunId || interruptedRun?.sync_run_id || createSyncRunId('ringba-cost-sync');
 
   const categoryLabel = category ? ` (${category} category)` : ' (all categories)';
 
@@ -552,14 +490,17 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
   console.log('Ringba Cost Sync - Sync eLocal Changes to Ringba');
   console.log('='.repeat(70));
   console.log(`Date Range: ${dateRange.startDateFormatted} to ${dateRange.endDateFormatted}${categoryLabel}`);
-  console.log(`Start: ${startDate.toISOString()}`);
-  console.log(`End: ${endDate.toISOString()}`);
+  console.log(`Call Days: ${days[0]} to ${days[1]} (${CALL_TIMEZONE})`);
+  console.log(`Sync Run ID: ${syncRunId}`);
+  if (interruptedRun) {
+    console.log(`Resuming interrupted run started at ${new Date(interruptedRun.started_at).toISOString()} (${interruptedRun.start_date} to ${interruptedRun.end_date})`);
+  }
   console.log('='.repeat(70));
   console.log('');
 
   // Step 1: Get eLocal calls
   console.log(`[Step 1] Fetching eLocal calls${categoryLabel}...`);
-  const elocalCalls = await getElocalCallsForSync(db, startDate, endDate, category);
+  const elocalCalls = await getElocalCallsForSync(db, days, category);
   console.log(`[Step 1] ✅ Fetched ${elocalCalls.length} eLocal calls`);
 
   // Log all eLocal calls
@@ -600,7 +541,7 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
 
   // Step 2: Get Ringba calls
   console.log('[Step 2] Fetching Ringba calls for matching...');
-  const ringbaCalls = await getRingbaCallsForMatching(db, startDate, endDate);
+  const ringbaCalls = await getRingbaCallsForMatching(db, days);
   console.log(`[Step 2] ✅ Fetched ${ringbaCalls.length} Ringba calls from database`);
 
   // Log all fetched Ringba calls
@@ -633,9 +574,28 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
   }
 
   // Step 3: Detect changes
-  console.log('[Step 3] Detecting changes between eLocal and Ringba...');
-  const { updates, unmatched, matched } = detectChanges(elocalCalls, ringbaCalls);
-  console.log(`[Step 3] ✅ Found ${updates.length} calls that need updating`);
+  const strategy = createStrategy('costSync', options.matching || {});
+  console.log(`[Step 3] Detecting changes between eLocal and Ringba (assignment: ${strategy.assignment})...`);
+  let detected = detectChanges(elocalCalls, ringbaCalls, strategy);
+
+  // Multi-leg calls: find the payout and revenue legs in Ringba and detect changes again against those legs
+  // (dry runs make no Ringba requests and only report how many matched calls have a leg hint)
+  let paymentLegs = new Map();
+  if (options.dryRun) {
+    const hinted = detected.pairs.filter(pair => hasLegHint(pair.right.call)).length;
+    if (hinted > 0) {
+      console.log(`[Step 3] ${hinted} matched calls have a reroute/root hint (payment legs are resolved on real and plan runs)`);
+    }
+  } else {
+    paymentLegs = await resolveMatchedPaymentLegs(accountId, apiToken, detected.pairs, options.concurrency);
+    if (paymentLegs.size > 0) {
+      detected = detectChanges(elocalCalls, ringbaCalls, strategy, paymentLegs);
+    }
+  }
+
+  const { updates, unmatched, matched, pairs, matchResult } = detected;
+  const callsToUpdate = new Set(updates.map(update => update.elocalCallId)).size;
+  console.log(`[Step 3] ✅ Found ${updates.length} updates for ${callsToUpdate} calls`);
   console.log(`         - Unmatched eLocal calls: ${unmatched.length}`);
   console.log(`         - Matched calls: ${matched.length}`);
   console.log('');
@@ -656,7 +616,10 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
       console.log(`             - Payout: $${payout.toFixed(2)}, Revenue: $${revenue.toFixed(2)}`);
       console.log(`             - Original Payout: $${originalPayout.toFixed(2)}, Original Revenue: $${originalRevenue.toFixed(2)}`);
       console.log(`             - Category: ${call.category || 'N/A'}`);
-      console.log(`             - Reason: ${item.reason || 'Unknown'}`);
+      console.log(`             - Reason: ${item.reason || 'Unknown'}${item.reasonCode ? ` [${item.reasonCode}]` : ''}`);
+      (item.rejected || []).forEach(r => {
+        console.log(`             - Rejected ${r.right.call.inbound_call_id}: ${r.reasonCode} ${JSON.stringify(r.breakdown)}`);
+      });
     });
     console.log('');
   }
@@ -665,8 +628,11 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
   const matchedCount = elocalCalls.length - unmatched.length;
   if (matchedCount > 0) {
     console.log(`[Step 3] Matched calls (${matchedCount}):`);
-    console.log(`         - Calls that need updating: ${updates.length}`);
-    console.log(`         - Calls already in sync: ${matchedCount - updates.length}`);
+    console.log(`         - Calls that need updating: ${callsToUpdate}`);
+    console.log(`         - Calls already in sync: ${matchedCount - callsToUpdate}`);
+    if (paymentLegs.size > 0) {
+      console.log(`         - Multi-leg calls: ${paymentLegs.size}`);
+    }
 
     // Log details of matched calls that need updating
     if (updates.length > 0) {
@@ -674,15 +640,62 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
       updates.forEach((update, index) => {
         console.log(`         [${index + 1}] Ringba Call ID: ${update.ringbaInboundCallId}`);
         console.log(`             - eLocal Call ID: ${update.elocalCallId}`);
+        if (update.matchedInboundCallId) {
+          console.log(`             - ${update.paymentLeg ? `${update.paymentLeg[0].toUpperCase()}${update.paymentLeg.slice(1)} leg` : 'Payment leg'} of matched call ${update.matchedInboundCallId}`);
+        }
         console.log(`             - Current Payout: $${update.currentPayout.toFixed(2)}, Revenue: $${update.currentRevenue.toFixed(2)}`);
         console.log(`             - New Payout: $${update.newPayout.toFixed(2)}, Revenue: $${update.newRevenue.toFixed(2)}`);
         console.log(`             - Payout Diff: $${update.payoutDiff.toFixed(2)}, Revenue Diff: $${update.revenueDiff.toFixed(2)}`);
         console.log(`             - Match Info: timeDiff=${update.matchInfo.timeDiff.toFixed(2)}min, durationMatch=${update.matchInfo.durationMatch}`);
+        console.log(`             - Score Breakdown: ${JSON.stringify(update.matchInfo.breakdown)}`);
       });
     }
     console.log('');
   }
 
+  // Dry run: report greedy and optimal assignment side by side, then stop before any writes
+  if (options.dryRun) {
+    const greedyResult = strategy.assignment === 'greedy'
+      ? { updates, unmatched, matched, pairs }
+      : detectChanges(elocalCalls, ringbaCalls, { ...strategy, assignment: 'greedy' });
+    const optimalResult = strategy.assignment === 'optimal'
+      ? { updates, unmatched, matched, pairs }
+      : detectChanges(elocalCalls, ringbaCalls, { ...strategy, assignment: 'optimal' });
+    const comparison = logAssignmentComparison(greedyResult, optimalResult, strategy.assignment);
+
+    console.log('[INFO] Dry run - no changes written to the database or Ringba.');
+    return {
+      dateRange: {
+        start: dateRange.startDateFormatted,
+        end: dateRange.endDateFormatted
+      },
+      category: category || 'all',
+      dryRun: true,
+      assignment: strategy.assignment,
+      elocalCalls: elocalCalls.length,
+      ringbaCalls: ringbaCalls.length,
+      updates: updates.length,
+      updated: 0,
+      failed: 0,
+      unmatched: unmatched.length,
+      comparison
+    };
+  }
+
+  // Record every match decision (pair, scores, rejected candidates, reason codes) for this run
+  const audit = await recordMatchAudit(db, {
+    syncRunId,
+    service: 'ringba-cost-sync',
+    strategy,
+    result: matchResult,
+    elocalSide: 'left',
+    paymentLegs
+  });
+  if (!audit.error) {
+    console.log(`[Step 3] ✅ Recorded ${audit.inserted} match audit rows (run: ${syncRunId})`);
+    console.log('');
+  }
+
   // Step 3.5: Update ringba_inbound_call_id in database for all matched calls
   if (matched.length > 0) {
     console.log(`[Step 3.5] Updating ringba_inbound_call_id for ${matched.length} matched calls...`);
@@ -698,12 +711,18 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
 
   if (updates.length === 0) {
     console.log('[INFO] No changes detected. All calls are already in sync.');
+    if (interruptedRun) {
+      await db.markCostSyncRunResumed(syncRunId);
+      await db.registerCostSyncRunUpdates(syncRunId, [], runRange);
+      await db.finishCostSyncRun(syncRunId);
+    }
     return {
       dateRange: {
         start: dateRange.startDateFormatted,
         end: dateRange.endDateFormatted
       },
       category: category || 'all',
+      syncRunId,
       elocalCalls: elocalCalls.length,
       ringbaCalls: ringbaCalls.length,
       updates: 0,
@@ -713,49 +732,67 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
     };
   }
 
-  // Step 4: Update Ringba in bulk
-  console.log('[Step 4] Updating Ringba calls...');
-  let updated = 0;
-  let failed = 0;
-
-  // Process updates with small delay to avoid rate limiting
-  for (let i = 0; i < updates.length; i++) {
-    const update = updates[i];
-    const startTime = new Date().toISOString();
-
-    console.log(`[Step 4] [${i + 1}/${updates.length}] Updating call ${update.ringbaInboundCallId}...`);
-    console.log(`         - Call ID: ${update.ringbaInboundCallId}`);
-    console.log(`         - Target ID: ${update.targetId || 'N/A'}`);
-    console.log(`         - eLocal Call ID: ${update.elocalCallId}`);
-    console.log(`         - Start Time: ${startTime}`);
-    console.log(`         - Current: payout=$${update.currentPayout.toFixed(2)}, revenue=$${update.currentRevenue.toFixed(2)}`);
-    console.log(`         - New: payout=$${update.newPayout.toFixed(2)}, revenue=$${update.newRevenue.toFixed(2)}`);
-    console.log(`         - Match Info: timeDiff=${update.matchInfo.timeDiff.toFixed(2)}min, durationMatch=${update.matchInfo.durationMatch}`);
-
-    const result = await updateRingbaCall(accountId, apiToken, update);
-    const endTime = new Date().toISOString();
-    const duration = ((new Date(endTime) - new Date(startTime)) / 1000).toFixed(2);
-
-    if (result.success) {
-      updated++;
-      console.log(`         ✅ Successfully updated`);
-      console.log(`         - End Time: ${endTime}`);
-      console.log(`         - Duration: ${duration}s`);
-    } else {
-      failed++;
-      console.error(`         ❌ Failed: ${result.error}`);
-      console.error(`         - End Time: ${endTime}`);
-      console.error(`         - Duration: ${duration}s`);
+  // Plan mode: save the proposed updates for review instead of sending them to Ringba
+  if (options.plan) {
+    console.log(`[Step 4] Saving ${updates.length} proposed updates as a cost sync plan (Ringba is not updated)...`);
+    const planResult = await db.createCostSyncPlan({
+      syncRunId,
+      ...runRange,
+      category,
+      assignment: strategy.assignment,
+      createdBy: options.createdBy || 'ringba-cost-sync'
+    }, updates.map(update => ({
+      ...update,
+      matchEvidence: update.matchInfo.breakdown
+    })));
+    const payoutChange = updates.reduce((sum, u) => sum + (u.newPayout - u.currentPayout), 0);
+
+    console.log(`[Step 4] ✅ Saved plan #${planResult.planId} with ${planResult.items} updates (payout change: $${payoutChange.toFixed(2)})`);
+    if (planResult.superseded > 0) {
+      console.log(`         - Superseded ${planResult.superseded} older pending plan(s) for the same date range`);
     }
+    console.log(`         - Approve it in the dashboard, then apply with: node run-ringba-cost-sync.js --apply-plan=${planResult.planId}`);
+    console.log('');
 
-    // Small delay between requests
-    if (i < updates.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 500));
-    }
+    return {
+      dateRange: {
+        start: dateRange.startDateFormatted,
+        end: dateRange.endDateFormatted
+      },
+      category: category || 'all',
+      syncRunId,
+      planId: planResult.planId,
+      elocalCalls: elocalCalls.length,
+      ringbaCalls: ringbaCalls.length,
+      updates: updates.length,
+      updated: 0,
+      failed: 0,
+      unmatched: unmatched.length
+    };
+  }
+
+  // Step 4: Checkpoint the updates, then update Ringba
+  if (interruptedRun) {
+    await db.markCostSyncRunResumed(syncRunId);
+  } else {
+    await db.createCostSyncRun({ syncRunId, ...runRange, category });
   }
+  const checkpoints = await db.registerCostSyncRunUpdates(syncRunId, updates, runRange);
+  const checkpointByCallId = new Map(checkpoints.map(row => [row.ringba_inbound_call_id, row]));
+  const checkpointedUpdates = updates.map(update => {
+    const row = checkpointByCallId.get(update.ringbaInboundCallId);
+    return { ...update, checkpointId: row.id, checkpointStatus: row.status };
+  });
+
+  console.log('[Step 4] Updating Ringba calls...');
+  const { updated, failed, alreadyConfirmed, status: runStatus } = await sendCheckpointedUpdates(
+    db, accountId, apiToken, syncRunId, checkpointedUpdates, '[Step 4]', options.actor || 'ringba-cost-sync',
+    { concurrency: options.concurrency, onProgress: options.onProgress }
+  );
 
   console.log('');
   console.log(`[Step 4] ✅ Updated ${updated} calls, ${failed} failed`);
+  console.log(`[Step 4] Run ${syncRunId} is now ${runStatus}`);
   console.log('');
 
   // Summary
@@ -765,11 +802,16 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
       end: dateRange.endDateFormatted
     },
     category: category || 'all',
+    syncRunId,
     elocalCalls: elocalCalls.length,
     ringbaCalls: ringbaCalls.length,
     updates: updates.length,
+    multiLeg: paymentLegs.size,
     updated: updated,
     failed: failed,
+    alreadyConfirmed,
+    resumed: !!interruptedRun,
+    runStatus,
     unmatched: unmatched.length
   };
 
@@ -778,11 +820,18 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
   console.log('='.repeat(70));
   console.log(`Date Range:           ${summary.dateRange.start} to ${summary.dateRange.end}`);
   console.log(`Category:             ${summary.category}`);
+  console.log(`Sync Run ID:          ${summary.syncRunId}`);
   console.log(`eLocal Calls:          ${summary.elocalCalls}`);
   console.log(`Ringba Calls:          ${summary.ringbaCalls}`);
   console.log(`Changes Detected:      ${summary.updates}`);
+  if (summary.multiLeg > 0) {
+    console.log(`Multi-Leg Calls:       ${summary.multiLeg}`);
+  }
   console.log(`Successfully Updated:  ${summary.updated}`);
   console.log(`Failed:                ${summary.failed}`);
+  if (summary.resumed) {
+    console.log(`Already Confirmed:     ${summary.alreadyConfirmed} (resumed run)`);
+  }
   console.log(`Unmatched:             ${summary.unmatched}`);
   console.log('='.repeat(70));
   console.log('');
@@ -790,3 +839,181 @@ export const syncCostToRingba = async (config, dateRange, category = null) => {
   return summary;
 };
 
+// Recorded in job_runs as 'ringba-cost' (reference: the sync run ID)
+export const syncCostToRingba = (config, dateRange, category = null, options = {}) =>
+  trackJobRun(config, { jobType: 'ringba-cost', category, ...rangeOf(dateRange) },
+    () => runCostSync(config, dateRange, category, options));
+
+const APPLICABLE_PLAN_STATUSES = ['approved', 'partially_applied', 'applying'];
+
+// Apply an approved cost sync plan to Ringba
+// Only 'approved' plans (or 'partially_applied' plans, to retry their failed items) can be applied; an 'applying' plan
+// was interrupted (crash, kill) and is applied again - its items keep their own status, so only the unsent and
+// failed ones go out (the job lease keeps two applies of one plan from running side by side)
+// options: { concurrency, onProgress } (see syncCostToRingba)
+const runApplyCostSyncPlan = async (config, planId, options = {}) => {
+  const accountId = config.ringbaAccountId;
+  const apiToken = config.ringbaApiToken;
+
+  if (!accountId || !apiToken) {
+    throw new Error('Ringba account ID and API token are required');
+  }
+
+  const db = dbOps(config);
+
+  console.log('');
+  console.log('='.repeat(70));
+  console.log(`Ringba Cost Sync - Apply Plan #${planId}`);
+  console.log('='.repeat(70));
+
+  const plan = await db.getCostSyncPlan(planId);
+  if (!plan) {
+    throw new Error(`Cost sync plan #${planId} not found`);
+  }
+  if (!APPLICABLE_PLAN_STATUSES.includes(plan.status)) {
+    throw new Error(`Cost sync plan #${planId} is ${plan.status} - only approved plans can be applied`);
+  }
+  if (plan.status === 'applying') {
+    console.log(`[WARN] Plan #${planId} was left applying by an interrupted run - applying its remaining items`);
+  }
+
+  console.log(`Date Range: ${plan.start_date} to ${plan.end_date} (${plan.category || 'all categories'})`);
+  console.log(`Sync Run ID: ${plan.sync_run_id || 'N/A'}`);
+  console.log(`Reviewed By: ${plan.reviewed_by || 'N/A'}`);
+  console.log('='.repeat(70));
+  console.log('');
+
+  const items = await db.getCostSyncPlanItems(planId, ['pending', 'failed']);
+  console.log(`[Step 1] ✅ Loaded ${items.length} plan items to apply`);
+  console.log('');
+
+  const updates = items.map(item => ({
+    itemId: item.id,
+    elocalCallId: item.elocal_call_id,
+    ringbaInboundCallId: item.ringba_inbound_call_id,
+    targetId: item.target_id,
+    currentPayout: Number(item.current_payout || 0),
+    currentRevenue: Number(item.current_revenue || 0),
+    newPayout: Number(item.new_payout || 0),
+    newRevenue: Number(item.new_revenue || 0),
+    paymentLeg: item.payment_leg || null,
+    matchInfo: item.match_evidence || {}
+  }));
+
+  await db.updateCostSyncPlanStatus(planId, 'applying');
+
+  console.log('[Step 2] Updating Ringba calls...');
+  const journal = { db, syncRunId: plan.sync_run_id, actor: `cost-sync-plan #${planId}` };
+  const { updated, failed } = await sendRingbaUpdates(accountId, apiToken, updates, '[Step 2]', journal, {
+    concurrency: options.concurrency,
+    onProgress: options.onProgress,
+    onResult: async (update, result) => {
+      await db.updateCostSyncPlanItemStatus(update.itemId, result.success ? 'applied' : 'failed', result.success ? null : result.error);
+    }
+  });
+
+  const appliedItems = await db.getCostSyncPlanItems(planId, 'applied');
+  const status = failed === 0 ? 'applied' : 'partially_applied';
+  await db.updateCostSyncPlanStatus(planId, status, {
+    appliedCount: appliedItems.length,
+    failedCount: failed,
+    applied: true
+  });
+
+  console.log('');
+  console.log(`[Step 2] ✅ Updated ${updated} calls, ${failed} failed`);
+  console.log(`[Step 2] Plan #${planId} is now ${status}`);
+  console.log('');
+
+  return {
+    planId,
+    status,
+    updates: updates.length,
+    updated,
+    failed
+  };
+};
+
+// Recorded in job_runs as 'ringba-cost' (reference: the plan ID)
+// The lease covers the plan's category and date range, like the sync that created it
+export const applyCostSyncPlan = async (config, planId, options = {}) => {
+  const plan = await dbOps(config).getCostSyncPlan(planId);
+  if (!plan) {
+    throw new Error(`Cost sync plan #${planId} not found`);
+  }
+  return trackJobRun(config,
+    { jobType: 'ringba-cost', category: plan.category, startDate: plan.start_date, endDate: plan.end_date },
+    () => runApplyCostSyncPlan(config, planId, options));
+};
+
+// Resume a cost sync run from its checkpoint without detecting changes again
+// Sends the run's pending, sent (unless Ringba already shows the new amounts) and failed updates
+// options: { actor, concurrency, onProgress } (see syncCostToRingba)
+const runResumeCostSyncRun = async (config, syncRunId, options = {}) => {
+  const accountId = config.ringbaAccountId;
+  const apiToken = config.ringbaApiToken;
+
+  if (!accountId || !apiToken) {
+    throw new Error('Ringba account ID and API token are required');
+  }
+
+  const db = dbOps(config);
+
+  console.log('');
+  console.log('='.repeat(70));
+  console.log(`Ringba Cost Sync - Resume Run ${syncRunId}`);
+  console.log('='.repeat(70));
+
+  const run = await db.getCostSyncRun(syncRunId);
+  if (!run) {
+    throw new Error(`Cost sync run ${syncRunId} not found`);
+  }
+
+  console.log(`Date Range: ${run.start_date} to ${run.end_date} (${run.category || 'all categories'})`);
+  console.log(`Status: ${run.status} (confirmed ${run.confirmed_count}/${run.total_updates}, failed ${run.failed_count})`);
+  console.log('='.repeat(70));
+  console.log('');
+
+  const rows = await db.getCostSyncRunUpdates(syncRunId, ['pending', 'sent', 'failed']);
+  console.log(`[Step 1] ✅ Loaded ${rows.length} unconfirmed updates`);
+  console.log('');
+
+  if (rows.length === 0) {
+    console.log('[INFO] Nothing to resume. All updates of this run are confirmed.');
+    return { syncRunId, status: run.status, updates: 0, updated: 0, failed: 0, alreadyConfirmed: 0 };
+  }
+
+  await db.markCostSyncRunResumed(syncRunId);
+
+  console.log('[Step 2] Updating Ringba calls...');
+  const { updated, failed, alreadyConfirmed, status } = await sendCheckpointedUpdates(
+    db, accountId, apiToken, syncRunId, rows.map(fromCheckpointRow), '[Step 2]', options.actor || 'ringba-cost-sync',
+    { concurrency: options.concurrency, onProgress: options.onProgress }
+  );
+
+  console.log('');
+  console.log(`[Step 2] ✅ Updated ${updated} calls, ${failed} failed`);
+  console.log(`[Step 2] Run ${syncRunId} is now ${status}`);
+  console.log('');
+
+  return {
+    syncRunId,
+    status,
+    updates: rows.length,
+    updated,
+    failed,
+    alreadyConfirmed
+  };
+};
+
+// Recorded in job_runs as 'ringba-cost' (reference: the resumed sync run ID)
+// The lease covers the checkpoint's category and date range, like the run being resumed
+export const resumeCostSyncRun = async (config, syncRunId, options = {}) => {
+  const run = await dbOps(config).getCostSyncRun(syncRunId);
+  if (!run) {
+    throw new Error(`Cost sync run ${syncRunId} not found`);
+  }
+  return trackJobRun(config,
+    { jobType: 'ringba-cost', category: run.category, startDate: run.start_date, endDate: run.end_date },
+    () => runResumeCostSyncRun(config, syncRunId, options));
+};
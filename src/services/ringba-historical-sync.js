@@ -18,14 +18,12 @@
  *   - language: text (not available from API)
  */
 
-import fetch from 'node-fetch';
-import pg from 'pg';
+import { ringbaFetch, getRingbaBaseUrl } from '../http/ringba-http.js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-
-const { Pool } = pg;
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
+import { trackJobRun, rangeOf } from './job-runs.js';
+import { getPool } from '../database/pool.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -50,7 +48,7 @@ const fetchCallsFromRingba = async (accountId, apiToken, startDate, endDate, opt
   console.log(`[Ringba Historical] Fetching calls from ${startDate.toISOString()} to ${endDate.toISOString()}`);
   
   while (hasMore) {
-    const url = `${RINGBA_BASE_URL}/${accountId}/calllogs`;
+    const url = `${getRingbaBaseUrl()}/${accountId}/calllogs`;
     const headers = {
       'Authorization': `Token ${apiToken}`,
       'Content-Type': 'application/json'
@@ -146,7 +144,7 @@ const fetchCallsFromRingba = async (accountId, apiToken, startDate, endDate, opt
     console.log(`[Ringba Historical] Fetching page: offset=${offset}, size=${pageSize}`);
     
     try {
-      const response = await fetch(url, {
+      const response = await ringbaFetch(url, {
         method: 'POST',
         headers,
         body: JSON.stringify(body)
@@ -261,7 +259,7 @@ const fetchCallsFromRingbaMinimal = async (accountId, apiToken, startDate, endDa
   console.log(`[Ringba Historical] Using minimal columns fallback (built-in columns only)...`);
   
   while (hasMore) {
-    const url = `${RINGBA_BASE_URL}/${accountId}/calllogs`;
+    const url = `${getRingbaBaseUrl()}/${accountId}/calllogs`;
     const headers = {
       'Authorization': `Token ${apiToken}`,
       'Content-Type': 'application/json'
@@ -316,7 +314,7 @@ const fetchCallsFromRingbaMinimal = async (accountId, apiToken, startDate, endDa
       ];
     }
     
-    const response = await fetch(url, {
+    const response = await ringbaFetch(url, {
       method: 'POST',
       headers,
       body: JSON.stringify(body)
@@ -592,7 +590,7 @@ const saveCallsToDatabase = async (pool, mappedCalls) => {
 /**
  * Main function to sync historical Ringba data
  */
-export const syncHistoricalRingbaData = async (config, dateRange, options = {}) => {
+const runHistoricalRingbaSync = async (config, dateRange, options = {}) => {
   const { startDate, endDate } = dateRange;
   
   console.log('======================================================================');
@@ -604,14 +602,7 @@ export const syncHistoricalRingbaData = async (config, dateRange, options = {})
   console.log('======================================================================');
   console.log('');
   
-  const pool = new Pool({
-    host: config.dbHost,
-    port: config.dbPort,
-    database: config.dbName,
-    user: config.dbUser,
-    password: config.dbPassword,
-    ssl: config.dbSsl ? { rejectUnauthorized: false } : false
-  });
+  const pool = getPool(config);
   
   try {
     // Step 1: Fetch calls from Ringba
@@ -670,30 +661,16 @@ export const syncHistoricalRingbaData = async (config, dateRange, options = {})
   } catch (error) {
     console.error(`[ERROR] Sync failed: ${error.message}`);
     throw error;
-  } finally {
-    await pool.end();
   }
 };
 
-/**
- * Build config from environment variables
- */
-export const buildConfig = () => {
-  return {
-    dbHost: process.env.DB_HOST || process.env.POSTGRES_HOST || 'localhost',
-    dbPort: parseInt(process.env.DB_PORT || process.env.POSTGRES_PORT || '5432'),
-    dbName: process.env.DB_NAME || process.env.POSTGRES_DB_NAME || 'postgres',
-    dbUser: process.env.DB_USER || process.env.POSTGRES_USER_NAME,
-    dbPassword: process.env.DB_PASSWORD || process.env.POSTGRES_PASSWORD,
-    dbSsl: process.env.DB_SSL === 'true',
-    ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-    ringbaApiToken: process.env.RINGBA_API_TOKEN
-  };
-};
+// Recorded in job_runs as 'ringba-historical'
+export const syncHistoricalRingbaData = (config, dateRange, options = {}) =>
+  trackJobRun(config, { jobType: 'ringba-historical', ...rangeOf(dateRange) },
+    () => runHistoricalRingbaSync(config, dateRange, options));
 
 export default {
   syncHistoricalRingbaData,
-  buildConfig,
   fetchCallsFromRingba,
   mapRingbaCallToCallData,
   saveCallsToDatabase
@@ -2,97 +2,16 @@
 // Only fetches calls for specific target IDs (2 target IDs)
 // IMPORTANT: Converts Ringba dates to EST timezone to match eLocal data
 import { dbOps } from '../database/postgres-operations.js';
-import { convertRingbaDateToEST } from '../utils/date-normalizer.js';
-import { getCallsByTargetId, TARGET_IDS, getCategoryFromTargetId } from '../http/ringba-target-calls.js';
+import { convertRingbaDateToEST, parseRingbaDate } from '../utils/date-normalizer.js';
+import { CALL_TIMEZONE, callDayBounds } from '../utils/timezone.js';
+import { getRangeDays } from '../utils/date-utils.js';
+import { getCallsByTargetId, getTargetIds, getCategoryFromTargetId } from '../http/ringba-target-calls.js';
+import { matchCalls } from '../matching/call-matcher.js';
+import { createStrategy } from '../matching/strategies.js';
+import { toE164, fromRingbaApiCall, fromElocalRow } from '../matching/normalizers.js';
+import { createSyncRunId, recordMatchAudit } from '../matching/audit.js';
+import { trackJobRun, rangeOf } from './job-runs.js';
 
-// Convert phone number to E.164 format
-// This matches the logic from ringba-client.js to ensure consistent normalization
-const toE164 = (raw) => {
-  if (!raw) return null;
-  const digits = (raw || '').replace(/\D/g, '');
-  if (!digits) return null;
-  // If already in E.164 format (starts with +), return as-is
-  if (raw.startsWith('+')) return raw;
-  // 11 digits starting with 1 (US with country code)
-  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
-  // 10 digits (US without country code)
-  if (digits.length === 10) return `+1${digits}`;
-  // Last resort: try to format as E.164
-  return digits.length > 0 ? `+${digits}` : null;
-};
-
-// Parse date from various formats to Date object
-// Handles: ISO format, MM/DD/YYYY HH:MM:SS AM/PM (Ringba format), YYYY-MM-DD, etc.
-const parseDate = (dateStr) => {
-  if (!dateStr) return null;
-  try {
-    // Try parsing as ISO string first (handles most cases)
-    const date = new Date(dateStr);
-    if (!isNaN(date.getTime())) {
-      return date;
-    }
-    
-    // Try Ringba format: MM/DD/YYYY HH:MM:SS AM/PM (e.g., "11/18/2025 06:27:25 PM")
-    const ringbaFormat = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2}):(\d{2})\s+(AM|PM)$/i);
-    if (ringbaFormat) {
-      const month = parseInt(ringbaFormat[1], 10) - 1;
-      const day = parseInt(ringbaFormat[2], 10);
-      const year = parseInt(ringbaFormat[3], 10);
-      let hours = parseInt(ringbaFormat[4], 10);
-      const minutes = parseInt(ringbaFormat[5], 10);
-      const seconds = parseInt(ringbaFormat[6], 10);
-      const ampm = ringbaFormat[7].toUpperCase();
-      
-      // Convert to 24-hour format
-      if (ampm === 'PM' && hours !== 12) {
-        hours += 12;
-      } else if (ampm === 'AM' && hours === 12) {
-        hours = 0;
-      }
-      
-      return new Date(year, month, day, hours, minutes, seconds);
-    }
-    
-    // Try YYYY-MM-DDTHH:mm:ss format (ISO with time)
-    const isoMatch = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})/);
-    if (isoMatch) {
-      const year = parseInt(isoMatch[1], 10);
-      const month = parseInt(isoMatch[2], 10) - 1;
-      const day = parseInt(isoMatch[3], 10);
-      const hours = parseInt(isoMatch[4], 10);
-      const minutes = parseInt(isoMatch[5], 10);
-      const seconds = parseInt(isoMatch[6], 10);
-      return new Date(year, month, day, hours, minutes, seconds);
-    }
-    
-    // Try YYYY-MM-DD format (date only)
-    const yyyymmdd = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-    if (yyyymmdd) {
-      const year = parseInt(yyyymmdd[1], 10);
-      const month = parseInt(yyyymmdd[2], 10) - 1;
-      const day = parseInt(yyyymmdd[3], 10);
-      return new Date(year, month, day);
-    }
-    
-    // Try MM/DD/YYYY format (date only, no time)
-    const mmddyyyy = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-    if (mmddyyyy) {
-      const month = parseInt(mmddyyyy[1], 10) - 1;
-      const day = parseInt(mmddyyyy[2], 10);
-      const year = parseInt(mmddyyyy[3], 10);
-      return new Date(year, month, day);
-    }
-  } catch (error) {
-    // Ignore parsing errors
-  }
-  return null;
-};
-
-// Calculate time difference in minutes
-const timeDiffMinutes = (date1, date2) => {
-  if (!date1 || !date2) return Infinity;
-  return Math.abs(date1.getTime() - date2.getTime()) / (1000 * 60);
-};
 
 // Fetch calls from Ringba for a date range filtered by target IDs (only 2 target IDs)
 const fetchAllRingbaCalls = async (accountId, apiToken, startDate, endDate) => {
@@ -100,10 +19,10 @@ const fetchAllRingbaCalls = async (accountId, apiToken, startDate, endDate) => {
   
   console.log(`[Ringba Original Sync] Fetching calls from Ringba for target IDs only...`);
   console.log(`[Ringba Original Sync] Date range: ${startDate.toISOString()} to ${endDate.toISOString()}`);
-  console.log(`[Ringba Original Sync] Target IDs to fetch: ${Object.keys(TARGET_IDS).join(', ')}`);
+  console.log(`[Ringba Original Sync] Target IDs to fetch: ${Object.keys(getTargetIds()).join(', ')}`);
   
   // Fetch calls for each target ID
-  for (const [targetId, targetName] of Object.entries(TARGET_IDS)) {
+  for (const [targetId, targetName] of Object.entries(getTargetIds())) {
     const category = getCategoryFromTargetId(targetId);
     console.log(`[Ringba Original Sync] Fetching calls for target: ${targetId} (${targetName}) - Category: ${category}`);
     
@@ -162,6 +81,8 @@ const fetchAllRingbaCalls = async (accountId, apiToken, startDate, endDate) => {
             inboundCallId: call.inboundCallId,
             callDt: callDtEST, // Store EST converted date (YYYY-MM-DDTHH:mm:ss)
             callDtOriginal: callDtOriginal, // Keep original Ringba format for reference
+            callAt: parseRingbaDate(callDtOriginal), // Instant of the call (call_at); callDt is its New York wall clock
+            sourceTimezone: CALL_TIMEZONE,
             callerId: ringbaCallerId, // Store original from Ringba
             callerIdE164: callerIdE164, // Normalized E.164 format for matching
             inboundPhoneNumber: call.inboundPhoneNumber || null,
@@ -171,7 +92,9 @@ const fetchAllRingbaCalls = async (accountId, apiToken, startDate, endDate) => {
             targetId: targetId,
             targetName: call.targetName || targetName,
             campaignName: call.campaignName || null,
-            publisherName: call.publisherName || null
+            publisherName: call.publisherName || null,
+            reroutedFromInboundCallId: call.reroutedFromInboundCallId || null, // Multi-leg hints (used by the cost sync)
+            rootInboundCallId: call.rootInboundCallId || null
           });
         }
         
@@ -199,9 +122,9 @@ const fetchAllRingbaCalls = async (accountId, apiToken, startDate, endDate) => {
 };
 
 // Get eLocal calls for matching (same as ringba-cost-sync)
-const getElocalCallsForMatching = async (db, startDate, endDate, category = null) => {
+const getElocalCallsForMatching = async (db, dateRange, category = null) => {
   try {
-    return await db.getCallsForDateRange(startDate, endDate, category);
+    return await db.getCallsForDateRange(dateRange, category);
   } catch (error) {
     console.error('[Ringba Original Sync] Error fetching eLocal calls:', error.message);
     throw error;
@@ -209,103 +132,41 @@ const getElocalCallsForMatching = async (db, startDate, endDate, category = null
 };
 
 // Match Ringba calls with eLocal calls and prepare updates
-// Matching flow: 1) Target ID (category), 2) Caller ID, 3) Time (hour:minute only, ignore seconds)
+// Matching is done by the shared engine (src/matching) using the originalSync strategy:
+// 1) Target ID (category), 2) Caller ID, 3) Time (hour:minute only, ±120 minutes), payout as a tie-breaker
 // IMPORTANT: Only updates if original_payout and original_revenue are NULL or 0
 // This preserves the original Ringba cost data that was already saved
-const matchAndPrepareUpdates = (ringbaCalls, elocalCalls) => {
+const matchAndPrepareUpdates = (ringbaCalls, elocalCalls, strategy = createStrategy('originalSync')) => {
   const updates = [];
-  const unmatched = [];
   const skipped = []; // Calls that already have original_payout/revenue values
-  
-  // Group eLocal calls by category first, then by normalized caller ID for faster lookup
-  // Structure: Map<category, Map<callerE164, Array<elocalCall>>>
-  const elocalCallsByCategoryAndCaller = new Map();
-  for (const elocalCall of elocalCalls) {
-    const category = elocalCall.category || 'STATIC';
-    const callerE164 = toE164(elocalCall.caller_id);
-    
-    if (!callerE164) {
-      continue; // Skip calls without valid caller ID
-    }
-    
-    if (!elocalCallsByCategoryAndCaller.has(category)) {
-      elocalCallsByCategoryAndCaller.set(category, new Map());
-    }
-    
-    const callsByCaller = elocalCallsByCategoryAndCaller.get(category);
-    if (!callsByCaller.has(callerE164)) {
-      callsByCaller.set(callerE164, []);
-    }
-    callsByCaller.get(callerE164).push(elocalCall);
-  }
-  
-  // Track which eLocal calls have been matched
-  const matchedElocalIds = new Set();
-  
-  // Match each Ringba call
-  for (const ringbaCall of ringbaCalls) {
-    // Step 1: Match by target ID (which corresponds to category)
-    const ringbaCategory = getCategoryFromTargetId(ringbaCall.targetId);
-    if (!ringbaCategory) {
-      unmatched.push({ ringbaCall, reason: `Invalid or unknown target ID: ${ringbaCall.targetId}` });
-      continue;
-    }
-    
-    // Step 2: Match by caller ID
-    const callerE164 = ringbaCall.callerIdE164 || toE164(ringbaCall.callerId);
-    if (!callerE164) {
-      unmatched.push({ ringbaCall, reason: 'Invalid caller ID' });
-      continue;
-    }
-    
-    // Get eLocal calls for this category and caller ID
-    const categoryCalls = elocalCallsByCategoryAndCaller.get(ringbaCategory);
-    if (!categoryCalls) {
-      unmatched.push({ ringbaCall, reason: `No eLocal calls found for category: ${ringbaCategory}` });
-      continue;
-    }
-    
-    const candidateElocalCalls = categoryCalls.get(callerE164) || [];
-    
-    if (candidateElocalCalls.length === 0) {
-      unmatched.push({ ringbaCall, reason: `No matching eLocal call found for category ${ringbaCategory} and caller ${callerE164}` });
-      continue;
-    }
-    
-    // Step 3: Find best match by time (hour:minute only, ignore seconds)
-    let bestMatch = null;
-    let bestScore = Infinity;
-    
-    for (const elocalCall of candidateElocalCalls) {
-      if (matchedElocalIds.has(elocalCall.id)) {
-        continue; // Already matched
-      }
-      
-      const match = matchCall(ringbaCall, elocalCall);
-      if (match && match.matchScore < bestScore) {
-        bestMatch = match;
-        bestScore = match.matchScore;
-      }
-    }
-    
-    if (!bestMatch) {
-      unmatched.push({ ringbaCall, reason: 'No matching eLocal call found (time/payout mismatch)' });
-      continue;
-    }
-    
-    matchedElocalIds.add(bestMatch.elocalCall.id);
-    
+
+  const matchResult = matchCalls(
+    ringbaCalls.map(fromRingbaApiCall),
+    elocalCalls.map(fromElocalRow),
+    strategy
+  );
+  const { pairs, unmatched: unmatchedRecords } = matchResult;
+
+  const unmatched = unmatchedRecords.map(u => ({
+    ringbaCall: u.left.call,
+    reason: u.reason,
+    reasonCode: u.reasonCode,
+    rejected: u.rejected
+  }));
+
+  for (const pair of pairs) {
+    const ringbaCall = pair.left.call;
+    const elocalCall = pair.right.call;
+
     // Check if original_payout or original_revenue already exist (preserve original Ringba data)
     // Only update if both are NULL or 0 (not already filled)
-    const existingOriginalPayout = Number(bestMatch.elocalCall.original_payout || 0);
-    const existingOriginalRevenue = Number(bestMatch.elocalCall.original_revenue || 0);
-    
+    const existingOriginalPayout = Number(elocalCall.original_payout || 0);
+    const existingOriginalRevenue = Number(elocalCall.original_revenue || 0);
+
     // Skip update if either original_payout or original_revenue already has a value (not NULL and not 0)
-    // This preserves the original Ringba cost data that was already saved
     if (existingOriginalPayout !== 0 || existingOriginalRevenue !== 0) {
-      // Data already exists, skip update to preserve original Ringba cost
       skipped.push({
-        elocalCallId: bestMatch.elocalCall.id,
+        elocalCallId: elocalCall.id,
         existingOriginalPayout: existingOriginalPayout,
         existingOriginalRevenue: existingOriginalRevenue,
         newPayout: ringbaCall.payout,
@@ -314,93 +175,28 @@ const matchAndPrepareUpdates = (ringbaCalls, elocalCalls) => {
       });
       continue;
     }
-    
+
     // Prepare update with Ringba payout and revenue (only if not already filled)
     updates.push({
-      elocalCallId: bestMatch.elocalCall.id,
+      elocalCallId: elocalCall.id,
       ringbaInboundCallId: ringbaCall.inboundCallId,
       originalPayout: ringbaCall.payout,
       originalRevenue: ringbaCall.revenue,
       matchInfo: {
-        timeDiff: bestMatch.timeDiff,
-        payoutMatch: bestMatch.payoutMatch
+        timeDiff: pair.breakdown.timeDiff,
+        payoutMatch: pair.breakdown.payoutMatch,
+        breakdown: pair.breakdown
       }
     });
   }
-  
-  return { updates, unmatched, skipped };
-};
 
-// Match Ringba call with eLocal call
-// Matching flow: 1) Target ID (category) - already filtered, 2) Caller ID - already filtered, 3) Time (hour:minute only, ignore seconds)
-// Uses: time range (±120 minutes), and payout (if available)
-const matchCall = (ringbaCall, elocalCall, windowMinutes = 120, payoutTolerance = 0.01) => {
-  // Note: Caller ID matching is already done in matchAndPrepareUpdates
-  // This function only matches by time (hour:minute, ignore seconds) and payout
-  
-  // Match date and time (only hour and minutes, ignore seconds)
-  // eLocal dates are in EST timezone (stored as YYYY-MM-DDTHH:mm:ss)
-  // Ringba dates are also in EST timezone (converted during fetch)
-  const elocalDate = parseDate(elocalCall.date_of_call);
-  const ringbaDate = parseDate(ringbaCall.callDt);
-  
-  if (!elocalDate || !ringbaDate) {
-    return null; // Can't match without dates
-  }
-  
-  // Check if dates are on the same day or adjacent days
-  const elocalDateStr = elocalDate.toISOString().split('T')[0];
-  const ringbaDateStr = ringbaDate.toISOString().split('T')[0];
-  const elocalDateOnly = new Date(elocalDateStr);
-  const ringbaDateOnly = new Date(ringbaDateStr);
-  const daysDiff = Math.abs((elocalDateOnly.getTime() - ringbaDateOnly.getTime()) / (1000 * 60 * 60 * 24));
-  
-  if (daysDiff > 1) {
-    return null; // Dates are more than 1 day apart
-  }
-  
-  // Calculate time difference in minutes, but only using hour and minutes (ignore seconds)
-  // Set seconds to 0 for both dates before comparing
-  const elocalTimeOnly = new Date(elocalDate);
-  elocalTimeOnly.setSeconds(0, 0);
-  const ringbaTimeOnly = new Date(ringbaDate);
-  ringbaTimeOnly.setSeconds(0, 0);
-  
-  const timeDiff = timeDiffMinutes(elocalTimeOnly, ringbaTimeOnly);
-  const effectiveWindow = daysDiff === 0 ? windowMinutes : (24 * 60); // 24 hours if different days
-  
-  if (timeDiff > effectiveWindow) {
-    return null; // Time difference too large
-  }
-  
-  // 3. Match payout (if available)
-  const elocalPayout = Number(elocalCall.payout || 0);
-  const ringbaPayout = Number(ringbaCall.payout || 0);
-  const payoutDiff = Math.abs(elocalPayout - ringbaPayout);
-  
-  // Calculate match score (lower is better)
-  let matchScore = timeDiff;
-  
-  if (elocalPayout > 0 && ringbaPayout > 0) {
-    if (payoutDiff <= payoutTolerance) {
-      matchScore = timeDiff * 0.1; // Exact payout match
-    } else {
-      matchScore = timeDiff + (payoutDiff * 10); // Penalize payout differences
-    }
-  }
-  
-  return {
-    elocalCall,
-    ringbaCall,
-    matchScore,
-    timeDiff,
-    payoutDiff,
-    payoutMatch: payoutDiff <= payoutTolerance
-  };
+  return { updates, unmatched, skipped, matchResult };
 };
 
 // Main sync function - saves all Ringba calls to ringba_calls table
-export const syncRingbaOriginalPayout = async (config, dateRange, category = null) => {
+// options.matching: overrides for the originalSync matching strategy
+// options.syncRunId: run ID stored with the match audit rows (generated when not provided)
+const runOriginalPayoutSync = async (config, dateRange, category = null, options = {}) => {
   const accountId = config.ringbaAccountId;
   const apiToken = config.ringbaApiToken;
   
@@ -409,21 +205,12 @@ export const syncRingbaOriginalPayout = async (config, dateRange, category = nul
   }
   
   const db = dbOps(config);
+  const syncRunId = options.syncRunId || createSyncRunId('ringba-original-sync');
   
-  // Parse date range
-  // IMPORTANT: Ringba API uses UTC timestamps, but we want to fetch all calls for the target date
-  // Since the target date is in EST, we need to query a wider UTC range to cover the full EST day
-  // EST is UTC-5, so Dec 2 EST (00:00-23:59) = Dec 2 05:00 UTC to Dec 3 04:59 UTC
-  const targetDate = new Date(dateRange.startDate);
-  const targetYear = targetDate.getFullYear();
-  const targetMonth = targetDate.getMonth();
-  const targetDay = targetDate.getDate();
-  
-  // Create UTC date range that covers the full EST day
-  // EST midnight (00:00 EST) = 05:00 UTC (same day)
-  // EST end of day (23:59:59 EST) = 04:59:59 UTC (next day)
-  const startDate = new Date(Date.UTC(targetYear, targetMonth, targetDay, 5, 0, 0, 0)); // 05:00 UTC = 00:00 EST
-  const endDate = new Date(Date.UTC(targetYear, targetMonth, targetDay + 1, 4, 59, 59, 999)); // 04:59:59 UTC next day = 23:59:59 EST
+  // Fetch window: the range's call days in the call time zone (DST-aware), first day's midnight through the last
+  // millisecond of the last day, as UTC instants for the Ringba API
+  const { start: startDate, end: dayAfterEnd } = callDayBounds(...getRangeDays(dateRange));
+  const endDate = new Date(dayAfterEnd.getTime() - 1);
   
   const categoryLabel = category ? ` (${category} category)` : ' (all categories)';
   
@@ -434,6 +221,7 @@ export const syncRingbaOriginalPayout = async (config, dateRange, category = nul
   console.log(`Date Range: ${dateRange.startDateFormatted} to ${dateRange.endDateFormatted}${categoryLabel}`);
   console.log(`Start: ${startDate.toISOString()}`);
   console.log(`End: ${endDate.toISOString()}`);
+  console.log(`Sync Run ID: ${syncRunId}`);
   console.log('='.repeat(70));
   console.log('');
   
@@ -454,7 +242,7 @@ export const syncRingbaOriginalPayout = async (config, dateRange, category = nul
   
   // Step 3: Fetch eLocal calls for matching
   console.log(`[Step 3] Fetching eLocal calls${categoryLabel} for matching...`);
-  const elocalCalls = await getElocalCallsForMatching(db, startDate, endDate, category);
+  const elocalCalls = await getElocalCallsForMatching(db, dateRange, category);
   console.log(`[Step 3] ✅ Fetched ${elocalCalls.length} eLocal calls`);
   console.log('');
   
@@ -468,7 +256,8 @@ export const syncRingbaOriginalPayout = async (config, dateRange, category = nul
   if (elocalCalls.length > 0 && ringbaCalls.length > 0) {
     console.log('[Step 4] Matching Ringba calls with eLocal calls...');
     console.log(`[Step 4] Matching flow: 1) Target ID (category), 2) Caller ID, 3) Time (hour:minute only, ignore seconds)`);
-    const { updates, unmatched, skipped } = matchAndPrepareUpdates(ringbaCalls, elocalCalls);
+    const strategy = createStrategy('originalSync', options.matching || {});
+    const { updates, unmatched, skipped, matchResult } = matchAndPrepareUpdates(ringbaCalls, elocalCalls, strategy);
     unmatchedCount = unmatched.length;
     skippedCount = skipped.length;
     
@@ -477,6 +266,19 @@ export const syncRingbaOriginalPayout = async (config, dateRange, category = nul
     console.log(`         - Skipped (already have original_payout/revenue): ${skipped.length}`);
     console.log('');
     
+    // Record every match decision (pair, scores, rejected candidates, reason codes) for this run
+    const audit = await recordMatchAudit(db, {
+      syncRunId,
+      service: 'ringba-original-sync',
+      strategy,
+      result: matchResult,
+      elocalSide: 'right'
+    });
+    if (!audit.error) {
+      console.log(`[Step 4] ✅ Recorded ${audit.inserted} match audit rows (run: ${syncRunId})`);
+      console.log('');
+    }
+    
     // Log skipped calls (if any)
     if (skipped.length > 0) {
       console.log(`[Step 4] Skipped calls (preserving original Ringba cost):`);
@@ -545,6 +347,7 @@ export const syncRingbaOriginalPayout = async (config, dateRange, category = nul
       end: dateRange.endDateFormatted
     },
     category: category || 'all',
+    syncRunId,
     ringbaCalls: ringbaCalls.length,
     inserted: saveResult.inserted,
     updated: saveResult.updated,
@@ -562,6 +365,7 @@ export const syncRingbaOriginalPayout = async (config, dateRange, category = nul
   console.log('='.repeat(70));
   console.log(`Date Range:                ${summary.dateRange.start} to ${summary.dateRange.end}`);
   console.log(`Category:                  ${summary.category}`);
+  console.log(`Sync Run ID:               ${summary.syncRunId}`);
   console.log(`Ringba Calls Fetched:      ${summary.ringbaCalls}`);
   console.log(`  - Inserted (New):       ${summary.inserted}`);
   console.log(`  - Updated (Existing):   ${summary.updated}`);
@@ -578,3 +382,7 @@ export const syncRingbaOriginalPayout = async (config, dateRange, category = nul
   return summary;
 };
 
+// Recorded in job_runs as 'ringba-original'
+export const syncRingbaOriginalPayout = (config, dateRange, category = null, options = {}) =>
+  trackJobRun(config, { jobType: 'ringba-original', category, ...rangeOf(dateRange) },
+    () => runOriginalPayoutSync(config, dateRange, category, options));
@@ -0,0 +1,193 @@
+// Journaled Ringba payment overrides and rollback
+// Every override is written to ringba_payment_journal (with the old amounts) BEFORE it is sent,
+// so a whole sync run or a single call can be restored to its prior payout/revenue
+import * as TE from 'fp-ts/lib/TaskEither.js';
+import { dbOps } from '../database/postgres-operations.js';
+import { updateCallPayment, getCallDetails } from '../http/ringba-client.js';
+import { createSyncRunId } from '../matching/audit.js';
+
+// Payment overrides sent in parallel by the cost sync and zero-payout sync
+// (RINGBA_OVERRIDE_CONCURRENCY, default 4); requests still go through the shared Ringba rate limit
+export const getOverrideConcurrency = (requested = null) => {
+  const value = parseInt(requested || process.env.RINGBA_OVERRIDE_CONCURRENCY || '4', 10);
+  return value > 0 ? value : 1;
+};
+
+// Same signature as updateCallPayment, plus a journal context:
+//   { syncRunId, actor, oldPayout, oldRevenue, rollbackOf }
+// When the old amounts are not known they are read from Ringba first;
+// the override is never sent without a journal entry
+export const journaledUpdateCallPayment = (db, accountId, apiToken) => (inboundCallId, payload, context = {}) =>
+  TE.tryCatch(
+    async () => {
+      let oldPayout = context.oldPayout;
+      let oldRevenue = context.oldRevenue;
+
+      if (oldPayout === undefined || oldRevenue === undefined) {
+        const detailsEither = await getCallDetails(accountId, apiToken)(inboundCallId)();
+        if (detailsEither._tag === 'Left') {
+          throw new Error(`Could not read current amounts for journal: ${detailsEither.left.message}`, { cause: detailsEither.left });
+        }
+        oldPayout = oldPayout ?? detailsEither.right.payout;
+        oldRevenue = oldRevenue ?? detailsEither.right.revenue;
+      }
+
+      const entry = await db.insertPaymentJournalEntry({
+        syncRunId: context.syncRunId,
+        inboundCallId,
+        targetId: payload.targetId,
+        oldPayout,
+        oldRevenue,
+        // Amounts that are not sent stay unchanged in Ringba
+        newPayout: payload.newPayoutAmount !== undefined ? Number(payload.newPayoutAmount) : oldPayout,
+        newRevenue: payload.newConversionAmount !== undefined ? Number(payload.newConversionAmount) : oldRevenue,
+        reason: payload.reason,
+        actor: context.actor,
+        rollbackOf: context.rollbackOf
+      });
+
+      const updateEither = await updateCallPayment(accountId, apiToken)(inboundCallId, payload)();
+
+      if (updateEither._tag === 'Left') {
+        await db.updatePaymentJournalStatus(entry.id, 'failed', updateEither.left.message);
+        throw updateEither.left;
+      }
+
+      await db.updatePaymentJournalStatus(entry.id, 'applied');
+      return { ...updateEither.right, journalId: entry.id };
+    },
+    (error) => (error instanceof Error ? error : new Error(String(error)))
+  );
+
+// Restore one call to the amounts it had before the given journal entry
+// context.restorePayout / context.restoreRevenue: false leaves that amount alone
+// (legs of multi-leg calls only had their payout or their revenue overridden)
+const restoreCall = async (db, accountId, apiToken, entry, context) => {
+  const payload = {
+    newConversionAmount: context.restoreRevenue === false ? undefined : Number(entry.old_revenue || 0),
+    newPayoutAmount: context.restorePayout === false ? undefined : Number(entry.old_payout || 0),
+    reason: context.reason,
+    targetId: entry.target_id || null
+  };
+
+  const resultEither = await journaledUpdateCallPayment(db, accountId, apiToken)(entry.inbound_call_id, payload, {
+    syncRunId: context.syncRunId,
+    actor: context.actor,
+    rollbackOf: entry.id
+  })();
+
+  if (resultEither._tag === 'Left') {
+    return { success: false, inboundCallId: entry.inbound_call_id, error: resultEither.left.message };
+  }
+  return { success: true, inboundCallId: entry.inbound_call_id };
+};
+
+// Roll back a whole sync run, or a single call (optionally limited to one run)
+// For every call the amounts from BEFORE its first override in scope are restored
+// options: { syncRunId, inboundCallId, actor, dryRun }
+export const rollbackPayments = async (config, options = {}) => {
+  const accountId = config.ringbaAccountId;
+  const apiToken = config.ringbaApiToken;
+
+  if (!accountId || !apiToken) {
+    throw new Error('Ringba account ID and API token are required');
+  }
+  if (!options.syncRunId && !options.inboundCallId) {
+    throw new Error('A sync run ID or an inbound call ID is required for rollback');
+  }
+
+  const db = dbOps(config);
+  const rollbackRunId = createSyncRunId('rollback');
+  const target = options.inboundCallId
+    ? `call ${options.inboundCallId}${options.syncRunId ? ` (run ${options.syncRunId})` : ''}`
+    : `run ${options.syncRunId}`;
+  const actor = options.actor || 'rollback';
+
+  console.log('');
+  console.log('='.repeat(70));
+  console.log(`Ringba Payment Rollback - ${target}`);
+  console.log('='.repeat(70));
+  console.log(`Rollback Run ID: ${rollbackRunId}`);
+  console.log(`Actor: ${actor}`);
+  console.log('='.repeat(70));
+  console.log('');
+
+  // Step 1: Load applied journal entries in scope
+  console.log('[Step 1] Loading journal entries...');
+  const entries = await db.getPaymentJournalEntries({
+    syncRunId: options.syncRunId || null,
+    inboundCallId: options.inboundCallId || null
+  });
+
+  // Group by call - the oldest entry holds the amounts to restore
+  const byCall = new Map();
+  for (const entry of entries) {
+    if (!byCall.has(entry.inbound_call_id)) byCall.set(entry.inbound_call_id, []);
+    byCall.get(entry.inbound_call_id).push(entry);
+  }
+  console.log(`[Step 1] ✅ Found ${entries.length} applied overrides for ${byCall.size} calls`);
+  console.log('');
+
+  if (byCall.size === 0) {
+    console.log('[INFO] Nothing to roll back.');
+    return { rollbackRunId, calls: 0, restored: 0, failed: 0 };
+  }
+
+  // Step 2: Restore old amounts
+  console.log(`[Step 2] Restoring prior amounts${options.dryRun ? ' (dry run - Ringba is not updated)' : ''}...`);
+  let restored = 0;
+  let failed = 0;
+  let index = 0;
+
+  for (const [inboundCallId, callEntries] of byCall) {
+    index++;
+    const first = callEntries[0];
+    const last = callEntries[callEntries.length - 1];
+    console.log(`[Step 2] [${index}/${byCall.size}] Call ${inboundCallId}`);
+    console.log(`         - Current: payout=$${Number(last.new_payout || 0).toFixed(2)}, revenue=$${Number(last.new_revenue || 0).toFixed(2)}`);
+    console.log(`         - Restore: payout=$${Number(first.old_payout || 0).toFixed(2)}, revenue=$${Number(first.old_revenue || 0).toFixed(2)}`);
+    console.log(`         - Overrides in scope: ${callEntries.length} (journal IDs: ${callEntries.map(e => e.id).join(', ')})`);
+
+    if (options.dryRun) {
+      continue;
+    }
+
+    // Only restore the amounts the overrides in scope actually changed
+    const changed = (oldKey, newKey) => callEntries.some(e => Math.abs(Number(e[oldKey] || 0) - Number(e[newKey] || 0)) > 0.001);
+    const payoutChanged = changed('old_payout', 'new_payout');
+    const revenueChanged = changed('old_revenue', 'new_revenue');
+    const result = await restoreCall(db, accountId, apiToken, first, {
+      syncRunId: rollbackRunId,
+      actor,
+      restorePayout: payoutChanged || !revenueChanged,
+      restoreRevenue: revenueChanged || !payoutChanged,
+      reason: `Rollback of ${first.sync_run_id || 'manual override'} (journal #${first.id})`
+    });
+
+    if (result.success) {
+      restored++;
+      await db.markPaymentJournalRolledBack(callEntries.map(e => e.id));
+      console.log(`         ✅ Restored`);
+    } else {
+      failed++;
+      console.error(`         ❌ Failed: ${result.error}`);
+    }
+
+    // Small delay between requests
+    if (index < byCall.size) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+
+  console.log('');
+  console.log(`[Step 2] ✅ Restored ${restored} calls, ${failed} failed`);
+  console.log('');
+
+  return {
+    rollbackRunId,
+    dryRun: !!options.dryRun,
+    calls: byCall.size,
+    restored,
+    failed
+  };
+};
@@ -5,14 +5,17 @@
 //   Step 2: Set payout/revenue back to $0.00
 // This automatically clears hasConverted status
 
-import { updateCallPayment } from '../http/ringba-client.js';
-import fetch from 'node-fetch';
+import { dbOps } from '../database/postgres-operations.js';
+import { journaledUpdateCallPayment, getOverrideConcurrency } from './ringba-payment-journal.js';
+import { createSyncRunId } from '../matching/audit.js';
+import { executeWithConcurrency } from '../utils/concurrent-executor.js';
+import { ringbaFetch, getRingbaBaseUrl } from '../http/ringba-http.js';
 import dotenv from 'dotenv';
+import { trackJobRun, rangeOf } from './job-runs.js';
+import { loadConfigOrExit } from '../config/app-config.js';
 
 dotenv.config();
 
-const RINGBA_BASE_URL = 'https://api.ringba.com/v2';
-
 /**
  * Fetch converted zero-payout calls using Ringba API filters
  */
@@ -93,7 +96,7 @@ const fetchConvertedZeroCalls = async (accountId, apiToken, startDate, endDate)
             formatTimeZone: 'America/New_York'
         };
 
-        const response = await fetch(`${RINGBA_BASE_URL}/${accountId}/calllogs`, {
+        const response = await ringbaFetch(`${getRingbaBaseUrl()}/${accountId}/calllogs`, {
             method: 'POST',
             headers: {
                 'Authorization': `Token ${apiToken}`,
@@ -127,10 +130,12 @@ const fetchConvertedZeroCalls = async (accountId, apiToken, startDate, endDate)
 
 /**
  * Fix a single call using two-step update process
+ * Both overrides are journaled (ringba_payment_journal) under the run's sync run ID
  */
-const fixCall = async (accountId, apiToken, call) => {
+const fixCall = async (db, accountId, apiToken, call, syncRunId) => {
     const callId = call.inboundCallId;
     const targetId = call.targetId;
+    const updatePayment = journaledUpdateCallPayment(db, accountId, apiToken);
 
     try {
         // STEP 1: Update to non-zero value ($2.22)
@@ -141,7 +146,12 @@ const fixCall = async (accountId, apiToken, call) => {
             targetId: targetId
         };
 
-        const step1Result = await updateCallPayment(accountId, apiToken)(callId, step1Payload)();
+        const step1Result = await updatePayment(callId, step1Payload, {
+            syncRunId,
+            actor: 'ringba-zero-payout-sync',
+            oldPayout: Number(call.payoutAmount || 0),
+            oldRevenue: Number(call.conversionAmount || 0)
+        })();
 
         if (step1Result._tag === 'Left') {
             throw new Error(`Step 1 failed: ${step1Result.left.message}`);
@@ -158,7 +168,12 @@ const fixCall = async (accountId, apiToken, call) => {
             targetId: targetId
         };
 
-        const step2Result = await updateCallPayment(accountId, apiToken)(callId, step2Payload)();
+        const step2Result = await updatePayment(callId, step2Payload, {
+            syncRunId,
+            actor: 'ringba-zero-payout-sync',
+            oldPayout: step1Payload.newPayoutAmount,
+            oldRevenue: step1Payload.newConversionAmount
+        })();
 
         if (step2Result._tag === 'Left') {
             throw new Error(`Step 2 failed: ${step2Result.left.message}`);
@@ -182,8 +197,10 @@ const fixCall = async (accountId, apiToken, call) => {
 
 /**
  * Main sync function
+ * options.concurrency: calls fixed in parallel (default: RINGBA_OVERRIDE_CONCURRENCY or 4)
+ * options.onProgress: called after every call with { completed, total, succeeded, failed, elapsedMs, perSecond, etaMs }
  */
-export const syncZeroPayoutFix = async (config, dateRange) => {
+const runZeroPayoutFix = async (config, dateRange, options = {}) => {
     const accountId = config.ringbaAccountId;
     const apiToken = config.ringbaApiToken;
 
@@ -191,6 +208,9 @@ export const syncZeroPayoutFix = async (config, dateRange) => {
         throw new Error('Ringba account ID and API token are required');
     }
 
+    const db = dbOps(config);
+    const syncRunId = createSyncRunId('ringba-zero-payout-sync');
+
     const startDate = new Date(dateRange.startDate);
     const endDate = new Date(dateRange.endDate);
     endDate.setHours(23, 59, 59, 999);
@@ -202,6 +222,7 @@ export const syncZeroPayoutFix = async (config, dateRange) => {
     console.log(`Date Range: ${dateRange.startDateFormatted} to ${dateRange.endDateFormatted}`);
     console.log(`Start: ${startDate.toISOString()}`);
     console.log(`End: ${endDate.toISOString()}`);
+    console.log(`Sync Run ID: ${syncRunId}`);
     console.log('='.repeat(70));
     console.log('');
 
@@ -218,6 +239,7 @@ export const syncZeroPayoutFix = async (config, dateRange) => {
                 start: dateRange.startDateFormatted,
                 end: dateRange.endDateFormatted
             },
+            syncRunId,
             totalCalls: 0,
             fixed: 0,
             failed: 0
@@ -225,32 +247,25 @@ export const syncZeroPayoutFix = async (config, dateRange) => {
     }
 
     // Step 2: Fix calls using two-step process
-    console.log('[Step 2] Fixing calls (two-step update process)...');
+    // Calls are fixed in parallel (both steps of one call stay in order); the shared Ringba rate limit applies
+    const concurrency = getOverrideConcurrency(options.concurrency);
+    console.log(`[Step 2] Fixing calls (two-step update process, ${concurrency} in parallel)...`);
     console.log('         Step 1: Set to $2.22, Step 2: Set to $0.00');
     console.log('');
 
-    let fixed = 0;
-    let failed = 0;
-
-    for (let i = 0; i < calls.length; i++) {
-        const call = calls[i];
-        console.log(`[Step 2] [${i + 1}/${calls.length}] Processing ${call.inboundCallId}...`);
-
-        const result = await fixCall(accountId, apiToken, call);
+    const results = await executeWithConcurrency(calls, async (call, i) => {
+        const result = await fixCall(db, accountId, apiToken, call, syncRunId);
 
         if (result.success) {
-            fixed++;
-            console.log(`         ✅ Successfully fixed`);
+            console.log(`[Step 2] [${i + 1}/${calls.length}] ${call.inboundCallId}\n         ✅ Successfully fixed`);
         } else {
-            failed++;
-            console.error(`         ❌ Failed: ${result.error}`);
+            console.error(`[Step 2] [${i + 1}/${calls.length}] ${call.inboundCallId}\n         ❌ Failed: ${result.error}`);
         }
+        return result;
+    }, { concurrency, isSuccess: (result) => result.success, onProgress: options.onProgress });
 
-        // Delay between calls to avoid rate limiting
-        if (i < calls.length - 1) {
-            await new Promise(resolve => setTimeout(resolve, 500));
-        }
-    }
+    const fixed = results.filter(result => result.success).length;
+    const failed = results.length - fixed;
 
     console.log('');
     console.log(`[Step 2] ✅ Fixed ${fixed} calls, ${failed} failed`);
@@ -262,6 +277,7 @@ export const syncZeroPayoutFix = async (config, dateRange) => {
             start: dateRange.startDateFormatted,
             end: dateRange.endDateFormatted
         },
+        syncRunId,
         totalCalls: calls.length,
         fixed: fixed,
         failed: failed
@@ -280,6 +296,11 @@ export const syncZeroPayoutFix = async (config, dateRange) => {
     return summary;
 };
 
+// Recorded in job_runs as 'ringba-zero-payout'
+export const syncZeroPayoutFix = (config, dateRange, options = {}) =>
+    trackJobRun(config, { jobType: 'ringba-zero-payout', ...rangeOf(dateRange) },
+        () => runZeroPayoutFix(config, dateRange, options));
+
 // CLI entry point
 if (import.meta.url === `file://${process.argv[1]}`) {
     const args = process.argv.slice(2);
@@ -291,10 +312,8 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - daysBack);
 
-    const config = {
-        ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-        ringbaApiToken: process.env.RINGBA_API_TOKEN
-    };
+    // Exits listing what is missing (.env / .env.<profile>)
+    const config = loadConfigOrExit('db', 'ringba');
 
     const dateRange = {
         startDate: startDate,
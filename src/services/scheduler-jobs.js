@@ -0,0 +1,228 @@
+// Job types of the orchestrator scheduler (src/services/scheduler.js)
+//
+// Every entry of schedule-config.json `services` has a `type` from JOB_TYPES (or "pipeline").
+// A job type provides:
+//   dateRange(job, windows)       -> date range of the job's "window", or of the type's default window (named windows:
+//                                    DATE_WINDOWS in src/utils/date-utils.js and the "windows" of schedule-config.json);
+//                                    null for jobs that have none, e.g. auth-refresh
+//   run(config, job, dateRange)   -> runs the service, throws on failure
+//   report(result)                -> summary lines printed after a successful run
+//   config                        -> config groups the job needs besides db (src/config/app-config.js)
+// Services are imported on demand, so the scheduler only loads what the config uses.
+import {
+  getDateWindow,
+  resolveDateWindow,
+  getDateRangeDescription,
+  listDays
+} from '../utils/date-utils.js';
+import { getCategories } from '../config/campaign-registry.js';
+import { createProgressLogger } from '../utils/concurrent-executor.js';
+import { logRingbaMetrics, resetRingbaMetrics } from '../http/ringba-http.js';
+
+// Scrape one category, or every registered category when the job has none
+const scrapeCategories = async (config, job, dateRange, serviceType) => {
+  const { scrapeElocalDataWithDateRange } = await import('./elocal.scrapper.js');
+  const categories = job.category ? [job.category] : getCategories();
+
+  const results = [];
+  for (const category of categories) {
+    console.log(`[INFO] Scraping ${category}: ${getDateRangeDescription(dateRange)}`);
+    results.push(await scrapeElocalDataWithDateRange(config)(dateRange)(serviceType)(category));
+  }
+  return results;
+};
+
+const reportScrape = (results) => results.flatMap(result => [
+  `  Session ID:            ${result.sessionId}`,
+  `  Date Range:            ${result.dateRange}`,
+  `  Total Calls:           ${result.summary.totalCalls}`,
+  `  Total Payout:          $${result.summary.totalPayout.toFixed(2)}`,
+  `  Unique Callers:        ${result.summary.uniqueCallers}`,
+  `  Adjustments Applied:   ${result.summary.adjustmentsApplied || 0}`,
+  `  Calls Inserted:       ${result.databaseResults.callsInserted}`,
+  `  Calls Updated:        ${result.databaseResults.callsUpdated}`
+]);
+
+// Ringba API usage of a run (shared rate limiter metrics)
+const withRingbaMetrics = async (fn) => {
+  try {
+    return await fn();
+  } finally {
+    logRingbaMetrics('[INFO] Ringba');
+    resetRingbaMetrics();
+  }
+};
+
+// Range of the job's named "window", or of the job type's default window
+const windowRange = (defaultWindow) => (job = {}, windows = {}) =>
+  resolveDateWindow(getDateWindow(job.window || defaultWindow, windows));
+
+// Like windowRange, but a `daysBack` on the job (no "window") sets the number of days of the default window
+const daysBackRange = (defaultWindow, toLookbackDays, legacyDaysBack = () => null) => (job = {}, windows = {}) => {
+  const spec = getDateWindow(job.window || defaultWindow, windows);
+  const daysBack = job.window ? null : (job.daysBack || legacyDaysBack(job));
+  return resolveDateWindow(daysBack ? { ...spec, lookbackDays: toLookbackDays(Number(daysBack)) } : spec);
+};
+
+export const JOB_TYPES = {
+  historical: {
+    description: 'eLocal scrape, past 10 days',
+    config: ['elocal'],
+    dateRange: windowRange('past-10-days'),
+    run: (config, job, dateRange) => scrapeCategories(config, job, dateRange, 'historical'),
+    report: reportScrape
+  },
+
+  current: {
+    description: 'eLocal scrape, current day (CST-aware)',
+    config: ['elocal'],
+    dateRange: windowRange('current-day'),
+    run: (config, job, dateRange) => scrapeCategories(config, job, dateRange, 'current'),
+    report: reportScrape
+  },
+
+  'ringba-original': {
+    description: 'Ringba original payout/revenue sync',
+    config: ['ringba'],
+    dateRange: windowRange('current-day'),
+    run: async (config, job, dateRange) => {
+      const { syncRingbaOriginalPayout } = await import('./ringba-original-sync.js');
+      return withRingbaMetrics(() => syncRingbaOriginalPayout(config, dateRange, job.category || null));
+    },
+    report: (result) => [
+      `  Date Range:           ${result.dateRange.start} to ${result.dateRange.end}`,
+      `  Category:             ${result.category}`,
+      `  Ringba Calls Fetched: ${result.ringbaCalls}`,
+      `  Inserted (New):      ${result.inserted}`,
+      `  Updated (Existing):  ${result.updated}`,
+      `  Skipped (Errors):    ${result.skipped}`
+    ]
+  },
+
+  'ringba-cost': {
+    description: 'eLocal payout → Ringba cost sync',
+    config: ['ringba'],
+    dateRange: windowRange('cost-sync-15-days'),
+    run: async (config, job, dateRange) => {
+      const { syncCostToRingba } = await import('./ringba-cost-sync.js');
+      return withRingbaMetrics(() => syncCostToRingba(config, dateRange, job.category || null, {
+        concurrency: job.concurrency || null,
+        onProgress: createProgressLogger(`[${job.name}]`)
+      }));
+    },
+    report: (result) => [
+      `  Date Range:            ${result.dateRange.start} to ${result.dateRange.end}`,
+      `  Category:               ${result.category}`,
+      `  eLocal Calls:           ${result.elocalCalls}`,
+      `  Ringba Calls:           ${result.ringbaCalls}`,
+      `  Changes Detected:       ${result.updates}`,
+      `  Successfully Updated:   ${result.updated}`,
+      `  Failed:                 ${result.failed}`,
+      `  Unmatched:              ${result.unmatched}`
+    ]
+  },
+
+  'campaign-summary': {
+    description: 'Ringba campaign summary, one summary per day',
+    config: ['ringba'],
+    dateRange: windowRange('current-day'),
+    run: async (config, job, dateRange) => {
+      const { syncCampaignSummary } = await import('./ringba-campaign-summary.js');
+      return withRingbaMetrics(async () => {
+        const results = [];
+        for (const day of listDays(dateRange)) {
+          results.push(await syncCampaignSummary(config, day));
+        }
+        return results;
+      });
+    },
+    report: (results) => results.map(result =>
+      `  ${result.date}: ${result.successful} successful, ${result.failed} failed`
+    )
+  },
+
+  'payout-comparison': {
+    description: 'Payout comparison (eLocal vs Ringba) per day',
+    config: [],
+    dateRange: windowRange('payout-comparison-15-days'),
+    run: async (config, job, dateRange) => {
+      const { syncPayoutComparisonForDateRange } = await import('./payout-comparison-sync.js');
+      return syncPayoutComparisonForDateRange(dateRange.startDateURL, dateRange.endDateURL);
+    },
+    report: (result) => [
+      `  Total Dates Processed: ${result.total}`,
+      `  Successful:            ${result.successful}`,
+      `  Failed:                ${result.failed}`
+    ]
+  },
+
+  'ringba-zero-payout': {
+    description: 'Ringba zero-payout fix',
+    config: ['ringba'],
+    // daysBack: today and the daysBack days before (older configs stored it in `category`)
+    dateRange: daysBackRange('zero-payout-11-days', daysBack => daysBack + 1, job => job.category),
+    run: async (config, job, dateRange) => {
+      const { syncZeroPayoutFix } = await import('./ringba-zero-payout-sync.js');
+      return withRingbaMetrics(() => syncZeroPayoutFix(config, dateRange, {
+        concurrency: job.concurrency || null,
+        onProgress: createProgressLogger(`[${job.name}]`)
+      }));
+    },
+    report: (result) => [
+      `  Date Range:            ${result.dateRange.start} to ${result.dateRange.end}`,
+      `  Total Calls:           ${result.totalCalls}`,
+      `  Successfully Fixed:    ${result.fixed}`,
+      `  Failed:                ${result.failed}`
+    ]
+  },
+
+  'auth-refresh': {
+    description: 'eLocal auth session refresh (every 3 days, or before the session expires)',
+    config: ['elocalLogin'],
+    dateRange: () => null,
+    run: async (config, job) => {
+      const { refreshAuthSession, shouldRefreshAuthSession } = await import('./auth-refresh.js');
+
+      if (!job.force) {
+        const check = await shouldRefreshAuthSession(config);
+        if (!check.shouldRun) {
+          console.log(`[INFO] Skipping auth refresh - ${check.reason}`);
+          return { skipped: true, reason: check.reason };
+        }
+        console.log(`[INFO] Running auth refresh - ${check.reason}`);
+      }
+
+      const resultEither = await refreshAuthSession(config)();
+      if (resultEither._tag === 'Left') {
+        const error = resultEither.left;
+        throw new Error(error.message || String(error));
+      }
+      return resultEither.right;
+    },
+    report: (result) => result.skipped
+      ? [`  Skipped:               ${result.reason}`]
+      : [
+        `  Session ID:            ${result.sessionId || 'N/A'}`,
+        `  Expires At:            ${result.expiresAtISO || 'N/A'}`
+      ]
+  },
+
+  'alert-check': {
+    description: 'Alert checks: eLocal auth session expiry and payout drift',
+    config: [],
+    // daysBack (or ALERT_PAYOUT_DRIFT_DAYS): the daysBack days up to yesterday
+    dateRange: daysBackRange('alert-check-7-days', daysBack => daysBack, () => process.env.ALERT_PAYOUT_DRIFT_DAYS),
+    run: async (config, job, dateRange) => {
+      const { runAlertChecks } = await import('./alert-checks.js');
+      return runAlertChecks(config, dateRange);
+    },
+    report: (result) => [
+      `  Auth Session Alerts:   ${result.authAlerts}`,
+      `  Days Checked:          ${result.days}`,
+      `  Drifting Days:         ${result.drifting}`,
+      `  Alerts Sent:           ${result.alertsSent}`
+    ]
+  }
+};
+
+export const JOB_TYPE_NAMES = Object.keys(JOB_TYPES);
@@ -1,10 +1,20 @@
 #!/usr/bin/env node
 
 /**
- * Continuous Scheduler Service for eLocal Scraper
+ * Orchestrator Scheduler
  * 
- * Reads schedule configuration from schedule-config.json
- * Runs services at specified times in IST timezone
+ * Reads every job from schedule-config.json and runs it at the specified times (IST by default):
+ * eLocal scrapes, Ringba original/cost sync, campaign summary, payout comparison,
+ * zero-payout fix and auth refresh (job types: src/services/scheduler-jobs.js).
+ * 
+ * Date ranges are named windows ("window": "cost-sync-15-days"): the built-in ones in
+ * src/utils/date-utils.js, plus the "windows" block of schedule-config.json. Without
+ * a "window" a job uses the default window of its type.
+ *
+ * A "pipeline" job runs several job types in order for one shared date range
+ * (e.g. scrape → original sync → cost sync → payout comparison); a step only runs
+ * when the previous one succeeded. A job that is still running when its next time
+ * comes up is skipped (per-job overlap lock).
  * 
  * Usage:
  *   node src/services/scheduler.js
@@ -15,34 +25,24 @@ import cron from 'node-cron';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import dotenv from 'dotenv';
-import {
-  scrapeHistoricalData,
-  scrapeCurrentDayData,
-  scrapeHistoricalDataAPI,
-  scrapeCurrentDayDataAPI
-} from './elocal.scrapper.js';
-import {
-  getPast10DaysRange,
-  getPast15DaysRangeForHistorical,
-  getCurrentDayRange,
-  getCurrentDayRangeWithTimezone,
-  getDateRangeDescription
-} from '../utils/date-utils.js';
+import { getDateRangeDescription, resolveNamedWindow, validateDateWindow, DATE_WINDOWS } from '../utils/date-utils.js';
 import {
   initFileLogger,
   setupConsoleLogging,
   closeLogger,
   getLogFile
 } from '../utils/file-logger.js';
-import { syncZeroPayoutFix } from './ringba-zero-payout-sync.js';
+import { JOB_TYPES, JOB_TYPE_NAMES } from './scheduler-jobs.js';
+import { JobLockedError } from './job-locks.js';
+import { startMetricsPush } from '../metrics/metrics.js';
+import { loadEnvFiles, loadConfigOrExit } from '../config/app-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const PROJECT_ROOT = join(__dirname, '../..');
 
-// Load environment variables
-dotenv.config({ path: join(PROJECT_ROOT, '.env') });
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 // Load schedule configuration
 const loadScheduleConfig = () => {
@@ -56,19 +56,79 @@ const loadScheduleConfig = () => {
   }
 };
 
-// Build config from environment variables
-const buildConfig = () => {
-  return {
-    elocalBaseUrl: process.env.ELOCAL_BASE_URL || 'https://elocal.com',
-    dbHost: process.env.POSTGRES_HOST || process.env.DB_HOST,
-    dbPort: process.env.POSTGRES_PORT || process.env.DB_PORT || 5432,
-    dbName: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-    dbUser: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-    dbPassword: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-    dbSsl: process.env.DB_SSL === 'true',
-    ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-    ringbaApiToken: process.env.RINGBA_API_TOKEN
-  };
+// Times (HH:MM) of a service: schedule.times, or the single schedule.time
+const getScheduleTimes = (serviceConfig) => {
+  const schedule = serviceConfig.schedule || {};
+  if (Array.isArray(schedule.times)) {
+    return schedule.times;
+  }
+  return schedule.time ? [schedule.time] : [];
+};
+
+// Job types a service runs (the steps of a pipeline, or its own type)
+const getServiceJobTypes = (serviceConfig) =>
+  serviceConfig.type === 'pipeline'
+    ? (serviceConfig.steps || []).map(step => step.type)
+    : [serviceConfig.type];
+
+// Check schedule-config.json before anything is scheduled; returns a list of problems
+const validateScheduleConfig = (scheduleConfig) => {
+  const errors = [];
+  const names = new Set();
+
+  if (!Array.isArray(scheduleConfig.services)) {
+    return ['"services" must be an array'];
+  }
+
+  const windows = scheduleConfig.windows || {};
+  if (typeof windows !== 'object' || Array.isArray(windows)) {
+    errors.push('"windows" must be an object of named date windows');
+  } else {
+    Object.entries(windows).forEach(([name, spec]) => {
+      validateDateWindow(spec).forEach(error => errors.push(`windows.${name}: ${error}`));
+    });
+  }
+  const isKnownWindow = (name) => Boolean(DATE_WINDOWS[name] || (windows && windows[name]));
+
+  scheduleConfig.services.forEach((service, index) => {
+    const label = service.name || `services[${index}]`;
+
+    if (!service.name) {
+      errors.push(`${label}: missing "name"`);
+    } else if (names.has(service.name)) {
+      errors.push(`${label}: duplicate service name`);
+    }
+    names.add(service.name);
+
+    const times = getScheduleTimes(service);
+    if (times.length === 0) {
+      errors.push(`${label}: missing schedule.time (or schedule.times)`);
+    }
+    times
+      .filter(time => !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))
+      .forEach(time => errors.push(`${label}: invalid time "${time}" (expected HH:MM)`));
+
+    if (service.type === 'pipeline') {
+      if (!Array.isArray(service.steps) || service.steps.length === 0) {
+        errors.push(`${label}: a pipeline needs at least one step`);
+      } else {
+        service.steps
+          .filter(step => !JOB_TYPES[step.type])
+          .forEach(step => errors.push(`${label}: unknown step type "${step.type}"`));
+      }
+      if (service.range && !JOB_TYPES[service.range]) {
+        errors.push(`${label}: unknown range type "${service.range}"`);
+      }
+    } else if (!JOB_TYPES[service.type]) {
+      errors.push(`${label}: unknown type "${service.type}" (expected pipeline or one of: ${JOB_TYPE_NAMES.join(', ')})`);
+    }
+
+    if (service.window !== undefined && !isKnownWindow(service.window)) {
+      errors.push(`${label}: unknown window "${service.window}" (not in "windows" or the built-in windows)`);
+    }
+  });
+
+  return errors;
 };
 
 // Convert time string (HH:MM) to cron expression
@@ -92,90 +152,30 @@ const getISTTime = () => {
   });
 };
 
-// Job execution wrapper with error handling
-const executeJob = async (serviceName, serviceType, category, config) => {
+// Run one job type with error handling
+// dateRange is the job type's default range, or the shared range of a pipeline
+const runJob = async (job, config, dateRange) => {
   const startTime = Date.now();
-  const istTime = getISTTime();
+  const jobType = JOB_TYPES[job.type];
 
   console.log('');
   console.log('='.repeat(70));
-  console.log(`[${istTime}] Starting: ${serviceName}`);
-  console.log(`[INFO] Type: ${serviceType}, Category: ${category}`);
+  console.log(`[${getISTTime()}] Starting: ${job.name}`);
+  console.log(`[INFO] Type: ${job.type}${job.category ? `, Category: ${job.category}` : ''}`);
+  if (dateRange) {
+    console.log(`[INFO] Date Range: ${getDateRangeDescription(dateRange)}`);
+  }
   console.log('='.repeat(70));
 
   try {
-    let result;
-    let dateRange;
-
-    if (serviceType === 'historical') {
-      dateRange = getPast15DaysRangeForHistorical();
-      console.log(`[INFO] Date Range: ${getDateRangeDescription(dateRange)} (15 days historical, IST-aware)`);
-
-      if (category === 'STATIC') {
-        result = await scrapeHistoricalData(config);
-      } else if (category === 'API') {
-        result = await scrapeHistoricalDataAPI(config);
-      }
-    } else if (serviceType === 'current') {
-      // Use timezone-aware date range for current day service
-      // If it's after 12:00 AM IST, fetch previous day (because CST is behind IST)
-      dateRange = getCurrentDayRangeWithTimezone();
-      const istTime = getISTTime();
-      console.log(`[INFO] Current IST Time: ${istTime}`);
-      console.log(`[INFO] Date Range: ${getDateRangeDescription(dateRange)}`);
-      console.log(`[INFO] Note: Fetching data for ${dateRange.startDateFormatted} (CST timezone consideration)`);
-
-      if (category === 'STATIC') {
-        result = await scrapeCurrentDayData(config, dateRange);
-      } else if (category === 'API') {
-        result = await scrapeCurrentDayDataAPI(config, dateRange);
-      }
-    } else if (serviceType === 'ringba-zero-payout') {
-      // Ringba zero-payout fix service
-      const daysBack = category || 10; // Use category field to store daysBack
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - daysBack);
-
-      dateRange = {
-        startDate: startDate,
-        endDate: endDate,
-        startDateFormatted: startDate.toISOString().split('T')[0],
-        endDateFormatted: endDate.toISOString().split('T')[0]
-      };
-
-      console.log(`[INFO] Date Range: ${dateRange.startDateFormatted} to ${dateRange.endDateFormatted} (${daysBack} days back)`);
-
-      result = await syncZeroPayoutFix(config, dateRange);
-    } else {
-      throw new Error(`Unknown service type: ${serviceType}`);
-    }
-
+    const result = await jobType.run(config, job, dateRange);
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
     console.log('');
     console.log('='.repeat(70));
-    console.log(`[SUCCESS] ${serviceName} completed in ${duration}s`);
+    console.log(`[SUCCESS] ${job.name} completed in ${duration}s`);
     console.log('='.repeat(70));
-
-    if (serviceType === 'ringba-zero-payout') {
-      // Ringba zero-payout fix service result
-      console.log(`  Date Range:            ${result.dateRange.start} to ${result.dateRange.end}`);
-      console.log(`  Total Calls:           ${result.totalCalls}`);
-      console.log(`  Successfully Fixed:    ${result.fixed}`);
-      console.log(`  Failed:                ${result.failed}`);
-    } else {
-      // eLocal scraper service result
-      console.log(`  Session ID:            ${result.sessionId}`);
-      console.log(`  Date Range:            ${result.dateRange}`);
-      console.log(`  Total Calls:           ${result.summary.totalCalls}`);
-      console.log(`  Total Payout:          $${result.summary.totalPayout.toFixed(2)}`);
-      console.log(`  Unique Callers:        ${result.summary.uniqueCallers}`);
-      console.log(`  Adjustments Applied:   ${result.summary.adjustmentsApplied || 0}`);
-      console.log(`  Calls Inserted:       ${result.databaseResults.callsInserted}`);
-      console.log(`  Calls Updated:        ${result.databaseResults.callsUpdated}`);
-    }
-
+    jobType.report(result).forEach(line => console.log(line));
     console.log('='.repeat(70));
     console.log('');
 
@@ -183,9 +183,17 @@ const executeJob = async (serviceName, serviceType, category, config) => {
   } catch (error) {
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
+    // Another process holds the lease of this job type and days (job_locks)
+    if (error instanceof JobLockedError) {
+      console.log(`[SKIP] ${job.name} - ${error.message}`);
+      console.log('='.repeat(70));
+      console.log('');
+      return { success: false, locked: true, error: error.message, duration };
+    }
+
     console.error('');
     console.error('='.repeat(70));
-    console.error(`[ERROR] ${serviceName} failed after ${duration}s`);
+    console.error(`[ERROR] ${job.name} failed after ${duration}s`);
     console.error('='.repeat(70));
     console.error(`Error: ${error.message}`);
     if (error.stack) {
@@ -200,13 +208,82 @@ const executeJob = async (serviceName, serviceType, category, config) => {
   }
 };
 
+// Run the steps of a pipeline in order for one date range
+// The range is the pipeline's "window", or the default range of its `range` type (first step when not set)
+// A step only runs when the step before it succeeded; the rest are reported as skipped
+const runPipeline = async (pipeline, config, windows) => {
+  const startTime = Date.now();
+  const rangeType = pipeline.range || pipeline.steps[0].type;
+  const dateRange = pipeline.window
+    ? resolveNamedWindow(pipeline.window, windows)
+    : JOB_TYPES[rangeType].dateRange(pipeline, windows);
+  const rangeSource = pipeline.window ? `window ${pipeline.window}` : `from ${rangeType}`;
+
+  console.log('');
+  console.log('#'.repeat(70));
+  console.log(`[${getISTTime()}] Starting pipeline: ${pipeline.name}`);
+  console.log(`[INFO] Steps: ${pipeline.steps.map(step => step.type).join(' → ')}`);
+  if (dateRange) {
+    console.log(`[INFO] Date Range: ${getDateRangeDescription(dateRange)} (${rangeSource})`);
+  }
+  console.log('#'.repeat(70));
+
+  const steps = [];
+  let failedStep = null;
+
+  for (const [index, step] of pipeline.steps.entries()) {
+    const job = {
+      category: pipeline.category,
+      ...step,
+      name: `${pipeline.name} [${index + 1}/${pipeline.steps.length}] ${step.type}`
+    };
+
+    if (failedStep) {
+      console.log(`[SKIP] ${job.name} - upstream step "${failedStep}" failed`);
+      steps.push({ type: step.type, status: 'skipped' });
+      continue;
+    }
+
+    const result = await runJob(job, config, dateRange);
+    steps.push({ type: step.type, status: result.success ? 'success' : 'failed', duration: result.duration, error: result.error });
+    if (!result.success) {
+      failedStep = step.type;
+    }
+  }
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  console.log('#'.repeat(70));
+  console.log(`[${failedStep ? 'ERROR' : 'SUCCESS'}] Pipeline ${pipeline.name} ${failedStep ? `stopped at "${failedStep}"` : 'completed'} in ${duration}s`);
+  steps.forEach(step => {
+    console.log(`  ${step.type.padEnd(24)} ${step.status}${step.duration ? ` (${step.duration}s)` : ''}`);
+  });
+  console.log('#'.repeat(70));
+  console.log('');
+
+  return failedStep
+    ? { success: false, error: `Step "${failedStep}" failed`, steps, duration }
+    : { success: true, steps, duration };
+};
+
+// Job execution: a pipeline, or a single job type with the range of its window
+const executeJob = (serviceConfig, config, windows) => {
+  if (serviceConfig.type === 'pipeline') {
+    return runPipeline(serviceConfig, config, windows);
+  }
+  return runJob(serviceConfig, config, JOB_TYPES[serviceConfig.type].dateRange(serviceConfig, windows));
+};
+
 // Main scheduler class
 class ElocalScheduler {
   constructor() {
     this.config = loadScheduleConfig();
-    this.appConfig = buildConfig();
+    // Loaded and validated in initialize(), once the enabled job types are known
+    this.appConfig = null;
     this.tasks = new Map();
     this.jobStats = new Map();
+    // Names of the jobs that are running right now (overlap lock)
+    this.runningJobs = new Set();
     this.isRunning = false;
     this.logFile = null;
     this.loggingEnabled = false;
@@ -236,7 +313,7 @@ class ElocalScheduler {
   async initialize() {
     console.log('');
     console.log('='.repeat(70));
-    console.log('eLocal Scraper - Continuous Scheduler Service');
+    console.log('eLocal / Ringba - Orchestrator Scheduler Service');
     console.log('='.repeat(70));
     console.log(`Timezone: ${this.config.timezone}`);
     console.log(`Total Services: ${this.config.services.length}`);
@@ -247,38 +324,34 @@ class ElocalScheduler {
     // Initialize file logging
     await this.initializeLogging();
 
-    // Validate required config
-    const requiredVars = [
-      { env: 'POSTGRES_HOST', alt: 'DB_HOST' },
-      { env: 'POSTGRES_DB_NAME', alt: 'DB_NAME' },
-      { env: 'POSTGRES_USER_NAME', alt: 'DB_USER' },
-      { env: 'POSTGRES_PASSWORD', alt: 'DB_PASSWORD' }
-    ];
-
-    const missingVars = requiredVars.filter(
-      ({ env, alt }) => !process.env[env] && !process.env[alt]
-    );
-
-    if (missingVars.length > 0) {
-      console.error('[ERROR] Missing required environment variables:');
-      missingVars.forEach(varName =>
-        console.error(`  - ${varName.env} (or ${varName.alt})`)
-      );
+    // Validate schedule-config.json
+    const configErrors = validateScheduleConfig(this.config);
+    if (configErrors.length > 0) {
+      console.error('[ERROR] Invalid schedule-config.json:');
+      configErrors.forEach(error => console.error(`  - ${error}`));
       process.exit(1);
     }
 
+    // Validate required config (database, plus what the enabled job types need)
+    const enabledTypes = new Set(
+      this.config.services.filter(s => s.enabled).flatMap(getServiceJobTypes)
+    );
+    const needs = [...new Set([...enabledTypes].flatMap(type => JOB_TYPES[type].config))];
+    this.appConfig = loadConfigOrExit('db', ...needs);
+
+    console.log(`[INFO] Profile: ${this.appConfig.profile}`);
     console.log(`[INFO] Database: ${this.appConfig.dbHost}:${this.appConfig.dbPort}/${this.appConfig.dbName}`);
     console.log('');
   }
 
-  // Schedule a service
+  // Schedule a service (one cron task per time)
   scheduleService(serviceConfig) {
     if (!serviceConfig.enabled) {
       console.log(`[SKIP] ${serviceConfig.name} is disabled`);
       return;
     }
 
-    const cronExpression = timeToCron(serviceConfig.schedule.time);
+    const times = getScheduleTimes(serviceConfig);
     const timezone = serviceConfig.schedule.timezone || this.config.timezone;
 
     // Initialize job stats
@@ -286,47 +359,63 @@ class ElocalScheduler {
       totalRuns: 0,
       successfulRuns: 0,
       failedRuns: 0,
+      skippedRuns: 0,
       lastRun: null,
       lastResult: null
     });
 
-    // Create cron task
-    const task = cron.schedule(
-      cronExpression,
-      async () => {
-        const stats = this.jobStats.get(serviceConfig.name);
-        stats.totalRuns++;
-        stats.lastRun = new Date().toISOString();
-
-        const result = await executeJob(
-          serviceConfig.name,
-          serviceConfig.type,
-          serviceConfig.category,
-          this.appConfig
-        );
-
-        stats.lastResult = result;
-        if (result.success) {
-          stats.successfulRuns++;
-        } else {
-          stats.failedRuns++;
+    times.forEach(time => {
+      const task = cron.schedule(
+        timeToCron(time),
+        () => this.runService(serviceConfig, time),
+        {
+          scheduled: false,
+          timezone: timezone
         }
-      },
-      {
-        scheduled: false,
-        timezone: timezone
-      }
-    );
-
-    this.tasks.set(serviceConfig.name, task);
+      );
+      this.tasks.set(`${serviceConfig.name} @ ${time}`, task);
+    });
 
     console.log(`[SCHEDULED] ${serviceConfig.name}`);
-    console.log(`  Schedule: ${serviceConfig.schedule.description}`);
-    console.log(`  Cron: ${cronExpression}`);
+    if (serviceConfig.type === 'pipeline') {
+      console.log(`  Pipeline: ${getServiceJobTypes(serviceConfig).join(' → ')}`);
+    } else {
+      console.log(`  Type: ${serviceConfig.type}`);
+    }
+    console.log(`  Schedule: ${serviceConfig.schedule.description || `Daily at ${times.join(', ')}`}`);
+    console.log(`  Cron: ${times.map(timeToCron).join(' | ')}`);
     console.log(`  Timezone: ${timezone}`);
     console.log('');
   }
 
+  // Run a service unless its previous run is still going
+  async runService(serviceConfig, time) {
+    const stats = this.jobStats.get(serviceConfig.name);
+
+    if (this.runningJobs.has(serviceConfig.name)) {
+      stats.skippedRuns++;
+      console.log(`[SKIP] ${serviceConfig.name} (${time}) - previous run started at ${stats.lastRun} is still running`);
+      return;
+    }
+
+    this.runningJobs.add(serviceConfig.name);
+    stats.totalRuns++;
+    stats.lastRun = new Date().toISOString();
+
+    try {
+      const result = await executeJob(serviceConfig, this.appConfig, this.config.windows);
+
+      stats.lastResult = result;
+      if (result.success) {
+        stats.successfulRuns++;
+      } else {
+        stats.failedRuns++;
+      }
+    } finally {
+      this.runningJobs.delete(serviceConfig.name);
+    }
+  }
+
   // Start all scheduled services
   async start() {
     if (this.isRunning) {
@@ -351,7 +440,7 @@ class ElocalScheduler {
     console.log('='.repeat(70));
     console.log('[SUCCESS] Scheduler started successfully!');
     console.log('='.repeat(70));
-    console.log(`[INFO] All ${this.tasks.size} services are scheduled and running`);
+    console.log(`[INFO] ${this.jobStats.size} services scheduled (${this.tasks.size} cron tasks)`);
     console.log(`[INFO] Current IST time: ${getISTTime()}`);
     if (this.logFile) {
       console.log(`[INFO] Log file: ${this.logFile}`);
@@ -372,9 +461,8 @@ class ElocalScheduler {
     this.config.services
       .filter(s => s.enabled)
       .forEach(service => {
-        const [hours, minutes] = service.schedule.time.split(':');
         const stats = this.jobStats.get(service.name);
-        console.log(`  ${service.name.padEnd(35)} ${service.schedule.time} IST (${stats?.totalRuns || 0} runs)`);
+        console.log(`  ${service.name.padEnd(35)} ${getScheduleTimes(service).join(', ')} IST (${stats?.totalRuns || 0} runs)`);
       });
 
     console.log('-'.repeat(70));
@@ -437,6 +525,7 @@ const setupGracefulShutdown = (scheduler) => {
       console.log(`  Total Runs: ${stat.totalRuns}`);
       console.log(`  Successful: ${stat.successfulRuns}`);
       console.log(`  Failed: ${stat.failedRuns}`);
+      console.log(`  Skipped (still running): ${stat.skippedRuns}`);
       console.log(`  Success Rate: ${stat.successRate}`);
       console.log(`  Last Run: ${stat.lastRun || 'Never'}`);
       console.log('');
@@ -454,6 +543,12 @@ const main = async () => {
   const scheduler = new ElocalScheduler();
   setupGracefulShutdown(scheduler);
   await scheduler.start();
+
+  // Job runs push their metrics when they finish; the interval keeps the pool gauges fresh in between
+  if (process.env.METRICS_PUSH_URL) {
+    startMetricsPush();
+    console.log(`[INFO] Pushing metrics to ${process.env.METRICS_PUSH_URL}`);
+  }
 };
 
 // Run if executed directly
@@ -461,5 +556,5 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { ElocalScheduler };
+export { ElocalScheduler, validateScheduleConfig };
 
@@ -0,0 +1,95 @@
+// Bounded-concurrency executor
+// Runs task(item, index) for every item with at most `concurrency` tasks in flight
+// and returns the results in input order
+
+// "1h 02m", "3m 05s", "42s"
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined || !isFinite(ms)) return 'n/a';
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+};
+
+// options:
+//   concurrency  tasks in flight (default 1)
+//   isSuccess    (result) => boolean, used for the succeeded/failed counts (default: every result succeeds)
+//   onProgress   ({ completed, total, succeeded, failed, elapsedMs, perSecond, etaMs }) after every task
+// A task that throws stops the executor: no new tasks are started and the error is rethrown
+// once the tasks already running have finished
+export const executeWithConcurrency = async (items, task, options = {}) => {
+  const concurrency = Math.max(1, Math.floor(options.concurrency || 1));
+  const isSuccess = options.isSuccess || (() => true);
+  const onProgress = options.onProgress || null;
+
+  const total = items.length;
+  const results = new Array(total);
+  const startedAt = Date.now();
+  let nextIndex = 0;
+  let completed = 0;
+  let succeeded = 0;
+  let failed = 0;
+  let firstError = null;
+
+  const worker = async () => {
+    while (nextIndex < total && !firstError) {
+      const index = nextIndex++;
+      try {
+        const result = await task(items[index], index);
+        results[index] = result;
+        if (isSuccess(result)) {
+          succeeded++;
+        } else {
+          failed++;
+        }
+      } catch (error) {
+        firstError = firstError || error;
+        return;
+      }
+
+      completed++;
+      if (onProgress) {
+        const elapsedMs = Date.now() - startedAt;
+        const perSecond = elapsedMs > 0 ? completed / (elapsedMs / 1000) : 0;
+        await onProgress({
+          completed,
+          total,
+          succeeded,
+          failed,
+          elapsedMs,
+          perSecond,
+          etaMs: perSecond > 0 ? ((total - completed) / perSecond) * 1000 : null
+        });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+
+  if (firstError) {
+    throw firstError;
+  }
+  return results;
+};
+
+// "120/400 (30.0%) - 2.15/s, elapsed 55s, ETA 2m 10s, 3 failed"
+export const formatProgress = (progress) => {
+  const percent = progress.total > 0 ? ((progress.completed / progress.total) * 100).toFixed(1) : '100.0';
+  const failed = progress.failed > 0 ? `, ${progress.failed} failed` : '';
+  return `${progress.completed}/${progress.total} (${percent}%) - ${progress.perSecond.toFixed(2)}/s, elapsed ${formatDuration(progress.elapsedMs)}, ETA ${formatDuration(progress.etaMs)}${failed}`;
+};
+
+// onProgress callback that logs at most once every `everyMs` (and always on the last item)
+export const createProgressLogger = (label, { everyMs = 15000 } = {}) => {
+  let lastLoggedAt = 0;
+  return (progress) => {
+    const now = Date.now();
+    if (progress.completed === progress.total || now - lastLoggedAt >= everyMs) {
+      lastLoggedAt = now;
+      console.log(`${label} Progress: ${formatProgress(progress)}`);
+    }
+  };
+};
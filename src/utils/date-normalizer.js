@@ -1,32 +1,8 @@
 // Date normalization utilities
 // Standardizes dates to ISO format (YYYY-MM-DDTHH:mm:ss) for consistent database storage
 // eLocal data is in EST (Eastern Standard Time) USA/Canada timezone
-
-/**
- * Check if a date is in Daylight Saving Time (DST) for Eastern Time
- * DST runs from second Sunday in March (2 AM EST) to first Sunday in November (2 AM EST)
- * 
- * @param {Date} date - Date to check (in UTC)
- * @returns {boolean} - True if date is in DST (EDT), false if EST
- */
-const isDateInDST = (date) => {
-  const year = date.getUTCFullYear();
-  
-  // Find second Sunday in March at 2 AM EST (7 AM UTC)
-  const march1 = new Date(Date.UTC(year, 2, 1)); // March 1
-  const march1Day = march1.getUTCDay(); // 0 = Sunday, 1 = Monday, etc.
-  const daysToSecondSunday = (7 - march1Day) % 7 + 7; // Days to second Sunday
-  const dstStart = new Date(Date.UTC(year, 2, 1 + daysToSecondSunday, 7, 0, 0)); // 2 AM EST = 7 AM UTC
-  
-  // Find first Sunday in November at 2 AM EST (7 AM UTC)
-  const nov1 = new Date(Date.UTC(year, 10, 1)); // November 1
-  const nov1Day = nov1.getUTCDay();
-  const daysToFirstSunday = (7 - nov1Day) % 7; // Days to first Sunday
-  const dstEnd = new Date(Date.UTC(year, 10, 1 + daysToFirstSunday, 7, 0, 0)); // 2 AM EST = 7 AM UTC
-  
-  // DST is active if date is >= dstStart and < dstEnd
-  return date >= dstStart && date < dstEnd;
-};
+// Wall-clock strings are kept as received; the instant (call_at) is derived with the IANA zone helpers in timezone.js
+import { CALL_TIMEZONE, zoneFromAbbreviation, wallClockToInstant, formatInTimeZone } from './timezone.js';
 
 /**
  * Convert eLocal date string to EST timezone (explicit conversion)
@@ -146,16 +122,10 @@ export const normalizeDateTime = (dateInput, isElocalData = true) => {
   }
   if (!dateInput) return null;
   
-  // If it's already a Date object
+  // If it's already a Date object (an instant): wall clock in the call time zone, not the server's
   if (dateInput instanceof Date) {
     if (isNaN(dateInput.getTime())) return null;
-    const year = dateInput.getFullYear();
-    const month = String(dateInput.getMonth() + 1).padStart(2, '0');
-    const day = String(dateInput.getDate()).padStart(2, '0');
-    const hours = String(dateInput.getHours()).padStart(2, '0');
-    const minutes = String(dateInput.getMinutes()).padStart(2, '0');
-    const seconds = String(dateInput.getSeconds()).padStart(2, '0');
-    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+    return formatInTimeZone(dateInput, CALL_TIMEZONE);
   }
   
   // If it's a string
@@ -268,17 +238,11 @@ export const normalizeDateTime = (dateInput, isElocalData = true) => {
     return null;
   }
   
-  // For non-eLocal data, use standard Date parsing as fallback
+  // For non-eLocal data, use standard Date parsing as fallback (formatted in the call time zone)
   try {
     const date = new Date(trimmed);
     if (!isNaN(date.getTime())) {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      const hours = String(date.getHours()).padStart(2, '0');
-      const minutes = String(date.getMinutes()).padStart(2, '0');
-      const seconds = String(date.getSeconds()).padStart(2, '0');
-      return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+      return formatInTimeZone(date, CALL_TIMEZONE);
     }
   } catch (error) {
     // Ignore
@@ -307,25 +271,19 @@ export const normalizeDateWithTime = (dateTimeInput) => {
 };
 
 /**
- * Convert Ringba date to EST timezone
- * Ringba API returns dates in UTC when formatDateTime: true is used
- * We need to convert UTC to EST to match eLocal data which is in EST
- * 
- * @param {string} ringbaDateStr - Ringba date string (MM/DD/YYYY HH:MM:SS AM/PM format, in UTC)
- * @returns {string|null} - Date in EST timezone as ISO format (YYYY-MM-DDTHH:mm:ss) or null
+ * Instant of a Ringba date
+ * Ringba API returns dates in UTC when formatDateTime: true is used (MM/DD/YYYY HH:MM:SS AM/PM); ISO strings with
+ * an explicit offset ("...Z", "...-05:00") are read as such
+ *
+ * @param {string} ringbaDateStr - Ringba date string
+ * @returns {Date|null} - Instant of the call, or null when the string has no known zone
  */
-export const convertRingbaDateToEST = (ringbaDateStr) => {
+export const parseRingbaDate = (ringbaDateStr) => {
   if (!ringbaDateStr) return null;
-  
-  try {
-    // Parse Ringba format: MM/DD/YYYY HH:MM:SS AM/PM
-    // Ringba returns this in UTC timezone when formatDateTime: true
-    const ringbaFormat = ringbaDateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2}):(\d{2})\s+(AM|PM)$/i);
-    if (!ringbaFormat) {
-      // If not in expected format, try to parse as-is
-      return normalizeDateTime(ringbaDateStr, false);
-    }
-    
+
+  const trimmed = String(ringbaDateStr).trim();
+  const ringbaFormat = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2}):(\d{2})\s+(AM|PM)$/i);
+  if (ringbaFormat) {
     const month = parseInt(ringbaFormat[1], 10) - 1;
     const day = parseInt(ringbaFormat[2], 10);
     const year = parseInt(ringbaFormat[3], 10);
@@ -333,36 +291,62 @@ export const convertRingbaDateToEST = (ringbaDateStr) => {
     const minutes = parseInt(ringbaFormat[5], 10);
     const seconds = parseInt(ringbaFormat[6], 10);
     const ampm = ringbaFormat[7].toUpperCase();
-    
+
     // Convert to 24-hour format
     if (ampm === 'PM' && hours !== 12) {
       hours += 12;
     } else if (ampm === 'AM' && hours === 12) {
       hours = 0;
     }
-    
-    // Create UTC date object - Ringba dates are in UTC
-    const utcDate = new Date(Date.UTC(year, month, day, hours, minutes, seconds));
-    
-    // Convert UTC to EST
-    // EST is UTC-5, EDT (Eastern Daylight Time) is UTC-4
-    // Check if date is in DST period (second Sunday in March to first Sunday in November)
-    const isDST = isDateInDST(utcDate);
-    const estOffsetHours = isDST ? 4 : 5; // EDT is UTC-4, EST is UTC-5
-    const estDate = new Date(utcDate.getTime() - (estOffsetHours * 60 * 60 * 1000));
-    
-    // Format as ISO string (YYYY-MM-DDTHH:mm:ss) in EST
-    const yearEST = estDate.getUTCFullYear();
-    const monthEST = String(estDate.getUTCMonth() + 1).padStart(2, '0');
-    const dayEST = String(estDate.getUTCDate()).padStart(2, '0');
-    const hoursEST = String(estDate.getUTCHours()).padStart(2, '0');
-    const minutesEST = String(estDate.getUTCMinutes()).padStart(2, '0');
-    const secondsEST = String(estDate.getUTCSeconds()).padStart(2, '0');
-    
-    return `${yearEST}-${monthEST}-${dayEST}T${hoursEST}:${minutesEST}:${secondsEST}`;
+
+    return new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(trimmed)) {
+    const date = new Date(trimmed);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  return null;
+};
+
+/**
+ * Convert Ringba date to EST timezone
+ * Ringba API returns dates in UTC when formatDateTime: true is used
+ * We need to convert UTC to EST to match eLocal data which is in EST
+ * The New York wall clock (EST/EDT) comes from the IANA rules, not a hand-written DST calendar
+ * 
+ * @param {string} ringbaDateStr - Ringba date string (MM/DD/YYYY HH:MM:SS AM/PM format, in UTC)
+ * @returns {string|null} - Date in EST timezone as ISO format (YYYY-MM-DDTHH:mm:ss) or null
+ */
+export const convertRingbaDateToEST = (ringbaDateStr) => {
+  if (!ringbaDateStr) return null;
+  
+  try {
+    const instant = parseRingbaDate(ringbaDateStr);
+    if (!instant) {
+      // If not in expected format, try to parse as-is
+      return normalizeDateTime(ringbaDateStr, false);
+    }
+    return formatInTimeZone(instant, CALL_TIMEZONE);
   } catch (error) {
     // If conversion fails, return normalized date as-is
     return normalizeDateTime(ringbaDateStr, false);
   }
 };
 
+/**
+ * Time zone of an eLocal time string: the zone of its abbreviation ("... 04:38 PM CDT" -> America/Chicago),
+ * otherwise the call time zone (eLocal reports in Eastern)
+ * @param {string} elocalDateStr - Raw eLocal date string
+ * @returns {string} IANA zone
+ */
+export const getElocalSourceTimeZone = (elocalDateStr) => zoneFromAbbreviation(elocalDateStr) || CALL_TIMEZONE;
+
+/**
+ * Instant of a stored call wall-clock string (date_of_call / call_date_time)
+ * @param {string} wallClock - 'YYYY-MM-DDTHH:mm:ss' (or 'YYYY-MM-DD', midnight)
+ * @param {string} timeZone - Zone the wall clock is in (source_timezone), default the call time zone
+ * @returns {Date|null}
+ */
+export const toCallInstant = (wallClock, timeZone = CALL_TIMEZONE) => wallClockToInstant(wallClock, timeZone || CALL_TIMEZONE);
@@ -1,318 +1,141 @@
 // Date utility functions for scraping services
+import { formatInTimeZone, isValidTimeZone } from './timezone.js';
 
-// Get past 10 days range (excluding today) - LEGACY: uses server timezone
-export const getPast10DaysRange = () => {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  const endDate = new Date(today);
-  endDate.setDate(endDate.getDate() - 1); // Yesterday
-  
-  const startDate = new Date(endDate);
-  startDate.setDate(startDate.getDate() - 9); // 10 days ago (including yesterday)
-  
-  return {
-    startDate,
-    endDate,
-    startDateFormatted: formatDateForElocal(startDate),
-    endDateFormatted: formatDateForElocal(endDate),
-    startDateURL: formatDateForURL(startDate),
-    endDateURL: formatDateForURL(endDate)
-  };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Zone the schedules run in (schedule-config.json "timezone"); date windows count days in it unless they say otherwise
+export const BUSINESS_TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Built-in date windows, referenced by name ("window": "cost-sync-15-days" in schedule-config.json)
+ *   lookbackDays  days in the range, the end day included (1 = a single day)
+ *   timezone      IANA zone the days are counted in (default BUSINESS_TIMEZONE)
+ *   cutoffHour    data-availability cutoff: before this hour (0-23) "today" is still the previous day. The US call
+ *                 day is behind IST, so at 12:08 AM IST Nov 26 the complete day is Nov 25 (default 0, no cutoff)
+ *   includeToday  whether the range ends at "today" or at the day before (default false)
+ * schedule-config.json can add windows or override these in its "windows" block.
+ */
+export const DATE_WINDOWS = {
+  // eLocal historical scrape: the 10 days before today
+  'past-10-days': { lookbackDays: 10, timezone: BUSINESS_TIMEZONE, cutoffHour: 0, includeToday: false },
+  // Nov 26 12:08 AM IST → Nov 10 - Nov 24; Nov 26 11:58 PM IST → Nov 11 - Nov 25
+  'historical-15-days': { lookbackDays: 15, timezone: BUSINESS_TIMEZONE, cutoffHour: 12, includeToday: false },
+  // Nov 26 12:08 AM IST → Nov 11 - Nov 25; Nov 26 9:08 PM IST → Nov 12 - Nov 26
+  'cost-sync-15-days': { lookbackDays: 15, timezone: BUSINESS_TIMEZONE, cutoffHour: 12, includeToday: true },
+  // Current-day scrape, Ringba original sync, campaign summary: Nov 26 3:00 AM IST → Nov 25, 9:00 PM IST → Nov 26
+  'current-day': { lookbackDays: 1, timezone: BUSINESS_TIMEZONE, cutoffHour: 12, includeToday: true },
+  // Payout comparison: today (IST, no cutoff) and the 14 days before
+  'payout-comparison-15-days': { lookbackDays: 15, timezone: BUSINESS_TIMEZONE, cutoffHour: 0, includeToday: true },
+  // Zero-payout fix: today and the 10 days before
+  'zero-payout-11-days': { lookbackDays: 11, timezone: BUSINESS_TIMEZONE, cutoffHour: 0, includeToday: true },
+  // Alert checks: the 7 days before today (today's comparison is still moving)
+  'alert-check-7-days': { lookbackDays: 7, timezone: BUSINESS_TIMEZONE, cutoffHour: 0, includeToday: false }
 };
 
+const WINDOW_KEYS = ['lookbackDays', 'timezone', 'cutoffHour', 'includeToday', 'description'];
+
 /**
- * Get past 15 days range for eLocal Historical Scraping (IST timezone-aware)
- * 
- * This function:
- * 1. Gets past 15 days EXCLUDING the current date (ends at yesterday based on IST)
- * 2. Is timezone-independent (uses IST regardless of server location)
- * 3. Handles midnight edge case:
- *    - Before 12:00 PM IST: considers "today" as the previous IST day
- *    - After 12:00 PM IST: considers "today" as the current IST day
- * 
- * The end date is always "yesterday" relative to the calculated "today"
- * 
- * Examples (all on Nov 26 IST):
- * - 12:08 AM IST Nov 26: today=Nov25, end=Nov24, start=Nov10
- * - 3:08 AM IST Nov 26: today=Nov25, end=Nov24, start=Nov10
- * - 6:08 AM IST Nov 26: today=Nov25, end=Nov24, start=Nov10
- * - 11:58 PM IST Nov 26: today=Nov26, end=Nov25, start=Nov11
- * 
- * @returns {Object} Date range object with startDate, endDate, and formatted strings
+ * Check a date window spec; returns a list of problems (empty when it is valid)
+ * @param {Object} spec - { lookbackDays, timezone?, cutoffHour?, includeToday?, description? }
+ * @returns {string[]}
  */
-export const getPast15DaysRangeForHistorical = () => {
-  // Get current time in IST timezone
-  const now = new Date();
-  const istDateString = now.toLocaleString('en-US', { 
-    timeZone: 'Asia/Kolkata',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-  
-  // Parse IST time string: format is "MM/DD/YYYY, HH:MM:SS"
-  const istParts = istDateString.match(/(\d{2})\/(\d{2})\/(\d{4}), (\d{2}):(\d{2}):(\d{2})/);
-  if (!istParts) {
-    // Fallback: use legacy function
-    console.warn('[getPast15DaysRangeForHistorical] Failed to parse IST time, using fallback');
-    return getPast10DaysRange();
+export const validateDateWindow = (spec) => {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return ['a window must be an object'];
   }
-  
-  // Extract IST components
-  const monthIST = parseInt(istParts[1], 10);  // MM (1-12)
-  const dayIST = parseInt(istParts[2], 10);     // DD
-  const yearIST = parseInt(istParts[3], 10);    // YYYY
-  let hoursIST = parseInt(istParts[4], 10);     // HH (0-23)
-  const minutesIST = parseInt(istParts[5], 10); // MM (0-59)
-  
-  // Handle edge case where hour is 24 (should be 0 for midnight)
-  if (hoursIST === 24) {
-    hoursIST = 0;
+
+  const errors = [];
+  Object.keys(spec)
+    .filter(key => !WINDOW_KEYS.includes(key))
+    .forEach(key => errors.push(`unknown field "${key}" (expected ${WINDOW_KEYS.join(', ')})`));
+  if (!Number.isInteger(spec.lookbackDays) || spec.lookbackDays < 1) {
+    errors.push('"lookbackDays" must be a whole number of days, at least 1');
   }
-  
-  // Debug logging
-  console.log(`[getPast15DaysRangeForHistorical] Current IST: ${yearIST}-${String(monthIST).padStart(2, '0')}-${String(dayIST).padStart(2, '0')} ${String(hoursIST).padStart(2, '0')}:${String(minutesIST).padStart(2, '0')}`);
-  
-  // Determine "today" based on IST time
-  // Logic: 
-  // - If it's between 12:00 AM (00:00) and 11:59 AM IST → consider "today" as previous day
-  // - If it's 12:00 PM (12:00) or later IST → consider "today" as current day
-  
-  let todayYear, todayMonth, todayDay;
-  
-  if (hoursIST >= 0 && hoursIST < 12) {
-    // It's between 12:00 AM (midnight) and 11:59 AM IST
-    // Consider "today" as the previous IST day
-    console.log(`[getPast15DaysRangeForHistorical] Before noon IST (${hoursIST}:${String(minutesIST).padStart(2, '0')}), considering previous day as 'today'`);
-    
-    if (dayIST > 1) {
-      todayYear = yearIST;
-      todayMonth = monthIST;
-      todayDay = dayIST - 1;
-    } else {
-      if (monthIST > 1) {
-        todayYear = yearIST;
-        todayMonth = monthIST - 1;
-        const lastDayOfPrevMonth = new Date(Date.UTC(yearIST, monthIST - 1, 0)).getUTCDate();
-        todayDay = lastDayOfPrevMonth;
-      } else {
-        todayYear = yearIST - 1;
-        todayMonth = 12;
-        const lastDayOfDec = new Date(Date.UTC(yearIST - 1, 12, 0)).getUTCDate();
-        todayDay = lastDayOfDec;
-      }
-    }
-  } else {
-    // It's 12:00 PM (noon) or later IST
-    // Consider "today" as the current IST day
-    console.log(`[getPast15DaysRangeForHistorical] After noon IST (${hoursIST}:${String(minutesIST).padStart(2, '0')}), using current day as 'today'`);
-    
-    todayYear = yearIST;
-    todayMonth = monthIST;
-    todayDay = dayIST;
+  if (spec.timezone !== undefined && !isValidTimeZone(spec.timezone)) {
+    errors.push(`unknown time zone "${spec.timezone}"`);
   }
-  
-  // Calculate END DATE (yesterday relative to "today")
-  let endYear = todayYear;
-  let endMonth = todayMonth;
-  let endDay = todayDay - 1;
-  
-  // Handle underflow
-  if (endDay < 1) {
-    endMonth--;
-    if (endMonth < 1) {
-      endMonth = 12;
-      endYear--;
-    }
-    const lastDayOfMonth = new Date(Date.UTC(endYear, endMonth, 0)).getUTCDate();
-    endDay = lastDayOfMonth;
+  if (spec.cutoffHour !== undefined && (!Number.isInteger(spec.cutoffHour) || spec.cutoffHour < 0 || spec.cutoffHour > 23)) {
+    errors.push('"cutoffHour" must be an hour from 0 to 23');
   }
-  
-  // Calculate START DATE (15 days including end date = 14 days before end date)
-  let startYear = endYear;
-  let startMonth = endMonth;
-  let startDay = endDay - 14; // 15 days including end date
-  
-  // Handle underflow (day goes negative)
-  while (startDay < 1) {
-    startMonth--;
-    if (startMonth < 1) {
-      startMonth = 12;
-      startYear--;
-    }
-    const lastDayOfMonth = new Date(Date.UTC(startYear, startMonth, 0)).getUTCDate();
-    startDay += lastDayOfMonth;
+  if (spec.includeToday !== undefined && typeof spec.includeToday !== 'boolean') {
+    errors.push('"includeToday" must be true or false');
   }
-  
-  // Create Date objects using UTC to avoid timezone issues
-  const startDate = new Date(Date.UTC(startYear, startMonth - 1, startDay, 0, 0, 0, 0));
-  const endDate = new Date(Date.UTC(endYear, endMonth - 1, endDay, 23, 59, 59, 999));
-  
-  // Format dates directly using our calculated values
-  const startDateFormatted = `${String(startMonth).padStart(2, '0')}/${String(startDay).padStart(2, '0')}/${startYear}`;
-  const endDateFormatted = `${String(endMonth).padStart(2, '0')}/${String(endDay).padStart(2, '0')}/${endYear}`;
-  const startDateURL = `${startYear}-${String(startMonth).padStart(2, '0')}-${String(startDay).padStart(2, '0')}`;
-  const endDateURL = `${endYear}-${String(endMonth).padStart(2, '0')}-${String(endDay).padStart(2, '0')}`;
-  
-  console.log(`[getPast15DaysRangeForHistorical] Date Range: ${startDateFormatted} to ${endDateFormatted} (excludes today)`);
-  
+  return errors;
+};
+
+// Range object of whole days, from day components (Dates are UTC midnight / UTC end of day, as the IST helpers
+// always returned); the strings come from the components, so the server time zone never shifts a day
+const buildDayRange = (startDay, endDay) => {
+  const startDate = new Date(startDay);
+  const endDate = new Date(endDay + DAY_MS - 1);
+  const url = (date) => date.toISOString().substring(0, 10);
+  const elocal = (date) => {
+    const [year, month, day] = url(date).split('-');
+    return `${month}/${day}/${year}`;
+  };
+
   return {
     startDate,
     endDate,
-    startDateFormatted,
-    endDateFormatted,
-    startDateURL,
-    endDateURL
+    startDateFormatted: elocal(startDate),
+    endDateFormatted: elocal(endDate),
+    startDateURL: url(startDate),
+    endDateURL: url(endDate)
   };
 };
 
 /**
- * Get past 15 days range for Cost Sync service (IST timezone-aware)
- * 
- * This function:
- * 1. Gets past 15 days INCLUDING the current date (based on IST/CST logic)
- * 2. Is timezone-independent (uses IST regardless of server location)
- * 3. Handles CST data availability:
- *    - Before 12:00 PM IST → uses PREVIOUS day as end date (CST data not complete)
- *    - After 12:00 PM IST → uses CURRENT day as end date (CST data available)
- * 
- * Examples (all on Nov 26):
- * - 12:08 AM IST → Date Range: Nov 11 to Nov 25 (not Nov 26!)
- * - 3:08 AM IST → Date Range: Nov 11 to Nov 25 (not Nov 26!)
- * - 6:08 AM IST → Date Range: Nov 11 to Nov 25 (not Nov 26!)
- * - 9:08 PM IST → Date Range: Nov 12 to Nov 26 (includes Nov 26)
- * 
- * @returns {Object} Date range object with startDate, endDate, and formatted strings
+ * Resolve a date window to the range object every service expects
+ * { startDate, endDate, startDateFormatted (MM/DD/YYYY), endDateFormatted, startDateURL (YYYY-MM-DD), endDateURL }
+ * @param {Object} spec - Window spec (see DATE_WINDOWS)
+ * @param {Date} now - Instant to resolve at (default: now)
+ * @returns {Object} Date range
  */
-export const getPast15DaysRangeForCostSync = () => {
-  // Get current time in IST timezone
-  const now = new Date();
-  const istDateString = now.toLocaleString('en-US', { 
-    timeZone: 'Asia/Kolkata',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-  
-  // Parse IST time string: format is "MM/DD/YYYY, HH:MM:SS"
-  const istParts = istDateString.match(/(\d{2})\/(\d{2})\/(\d{4}), (\d{2}):(\d{2}):(\d{2})/);
-  if (!istParts) {
-    // Fallback: use legacy function
-    console.warn('[getPast15DaysRangeForCostSync] Failed to parse IST time, using fallback');
-    return getPast10DaysRange();
-  }
-  
-  // Extract IST components
-  const monthIST = parseInt(istParts[1], 10);  // MM (1-12)
-  const dayIST = parseInt(istParts[2], 10);     // DD
-  const yearIST = parseInt(istParts[3], 10);    // YYYY
-  let hoursIST = parseInt(istParts[4], 10);     // HH (0-23)
-  const minutesIST = parseInt(istParts[5], 10); // MM (0-59)
-  
-  // Handle edge case where hour is 24 (should be 0 for midnight)
-  if (hoursIST === 24) {
-    hoursIST = 0;
-  }
-  
-  // Debug logging
-  console.log(`[getPast15DaysRangeForCostSync] Current IST: ${yearIST}-${String(monthIST).padStart(2, '0')}-${String(dayIST).padStart(2, '0')} ${String(hoursIST).padStart(2, '0')}:${String(minutesIST).padStart(2, '0')}`);
-  
-  // Determine END DATE based on IST time
-  // Logic: 
-  // - If it's between 12:00 AM (00:00) and 11:59 AM IST → use PREVIOUS day as end date
-  //   (because CST is 11.5 hours behind IST, so CST hasn't finished the current IST day yet)
-  // - If it's 12:00 PM (12:00) or later IST → use CURRENT day as end date
-  //   (because enough time has passed for CST data to be available)
-  
-  let endYear, endMonth, endDay;
-  
-  if (hoursIST >= 0 && hoursIST < 12) {
-    // It's between 12:00 AM (midnight) and 11:59 AM IST
-    // Use PREVIOUS day as end date (CST data for current IST day isn't complete)
-    console.log(`[getPast15DaysRangeForCostSync] Before noon IST (${hoursIST}:${String(minutesIST).padStart(2, '0')}), using previous day as end date`);
-    
-    if (dayIST > 1) {
-      // Simple case: just subtract 1 from day
-      endYear = yearIST;
-      endMonth = monthIST;
-      endDay = dayIST - 1;
-    } else {
-      // Day is 1, need to go to previous month
-      if (monthIST > 1) {
-        // Go to previous month
-        endYear = yearIST;
-        endMonth = monthIST - 1;
-        // Get last day of previous month
-        const lastDayOfPrevMonth = new Date(Date.UTC(yearIST, monthIST - 1, 0)).getUTCDate();
-        endDay = lastDayOfPrevMonth;
-      } else {
-        // Month is January (1), go to December of previous year
-        endYear = yearIST - 1;
-        endMonth = 12;
-        // Get last day of December
-        const lastDayOfDec = new Date(Date.UTC(yearIST - 1, 12, 0)).getUTCDate();
-        endDay = lastDayOfDec;
-      }
-    }
-  } else {
-    // It's 12:00 PM (noon) or later IST
-    // Use CURRENT day as end date (CST data should be available by now)
-    console.log(`[getPast15DaysRangeForCostSync] After noon IST (${hoursIST}:${String(minutesIST).padStart(2, '0')}), using current day as end date`);
-    
-    endYear = yearIST;
-    endMonth = monthIST;
-    endDay = dayIST;
+export const resolveDateWindow = (spec, now = new Date()) => {
+  const errors = validateDateWindow(spec);
+  if (errors.length > 0) {
+    throw new Error(`Invalid date window: ${errors.join('; ')}`);
   }
-  
-  // Calculate START DATE (15 days before end date, including end date = 14 days before)
-  let startYear = endYear;
-  let startMonth = endMonth;
-  let startDay = endDay - 14; // 15 days including end date
-  
-  // Handle underflow (day goes negative)
-  while (startDay < 1) {
-    // Go to previous month
-    startMonth--;
-    if (startMonth < 1) {
-      startMonth = 12;
-      startYear--;
-    }
-    // Get last day of the new month
-    const lastDayOfMonth = new Date(Date.UTC(startYear, startMonth, 0)).getUTCDate();
-    startDay += lastDayOfMonth;
+
+  const { lookbackDays, timezone = BUSINESS_TIMEZONE, cutoffHour = 0, includeToday = false } = spec;
+  const local = formatInTimeZone(now, timezone);
+  const [year, month, day] = local.substring(0, 10).split('-').map(Number);
+  const hour = parseInt(local.substring(11, 13), 10);
+
+  // "Today" moves back a day until the cutoff hour, the range ends today or the day before
+  const today = Date.UTC(year, month - 1, day) - (hour < cutoffHour ? DAY_MS : 0);
+  const endDay = includeToday ? today : today - DAY_MS;
+  return buildDayRange(endDay - (lookbackDays - 1) * DAY_MS, endDay);
+};
+
+/**
+ * Spec of a named window: schedule-config.json "windows" first, then DATE_WINDOWS
+ * @param {string} name - Window name
+ * @param {Object} windows - Windows of schedule-config.json (optional)
+ * @returns {Object} Window spec
+ */
+export const getDateWindow = (name, windows = {}) => {
+  const spec = (windows && windows[name]) || DATE_WINDOWS[name];
+  if (!spec) {
+    const known = [...new Set([...Object.keys(windows || {}), ...Object.keys(DATE_WINDOWS)])];
+    throw new Error(`Unknown date window "${name}" (known windows: ${known.join(', ')})`);
   }
-  
-  // Create Date objects using UTC to avoid timezone issues
-  const startDate = new Date(Date.UTC(startYear, startMonth - 1, startDay, 0, 0, 0, 0));
-  const endDate = new Date(Date.UTC(endYear, endMonth - 1, endDay, 23, 59, 59, 999));
-  
-  // Format dates directly using our calculated values (avoids local timezone conversion issues)
-  const startDateFormatted = `${String(startMonth).padStart(2, '0')}/${String(startDay).padStart(2, '0')}/${startYear}`;
-  const endDateFormatted = `${String(endMonth).padStart(2, '0')}/${String(endDay).padStart(2, '0')}/${endYear}`;
-  const startDateURL = `${startYear}-${String(startMonth).padStart(2, '0')}-${String(startDay).padStart(2, '0')}`;
-  const endDateURL = `${endYear}-${String(endMonth).padStart(2, '0')}-${String(endDay).padStart(2, '0')}`;
-  
-  console.log(`[getPast15DaysRangeForCostSync] Date Range: ${startDateFormatted} to ${endDateFormatted}`);
-  
-  return {
-    startDate,
-    endDate,
-    startDateFormatted,
-    endDateFormatted,
-    startDateURL,
-    endDateURL
-  };
+  return spec;
 };
 
+// Resolve a named window (see getDateWindow) to a date range
+export const resolveNamedWindow = (name, windows = {}, now = new Date()) =>
+  resolveDateWindow(getDateWindow(name, windows), now);
+
+// Past 10 days (excluding today, IST)
+export const getPast10DaysRange = () => resolveNamedWindow('past-10-days');
+
+// Past 15 days for eLocal historical scraping (excluding today, IST with the noon cutoff)
+export const getPast15DaysRangeForHistorical = () => resolveNamedWindow('historical-15-days');
+
+// Past 15 days for the cost sync (including today, IST with the noon cutoff)
+export const getPast15DaysRangeForCostSync = () => resolveNamedWindow('cost-sync-15-days');
+
 // Get current day range (today only)
 export const getCurrentDayRange = () => {
   const today = new Date();
@@ -331,217 +154,15 @@ export const getCurrentDayRange = () => {
   };
 };
 
-// Get current day range with timezone logic (for CST timezone tracking)
-// If it's after 12:00 AM IST (midnight), fetch previous day's data (because CST is behind IST)
-// If it's 12:00 PM IST or later, fetch current day's data
-// IMPORTANT: Uses direct date component manipulation to avoid timezone issues
-export const getCurrentDayRangeWithTimezone = () => {
-  // Get current time in IST timezone
-  const now = new Date();
-  
-  // Get IST date components directly
-  const istDateString = now.toLocaleString('en-US', { 
-    timeZone: 'Asia/Kolkata',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-  
-  // Parse IST time string: format is "MM/DD/YYYY, HH:MM:SS"
-  const istParts = istDateString.match(/(\d{2})\/(\d{2})\/(\d{4}), (\d{2}):(\d{2}):(\d{2})/);
-  if (!istParts) {
-    // Fallback: use current date
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const endDate = new Date(today);
-    endDate.setHours(23, 59, 59, 999);
-    return {
-      startDate: today,
-      endDate,
-      startDateFormatted: formatDateForElocal(today),
-      endDateFormatted: formatDateForElocal(today),
-      startDateURL: formatDateForURL(today),
-      endDateURL: formatDateForURL(today)
-    };
-  }
-  
-  // Extract IST components
-  const monthIST = parseInt(istParts[1], 10);  // MM (1-12)
-  const dayIST = parseInt(istParts[2], 10);     // DD
-  const yearIST = parseInt(istParts[3], 10);    // YYYY
-  let hoursIST = parseInt(istParts[4], 10);     // HH (0-23)
-  
-  // Handle edge case where hour is 24 (should be 0 for midnight)
-  if (hoursIST === 24) {
-    hoursIST = 0;
-  }
-  
-  // Determine target date based on IST time
-  // Logic: If it's between 12:00 AM (00:00) and 11:59 AM IST, fetch previous day
-  //        If it's 12:00 PM (12:00) or later IST, fetch current day
-  // 
-  // Examples:
-  // - Nov 25, 12:05 AM IST → fetch Nov 24 (yesterday)
-  // - Nov 25, 3:05 AM IST → fetch Nov 24 (yesterday)
-  // - Nov 25, 9:05 PM IST → fetch Nov 25 (today)
-  
-  let targetYear, targetMonth, targetDay;
-  
-  if (hoursIST >= 0 && hoursIST < 12) {
-    // It's between 12:00 AM (midnight) and 11:59 AM IST, fetch previous day
-    // Work directly with date components to avoid timezone issues
-    if (dayIST > 1) {
-      // Simple case: just subtract 1 from day
-      targetYear = yearIST;
-      targetMonth = monthIST;
-      targetDay = dayIST - 1;
-    } else {
-      // Day is 1, need to go to previous month
-      if (monthIST > 1) {
-        // Go to previous month
-        targetYear = yearIST;
-        targetMonth = monthIST - 1;
-        // Get last day of previous month
-        const lastDayOfPrevMonth = new Date(Date.UTC(yearIST, monthIST - 1, 0)).getUTCDate();
-        targetDay = lastDayOfPrevMonth;
-      } else {
-        // Month is January (1), go to December of previous year
-        targetYear = yearIST - 1;
-        targetMonth = 12;
-        // Get last day of December
-        const lastDayOfDec = new Date(Date.UTC(yearIST - 1, 12, 0)).getUTCDate();
-        targetDay = lastDayOfDec;
-      }
-    }
-  } else {
-    // It's 12:00 PM (noon) or later IST, fetch current day
-    targetYear = yearIST;
-    targetMonth = monthIST;
-    targetDay = dayIST;
-  }
-  
-  // Create Date objects using UTC to avoid timezone issues
-  const targetDate = new Date(Date.UTC(targetYear, targetMonth - 1, targetDay, 0, 0, 0, 0));
-  const endDate = new Date(Date.UTC(targetYear, targetMonth - 1, targetDay, 23, 59, 59, 999));
-  
-  return {
-    startDate: targetDate,
-    endDate,
-    startDateFormatted: formatDateForElocal(targetDate),
-    endDateFormatted: formatDateForElocal(targetDate),
-    startDateURL: formatDateForURL(targetDate),
-    endDateURL: formatDateForURL(targetDate)
-  };
-};
+// Current day for the current-day scrape (IST with the noon cutoff: until 12:00 PM IST the US day of interest is
+// still the previous IST day)
+export const getCurrentDayRangeWithTimezone = () => resolveNamedWindow('current-day');
 
-// Get date range for Ringba sync based on IST timezone
-// If it's after 12 AM IST (midnight), fetch previous day's data (because Ringba uses CST which is behind IST)
-// If it's 12 PM IST or later, fetch current day's data
-// IMPORTANT: Uses direct date component manipulation to avoid timezone issues
-export const getRingbaSyncDateRange = () => {
-  // Get current time in IST timezone
-  const now = new Date();
-  const istDateString = now.toLocaleString('en-US', { 
-    timeZone: 'Asia/Kolkata',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-  
-  // Parse IST time string: format is "MM/DD/YYYY, HH:MM:SS"
-  const istParts = istDateString.match(/(\d{2})\/(\d{2})\/(\d{4}), (\d{2}):(\d{2}):(\d{2})/);
-  if (!istParts) {
-    // Fallback: use current date
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const endDate = new Date(today);
-    endDate.setHours(23, 59, 59, 999);
-    return {
-      startDate: today,
-      endDate,
-      startDateFormatted: formatDateForElocal(today),
-      endDateFormatted: formatDateForElocal(today),
-      startDateURL: formatDateForURL(today),
-      endDateURL: formatDateForURL(today)
-    };
-  }
-  
-  // Extract IST components
-  const monthIST = parseInt(istParts[1], 10);  // MM (1-12)
-  const dayIST = parseInt(istParts[2], 10);     // DD
-  const yearIST = parseInt(istParts[3], 10);    // YYYY
-  let hoursIST = parseInt(istParts[4], 10);     // HH (0-23)
-  
-  // Handle edge case where hour is 24 (should be 0 for midnight)
-  if (hoursIST === 24) {
-    hoursIST = 0;
-  }
-  
-  // Determine target date based on IST time
-  // Logic: If it's between 12:00 AM (00:00) and 11:59 AM IST, fetch previous day
-  //        If it's 12:00 PM (12:00) or later IST, fetch current day
-  // 
-  // Examples:
-  // - Nov 25, 12:05 AM IST → fetch Nov 24 (yesterday)
-  // - Nov 25, 3:05 AM IST → fetch Nov 24 (yesterday)
-  // - Nov 25, 9:05 PM IST → fetch Nov 25 (today)
-  
-  let targetYear, targetMonth, targetDay;
-  
-  if (hoursIST >= 0 && hoursIST < 12) {
-    // It's between 12:00 AM (midnight) and 11:59 AM IST, fetch previous day
-    // Work directly with date components to avoid timezone issues
-    if (dayIST > 1) {
-      // Simple case: just subtract 1 from day
-      targetYear = yearIST;
-      targetMonth = monthIST;
-      targetDay = dayIST - 1;
-    } else {
-      // Day is 1, need to go to previous month
-      if (monthIST > 1) {
-        // Go to previous month
-        targetYear = yearIST;
-        targetMonth = monthIST - 1;
-        // Get last day of previous month
-        const lastDayOfPrevMonth = new Date(Date.UTC(yearIST, monthIST - 1, 0)).getUTCDate();
-        targetDay = lastDayOfPrevMonth;
-      } else {
-        // Month is January (1), go to December of previous year
-        targetYear = yearIST - 1;
-        targetMonth = 12;
-        // Get last day of December
-        const lastDayOfDec = new Date(Date.UTC(yearIST - 1, 12, 0)).getUTCDate();
-        targetDay = lastDayOfDec;
-      }
-    }
-  } else {
-    // It's 12:00 PM (noon) or later IST, fetch current day
-    targetYear = yearIST;
-    targetMonth = monthIST;
-    targetDay = dayIST;
-  }
-  
-  // Create Date objects using UTC to avoid timezone issues
-  const targetDate = new Date(Date.UTC(targetYear, targetMonth - 1, targetDay, 0, 0, 0, 0));
-  const endDate = new Date(Date.UTC(targetYear, targetMonth - 1, targetDay, 23, 59, 59, 999));
-  
-  return {
-    startDate: targetDate,
-    endDate,
-    startDateFormatted: formatDateForElocal(targetDate),
-    endDateFormatted: formatDateForElocal(targetDate),
-    startDateURL: formatDateForURL(targetDate),
-    endDateURL: formatDateForURL(targetDate)
-  };
-};
+// Day for the Ringba syncs, same window as the current-day scrape (Ringba reports CST, which is behind IST)
+export const getRingbaSyncDateRange = () => resolveNamedWindow('current-day');
+
+// Past 15 days for the payout comparison (including today's IST date, no noon cutoff)
+export const getPast15DaysRangeForPayoutComparison = () => resolveNamedWindow('payout-comparison-15-days');
 
 // Format date for eLocal API (MM/DD/YYYY)
 const formatDateForElocal = (date) => {
@@ -559,10 +180,69 @@ const formatDateForURL = (date) => {
   return `${year}-${month}-${day}`;
 };
 
+
+
+// YYYY-MM-DD strings for every day of a range
+// The day strings of the range are used when it has them (window ranges hold UTC-midnight Dates, which the
+// server's local getters would shift to the previous day west of UTC)
+export const listDays = (dateRange) => {
+  if (dateRange.startDateURL && dateRange.endDateURL) {
+    const days = [];
+    const end = Date.parse(`${dateRange.endDateURL}T00:00:00Z`);
+    for (let day = Date.parse(`${dateRange.startDateURL}T00:00:00Z`); day <= end; day += DAY_MS) {
+      days.push(new Date(day).toISOString().substring(0, 10));
+    }
+    return days;
+  }
+
+  const days = [];
+  const current = new Date(dateRange.startDate);
+  current.setHours(0, 0, 0, 0);
+  const end = new Date(dateRange.endDate);
+  while (current <= end) {
+    const month = String(current.getMonth() + 1).padStart(2, '0');
+    const day = String(current.getDate()).padStart(2, '0');
+    days.push(`${current.getFullYear()}-${month}-${day}`);
+    current.setDate(current.getDate() + 1);
+  }
+  return days;
+};
+
+// First and last day (YYYY-MM-DD) of a range, by the same rule as listDays: the range's day strings when it has them,
+// else the calendar days of startDate/endDate in server time (explicit ranges built at local midnight)
+export const getRangeDays = (dateRange) => {
+  if (dateRange.startDateURL && dateRange.endDateURL) {
+    return [dateRange.startDateURL, dateRange.endDateURL];
+  }
+  const formatDay = (value) => {
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  };
+  return [formatDay(dateRange.startDate), formatDay(dateRange.endDate)];
+};
+
+// Build a date range for explicit start/end dates (start of start day to end of end day, server timezone)
+// Same shape as the range helpers above, so it can be passed to any sync/scrape service
+export const createDateRange = (startDate, endDate) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  start.setHours(0, 0, 0, 0);
+  end.setHours(23, 59, 59, 999);
+
+  return {
+    startDate: start,
+    endDate: end,
+    startDateFormatted: formatDateForElocal(start),
+    endDateFormatted: formatDateForElocal(end),
+    startDateURL: formatDateForURL(start),
+    endDateURL: formatDateForURL(end)
+  };
+};
+
 // Get human-readable date range description
 export const getDateRangeDescription = (dateRange) => {
-  const start = formatDateForElocal(dateRange.startDate);
-  const end = formatDateForElocal(dateRange.endDate);
+  const start = dateRange.startDateFormatted || formatDateForElocal(dateRange.startDate);
+  const end = dateRange.endDateFormatted || formatDateForElocal(dateRange.endDate);
   if (start === end) {
     return start;
   }
@@ -1,5 +1,4 @@
 // Comprehensive error handling and logging utilities
-import * as R from 'ramda';
 import * as E from 'fp-ts/lib/Either.js';
 import * as TE from 'fp-ts/lib/TaskEither.js';
 import * as T from 'fp-ts/lib/Task.js';
@@ -119,7 +118,8 @@ export const createErrorHandler = (logger) => (error) => {
 };
 
 // Retry with exponential backoff
-export const withRetryAndBackoff = (maxRetries) => (baseDelay) => (operation) =>
+// shouldRetry(error): errors it returns false for fail at once (e.g. a 4xx answer that would fail again)
+export const withRetryAndBackoff = (maxRetries, shouldRetry = () => true) => (baseDelay) => (operation) =>
   TE.tryCatch(
     async () => {
       let lastError;
@@ -128,6 +128,9 @@ export const withRetryAndBackoff = (maxRetries) => (baseDelay) => (operation) =>
           return await operation();
         } catch (error) {
           lastError = error;
+          if (!shouldRetry(error)) {
+            break;
+          }
           if (i < maxRetries - 1) {
             const delay = baseDelay * Math.pow(2, i);
             await new Promise(resolve => setTimeout(resolve, delay));
@@ -242,8 +245,11 @@ export const recoverWithRetry = (maxRetries) => (operation) => (error) => {
 
 // Error aggregation
 export const aggregateErrors = (errors) => {
-  const errorCounts = R.countBy(R.prop('type'), errors);
-  const errorMessages = R.map(R.prop('message'), errors);
+  const errorCounts = errors.reduce((counts, error) => {
+    counts[error.type] = (counts[error.type] || 0) + 1;
+    return counts;
+  }, {});
+  const errorMessages = errors.map(error => error.message);
   
   return {
     totalErrors: errors.length,
@@ -318,9 +324,11 @@ export class CircuitBreaker {
 }
 
 // Error monitoring and alerting
-export const createErrorMonitor = (logger) => {
+// onThreshold(errorType, count) is called once per error type when it reaches the threshold, e.g. to send an alert
+// with the dispatcher in src/alerts/dispatcher.js
+export const createErrorMonitor = (logger, { threshold = 10, onThreshold = null } = {}) => {
   const errorCounts = new Map();
-  const alertThreshold = 10;
+  const alertThreshold = threshold;
   
   return (error) => {
     const errorType = error.type || 'UNKNOWN_ERROR';
@@ -333,6 +341,11 @@ export const createErrorMonitor = (logger) => {
         threshold: alertThreshold
       });
     }
+    if (count + 1 === alertThreshold && onThreshold) {
+      Promise.resolve()
+        .then(() => onThreshold(errorType, count + 1))
+        .catch(alertError => logger.warn(`Failed to send threshold alert for ${errorType}`, { error: alertError.message }));
+    }
     
     return error;
   };
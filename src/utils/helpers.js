@@ -1,5 +1,5 @@
 // Helper functions for processing scraping data
-import { normalizeDateTime } from './date-normalizer.js';
+import { normalizeDateTime, getElocalSourceTimeZone } from './date-normalizer.js';
 
 // Create a new scraping session object
 export const createSession = () => {
@@ -70,6 +70,7 @@ export const processCampaignCalls = (rawCalls) => {
       const processedCall = {
         callerId: call.callerId || '',
         dateOfCall: normalizedDateTime, // Use normalized date+time (YYYY-MM-DDTHH:mm:ss) with sequence if needed
+        sourceTimezone: getElocalSourceTimeZone(call.dateOfCall), // Zone of dateOfCall (from "EST"/"CDT"/...), for call_at
         campaignPhone: call.campaignPhone || '(877) 834-1273',
         payout: parseFloat(call.payout) || 0,
         category: call.category || 'STATIC',
@@ -0,0 +1,154 @@
+// Structured log capture for job runs (service_logs table)
+// While a job run is active (see trackJobRun in src/services/job-runs.js), every console.log/info/warn/error
+// call made inside it is also stored as an event: { jobRunId, service, level, message, context, timestamp }.
+// The run is tracked with AsyncLocalStorage, so concurrent runs in one process (orchestrator) keep their own logs.
+// Events are buffered and inserted in batches; storage is best effort and never breaks the service.
+import { AsyncLocalStorage } from 'async_hooks';
+import { dbOps } from '../database/postgres-operations.js';
+
+const runLogStorage = new AsyncLocalStorage();
+
+const FLUSH_INTERVAL_MS = 2000;
+const FLUSH_BATCH_SIZE = 200;
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Level tags used by the services' log lines ("[ERROR] ...", "[SUCCESS] ...")
+const LEVEL_TAGS = {
+  ERROR: 'error',
+  WARN: 'warn',
+  WARNING: 'warn',
+  SUCCESS: 'success',
+  SKIP: 'skip',
+  INFO: 'info',
+  DEBUG: 'debug'
+};
+
+export const LOG_LEVELS = ['debug', 'info', 'success', 'skip', 'warn', 'error'];
+
+let originalConsole = null;
+
+// Level of a log line: its [TAG] when it has one, otherwise the console method's level
+const detectLevel = (message, fallback) => {
+  const match = message.match(/^\s*\[([A-Z]+)\]/);
+  return (match && LEVEL_TAGS[match[1]]) || fallback;
+};
+
+const serializeArg = (arg) => {
+  if (arg instanceof Error) {
+    return { error: arg.message, stack: arg.stack };
+  }
+  try {
+    return JSON.parse(JSON.stringify(arg));
+  } catch {
+    return String(arg);
+  }
+};
+
+// console arguments -> { message, context }: strings and numbers form the message, objects and errors the context
+const toEvent = (args, fallbackLevel) => {
+  const parts = [];
+  const objects = [];
+
+  for (const arg of args) {
+    if (arg !== null && typeof arg === 'object') {
+      objects.push(serializeArg(arg));
+      if (arg instanceof Error) {
+        parts.push(arg.message);
+      }
+    } else {
+      parts.push(String(arg));
+    }
+  }
+
+  const message = parts.join(' ').slice(0, MAX_MESSAGE_LENGTH);
+  return {
+    level: detectLevel(message, fallbackLevel),
+    message,
+    context: objects.length === 0 ? null : { data: objects.length === 1 ? objects[0] : objects }
+  };
+};
+
+const flush = async (store) => {
+  if (store.disabled || store.buffer.length === 0) {
+    return;
+  }
+
+  const batch = store.buffer.splice(0, store.buffer.length);
+  try {
+    // Outside the run's context, so log lines printed by the insert are not captured again
+    await runLogStorage.exit(() => dbOps(store.config).insertServiceLogs(batch));
+  } catch (error) {
+    store.disabled = true;
+    originalConsole.warn(`[WARN] Failed to store logs of job run #${store.runId} in service_logs: ${error.message}`);
+  }
+};
+
+const capture = (args, fallbackLevel) => {
+  const store = runLogStorage.getStore();
+  if (!store || store.disabled) {
+    return;
+  }
+
+  const event = toEvent(args, fallbackLevel);
+  if (!event.message && !event.context) {
+    return;
+  }
+
+  store.buffer.push({
+    jobRunId: store.runId,
+    service: store.service,
+    ...event,
+    timestamp: new Date()
+  });
+  if (store.buffer.length >= FLUSH_BATCH_SIZE) {
+    flush(store).catch(() => {});
+  }
+};
+
+/**
+ * Wrap console.log/info/warn/error so calls made inside a job run are captured (idempotent).
+ * Works together with file-logger.js: whichever wraps console last calls the other.
+ */
+export const installConsoleCapture = () => {
+  if (originalConsole) {
+    return;
+  }
+
+  originalConsole = {
+    log: console.log,
+    info: console.info,
+    warn: console.warn,
+    error: console.error
+  };
+
+  const wrap = (method, level) => (...args) => {
+    originalConsole[method](...args);
+    capture(args, level);
+  };
+
+  console.log = wrap('log', 'info');
+  console.info = wrap('info', 'info');
+  console.warn = wrap('warn', 'warn');
+  console.error = wrap('error', 'error');
+};
+
+/**
+ * Run fn with console capture for one job run; stored logs are flushed before this resolves
+ * @param {Object} run - { runId, service, config } (runId: job_runs.id, service: job type, config: dbOps config)
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} The result of fn()
+ */
+export const withRunLogs = async ({ runId, service, config }, fn) => {
+  installConsoleCapture();
+
+  const store = { runId, service, config: config || {}, buffer: [], disabled: false };
+  const timer = setInterval(() => flush(store).catch(() => {}), FLUSH_INTERVAL_MS);
+  timer.unref();
+
+  try {
+    return await runLogStorage.run(store, fn);
+  } finally {
+    clearInterval(timer);
+    await flush(store);
+  }
+};
@@ -0,0 +1,137 @@
+// IANA time zone helpers (Intl, i.e. the ICU time zone database bundled with Node - no server TZ involved)
+// Call times arrive as wall-clock strings: eLocal in US Eastern ("11/18/25 04:38 PM EST"), Ringba in UTC, which
+// the original sync converts to Eastern so both sides line up. elocal_call_data.date_of_call and
+// ringba_calls.call_date_time keep those wall-clock strings; call_at holds the instant (timestamptz) and
+// source_timezone the zone the wall-clock string is in.
+
+// Zone of the stored call wall-clock strings, and the zone call days are counted in (reports, matching, filters)
+export const CALL_TIMEZONE = 'America/New_York';
+
+// Zone abbreviations eLocal may append to a time, mapped to the zone they come from
+const ABBREVIATION_ZONES = {
+  EST: 'America/New_York',
+  EDT: 'America/New_York',
+  CST: 'America/Chicago',
+  CDT: 'America/Chicago',
+  MST: 'America/Denver',
+  MDT: 'America/Denver',
+  PST: 'America/Los_Angeles',
+  PDT: 'America/Los_Angeles',
+  UTC: 'UTC',
+  GMT: 'UTC'
+};
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// { year, month, day, hour, minute, second } of an instant in a zone
+const partsInZone = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date)
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, parseInt(part.value, 10)])
+  );
+  return parts;
+};
+
+// Whether the zone name is a valid IANA zone
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Zone of an abbreviation found in a time string ("... 04:38 PM CDT"), or null
+export const zoneFromAbbreviation = (text) => {
+  const match = String(text || '').match(/\b(EST|EDT|CST|CDT|MST|MDT|PST|PDT|UTC|GMT)\b/i);
+  return match ? ABBREVIATION_ZONES[match[1].toUpperCase()] : null;
+};
+
+// Offset of the zone from UTC at an instant, in milliseconds (e.g. -4h for New York in summer)
+export const getTimeZoneOffsetMs = (timeZone, date) => {
+  const p = partsInZone(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock time in a zone
+ * In the repeated hour when clocks go back the earlier instant is used; a time skipped when clocks go forward is
+ * moved forward by the gap (02:30 on the spring-forward day is 03:30).
+ * @param {string} wallClock - 'YYYY-MM-DDTHH:mm:ss' or 'YYYY-MM-DD' (midnight)
+ * @param {string} timeZone - IANA zone, e.g. 'America/New_York'
+ * @returns {Date|null}
+ */
+export const wallClockToInstant = (wallClock, timeZone = CALL_TIMEZONE) => {
+  const match = String(wallClock || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const asUtc = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  if (isNaN(asUtc)) {
+    return null;
+  }
+
+  // Around DST changes the offset at the first guess can differ from the offset at the result: try both offsets and
+  // keep the instants that really show this wall-clock time (two in the repeated hour, none in the skipped one)
+  const firstOffset = getTimeZoneOffsetMs(timeZone, new Date(asUtc));
+  const secondOffset = getTimeZoneOffsetMs(timeZone, new Date(asUtc - firstOffset));
+  const candidates = [asUtc - firstOffset, asUtc - secondOffset];
+  const valid = candidates.filter(instant => getTimeZoneOffsetMs(timeZone, new Date(instant)) === asUtc - instant);
+  return new Date(valid.length > 0 ? Math.min(...valid) : Math.max(...candidates));
+};
+
+// Wall-clock 'YYYY-MM-DDTHH:mm:ss' of an instant in a zone
+export const formatInTimeZone = (date, timeZone = CALL_TIMEZONE) => {
+  const p = partsInZone(date, timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+};
+
+// Day 'YYYY-MM-DD' of an instant in a zone
+export const dayInTimeZone = (date, timeZone = CALL_TIMEZONE) => formatInTimeZone(date, timeZone).substring(0, 10);
+
+/**
+ * Instants bounding call days, for call_at filters: call_at >= start AND call_at < end
+ * @param {string} firstDay - 'YYYY-MM-DD'
+ * @param {string} lastDay - 'YYYY-MM-DD' (inclusive, default firstDay)
+ * @returns {{start: Date, end: Date}} start of firstDay, start of the day after lastDay
+ */
+export const callDayBounds = (firstDay, lastDay = firstDay, timeZone = CALL_TIMEZONE) => {
+  const [year, month, day] = lastDay.split('-').map(Number);
+  const nextDay = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().substring(0, 10);
+  return {
+    start: wallClockToInstant(firstDay, timeZone),
+    end: wallClockToInstant(nextDay, timeZone)
+  };
+};
+
+/**
+ * SQL expression for the call day of a timestamptz column, e.g. (call_at AT TIME ZONE 'America/New_York')::date
+ * The zone is checked against the IANA database before it goes into the SQL.
+ */
+export const callDaySql = (column = 'call_at', timeZone = CALL_TIMEZONE) => {
+  if (!isValidTimeZone(timeZone) || !/^[A-Za-z0-9_/+-]+$/.test(timeZone)) {
+    throw new Error(`Invalid time zone: ${timeZone}`);
+  }
+  return `(${column} AT TIME ZONE '${timeZone}')::date`;
+};
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Local alert sink - receives the alerts of the webhook, Slack and SMTP channels and prints them
+ *
+ * Point the alert channels at it with the environment variables printed on start.
+ *
+ * Usage:
+ *   node start-alert-sink.js [--port=4030] [--smtp-port=4025] [--host=127.0.0.1]
+ *   npm run mock:alerts
+ *
+ * Example:
+ *   npm run mock:alerts &
+ *   ALERT_WEBHOOK_URL=http://127.0.0.1:4030/webhook ALERT_SLACK_WEBHOOK_URL=http://127.0.0.1:4030/slack \
+ *     ALERT_SMTP_HOST=127.0.0.1 ALERT_SMTP_PORT=4025 ALERT_SMTP_TO=ops@example.com \
+ *     npm run cli -- alerts test
+ *
+ * See ALERTS_README.md for the alert rules and channel settings.
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { startAlertSink } from './src/mocks/alert-sink.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '.env') });
+
+// Parse --flags
+const parseFlags = (args) => {
+  const flags = {
+    port: parseInt(process.env.ALERT_SINK_PORT || '4030', 10),
+    smtpPort: parseInt(process.env.ALERT_SINK_SMTP_PORT || '4025', 10),
+    host: process.env.ALERT_SINK_HOST || '127.0.0.1'
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith('--port=')) {
+      flags.port = parseInt(arg.substring('--port='.length), 10);
+    } else if (arg.startsWith('--smtp-port=')) {
+      flags.smtpPort = parseInt(arg.substring('--smtp-port='.length), 10);
+    } else if (arg.startsWith('--host=')) {
+      flags.host = arg.substring('--host='.length);
+    } else {
+      flags.unknown = arg;
+    }
+  }
+
+  return flags;
+};
+
+const main = async () => {
+  const flags = parseFlags(process.argv.slice(2));
+
+  if (flags.unknown || isNaN(flags.port) || isNaN(flags.smtpPort)) {
+    if (flags.unknown) {
+      console.error(`Error: Unknown option "${flags.unknown}"`);
+    }
+    console.error('Usage: node start-alert-sink.js [--port=4030] [--smtp-port=4025] [--host=127.0.0.1]');
+    process.exit(1);
+  }
+
+  try {
+    const { server, smtpServer, url, smtpPort } = await startAlertSink(flags);
+
+    console.log('='.repeat(70));
+    console.log('Alert Sink');
+    console.log('='.repeat(70));
+    console.log(`HTTP: ${url}   SMTP: ${flags.host}:${smtpPort}`);
+    console.log('');
+    console.log('Use it with:');
+    console.log(`  ALERT_WEBHOOK_URL=${url}/webhook`);
+    console.log(`  ALERT_SLACK_WEBHOOK_URL=${url}/slack`);
+    console.log(`  ALERT_SMTP_HOST=${flags.host} ALERT_SMTP_PORT=${smtpPort} ALERT_SMTP_TO=ops@example.com`);
+    console.log(`Received alerts: ${url}/__mock/state`);
+    console.log('Press Ctrl+C to stop.');
+    console.log('='.repeat(70));
+
+    const shutdown = () => {
+      smtpServer.close();
+      server.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    console.error('[ERROR] Failed to start alert sink:', error.message);
+    process.exit(1);
+  }
+};
+
+main();
@@ -14,42 +14,27 @@
  *   npm run scheduler:auth-refresh
  * 
  * To stop the scheduler, press Ctrl+C
+ * 
+ * NOTE: This job is also registered by the orchestrator (src/services/scheduler.js,
+ * schedule-config.json). Run either the orchestrator or this script, not both.
  */
 
 import cron from 'node-cron';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import dotenv from 'dotenv';
 import * as TE from 'fp-ts/lib/TaskEither.js';
-import { refreshAuthSession } from './src/services/auth-refresh.js';
+import {
+  refreshAuthSession,
+  getLastSuccessfulSessionTime,
+  shouldRefreshAuthSession
+} from './src/services/auth-refresh.js';
 import {
   initFileLogger,
   setupConsoleLogging,
   closeLogger
 } from './src/utils/file-logger.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const PROJECT_ROOT = join(__dirname, '.');
-
-// Load environment variables
-dotenv.config({ path: join(PROJECT_ROOT, '.env') });
-
-// Build config from environment variables
-const buildConfig = () => {
-  return {
-    elocalBaseUrl: process.env.ELOCAL_BASE_URL || 'https://elocal.com',
-    elocalUsername: process.env.ELOCAL_USERNAME,
-    elocalPassword: process.env.ELOCAL_PASSWORD,
-    dbHost: process.env.POSTGRES_HOST || process.env.DB_HOST,
-    dbPort: parseInt(process.env.POSTGRES_PORT || process.env.DB_PORT || '5432'),
-    dbName: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-    dbUser: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-    dbPassword: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-    dbSsl: process.env.DB_SSL === 'true',
-    timeoutMs: parseInt(process.env.AUTH_REFRESH_TIMEOUT_MS || '30000')
-  };
-};
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 // Get IST time string
 const getISTTime = () => {
@@ -66,92 +51,6 @@ const getISTTime = () => {
   });
 };
 
-// Get last successful session creation time from database
-const getLastSuccessfulSessionTime = async (config) => {
-  try {
-    const pg = await import('pg');
-    const { Pool } = pg;
-    
-    const pool = new Pool({
-      host: config.dbHost || process.env.DB_HOST,
-      port: config.dbPort || process.env.DB_PORT || 5432,
-      database: config.dbName || process.env.DB_NAME,
-      user: config.dbUser || process.env.DB_USER,
-      password: config.dbPassword || process.env.DB_PASSWORD,
-      ssl: config.dbSsl ? { rejectUnauthorized: false } : false
-    });
-    
-    const client = await pool.connect();
-    try {
-      // Get the most recent working session (even if expired)
-      const query = `
-        SELECT created_at, expires_at
-        FROM auth_sessions
-        WHERE is_working = TRUE
-        ORDER BY created_at DESC
-        LIMIT 1
-      `;
-      
-      const result = await client.query(query);
-      
-      if (result.rows.length === 0) {
-        return null; // No previous session found
-      }
-      
-      return {
-        createdAt: new Date(result.rows[0].created_at),
-        expiresAt: new Date(result.rows[0].expires_at)
-      };
-    } finally {
-      client.release();
-      await pool.end();
-    }
-  } catch (error) {
-    console.error('[Scheduler] Error getting last session from database:', error.message);
-    return null;
-  }
-};
-
-// Check if we should run the refresh
-// Returns: { shouldRun: boolean, reason: string, daysSinceLastRun?: number }
-const shouldRun = async (config) => {
-  const lastSession = await getLastSuccessfulSessionTime(config);
-  
-  if (!lastSession) {
-    return { shouldRun: true, reason: 'No previous session found - first run' };
-  }
-  
-  const now = new Date();
-  const daysSinceLastRun = Math.floor((now - lastSession.createdAt) / (1000 * 60 * 60 * 24));
-  const hoursUntilExpiry = (lastSession.expiresAt - now) / (1000 * 60 * 60);
-  
-  // Check if session is expired or about to expire (within 6 hours)
-  if (hoursUntilExpiry <= 6) {
-    return { 
-      shouldRun: true, 
-      reason: `Session expires in ${hoursUntilExpiry.toFixed(1)} hours - refreshing proactively`,
-      daysSinceLastRun,
-      hoursUntilExpiry: hoursUntilExpiry.toFixed(1)
-    };
-  }
-  
-  // Check if 3 days have passed since last refresh
-  if (daysSinceLastRun >= 3) {
-    return { 
-      shouldRun: true, 
-      reason: `${daysSinceLastRun} days since last refresh - scheduled refresh`,
-      daysSinceLastRun
-    };
-  }
-  
-  return { 
-    shouldRun: false, 
-    reason: `Only ${daysSinceLastRun} days since last refresh (need 3 days)`,
-    daysSinceLastRun,
-    hoursUntilExpiry: hoursUntilExpiry.toFixed(1)
-  };
-};
-
 // Job execution wrapper with error handling
 const executeAuthRefresh = async (config, scheduleName) => {
   const startTime = Date.now();
@@ -163,7 +62,7 @@ const executeAuthRefresh = async (config, scheduleName) => {
   console.log('='.repeat(70));
   
   // Check if we should run (every 3 days or if session is about to expire)
-  const runCheck = await shouldRun(config);
+  const runCheck = await shouldRefreshAuthSession(config);
   if (!runCheck.shouldRun) {
     console.log(`[INFO] Skipping run - ${runCheck.reason}`);
     if (runCheck.hoursUntilExpiry) {
@@ -238,7 +137,7 @@ const executeAuthRefresh = async (config, scheduleName) => {
 // Main scheduler class
 class AuthRefreshScheduler {
   constructor() {
-    this.appConfig = buildConfig();
+    this.appConfig = null; // loaded and validated in initialize()
     this.tasks = new Map();
     this.jobStats = new Map();
     this.isRunning = false;
@@ -290,27 +189,9 @@ class AuthRefreshScheduler {
     // Initialize file logging
     await this.initializeLogging();
     
-    // Validate required config
-    const requiredVars = [
-      { env: 'ELOCAL_USERNAME' },
-      { env: 'ELOCAL_PASSWORD' },
-      { env: 'POSTGRES_HOST', alt: 'DB_HOST' },
-      { env: 'POSTGRES_DB_NAME', alt: 'DB_NAME' },
-      { env: 'POSTGRES_USER_NAME', alt: 'DB_USER' },
-      { env: 'POSTGRES_PASSWORD', alt: 'DB_PASSWORD' }
-    ];
-    
-    const missingVars = requiredVars.filter(
-      ({ env, alt }) => !process.env[env] && !process.env[alt]
-    );
-    
-    if (missingVars.length > 0) {
-      console.error('[ERROR] Missing required environment variables:');
-      missingVars.forEach(({ env, alt }) => 
-        console.error(`  - ${env}${alt ? ` (or ${alt})` : ''}`)
-      );
-      process.exit(1);
-    }
+    // Load and validate config (.env / .env.<profile>); exits listing what is missing
+    this.appConfig = loadConfigOrExit('db', 'elocalLogin');
+    console.log(`[INFO] Profile: ${this.appConfig.profile}`);
     
     console.log(`[INFO] eLocal Base URL: ${this.appConfig.elocalBaseUrl}`);
     console.log(`[INFO] Database: ${this.appConfig.dbHost}:${this.appConfig.dbPort}/${this.appConfig.dbName}`);
@@ -18,10 +18,15 @@
  * 
  * Both services will scrape data for today and yesterday.
  * 
+ * The current-day scrape is normally the first step of a pipeline in schedule-config.json
+ * (run by src/services/scheduler.js); this script runs only that scrape step, at the
+ * pipeline's times, plus any standalone "current" services.
+ * 
  * To stop the scheduler, press Ctrl+C
  */
 
 import { ElocalScheduler } from './src/services/scheduler.js';
+import { getCategories } from './src/config/campaign-registry.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -42,11 +47,32 @@ const loadScheduleConfig = () => {
   }
 };
 
+// Standalone "current" services plus the current-day scrape step of every enabled pipeline
+// (one service per category, so the scrape runs without the downstream steps)
+const getCurrentServices = (config) => {
+  const standalone = config.services.filter(s => s.type === 'current' && s.enabled);
+
+  const fromPipelines = config.services
+    .filter(s => s.type === 'pipeline' && s.enabled)
+    .flatMap(pipeline => (pipeline.steps || [])
+      .filter(step => step.type === 'current')
+      .flatMap(step => {
+        const category = step.category || pipeline.category;
+        return (category ? [category] : getCategories()).map(c => ({
+          name: `${pipeline.name} - Current ${c} (scrape only)`,
+          type: 'current',
+          category: c,
+          enabled: true,
+          schedule: pipeline.schedule
+        }));
+      }));
+
+  return [...standalone, ...fromPipelines];
+};
+
 // Verify current services are configured
 const verifyCurrentServices = (config) => {
-  const currentServices = config.services.filter(
-    s => s.type === 'current' && s.enabled
-  );
+  const currentServices = getCurrentServices(config);
   
   const apiServices = currentServices.filter(s => s.category === 'API');
   const staticServices = currentServices.filter(s => s.category === 'STATIC');
@@ -124,7 +150,7 @@ const main = async () => {
   // This must be done before calling start() which calls initialize()
   scheduler.config = {
     ...config,
-    services: config.services.filter(s => s.type === 'current' && s.enabled)
+    services: getCurrentServices(config)
   };
   
   // Setup graceful shutdown
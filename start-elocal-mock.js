@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Local eLocal API v2 mock - replays the captured elocal_api_*.txt responses for GET /{uuid}/calls.json
+ *
+ * Point the services at it with ELOCAL_API_BASE_URL (printed on start). start_date/end_date (end date exclusive,
+ * midnight Eastern) and sortBy/sortOrder behave like the live API.
+ *
+ * Usage:
+ *   node start-elocal-mock.js [--port=4020] [--host=127.0.0.1] [--campaigns=<campaigns.json>]
+ *   npm run mock:elocal
+ *
+ * Example:
+ *   npm run mock:elocal &
+ *   ELOCAL_API_BASE_URL=http://127.0.0.1:4020 ELOCAL_API_KEY=mock node src/services/elocal-api-fetch.js API 2026-01-29
+ *
+ * See ELOCAL_MOCK_README.md for the fixture format.
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { startElocalMock, DEFAULT_ELOCAL_CAMPAIGNS_FILE } from './src/mocks/elocal-mock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '.env') });
+
+// Parse --flags
+const parseFlags = (args) => {
+  const flags = {
+    port: parseInt(process.env.ELOCAL_MOCK_PORT || '4020', 10),
+    host: process.env.ELOCAL_MOCK_HOST || '127.0.0.1',
+    campaignsFile: process.env.ELOCAL_MOCK_CAMPAIGNS || DEFAULT_ELOCAL_CAMPAIGNS_FILE
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith('--port=')) {
+      flags.port = parseInt(arg.substring('--port='.length), 10);
+    } else if (arg.startsWith('--host=')) {
+      flags.host = arg.substring('--host='.length);
+    } else if (arg.startsWith('--campaigns=')) {
+      flags.campaignsFile = resolve(arg.substring('--campaigns='.length));
+    } else {
+      flags.unknown = arg;
+    }
+  }
+
+  return flags;
+};
+
+const main = async () => {
+  const flags = parseFlags(process.argv.slice(2));
+
+  if (flags.unknown || isNaN(flags.port)) {
+    if (flags.unknown) {
+      console.error(`Error: Unknown option "${flags.unknown}"`);
+    }
+    console.error('Usage: node start-elocal-mock.js [--port=4020] [--host=127.0.0.1] [--campaigns=<campaigns.json>]');
+    process.exit(1);
+  }
+
+  try {
+    const { server, baseUrl } = await startElocalMock(flags);
+
+    console.log('='.repeat(70));
+    console.log('eLocal API Mock');
+    console.log('='.repeat(70));
+    console.log(`Campaigns: ${flags.campaignsFile}`);
+    console.log(`Listening: ${baseUrl}`);
+    console.log('');
+    console.log(`Use it with: ELOCAL_API_BASE_URL=${baseUrl}`);
+    console.log('Press Ctrl+C to stop.');
+    console.log('='.repeat(70));
+
+    const shutdown = () => {
+      server.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    console.error('[ERROR] Failed to start eLocal mock:', error.message);
+    process.exit(1);
+  }
+};
+
+main();
@@ -20,6 +20,9 @@
  *   npm run scheduler:payout-comparison
  * 
  * To stop the scheduler, press Ctrl+C
+ * 
+ * NOTE: This job is also registered by the orchestrator (src/services/scheduler.js,
+ * schedule-config.json). Run either the orchestrator or this script, not both.
  */
 
 import cron from 'node-cron';
@@ -27,7 +30,7 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import dotenv from 'dotenv';
 import { syncPayoutComparisonForDateRange } from './src/services/payout-comparison-sync.js';
-import { getDateRangeDescription } from './src/utils/date-utils.js';
+import { getDateRangeDescription, getPast15DaysRangeForPayoutComparison } from './src/utils/date-utils.js';
 import {
   initFileLogger,
   setupConsoleLogging,
@@ -56,58 +59,18 @@ const getISTTime = () => {
   });
 };
 
-/**
- * Get date range for payout comparison sync (past 15 days INCLUDING today, IST timezone-aware)
- * Always includes today's IST date as the end date (no noon cut-off).
- */
+// Get date range for payout comparison sync (past 15 days INCLUDING today, IST timezone-aware)
 const getPayoutComparisonDateRange = () => {
-  // Current IST date components
-  const now = new Date();
-  const istString = now.toLocaleString('en-US', {
-    timeZone: 'Asia/Kolkata',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
-
-  const match = istString.match(/(\d{2})\/(\d{2})\/(\d{4}), (\d{2}):(\d{2}):(\d{2})/);
-  if (!match) {
-    throw new Error('Failed to parse IST time for payout comparison date range');
-  }
-
-  const month = parseInt(match[1], 10);
-  const day = parseInt(match[2], 10);
-  const year = parseInt(match[3], 10);
-
-  // End date = today (IST) at 00:00:00 UTC representation of that calendar day
-  const endDate = new Date(Date.UTC(year, month - 1, day, 0, 0, 0, 0));
-  // Start date = 14 days before end date (inclusive → 15 days total)
-  const startDate = new Date(endDate);
-  startDate.setUTCDate(startDate.getUTCDate() - 14);
-
-  const startDateStr = `${startDate.getUTCFullYear()}-${String(startDate.getUTCMonth() + 1).padStart(2, '0')}-${String(startDate.getUTCDate()).padStart(2, '0')}`;
-  const endDateStr = `${endDate.getUTCFullYear()}-${String(endDate.getUTCMonth() + 1).padStart(2, '0')}-${String(endDate.getUTCDate()).padStart(2, '0')}`;
-
-  // Build dateRangeObj compatible with getDateRangeDescription
-  const dateRangeObj = {
-    startDate,
-    endDate,
-    startDateFormatted: `${String(startDate.getUTCMonth() + 1).padStart(2, '0')}/${String(startDate.getUTCDate()).padStart(2, '0')}/${startDate.getUTCFullYear()}`,
-    endDateFormatted: `${String(endDate.getUTCMonth() + 1).padStart(2, '0')}/${String(endDate.getUTCDate()).padStart(2, '0')}/${endDate.getUTCFullYear()}`
-  };
+  const dateRangeObj = getPast15DaysRangeForPayoutComparison();
 
   console.log(`[PayoutComparisonScheduler] Date Range Calculation:`);
   console.log(`  - Date Range: ${getDateRangeDescription(dateRangeObj)}`);
-  console.log(`  - Start Date: ${startDateStr} (YYYY-MM-DD)`);
-  console.log(`  - End Date: ${endDateStr} (YYYY-MM-DD)`);
+  console.log(`  - Start Date: ${dateRangeObj.startDateURL} (YYYY-MM-DD)`);
+  console.log(`  - End Date: ${dateRangeObj.endDateURL} (YYYY-MM-DD)`);
 
   return {
-    startDate: startDateStr,
-    endDate: endDateStr,
+    startDate: dateRangeObj.startDateURL,
+    endDate: dateRangeObj.endDateURL,
     dateRangeObj
   };
 };
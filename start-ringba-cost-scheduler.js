@@ -27,40 +27,25 @@
  *   npm run scheduler:ringba-cost
  * 
  * To stop the scheduler, press Ctrl+C
+ * 
+ * NOTE: This job is also registered by the orchestrator (src/services/scheduler.js,
+ * schedule-config.json). Run either the orchestrator or this script, not both.
  */
 
 import cron from 'node-cron';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import dotenv from 'dotenv';
 import { syncCostToRingba } from './src/services/ringba-cost-sync.js';
+import { createProgressLogger } from './src/utils/concurrent-executor.js';
+import { logRingbaMetrics, resetRingbaMetrics } from './src/http/ringba-http.js';
 import { getPast15DaysRangeForCostSync, getDateRangeDescription } from './src/utils/date-utils.js';
 import {
   initFileLogger,
   setupConsoleLogging,
   closeLogger
 } from './src/utils/file-logger.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const PROJECT_ROOT = join(__dirname, '.');
-
-// Load environment variables
-dotenv.config({ path: join(PROJECT_ROOT, '.env') });
-
-// Build config from environment variables
-const buildConfig = () => {
-  return {
-    dbHost: process.env.DB_HOST || process.env.POSTGRES_HOST,
-    dbPort: parseInt(process.env.DB_PORT || process.env.POSTGRES_PORT || '5432'),
-    dbName: process.env.DB_NAME || process.env.POSTGRES_DB_NAME,
-    dbUser: process.env.DB_USER || process.env.POSTGRES_USER_NAME,
-    dbPassword: process.env.DB_PASSWORD || process.env.POSTGRES_PASSWORD,
-    dbSsl: process.env.DB_SSL === 'true',
-    ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-    ringbaApiToken: process.env.RINGBA_API_TOKEN
-  };
-};
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 // Get IST time string
 const getISTTime = () => {
@@ -101,7 +86,9 @@ const executeCostSync = async (config, scheduleName) => {
     console.log('');
     
     // Execute the sync service (no category filter - syncs all)
-    const result = await syncCostToRingba(config, dateRange, null);
+    const result = await syncCostToRingba(config, dateRange, null, {
+      onProgress: createProgressLogger(`[${scheduleName}]`)
+    });
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     
@@ -120,6 +107,10 @@ const executeCostSync = async (config, scheduleName) => {
     console.log('='.repeat(70));
     console.log('');
     
+    // Ringba API usage of this run (shared rate limiter metrics)
+    logRingbaMetrics('[INFO] Ringba');
+    resetRingbaMetrics();
+    
     return { success: true, result, duration };
   } catch (error) {
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -144,7 +135,7 @@ const executeCostSync = async (config, scheduleName) => {
 // Main scheduler class
 class RingbaCostScheduler {
   constructor() {
-    this.appConfig = buildConfig();
+    this.appConfig = null; // loaded and validated in initialize()
     this.tasks = new Map();
     this.jobStats = new Map();
     this.isRunning = false;
@@ -194,27 +185,9 @@ class RingbaCostScheduler {
     // Initialize file logging
     await this.initializeLogging();
     
-    // Validate required config
-    const requiredVars = [
-      { env: 'POSTGRES_HOST', alt: 'DB_HOST' },
-      { env: 'POSTGRES_DB_NAME', alt: 'DB_NAME' },
-      { env: 'POSTGRES_USER_NAME', alt: 'DB_USER' },
-      { env: 'POSTGRES_PASSWORD', alt: 'DB_PASSWORD' },
-      { env: 'RINGBA_ACCOUNT_ID' },
-      { env: 'RINGBA_API_TOKEN' }
-    ];
-    
-    const missingVars = requiredVars.filter(
-      ({ env, alt }) => !process.env[env] && !process.env[alt]
-    );
-    
-    if (missingVars.length > 0) {
-      console.error('[ERROR] Missing required environment variables:');
-      missingVars.forEach(({ env, alt }) => 
-        console.error(`  - ${env}${alt ? ` (or ${alt})` : ''}`)
-      );
-      process.exit(1);
-    }
+    // Load and validate config (.env / .env.<profile>); exits listing what is missing
+    this.appConfig = loadConfigOrExit('db', 'ringba');
+    console.log(`[INFO] Profile: ${this.appConfig.profile}`);
     
     console.log(`[INFO] Database: ${this.appConfig.dbHost}:${this.appConfig.dbPort}/${this.appConfig.dbName}`);
     console.log(`[INFO] Ringba Account: ${this.appConfig.ringbaAccountId ? 'Configured' : 'Not configured'}`);
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Local Ringba API mock - serves the Ringba endpoints used by the services from fixture JSON
+ *
+ * Point the services at it with RINGBA_BASE_URL (printed on start) to run the cost sync,
+ * original sync, zero-payout fix and campaign summary end to end without the live account.
+ *
+ * Usage:
+ *   node start-ringba-mock.js [--port=4010] [--host=127.0.0.1] [--fixtures=<dir>]
+ *   npm run mock:ringba
+ *
+ * Example:
+ *   npm run mock:ringba &
+ *   RINGBA_BASE_URL=http://127.0.0.1:4010/v2 RINGBA_ACCOUNT_ID=RAmock RINGBA_API_TOKEN=mock \
+ *     node run-ringba-original-sync.js 2026-01-29:2026-01-30
+ *
+ * See RINGBA_MOCK_README.md for the fixture format and the /__mock control endpoints.
+ */
+
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { startRingbaMock, DEFAULT_RINGBA_FIXTURES_DIR } from './src/mocks/ringba-mock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '.env') });
+
+// Parse --flags
+const parseFlags = (args) => {
+  const flags = {
+    port: parseInt(process.env.RINGBA_MOCK_PORT || '4010', 10),
+    host: process.env.RINGBA_MOCK_HOST || '127.0.0.1',
+    fixturesDir: process.env.RINGBA_MOCK_FIXTURES || DEFAULT_RINGBA_FIXTURES_DIR
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith('--port=')) {
+      flags.port = parseInt(arg.substring('--port='.length), 10);
+    } else if (arg.startsWith('--host=')) {
+      flags.host = arg.substring('--host='.length);
+    } else if (arg.startsWith('--fixtures=')) {
+      flags.fixturesDir = resolve(arg.substring('--fixtures='.length));
+    } else {
+      flags.unknown = arg;
+    }
+  }
+
+  return flags;
+};
+
+const main = async () => {
+  const flags = parseFlags(process.argv.slice(2));
+
+  if (flags.unknown || isNaN(flags.port)) {
+    if (flags.unknown) {
+      console.error(`Error: Unknown option "${flags.unknown}"`);
+    }
+    console.error('Usage: node start-ringba-mock.js [--port=4010] [--host=127.0.0.1] [--fixtures=<dir>]');
+    process.exit(1);
+  }
+
+  try {
+    const { server, baseUrl } = await startRingbaMock(flags);
+
+    console.log('='.repeat(70));
+    console.log('Ringba API Mock');
+    console.log('='.repeat(70));
+    console.log(`Fixtures: ${flags.fixturesDir}`);
+    console.log(`Listening: ${baseUrl}`);
+    console.log('');
+    console.log(`Use it with: RINGBA_BASE_URL=${baseUrl}`);
+    console.log('Press Ctrl+C to stop.');
+    console.log('='.repeat(70));
+
+    const shutdown = () => {
+      server.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    console.error('[ERROR] Failed to start Ringba mock:', error.message);
+    process.exit(1);
+  }
+};
+
+main();
@@ -18,12 +18,12 @@
  *   npm run scheduler:ringba-original
  * 
  * To stop the scheduler, press Ctrl+C
+ * 
+ * NOTE: This job is also registered by the orchestrator (src/services/scheduler.js,
+ * schedule-config.json). Run either the orchestrator or this script, not both.
  */
 
 import cron from 'node-cron';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import dotenv from 'dotenv';
 import { syncRingbaOriginalPayout } from './src/services/ringba-original-sync.js';
 import { getRingbaSyncDateRange, getDateRangeDescription } from './src/utils/date-utils.js';
 import {
@@ -31,28 +31,10 @@ import {
   setupConsoleLogging,
   closeLogger
 } from './src/utils/file-logger.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const PROJECT_ROOT = join(__dirname, '.');
-
-// Load environment variables
-dotenv.config({ path: join(PROJECT_ROOT, '.env') });
-
-// Build config from environment variables
-const buildConfig = () => {
-  return {
-    elocalBaseUrl: process.env.ELOCAL_BASE_URL || 'https://elocal.com',
-    dbHost: process.env.POSTGRES_HOST || process.env.DB_HOST,
-    dbPort: process.env.POSTGRES_PORT || process.env.DB_PORT || 5432,
-    dbName: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-    dbUser: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-    dbPassword: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-    dbSsl: process.env.DB_SSL === 'true',
-    ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-    ringbaApiToken: process.env.RINGBA_API_TOKEN
-  };
-};
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 // Get IST time string
 const getISTTime = () => {
@@ -131,7 +113,7 @@ const executeRingbaSync = async (config, scheduleName) => {
 // Main scheduler class
 class RingbaOriginalScheduler {
   constructor() {
-    this.appConfig = buildConfig();
+    this.appConfig = null; // loaded and validated in initialize()
     this.tasks = new Map();
     this.jobStats = new Map();
     this.isRunning = false;
@@ -181,27 +163,9 @@ class RingbaOriginalScheduler {
     // Initialize file logging
     await this.initializeLogging();
     
-    // Validate required config
-    const requiredVars = [
-      { env: 'POSTGRES_HOST', alt: 'DB_HOST' },
-      { env: 'POSTGRES_DB_NAME', alt: 'DB_NAME' },
-      { env: 'POSTGRES_USER_NAME', alt: 'DB_USER' },
-      { env: 'POSTGRES_PASSWORD', alt: 'DB_PASSWORD' },
-      { env: 'RINGBA_ACCOUNT_ID' },
-      { env: 'RINGBA_API_TOKEN' }
-    ];
-    
-    const missingVars = requiredVars.filter(
-      ({ env, alt }) => !process.env[env] && !process.env[alt]
-    );
-    
-    if (missingVars.length > 0) {
-      console.error('[ERROR] Missing required environment variables:');
-      missingVars.forEach(({ env, alt }) => 
-        console.error(`  - ${env}${alt ? ` (or ${alt})` : ''}`)
-      );
-      process.exit(1);
-    }
+    // Load and validate config (.env / .env.<profile>); exits listing what is missing
+    this.appConfig = loadConfigOrExit('db', 'ringba');
+    console.log(`[INFO] Profile: ${this.appConfig.profile}`);
     
     console.log(`[INFO] Database: ${this.appConfig.dbHost}:${this.appConfig.dbPort}/${this.appConfig.dbName}`);
     console.log(`[INFO] Ringba Account: ${this.appConfig.ringbaAccountId ? 'Configured' : 'Not configured'}`);
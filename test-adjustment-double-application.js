@@ -90,7 +90,7 @@ async function testAdjustmentDoubleApplication() {
     
     // Step 1: Fetch existing calls with adjustments
     console.log('[Step 1] Fetching existing calls with adjustments...');
-    const existingCalls = await db.getCallsForDateRange(startDate, endDate, category);
+    const existingCalls = await db.getCallsForDateRange({ startDate, endDate }, category);
     
     // Filter to calls that have adjustments
     const callsWithAdjustments = existingCalls.filter(c => 
@@ -181,7 +181,7 @@ if (historicalOK && currentOK) {
   console.log('');
   console.log('Key Points:');
   console.log('  1. Both services provide startDate and endDate as Date objects');
-  console.log('  2. getCallsForDateRange() accepts Date objects for both parameters');
+  console.log('  2. getCallsForDateRange() takes the date range (its day strings when present)');
   console.log('  3. Second-pass matching uses ±1 day search which works for both');
   console.log('  4. Matching logic is service-agnostic (works with any date range)');
 } else {
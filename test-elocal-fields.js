@@ -2,10 +2,12 @@
 
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { getElocalBaseUrl } from './src/http/elocal-client.js';
+import { requireCampaign } from './src/config/campaign-registry.js';
 dotenv.config();
 
-const uuid = 'dce224a6-f813-4cab-a8c6-972c5a1520ab';
-const url = new URL('https://apis.elocal.com/affiliates/v2/campaign-results/' + uuid + '/calls.json');
+const uuid = requireCampaign('STATIC').elocalCampaignUuid;
+const url = new URL(getElocalBaseUrl() + '/' + uuid + '/calls.json');
 url.searchParams.append('start_date', '2026-01-27');
 url.searchParams.append('end_date', '2026-01-28');
 url.searchParams.append('sortBy', 'callStartTime');
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Regression test against the local eLocal and Ringba mocks (no live API calls)
+ *
+ * Usage:
+ *   node test-mock-services.js
+ *   npm run test:mocks
+ *
+ * Starts both mocks on free ports and checks:
+ *   1. scrapeElocalDataWithDateRange asks eLocal for the range's days, with end_date one day after the last day
+ *      (the API's end_date is exclusive, so without the extra day the last day's calls are missing)
+ *   2. a Ringba payment override round trip: updateCallPayment, then getCallDetails shows the new amounts
+ *
+ * The scrape saves the mock calls to the configured database; point it at a test database (e.g. APP_PROFILE=test).
+ * Without a database the save steps only log warnings and errors, the checks above still run.
+ * Exits with code 1 if any check fails.
+ */
+
+import { startElocalMock } from './src/mocks/elocal-mock.js';
+import { startRingbaMock } from './src/mocks/ringba-mock.js';
+import { loadEnvFiles, loadConfig } from './src/config/app-config.js';
+import { createDateRange } from './src/utils/date-utils.js';
+
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
+
+const ACCOUNT_ID = 'RAmock';
+const CATEGORY = 'API';
+// Day covered by the elocal_api_2026-01-29_* dumps the eLocal mock replays
+const TEST_DAY = new Date(2026, 0, 29);
+
+let passed = 0;
+let failed = 0;
+
+const check = (label, ok, detail = '') => {
+  if (ok) {
+    passed++;
+    console.log(`[SUCCESS] ${label}`);
+  } else {
+    failed++;
+    console.error(`[ERROR] ${label}${detail ? ` - ${detail}` : ''}`);
+  }
+};
+
+const getState = async (mock) => (await fetch(`${mock.url}/__mock/state`)).json();
+
+// 1. eLocal: date range sent by the scrape
+const testElocalRange = async (config, elocalMock) => {
+  console.log('');
+  console.log('[INFO] eLocal: scrapeElocalDataWithDateRange date range');
+
+  const { scrapeElocalDataWithDateRange } = await import('./src/services/elocal.scrapper.js');
+  const dateRange = createDateRange(TEST_DAY, TEST_DAY);
+
+  try {
+    const result = await scrapeElocalDataWithDateRange(config)(dateRange)('test')(CATEGORY);
+    console.log(`[INFO] Scrape finished: ${JSON.stringify(result?.summary || result || {})}`);
+  } catch (error) {
+    // Database steps fail without a database; the request below is what this test checks
+    console.warn(`[WARN] Scrape failed after fetching (database?): ${error.message}`);
+  }
+
+  const state = await getState(elocalMock);
+  const request = state.requests[state.requests.length - 1];
+  check('eLocal mock received the scrape request', !!request);
+  if (!request) {
+    return;
+  }
+  check(`start_date is the first day (${dateRange.startDateURL})`, request.query.start_date === dateRange.startDateURL,
+    `got ${request.query.start_date}`);
+  check('end_date is one day after the last day (2026-01-30, end_date is exclusive)', request.query.end_date === '2026-01-30',
+    `got ${request.query.end_date}`);
+
+  // Without the extra day the API returns nothing for a single-day range
+  const uuid = request.uuid;
+  const query = (start, end) =>
+    fetch(`${elocalMock.url}/${uuid}/calls.json?start_date=${start}&end_date=${end}`, { headers: { 'x-api-key': 'mock' } })
+      .then(response => response.json());
+  const sameDay = await query('2026-01-29', '2026-01-29');
+  const nextDay = await query('2026-01-29', '2026-01-30');
+  check('end_date equal to start_date returns no calls', sameDay.calls.length === 0, `got ${sameDay.calls.length}`);
+  check('end_date of the next day returns the day\'s calls', nextDay.calls.length > 0, `got ${nextDay.calls.length}`);
+};
+
+// 2. Ringba: payment override round trip
+const testRingbaOverride = async (ringbaMock) => {
+  console.log('');
+  console.log('[INFO] Ringba: payment override round trip');
+
+  const { updateCallPayment, getCallDetails } = await import('./src/http/ringba-client.js');
+  const [call] = (await getState(ringbaMock)).calls;
+  const newPayout = Math.round((Number(call.payoutAmount || 0) + 1.5) * 100) / 100;
+  const newRevenue = Math.round((Number(call.conversionAmount || 0) + 2.25) * 100) / 100;
+
+  const updateEither = await updateCallPayment(ACCOUNT_ID, 'mock')(call.inboundCallId, {
+    newPayoutAmount: newPayout,
+    newConversionAmount: newRevenue,
+    reason: 'test-mock-services.js'
+  })();
+  check(`override of ${call.inboundCallId} accepted`, updateEither._tag === 'Right', updateEither.left?.message);
+
+  const detailsEither = await getCallDetails(ACCOUNT_ID, 'mock')(call.inboundCallId)();
+  check('call details readable after the override', detailsEither._tag === 'Right', detailsEither.left?.message);
+  if (detailsEither._tag === 'Right') {
+    const details = detailsEither.right;
+    check(`payout is now ${newPayout}`, details.payout === newPayout, `got ${details.payout}`);
+    check(`revenue is now ${newRevenue}`, details.revenue === newRevenue, `got ${details.revenue}`);
+  }
+
+  const { overrides } = await getState(ringbaMock);
+  check('mock recorded one override', overrides.length === 1, `got ${overrides.length}`);
+
+  const missingEither = await updateCallPayment(ACCOUNT_ID, 'mock')('RGB_DOES_NOT_EXIST', { newPayoutAmount: 1 })();
+  check('override of an unknown call fails with 404', missingEither._tag === 'Left' && missingEither.left.cause?.status === 404,
+    missingEither.left?.message);
+};
+
+const main = async () => {
+  console.log('='.repeat(70));
+  console.log('eLocal / Ringba Mock Regression Test');
+  console.log('='.repeat(70));
+
+  const elocalMock = await startElocalMock({ port: 0 });
+  const ringbaMock = await startRingbaMock({ port: 0 });
+  console.log(`[INFO] eLocal mock: ${elocalMock.baseUrl}`);
+  console.log(`[INFO] Ringba mock: ${ringbaMock.baseUrl}`);
+
+  // The HTTP clients read these on first use
+  process.env.ELOCAL_API_BASE_URL = elocalMock.baseUrl;
+  process.env.ELOCAL_API_KEY = 'mock';
+  process.env.RINGBA_BASE_URL = ringbaMock.baseUrl;
+  process.env.RINGBA_RATE_LIMIT_SHARED = 'false';
+
+  const config = { ...loadConfig(), elocalApiKey: 'mock', ringbaAccountId: ACCOUNT_ID, ringbaApiToken: 'mock' };
+
+  try {
+    await testElocalRange(config, elocalMock);
+    await testRingbaOverride(ringbaMock);
+  } catch (error) {
+    failed++;
+    console.error('[ERROR] Test aborted:', error.message);
+  } finally {
+    elocalMock.server.close();
+    ringbaMock.server.close();
+  }
+
+  console.log('');
+  console.log('='.repeat(70));
+  console.log(`${passed} passed, ${failed} failed`);
+  console.log('='.repeat(70));
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+main();
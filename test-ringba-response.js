@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-import { getCallsByTargetId, TARGET_IDS } from './src/http/ringba-target-calls.js';
+import { getCallsByTargetId } from './src/http/ringba-target-calls.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
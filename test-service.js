@@ -17,9 +17,6 @@
  *   npm run test:service current-api
  */
 
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import {
   scrapeHistoricalData,
   scrapeCurrentDayData,
@@ -27,50 +24,17 @@ import {
   scrapeCurrentDayDataAPI
 } from './src/services/elocal.scrapper.js';
 import { getCurrentDayRangeWithTimezone, getDateRangeDescription } from './src/utils/date-utils.js';
+import { loadEnvFiles, loadConfigOrExit } from './src/config/app-config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load environment variables
-dotenv.config({ path: join(__dirname, '.env') });
+// Load environment variables (.env and .env.<profile>)
+loadEnvFiles();
 
 // Get service type from command line arguments
 const serviceType = process.argv[2] || 'current';
 const category = process.argv[3] || 'STATIC';
 
-// Build config from environment variables
-const config = {
-  elocalBaseUrl: process.env.ELOCAL_BASE_URL || 'https://elocal.com',
-  dbHost: process.env.POSTGRES_HOST || process.env.DB_HOST,
-  dbPort: process.env.POSTGRES_PORT || process.env.DB_PORT || 5432,
-  dbName: process.env.POSTGRES_DB_NAME || process.env.DB_NAME,
-  dbUser: process.env.POSTGRES_USER_NAME || process.env.DB_USER,
-  dbPassword: process.env.POSTGRES_PASSWORD || process.env.DB_PASSWORD,
-  dbSsl: process.env.DB_SSL === 'true',
-  ringbaAccountId: process.env.RINGBA_ACCOUNT_ID,
-  ringbaApiToken: process.env.RINGBA_API_TOKEN
-};
-
-// Validate required config
-const requiredVars = [
-  { env: 'POSTGRES_HOST', alt: 'DB_HOST' },
-  { env: 'POSTGRES_DB_NAME', alt: 'DB_NAME' },
-  { env: 'POSTGRES_USER_NAME', alt: 'DB_USER' },
-  { env: 'POSTGRES_PASSWORD', alt: 'DB_PASSWORD' }
-];
-const missingVars = requiredVars.filter(({ env, alt }) => !process.env[env] && !process.env[alt]).map(({ env }) => env);
-
-if (missingVars.length > 0) {
-  console.error('[ERROR] Missing required environment variables:');
-  missingVars.forEach(varName => console.error(`  - ${varName} (or ${varName.replace('POSTGRES_', 'DB_').replace('_NAME', '').replace('_USER', '_USER')})`));
-  console.error('\nPlease ensure your .env file contains all required variables.');
-  console.error('Expected variables:');
-  console.error('  - POSTGRES_HOST (or DB_HOST)');
-  console.error('  - POSTGRES_DB_NAME (or DB_NAME)');
-  console.error('  - POSTGRES_USER_NAME (or DB_USER)');
-  console.error('  - POSTGRES_PASSWORD (or DB_PASSWORD)');
-  process.exit(1);
-}
+// Load and validate config (.env / .env.<profile>); exits listing what is missing
+const config = loadConfigOrExit('db', 'elocal');
 
 // Get IST time string
 const getISTTime = () => {